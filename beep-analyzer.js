@@ -0,0 +1,1549 @@
+import Messages from "./messages.js"
+import { mean, std, median, percentile, round } from "./statistics.js"
+
+/**
+ * Motor de análise do BeepListener em JavaScript puro, sem dependência do Web Audio ou do `window`.
+ *
+ * Recebe quadros PCM e calcula o domínio da frequência com a mesma FFT, janela de Blackman e suavização do
+ * [AnalyserNode](https://developer.mozilla.org/en-US/docs/Web/API/AnalyserNode), permitindo rodar no Node.js
+ * a mesma detecção que roda no navegador.
+ * @example
+ * import BeepAnalyzer from "@libs-scripts-mep/beep-listener/beep-analyzer.js"
+ * import { decodeWav } from "@libs-scripts-mep/beep-listener/wav.js"
+ *
+ * const wav = decodeWav((await readFile("beep.wav")).buffer)
+ * const analyzer = new BeepAnalyzer({ sampleRate: wav.sampleRate })
+ * console.log(analyzer.detect(wav.channels[0], { minFreq: 2950, maxFreq: 3050 }))
+ */
+export default class BeepAnalyzer {
+
+    /**
+     * @typedef {"autocorrelation" | "yin" | "fft-autocorrelation" | "spectral"} pitchEngine Algoritmo de detecção de frequência:
+     * - `yin` (padrão): [YIN](http://audition.ens.fr/adc/pdf/2002_JASA_YIN.pdf) com diferença calculada via FFT e interpolação parabólica
+     * - `fft-autocorrelation`: autocorrelação via FFT, com interpolação parabólica do pico
+     * - `spectral`: pico do domínio da frequência, com interpolação parabólica
+     * - `autocorrelation`: autocorrelação direta, média do espaçamento entre máximos locais. Algoritmo original, mantido por
+     *   compatibilidade: o custo é quadrático no `fftSize`
+     */
+
+    /**
+     * @typedef {{
+     *     spectrum: Float32Array,
+     *     level: number,
+     *     hertzPerDivision: number
+     * }} noiseFloor Ruído ambiente medido: espectro médio em dBFS, com `fftSize / 2` posições, e nível RMS em dBFS
+     *
+     * @typedef {{
+     *     thd: number,
+     *     harmonicRatio: number,
+     *     flatness: number,
+     *     bandwidth: number
+     * }} spectralShape Forma do espectro de um quadro, ou a mediana dos quadros de uma track:
+     * - `thd`: distorção harmônica total, em %, das `harmonicCount` harmônicas a partir da segunda em relação à fundamental
+     * - `harmonicRatio`: nível da harmônica mais forte em relação à fundamental, em dB
+     * - `flatness`: planicidade espectral em dB, a razão entre as médias geométrica e aritmética da potência. Próxima de 0 para
+     *   ruído e muito negativa para um tom puro
+     * - `bandwidth`: largura do pico da fundamental a -3dB, em Hz. A janela de Blackman limita o mínimo, de um tom puro, a
+     *   cerca de 1,3 vezes o `hertzPerDivision`
+     *
+     * @typedef {{
+     *     mean: number,
+     *     std: number,
+     *     min: number,
+     *     max: number,
+     *     p10: number,
+     *     p50: number,
+     *     p90: number
+     * }} distribution Média, desvio padrão, extremos e percentis de uma série de valores
+     *
+     * @typedef {{
+     *     frequencia: distribution,
+     *     amplitude: distribution,
+     *     drift?: number,
+     *     envelope?: { rise: number, decay: number, ripple: number }
+     * }} trackStatistics Estatísticas de uma track. `drift` é a inclinação da reta de regressão da frequência, em Hz/s.
+     * No `envelope`, `rise` é o tempo, em milissegundos, do início da track até a amplitude chegar a `envelopeThreshold` dB
+     * do pico, `decay` o tempo desde a última amostra nesse patamar até o fim da track e `ripple` a variação da amplitude no
+     * patamar, em dB, entre os percentis 10 e 90. `drift` e `envelope` exigem o array `tempo`
+     *
+     * @typedef {{
+     *     type: "bandpass" | "notch" | "highpass" | "lowpass",
+     *     frequency?: number,
+     *     Q?: number
+     * }} filterSpec Filtro aplicado antes da análise, com o mesmo significado do
+     * [BiquadFilterNode](https://developer.mozilla.org/en-US/docs/Web/API/BiquadFilterNode): `frequency` em Hz e `Q` com padrão 1,
+     * que no `highpass` e `lowpass` é a ressonância em dB. No `bandpass`, `frequency` é opcional e por padrão é o centro da faixa
+     * `minFreq`-`maxFreq` da captura
+     *
+     * @typedef {"any" | "best" | number} channelSelection Canal que decide o resultado da captura multicanal: `any` aprova
+     * com qualquer canal, `best` usa o canal de maior relação sinal-ruído (ou de maior amplitude, sem ruído medido) e um número
+     * usa apenas o canal com este índice, a partir de 0
+     */
+
+    /** Algoritmos de detecção de frequência disponíveis */
+    static pitchEngines = ["autocorrelation", "yin", "fft-autocorrelation", "spectral"]
+
+    /** Limiar do YIN para aceitar um período, na função de diferença normalizada */
+    static yinThreshold = 0.15
+
+    /** Quantidade de harmônicas, a partir da segunda, usadas no `thd` e no `harmonicRatio` */
+    static harmonicCount = 5
+
+    /** Arrays da track com a forma do espectro de cada amostra */
+    static spectralFields = ["thd", "harmonicRatio", "flatness", "bandwidth"]
+
+    /** Distância, em dB, do pico da amplitude que delimita o patamar do envelope */
+    static envelopeThreshold = 3
+
+    /** Tipos de filtro aceitos em `filters` */
+    static filterTypes = ["bandpass", "notch", "highpass", "lowpass"]
+
+    /**
+     * @param {{
+     *     sampleRate?: number,
+     *     fftSize?: number,
+     *     smoothingTimeConstant?: number,
+     *     hopSize?: number,
+     *     triggerInterval?: number,
+     *     pitchEngine?: pitchEngine,
+     *     minConfidence?: number,
+     *     filters?: filterSpec[]
+     * }} analyzerOptions `hopSize` é a quantidade de amostras entre leituras de uma track e `triggerInterval` o intervalo, em
+     * milissegundos, entre as leituras do trigger, sendo 0 uma leitura a cada `hopSize`, como na aquisição por AudioWorklet. Os
+     * valores padrão reproduzem o ritmo da fonte offline do BeepListener.
+     * `pitchEngine`, `minConfidence` e `filters` têm o mesmo significado do `init()` do BeepListener.
+     */
+    constructor(analyzerOptions = {}) {
+        this.sampleRate = analyzerOptions.sampleRate ?? 48000
+        this.fftSize = analyzerOptions.fftSize ?? 2048
+        this.smoothingTimeConstant = analyzerOptions.smoothingTimeConstant ?? 0.8
+        this.hopSize = analyzerOptions.hopSize ?? 128
+        this.triggerInterval = analyzerOptions.triggerInterval ?? 50
+        this.pitchEngine = analyzerOptions.pitchEngine ?? "yin"
+        this.minConfidence = analyzerOptions.minConfidence ?? 0
+        this.filters = analyzerOptions.filters ?? []
+
+        this.window = BeepAnalyzer.blackmanWindow(this.fftSize)
+        this.real = new Float64Array(this.fftSize)
+        this.imag = new Float64Array(this.fftSize)
+        this.smoothedMagnitude = new Float64Array(this.fftSize / 2)
+    }
+
+    /**
+     * Usado para descobrir em qual posição do array está a amplitude da frequência desejada
+     */
+    get hertzPerDivision() { return this.sampleRate / this.fftSize }
+
+    /** Zera a suavização entre quadros, equivalente a criar um novo AnalyserNode */
+    reset() { this.smoothedMagnitude.fill(0) }
+
+    //#region Spectrum
+
+    /**
+     * Calcula o domínio da frequência em dBFS do quadro passado, equivalente ao
+     * [getFloatFrequencyData()](https://developer.mozilla.org/en-US/docs/Web/API/AnalyserNode/getFloatFrequencyData)
+     * @param {Float32Array} timeDomainArray quadro com `fftSize` amostras
+     * @returns {Float32Array} array com `fftSize` posições, das quais apenas a primeira metade é preenchida, como no `freqSample()`
+     */
+    frequencyData(timeDomainArray) {
+        for (let i = 0; i < this.fftSize; i++) {
+            this.real[i] = timeDomainArray[i] * this.window[i]
+            this.imag[i] = 0
+        }
+
+        BeepAnalyzer.fft(this.real, this.imag)
+
+        const frequencyDataArray = new Float32Array(this.fftSize)
+        const tau = this.smoothingTimeConstant
+
+        for (let k = 0; k < this.fftSize / 2; k++) {
+            const magnitude = Math.hypot(this.real[k], this.imag[k]) / this.fftSize
+            this.smoothedMagnitude[k] = tau * this.smoothedMagnitude[k] + (1 - tau) * magnitude
+            frequencyDataArray[k] = 20 * Math.log10(this.smoothedMagnitude[k])
+        }
+
+        return frequencyDataArray
+    }
+
+    /**
+     * Extrai os valores de frequência, amplitude, confiança da frequência e forma do espectro de um quadro
+     * @param {Float32Array} timeDomainArray quadro com `fftSize` amostras
+     * @returns {{ frequency: number, amplitude: number, confidence: number, spectralShape: spectralShape }}
+     */
+    analyzeFrame(timeDomainArray) {
+        const frequencyDataArray = this.frequencyData(timeDomainArray)
+        const pitch = BeepAnalyzer.detectPitch(this.pitchEngine, timeDomainArray, frequencyDataArray, this.sampleRate)
+        return {
+            ...pitch,
+            amplitude: BeepAnalyzer.findAmplitude(pitch.frequency, frequencyDataArray, this.hertzPerDivision),
+            spectralShape: BeepAnalyzer.spectralShape(frequencyDataArray, pitch.frequency, this.hertzPerDivision)
+        }
+    }
+
+    /**
+     * Retorna o quadro que o AnalyserNode teria disponível no instante `position`, ou seja, as últimas `fftSize` amostras
+     * @param {Float32Array} pcm áudio completo
+     * @param {number} position índice da amostra atual
+     * @returns {Float32Array}
+     */
+    frameAt(pcm, position) {
+        const frame = new Float32Array(this.fftSize)
+        const start = position - this.fftSize
+        frame.set(pcm.subarray(Math.max(0, start), position), Math.max(0, -start))
+        return frame
+    }
+    //#endregion Spectrum
+
+    //#region Detection
+
+    /**
+     * Equivalente ao `getData()` do BeepListener: obtém amostras de frequência e amplitude durante `time` milissegundos a partir de `position`
+     * @param {Float32Array} pcm áudio completo
+     * @param {number} position índice da amostra onde começa a leitura
+     * @param {number} time tempo de leitura em milissegundos
+     * @returns {{ track: import("./beep-listener.js").track, position: number }} track lida e posição final
+     */
+    getData(pcm, position, time) {
+        const frequencyBuffer = []
+        const amplitudeBuffer = []
+        const timeBuffer = []
+        const confidenceBuffer = []
+        /** @type {spectralShape[]} */
+        const spectralBuffer = []
+        const end = position + time / 1000 * this.sampleRate
+
+        do {
+            const sample = this.analyzeFrame(this.frameAt(pcm, position))
+            if (sample.confidence >= this.minConfidence) {
+                frequencyBuffer.push(sample.frequency)
+                amplitudeBuffer.push(sample.amplitude)
+                timeBuffer.push(position / this.sampleRate * 1000)
+                confidenceBuffer.push(sample.confidence)
+                spectralBuffer.push(sample.spectralShape)
+            }
+            position += this.hopSize
+        } while (position < end && position <= pcm.length)
+
+        return { track: BeepAnalyzer.fixValues(frequencyBuffer, amplitudeBuffer, timeBuffer, confidenceBuffer, spectralBuffer), position }
+    }
+
+    /**
+     * Equivalente ao `measureNoiseFloor()` do BeepListener: mede o ruído ambiente durante `time` milissegundos a partir de `position`
+     * @param {Float32Array} pcm áudio completo
+     * @param {number} position índice da amostra onde começa a medição
+     * @param {number} time tempo de medição em milissegundos
+     * @returns {{ noiseFloor: noiseFloor, position: number }} ruído medido e posição final
+     */
+    measureNoiseFloor(pcm, position, time) {
+        pcm = this.filter(pcm, BeepAnalyzer.captureDefaults({}))
+        const frames = []
+        const end = position + time / 1000 * this.sampleRate
+
+        do {
+            const timeDomain = this.frameAt(pcm, position)
+            frames.push({ timeDomain, frequencyDomain: this.frequencyData(timeDomain) })
+            position += this.hopSize
+        } while (position < end && position <= pcm.length)
+
+        return { noiseFloor: BeepAnalyzer.noiseFloor(frames, this.hertzPerDivision), position }
+    }
+
+    /**
+     * Equivalente ao `frequencyTrigger()` do BeepListener: avança pelo áudio até encontrar uma amostra dentro da faixa esperada
+     * @param {Float32Array} pcm áudio completo
+     * @param {number} position índice da amostra onde começa a busca
+     * @param {number} end índice limite da busca
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @returns {{ position: number, sample?: import("./beep-listener.js").track }} posição e amostra do trigger, ou `end` caso não seja encontrado
+     */
+    frequencyTrigger(pcm, position, end, captureOptions) {
+        const triggerStep = Math.max(1, Math.ceil(this.triggerInterval / 1000 * this.sampleRate / this.hopSize)) * this.hopSize
+
+        while (position < end) {
+            const sample = this.getData(pcm, position, 0).track
+
+            if (BeepAnalyzer.isTriggerSample(sample.frequencia[0], sample.amplitude[0], captureOptions)) { return { position, sample } }
+
+            position += triggerStep
+        }
+
+        return { position: end }
+    }
+
+    /**
+     * Executa sobre o áudio o mesmo fluxo do `capture()` do BeepListener (filtros, trigger, leitura da track e validação),
+     * usando o tempo do áudio no lugar do relógio
+     * @param {Float32Array} pcm áudio mono na taxa `sampleRate`
+     * @param {Partial<import("./beep-listener.js").captureOptions>} captureOptions mesmas opções do `capture()`. Com `snrValidation`,
+     * o `noiseLevel` deve ser informado, por exemplo com o `bandLevel()` do ruído medido pelo `measureNoiseFloor()`
+     */
+    detect(pcm, captureOptions = {}) {
+        BeepAnalyzer.captureDefaults(captureOptions)
+        this.reset()
+        pcm = this.filter(pcm, captureOptions)
+
+        const noiseCheck = BeepAnalyzer.validateNoiseLevel(captureOptions)
+        if (!noiseCheck.success) { return noiseCheck }
+
+        /** @type {import("./beep-listener.js").track[]} */
+        const lastReads = []
+        const end = Math.min(pcm.length, captureOptions.timeOut / 1000 * this.sampleRate)
+        let position = 0
+
+        while (position < end) {
+            const trigger = this.frequencyTrigger(pcm, position, end, captureOptions)
+            position = trigger.position
+            if (!trigger.sample) { break }
+
+            const read = this.getData(pcm, position, captureOptions.trackSize)
+            position = read.position
+            lastReads.push(read.track)
+
+            const validatedTrack = BeepAnalyzer.trackValidator(read.track, captureOptions)
+            if (validatedTrack.result) {
+                const timingTrack = BeepAnalyzer.concatTracks(trigger.sample, read.track)
+                const frameDuration = this.fftSize / this.sampleRate * 1000
+
+                const now = () => position / this.sampleRate * 1000
+
+                while (captureOptions.measureDuration && position < end && !BeepAnalyzer.timingComplete(timingTrack, captureOptions, frameDuration, now())) {
+                    BeepAnalyzer.concatTracks(timingTrack, this.getData(pcm, position, 0).track)
+                    position += this.hopSize
+                }
+
+                const beep = BeepAnalyzer.measureBeep(timingTrack, captureOptions, 0, frameDuration, now())
+                return BeepAnalyzer.captureResult(validatedTrack, lastReads, captureOptions, beep)
+            }
+        }
+
+        return BeepAnalyzer.captureResult(undefined, lastReads, captureOptions)
+    }
+
+    /**
+     * Executa o `detect()` em cada canal do áudio, de forma independente, e escolhe o resultado como o `capture()` do
+     * BeepListener no modo multicanal
+     * @param {Float32Array[]} channels áudio de cada canal, como os `channels` do `decodeWav()`
+     * @param {Partial<import("./beep-listener.js").captureOptions> & { channel?: channelSelection }} captureOptions mesmas opções
+     * do `capture()`
+     * @param {number[]} [noiseLevels] `noiseLevel` de cada canal, no lugar do `noiseLevel` das opções
+     * @returns {object} resultado do `channelResult()`, ou o erro `PARAM_CHANNEL_UNAVAILABLE` quando o `channel` não existe no áudio
+     * @example
+     * const detection = analyzer.detectChannels(wav.channels, { channel: "best" })
+     * console.log(detection.channel, detection.channels.map(channel => channel.code))
+     */
+    detectChannels(channels, captureOptions = {}, noiseLevels = []) {
+        const { channel: selection = "any", ...options } = captureOptions
+        if (typeof selection == "number" && !(selection < channels.length)) {
+            return { success: false, ...Messages.get("PARAM_CHANNEL_UNAVAILABLE", { parameter: "channel", channels: channels.length }), parameter: "channel" }
+        }
+
+        const indexes = typeof selection == "number" ? [selection] : channels.map((pcm, channel) => channel)
+
+        const results = indexes.map(channel => ({
+            channel,
+            ...this.detect(channels[channel], { ...options, noiseLevel: noiseLevels[channel] ?? options.noiseLevel })
+        }))
+        return BeepAnalyzer.channelResult(results, selection)
+    }
+
+    /**
+     * Executa sobre o áudio o mesmo fluxo do `capturePattern()` do BeepListener
+     * @param {Float32Array} pcm áudio mono na taxa `sampleRate`
+     * @param {Partial<import("./beep-listener.js").captureOptions> & { pattern: import("./beep-listener.js").beepPatternStep[] }} captureOptions mesmas opções do `capturePattern()`
+     */
+    detectPattern(pcm, captureOptions) {
+        BeepAnalyzer.patternDefaults(captureOptions)
+        this.reset()
+        pcm = this.filter(pcm, captureOptions)
+
+        const noiseCheck = BeepAnalyzer.validateNoiseLevel(captureOptions)
+        if (!noiseCheck.success) { return noiseCheck }
+
+        const silenceLimit = BeepAnalyzer.patternSilenceLimit(captureOptions)
+        const end = Math.min(pcm.length, captureOptions.timeOut / 1000 * this.sampleRate)
+        const track = { frequencia: [], amplitude: [], tempo: [] }
+        let lastOnTime
+
+        for (let position = 0; position < end; position += this.hopSize) {
+            const read = this.getData(pcm, position, 0).track
+            const now = position / this.sampleRate * 1000
+            BeepAnalyzer.concatTracks(track, read)
+
+            if (BeepAnalyzer.isTriggerSample(read.frequencia[0], read.amplitude[0], captureOptions)) {
+                lastOnTime = now
+            } else if (lastOnTime != undefined && now - lastOnTime > silenceLimit) { break }
+        }
+
+        return BeepAnalyzer.patternResult(track, 0, this.fftSize / this.sampleRate * 1000, captureOptions)
+    }
+    //#endregion Detection
+
+    //#region DSP
+
+    /**
+     * Janela de Blackman usada pelo AnalyserNode
+     * @param {number} size
+     * @returns {Float64Array}
+     */
+    static blackmanWindow(size) {
+        const window = new Float64Array(size)
+        for (let n = 0; n < size; n++) {
+            window[n] = 0.42 - 0.5 * Math.cos(2 * Math.PI * n / size) + 0.08 * Math.cos(4 * Math.PI * n / size)
+        }
+        return window
+    }
+
+    /**
+     * FFT radix-2 iterativa, calculada no próprio array
+     * @param {Float64Array} real parte real, tamanho potência de 2
+     * @param {Float64Array} imag parte imaginária
+     */
+    static fft(real, imag) {
+        const size = real.length
+
+        for (let i = 1, j = 0; i < size; i++) {
+            let bit = size >> 1
+            for (; j & bit; bit >>= 1) { j ^= bit }
+            j ^= bit
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]]
+            }
+        }
+
+        for (let length = 2; length <= size; length <<= 1) {
+            const angle = -2 * Math.PI / length
+            const stepReal = Math.cos(angle)
+            const stepImag = Math.sin(angle)
+
+            for (let start = 0; start < size; start += length) {
+                let twiddleReal = 1
+                let twiddleImag = 0
+
+                for (let k = 0; k < length / 2; k++) {
+                    const even = start + k
+                    const odd = even + length / 2
+                    const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag
+                    const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal
+
+                    real[odd] = real[even] - oddReal
+                    imag[odd] = imag[even] - oddImag
+                    real[even] += oddReal
+                    imag[even] += oddImag
+
+                    const nextTwiddleReal = twiddleReal * stepReal - twiddleImag * stepImag
+                    twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal
+                    twiddleReal = nextTwiddleReal
+                }
+            }
+        }
+    }
+
+    /**
+     * Permite extrair um valor de frequência do TimeDomainArray através da autocorrelação
+     * @param {Float32Array} timeDomainArray array do TimeDomain
+     * @param {number} sampleRate taxa de amostragem
+     * @returns {number} valor de frequência
+     */
+    static pitch(timeDomainArray, sampleRate) { return this.autocorrelationPitch(timeDomainArray, sampleRate).frequency }
+
+    /**
+     * Extrai a frequência do quadro com o algoritmo escolhido
+     * @param {pitchEngine} engine algoritmo de detecção
+     * @param {Float32Array} timeDomainArray array do TimeDomain
+     * @param {Float32Array} frequencyDataArray array do domínio da frequência, usado pelo algoritmo `spectral`
+     * @param {number} sampleRate taxa de amostragem
+     * @returns {{ frequency: number, confidence: number }} frequência e confiança entre 0 e 1
+     */
+    static detectPitch(engine, timeDomainArray, frequencyDataArray, sampleRate) {
+        switch (engine) {
+            case "autocorrelation": return this.autocorrelationPitch(timeDomainArray, sampleRate)
+            case "fft-autocorrelation": return this.fftAutocorrelationPitch(timeDomainArray, sampleRate)
+            case "spectral": return this.spectralPitch(frequencyDataArray, sampleRate / timeDomainArray.length)
+            default: return this.yinPitch(timeDomainArray, sampleRate)
+        }
+    }
+
+    /**
+     * Autocorrelação direta, usando a média do espaçamento entre os primeiros máximos locais.
+     * A confiança é a correlação no primeiro máximo, normalizada pela energia do quadro.
+     * @param {Float32Array} timeDomainArray array do TimeDomain
+     * @param {number} sampleRate taxa de amostragem
+     * @returns {{ frequency: number, confidence: number }}
+     */
+    static autocorrelationPitch(timeDomainArray, sampleRate) {
+        const size = timeDomainArray.length
+        let maximaCount = 0
+        let corrolatedSignal = new Float32Array(size)
+        let localMaxima = new Array(10)
+
+        for (let l = 0; l < size; l++) {
+            corrolatedSignal[l] = 0
+            for (let i = 0; i < size - l; i++) {
+                corrolatedSignal[l] += timeDomainArray[i] * timeDomainArray[i + l]
+            }
+            if (l > 1) {
+                if ((corrolatedSignal[l - 2] - corrolatedSignal[l - 1]) < 0
+                    && (corrolatedSignal[l - 1] - corrolatedSignal[l]) > 0) {
+                    localMaxima[maximaCount] = (l - 1)
+                    maximaCount++
+                    if ((maximaCount >= localMaxima.length))
+                        break
+                }
+            }
+        }
+
+        let maximaMean = localMaxima[0]
+
+        for (let i = 1; i < maximaCount; i++)
+            maximaMean += localMaxima[i] - localMaxima[i - 1]
+
+        maximaMean /= maximaCount
+
+        const confidence = maximaCount > 0 && corrolatedSignal[0] > 0 ? corrolatedSignal[localMaxima[0]] / corrolatedSignal[0] : 0
+
+        return { frequency: sampleRate / maximaMean, confidence: clamp(confidence) }
+    }
+
+    /**
+     * [YIN](http://audition.ens.fr/adc/pdf/2002_JASA_YIN.pdf): o período é o primeiro mínimo da diferença normalizada abaixo de
+     * `yinThreshold`, refinado por interpolação parabólica. A diferença é calculada via FFT, em O(N log N).
+     * A confiança é 1 menos a diferença normalizada no período.
+     * @param {Float32Array} timeDomainArray array do TimeDomain
+     * @param {number} sampleRate taxa de amostragem
+     * @returns {{ frequency: number, confidence: number }}
+     */
+    static yinPitch(timeDomainArray, sampleRate) {
+        const size = timeDomainArray.length
+        const windowSize = size / 2
+        const crossCorrelation = this.crossCorrelation(timeDomainArray, windowSize)
+
+        // Energia de x[τ..τ+W) para cada τ, por soma acumulada dos quadrados
+        const squareSum = new Float64Array(size + 1)
+        for (let i = 0; i < size; i++) { squareSum[i + 1] = squareSum[i] + timeDomainArray[i] ** 2 }
+
+        const difference = new Float64Array(windowSize)
+        const normalizedDifference = new Float64Array(windowSize)
+        normalizedDifference[0] = 1
+        let differenceSum = 0
+
+        for (let tau = 1; tau < windowSize; tau++) {
+            difference[tau] = squareSum[windowSize] + (squareSum[tau + windowSize] - squareSum[tau]) - 2 * crossCorrelation[tau]
+            differenceSum += difference[tau]
+            normalizedDifference[tau] = differenceSum > 0 ? difference[tau] * tau / differenceSum : 1
+        }
+
+        let period = -1
+        for (let tau = 2; tau < windowSize - 1; tau++) {
+            if (normalizedDifference[tau] < this.yinThreshold) {
+                while (tau + 1 < windowSize - 1 && normalizedDifference[tau + 1] < normalizedDifference[tau]) { tau++ }
+                period = tau
+                break
+            }
+        }
+
+        if (period == -1) { return { frequency: NaN, confidence: 0 } }
+
+        // A interpolação é feita sobre a diferença sem normalização, que não tem o viés da média acumulada
+        const shift = parabolicInterpolation(difference[period - 1], difference[period], difference[period + 1])
+
+        return { frequency: sampleRate / (period + shift), confidence: clamp(1 - normalizedDifference[period]) }
+    }
+
+    /**
+     * Autocorrelação calculada via FFT e corrigida do viés que a faz decair com o atraso. O período é o primeiro pico, após o primeiro
+     * cruzamento por zero, com pelo menos 90% do maior pico, refinado por interpolação parabólica. A confiança é a correlação no pico,
+     * normalizada pela energia do quadro.
+     * @param {Float32Array} timeDomainArray array do TimeDomain
+     * @param {number} sampleRate taxa de amostragem
+     * @returns {{ frequency: number, confidence: number }}
+     */
+    static fftAutocorrelationPitch(timeDomainArray, sampleRate) {
+        const size = timeDomainArray.length
+        const autocorrelation = this.crossCorrelation(timeDomainArray, size).map((value, tau) => value * size / (size - tau))
+
+        if (!(autocorrelation[0] > 0)) { return { frequency: NaN, confidence: 0 } }
+
+        let start = 1
+        while (start < size / 2 && autocorrelation[start] > 0) { start++ }
+
+        let highestPeak = 0
+        for (let tau = start; tau < size / 2; tau++) { highestPeak = Math.max(highestPeak, autocorrelation[tau]) }
+
+        for (let tau = Math.max(start, 1); tau < size / 2 - 1; tau++) {
+            const isPeak = autocorrelation[tau] > autocorrelation[tau - 1] && autocorrelation[tau] >= autocorrelation[tau + 1]
+            if (isPeak && autocorrelation[tau] >= 0.9 * highestPeak && highestPeak > 0) {
+                const shift = parabolicInterpolation(autocorrelation[tau - 1], autocorrelation[tau], autocorrelation[tau + 1])
+                return { frequency: sampleRate / (tau + shift), confidence: clamp(autocorrelation[tau] / autocorrelation[0]) }
+            }
+        }
+
+        return { frequency: NaN, confidence: 0 }
+    }
+
+    /**
+     * Pico do domínio da frequência, refinado por interpolação parabólica sobre os valores em dB.
+     * A confiança é a fração da potência total concentrada no lóbulo principal do pico.
+     * @param {Float32Array} frequencyDataArray array do domínio da frequência, em dBFS
+     * @param {number} hertzPerDivision resolução do array, em Hz por posição
+     * @returns {{ frequency: number, confidence: number }}
+     */
+    static spectralPitch(frequencyDataArray, hertzPerDivision) {
+        const binCount = frequencyDataArray.length / 2
+        let peak = 1
+        let totalPower = 0
+
+        for (let k = 1; k < binCount; k++) {
+            totalPower += 10 ** (frequencyDataArray[k] / 10)
+            if (frequencyDataArray[k] > frequencyDataArray[peak]) { peak = k }
+        }
+
+        if (!(totalPower > 0) || peak >= binCount - 1) { return { frequency: NaN, confidence: 0 } }
+
+        // O lóbulo principal da janela de Blackman ocupa 3 posições para cada lado do pico
+        let peakPower = 0
+        for (let k = Math.max(1, peak - 3); k <= Math.min(binCount - 1, peak + 3); k++) { peakPower += 10 ** (frequencyDataArray[k] / 10) }
+
+        const shift = parabolicInterpolation(frequencyDataArray[peak - 1], frequencyDataArray[peak], frequencyDataArray[peak + 1])
+
+        return { frequency: (peak + shift) * hertzPerDivision, confidence: clamp(peakPower / totalPower) }
+    }
+
+    /**
+     * Correlação cruzada de x[0..windowSize) com o quadro inteiro, c[τ] = Σ x[j]·x[j+τ], calculada via FFT
+     * @param {Float32Array} timeDomainArray array do TimeDomain
+     * @param {number} windowSize quantidade de amostras da janela de referência
+     * @returns {Float64Array} correlação para cada atraso τ, com o tamanho do quadro
+     */
+    static crossCorrelation(timeDomainArray, windowSize) {
+        const size = timeDomainArray.length
+        const paddedSize = size * 2
+        const signalReal = new Float64Array(paddedSize)
+        const signalImag = new Float64Array(paddedSize)
+        const windowReal = new Float64Array(paddedSize)
+        const windowImag = new Float64Array(paddedSize)
+
+        signalReal.set(timeDomainArray)
+        windowReal.set(timeDomainArray.subarray(0, windowSize))
+
+        this.fft(signalReal, signalImag)
+        this.fft(windowReal, windowImag)
+
+        // X · conj(W), conjugado para que a FFT direta funcione como inversa
+        for (let k = 0; k < paddedSize; k++) {
+            const real = signalReal[k] * windowReal[k] + signalImag[k] * windowImag[k]
+            const imag = signalImag[k] * windowReal[k] - signalReal[k] * windowImag[k]
+            signalReal[k] = real
+            signalImag[k] = -imag
+        }
+
+        this.fft(signalReal, signalImag)
+
+        const correlation = new Float64Array(size)
+        for (let tau = 0; tau < size; tau++) { correlation[tau] = signalReal[tau] / paddedSize }
+
+        return correlation
+    }
+
+    /**
+     * Retorna o valor de amplitude referente à frequência passada
+     * @param {number} frequency frequência de referência
+     * @param {Float32Array} amplitudeArray array do domínio da frequência
+     * @param {number} hertzPerDivision resolução do array, em Hz por posição
+     * @returns {number} valor de amplitude referente à frequência passada
+     */
+    static findAmplitude(frequency, amplitudeArray, hertzPerDivision) { return amplitudeArray[Math.round(frequency / hertzPerDivision)] }
+
+    /**
+     * Nível RMS e pico do quadro
+     * @param {Float32Array} timeDomainArray array do TimeDomain
+     * @returns {{ level: number, peak: number }} nível em dBFS e maior valor absoluto de amostra, entre 0 e 1
+     */
+    static signalLevel(timeDomainArray) {
+        let squareSum = 0
+        let peak = 0
+
+        for (const sample of timeDomainArray) {
+            squareSum += sample * sample
+            peak = Math.max(peak, Math.abs(sample))
+        }
+
+        return { level: 10 * Math.log10(squareSum / timeDomainArray.length), peak }
+    }
+
+    /**
+     * Arredonda os valores dos arrays para no máximo duas casas decimais
+     * @param {number[]} freqBuffer array da frequência
+     * @param {number[]} ampBuffer array da amplitude
+     * @param {number[]} [timeBuffer] array com o instante de cada amostra, em milissegundos do relógio do áudio
+     * @param {number[]} [confidenceBuffer] array com a confiança da frequência de cada amostra
+     * @param {spectralShape[]} [spectralBuffer] forma do espectro de cada amostra, separada nos arrays `spectralFields` da track
+     * @returns {import("./beep-listener.js").track}
+     */
+    static fixValues(freqBuffer, ampBuffer, timeBuffer, confidenceBuffer, spectralBuffer) {
+        const track = { frequencia: fix(freqBuffer), amplitude: fix(ampBuffer) }
+        if (timeBuffer) { track.tempo = fix(timeBuffer) }
+        if (confidenceBuffer) { track.confianca = fix(confidenceBuffer) }
+        if (spectralBuffer) {
+            for (const field of this.spectralFields) { track[field] = fix(spectralBuffer.map(shape => shape[field])) }
+        }
+        return track
+
+        /**
+         * @param {number[]} buffer
+         */
+        function fix(buffer) {
+            return buffer.map(value => !isNaN(value) && !Number.isInteger(value) ? parseFloat(value.toFixed(2)) : value)
+        }
+    }
+    //#endregion DSP
+
+    //#region Filters
+
+    /**
+     * Equivalente à cadeia de filtros do BeepListener: aplica ao áudio os `filters` da captura, ou os do analisador
+     * @param {Float32Array} pcm
+     * @param {{ filters?: filterSpec[], minFreq: number, maxFreq: number }} captureOptions
+     * @returns {Float32Array} áudio filtrado, ou o próprio `pcm` sem filtros
+     */
+    filter(pcm, captureOptions) {
+        return BeepAnalyzer.applyFilters(pcm, BeepAnalyzer.resolveFilters(captureOptions.filters ?? this.filters, captureOptions), this.sampleRate)
+    }
+
+    /**
+     * Preenche a frequência e o `Q` dos filtros: o `bandpass` sem frequência é centralizado na faixa da captura
+     * @param {filterSpec[]} filters
+     * @param {{ minFreq: number, maxFreq: number }} band
+     * @returns {Required<filterSpec>[]}
+     */
+    static resolveFilters(filters, band) {
+        return filters.map(filter => ({
+            type: filter.type,
+            frequency: filter.frequency ?? (band.minFreq + band.maxFreq) / 2,
+            Q: filter.Q ?? 1
+        }))
+    }
+
+    /**
+     * Coeficientes normalizados do biquad, pelas fórmulas da especificação do
+     * [BiquadFilterNode](https://webaudio.github.io/web-audio-api/#filters-characteristics)
+     * @param {Required<filterSpec>} filter
+     * @param {number} sampleRate
+     * @returns {{ b0: number, b1: number, b2: number, a1: number, a2: number }}
+     */
+    static biquadCoefficients(filter, sampleRate) {
+        const w0 = 2 * Math.PI * Math.min(filter.frequency, sampleRate / 2) / sampleRate
+        const cos = Math.cos(w0)
+        // No highpass e lowpass o Q é a ressonância em dB
+        const alpha = filter.type == "highpass" || filter.type == "lowpass"
+            ? Math.sin(w0) / (2 * 10 ** (filter.Q / 20))
+            : Math.sin(w0) / (2 * filter.Q)
+
+        const numerator = {
+            lowpass: [(1 - cos) / 2, 1 - cos, (1 - cos) / 2],
+            highpass: [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2],
+            bandpass: [alpha, 0, -alpha],
+            notch: [1, -2 * cos, 1]
+        }[filter.type]
+        const a0 = 1 + alpha
+
+        return {
+            b0: numerator[0] / a0,
+            b1: numerator[1] / a0,
+            b2: numerator[2] / a0,
+            a1: -2 * cos / a0,
+            a2: (1 - alpha) / a0
+        }
+    }
+
+    /**
+     * Aplica os filtros em cascata, na ordem, como uma cadeia de BiquadFilterNodes
+     * @param {Float32Array} pcm
+     * @param {Required<filterSpec>[]} filters
+     * @param {number} sampleRate
+     * @returns {Float32Array} áudio filtrado, ou o próprio `pcm` sem filtros
+     */
+    static applyFilters(pcm, filters, sampleRate) {
+        if (filters.length == 0) { return pcm }
+
+        let output = pcm
+        for (const filter of filters) {
+            const { b0, b1, b2, a1, a2 } = this.biquadCoefficients(filter, sampleRate)
+            const filtered = new Float32Array(output.length)
+            let x1 = 0, x2 = 0, y1 = 0, y2 = 0
+
+            for (let i = 0; i < output.length; i++) {
+                const x = output[i]
+                const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2
+                x2 = x1
+                x1 = x
+                y2 = y1
+                y1 = y
+                filtered[i] = y
+            }
+            output = filtered
+        }
+        return output
+    }
+    //#endregion Filters
+
+    //#region NoiseFloor
+
+    /**
+     * Calcula o ruído ambiente a partir dos quadros lidos, com a média da potência de cada posição do espectro
+     * @param {{ timeDomain: Float32Array, frequencyDomain: Float32Array }[]} frames quadros lidos durante a medição
+     * @param {number} hertzPerDivision
+     * @returns {noiseFloor}
+     */
+    static noiseFloor(frames, hertzPerDivision) {
+        const binCount = frames[0].frequencyDomain.length / 2
+        const power = new Float64Array(binCount)
+        let squareSum = 0
+        let sampleCount = 0
+
+        for (const frame of frames) {
+            for (let k = 0; k < binCount; k++) { power[k] += 10 ** (frame.frequencyDomain[k] / 10) }
+            for (const sample of frame.timeDomain) { squareSum += sample * sample }
+            sampleCount += frame.timeDomain.length
+        }
+
+        return {
+            spectrum: Float32Array.from(power, value => 10 * Math.log10(value / frames.length)),
+            level: parseFloat((10 * Math.log10(squareSum / sampleCount)).toFixed(2)),
+            hertzPerDivision
+        }
+    }
+
+    /**
+     * Nível do ruído na faixa de frequência, usado como referência da relação sinal-ruído. É o maior valor do espectro
+     * médio dentro da faixa, para que um tom de interferência próximo ao beep não seja diluído pelo restante da faixa.
+     * @param {noiseFloor} noiseFloor
+     * @param {number} minFreq
+     * @param {number} maxFreq
+     * @returns {number} nível em dBFS, comparável à amplitude das tracks
+     */
+    static bandLevel(noiseFloor, minFreq, maxFreq) {
+        const first = Math.round(minFreq / noiseFloor.hertzPerDivision)
+        const last = Math.min(Math.round(maxFreq / noiseFloor.hertzPerDivision), noiseFloor.spectrum.length - 1)
+
+        let level = -Infinity
+        for (let k = first; k <= last; k++) { level = Math.max(level, noiseFloor.spectrum[k]) }
+
+        return parseFloat(level.toFixed(2))
+    }
+
+    /**
+     * Relação sinal-ruído da track, entre a mediana da amplitude dentro da faixa e o `noiseLevel`
+     * @param {import("./beep-listener.js").track} track
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @returns {number} relação em dB
+     */
+    static trackSnr(track, captureOptions) {
+        const filteredTrack = this.trackFilter(track, captureOptions)
+        const media = this.calculateMedia(filteredTrack.frequencia, filteredTrack.amplitude)
+        return parseFloat((media.amplitude - captureOptions.noiseLevel).toFixed(2))
+    }
+
+    /**
+     * Verifica se o nível de ruído necessário para a `snrValidation` foi informado
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    static validateNoiseLevel(captureOptions) {
+        if (captureOptions.snrValidation && captureOptions.noiseLevel == undefined) {
+            return { success: false, ...Messages.get("NOISE_FLOOR_MISSING") }
+        }
+        return { success: true }
+    }
+    //#endregion NoiseFloor
+
+    //#region SpectralShape
+
+    /**
+     * Calcula a forma do espectro de um quadro a partir do domínio da frequência. Um buzzer trincado ou solto costuma manter
+     * a frequência e o volume, mas soa áspero: as harmônicas sobem, a energia se espalha pelo espectro e o pico se alarga.
+     * @param {Float32Array} frequencyDataArray domínio da frequência em dBFS, com `fftSize` posições
+     * @param {number} frequency frequência fundamental detectada
+     * @param {number} hertzPerDivision
+     * @returns {spectralShape} valores `NaN` quando a fundamental está fora do espectro
+     */
+    static spectralShape(frequencyDataArray, frequency, hertzPerDivision) {
+        const binCount = frequencyDataArray.length / 2
+        const fundamental = peakBin(frequencyDataArray, Math.round(frequency / hertzPerDivision), binCount)
+        if (fundamental == undefined) { return { thd: NaN, harmonicRatio: NaN, flatness: NaN, bandwidth: NaN } }
+
+        const fundamentalLevel = frequencyDataArray[fundamental]
+
+        let harmonicPower = 0
+        let harmonicRatio = NaN
+        for (let harmonic = 2; harmonic <= this.harmonicCount + 1; harmonic++) {
+            const bin = peakBin(frequencyDataArray, Math.round(harmonic * frequency / hertzPerDivision), binCount)
+            if (bin == undefined) { break }
+
+            const relativeLevel = frequencyDataArray[bin] - fundamentalLevel
+            harmonicPower += 10 ** (relativeLevel / 10)
+            harmonicRatio = isNaN(harmonicRatio) ? relativeLevel : Math.max(harmonicRatio, relativeLevel)
+        }
+
+        let logSum = 0
+        let powerSum = 0
+        for (let k = 1; k < binCount; k++) {
+            const power = Math.max(10 ** (frequencyDataArray[k] / 10), 1e-20)
+            logSum += Math.log10(power)
+            powerSum += power
+        }
+
+        const threshold = fundamentalLevel - 3
+        let left = fundamental
+        while (left > 1 && frequencyDataArray[left - 1] >= threshold) { left-- }
+        let right = fundamental
+        while (right < binCount - 1 && frequencyDataArray[right + 1] >= threshold) { right++ }
+
+        // Ponto de -3dB interpolado entre a última posição acima do limiar e a seguinte
+        const leftEdge = left - crossing(frequencyDataArray[left], frequencyDataArray[left - 1], threshold)
+        const rightEdge = right + crossing(frequencyDataArray[right], frequencyDataArray[right + 1], threshold)
+
+        return {
+            thd: Math.sqrt(harmonicPower) * 100,
+            harmonicRatio,
+            flatness: 10 * (logSum / (binCount - 1)) - 10 * Math.log10(powerSum / (binCount - 1)),
+            bandwidth: (rightEdge - leftEdge) * hertzPerDivision
+        }
+    }
+
+    /**
+     * Mediana da forma do espectro das amostras da track
+     * @param {import("./beep-listener.js").track} track normalmente filtrada pelo `trackFilter()`
+     * @returns {spectralShape | undefined} undefined para tracks sem a forma do espectro, como as gravadas em versões anteriores
+     */
+    static trackSpectrum(track) {
+        if (!track.thd || track.thd.length == 0) { return undefined }
+        return /** @type {spectralShape} */ (Object.fromEntries(this.spectralFields.map(field => [field, median(track[field])])))
+    }
+
+    /**
+     * Verifica a forma do espectro pelos limites `maxThd`, `maxHarmonicRatio`, `maxFlatness` e `maxBandwidth`. Os limites não
+     * informados não são verificados, assim como uma track sem a forma do espectro
+     * @param {spectralShape | undefined} spectrum
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    static validateSpectrum(spectrum, captureOptions) {
+        if (!spectrum) { return { success: true } }
+
+        const limits = [
+            ["thd", "maxThd", "CAPTURE_THD_ABOVE_MAX"],
+            ["harmonicRatio", "maxHarmonicRatio", "CAPTURE_HARMONIC_ABOVE_MAX"],
+            ["flatness", "maxFlatness", "CAPTURE_FLATNESS_ABOVE_MAX"],
+            ["bandwidth", "maxBandwidth", "CAPTURE_BANDWIDTH_ABOVE_MAX"]
+        ]
+
+        for (const [field, option, code] of limits) {
+            if (captureOptions[option] != undefined && spectrum[field] > captureOptions[option]) {
+                return { success: false, ...Messages.get(code, { max: captureOptions[option], value: spectrum[field] }) }
+            }
+        }
+        return { success: true }
+    }
+    //#endregion SpectralShape
+
+    //#region TrackStatistics
+
+    /**
+     * Calcula as estatísticas da track, permitindo identificar um tom que oscila (`frequencia.std`), que desliza (`drift`) ou
+     * que perde a força ao longo do beep (`envelope.decay`, `envelope.ripple`)
+     * @param {import("./beep-listener.js").track} track normalmente filtrada pelo `trackFilter()`
+     * @returns {trackStatistics | undefined} undefined para uma track vazia
+     */
+    static trackStatistics(track) {
+        if (track.frequencia.length == 0) { return undefined }
+
+        /** @type {trackStatistics} */
+        const statistics = { frequencia: distribution(track.frequencia), amplitude: distribution(track.amplitude) }
+
+        if (track.tempo?.length == track.frequencia.length && track.frequencia.length > 1) {
+            statistics.drift = round(regressionSlope(track.tempo, track.frequencia) * 1000)
+            statistics.envelope = this.envelope(track.amplitude, track.tempo)
+        }
+
+        return statistics
+    }
+
+    /**
+     * Tempo de subida, tempo de queda e ondulação do envelope da amplitude
+     * @param {number[]} amplitude
+     * @param {number[]} tempo instante de cada amostra, em milissegundos
+     * @returns {{ rise: number, decay: number, ripple: number }}
+     */
+    static envelope(amplitude, tempo) {
+        const threshold = Math.max(...amplitude) - this.envelopeThreshold
+        const first = amplitude.findIndex(value => value >= threshold)
+        const last = amplitude.findLastIndex(value => value >= threshold)
+        const sustain = amplitude.slice(first, last + 1)
+
+        return {
+            rise: round(tempo[first] - tempo[0]),
+            decay: round(tempo.at(-1) - tempo[last]),
+            ripple: round(percentile(sustain, 90) - percentile(sustain, 10))
+        }
+    }
+
+    /**
+     * Verifica as estatísticas pelos limites `maxFrequencyStd`, `maxAmplitudeStd`, `maxDrift` (em módulo), `maxRiseTime`,
+     * `maxDecayTime` e `maxRipple`. Os limites não informados não são verificados, assim como os valores não calculados
+     * @param {trackStatistics | undefined} statistics
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    static validateStatistics(statistics, captureOptions) {
+        if (!statistics) { return { success: true } }
+
+        const limits = [
+            [statistics.frequencia.std, "maxFrequencyStd", "CAPTURE_FREQUENCY_STD_ABOVE_MAX"],
+            [statistics.amplitude.std, "maxAmplitudeStd", "CAPTURE_AMPLITUDE_STD_ABOVE_MAX"],
+            [statistics.drift, "maxDrift", "CAPTURE_DRIFT_ABOVE_MAX"],
+            [statistics.envelope?.rise, "maxRiseTime", "CAPTURE_RISE_TIME_ABOVE_MAX"],
+            [statistics.envelope?.decay, "maxDecayTime", "CAPTURE_DECAY_TIME_ABOVE_MAX"],
+            [statistics.envelope?.ripple, "maxRipple", "CAPTURE_RIPPLE_ABOVE_MAX"]
+        ]
+
+        for (const [value, option, code] of limits) {
+            if (captureOptions[option] != undefined && value != undefined && Math.abs(value) > captureOptions[option]) {
+                return { success: false, ...Messages.get(code, { max: captureOptions[option], value }) }
+            }
+        }
+        return { success: true }
+    }
+    //#endregion TrackStatistics
+
+    //#region DataValidation
+
+    /**
+     * Aplica os valores padrão do `capture()`
+     * @param {Partial<import("./beep-listener.js").captureOptions>} captureOptions
+     * @returns {import("./beep-listener.js").captureOptions}
+     */
+    static captureDefaults(captureOptions) {
+        captureOptions.minFreq ??= 2950
+        captureOptions.maxFreq ??= 3050
+        captureOptions.snrValidation ??= captureOptions.minSnr != undefined
+        captureOptions.minSnr ??= 10
+        // A relação sinal-ruído substitui a janela fixa de amplitude, a menos que as duas sejam pedidas
+        captureOptions.amplitudeValidation ??= !captureOptions.snrValidation
+        captureOptions.minAmplitude ??= -30
+        captureOptions.maxAmplitude ??= -20
+        captureOptions.validTrackPercentage ??= 70
+        captureOptions.trackSize ??= 500
+        captureOptions.timeOut ??= 10000
+        captureOptions.debounce ??= 30
+        captureOptions.measureDuration ??= captureOptions.minDuration != undefined || captureOptions.maxDuration != undefined
+        return /** @type {import("./beep-listener.js").captureOptions} */ (captureOptions)
+    }
+
+    /**
+     * Verifica se uma amostra isolada deve disparar a leitura da track
+     * @param {number} frequency
+     * @param {number} amplitude
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @returns {boolean}
+     */
+    static isTriggerSample(frequency, amplitude, captureOptions) {
+        if (frequency >= captureOptions.minFreq && frequency <= captureOptions.maxFreq) {
+            if (captureOptions.snrValidation && amplitude - captureOptions.noiseLevel < captureOptions.minSnr) { return false }
+            if (captureOptions.amplitudeValidation) {
+                return amplitude >= captureOptions.minAmplitude && amplitude <= captureOptions.maxAmplitude
+            }
+            return true
+        }
+        return false
+    }
+
+    /**
+     * Valida se a track passada está dentro dos valores de frequência e amplitude esperados
+     * @param {import("./beep-listener.js").track} track objeto com os arrays de frequência e amplitude
+     * @param {import("./beep-listener.js").captureOptions} captureOptions objeto com os valores de frequência
+     * @returns {{ result: boolean, frequencia?: number[], frequenciaMedia?: number, amplitude?: number[], amplitudeMedia?: number, snr?: number, spectrum?: spectralShape, statistics?: trackStatistics }}
+     * `snr` é informado quando o `noiseLevel` é conhecido e `spectrum` quando a track tem a forma do espectro
+     */
+    static trackValidator(track, captureOptions) {
+
+        const percentageValidation = this.validateTrackPercentage(track.frequencia, captureOptions)
+        if (!percentageValidation) return { result: false }
+
+        const filteredTrack = this.trackFilter(track, captureOptions)
+        const media = this.calculateMedia(filteredTrack.frequencia, filteredTrack.amplitude)
+
+        if (captureOptions.amplitudeValidation && (media.amplitude < captureOptions.minAmplitude || media.amplitude > captureOptions.maxAmplitude)) {
+            return { result: false }
+        }
+
+        const snr = captureOptions.noiseLevel != undefined ? parseFloat((media.amplitude - captureOptions.noiseLevel).toFixed(2)) : undefined
+        if (captureOptions.snrValidation && snr < captureOptions.minSnr) { return { result: false } }
+
+        const spectrum = this.trackSpectrum(filteredTrack)
+        if (!this.validateSpectrum(spectrum, captureOptions).success) { return { result: false } }
+
+        const statistics = this.trackStatistics(filteredTrack)
+        if (!this.validateStatistics(statistics, captureOptions).success) { return { result: false } }
+
+        return {
+            result: true,
+            frequencia: filteredTrack.frequencia,
+            frequenciaMedia: media.frequencia,
+            amplitude: filteredTrack.amplitude,
+            amplitudeMedia: media.amplitude,
+            snr,
+            spectrum,
+            statistics
+        }
+    }
+
+    /**
+     * Filtra a track, mantendo apenas os valores de frequência que estão dentro do esperado e seus respectivos instantes,
+     * amplitudes e formas do espectro
+     * @param {import("./beep-listener.js").track} track
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @returns {import("./beep-listener.js").track}
+     */
+    static trackFilter(track, captureOptions) {
+        const amplitudeArray = []
+        const fields = ["tempo", ...this.spectralFields].filter(field => track[field])
+        const arrays = Object.fromEntries(fields.map(field => [field, []]))
+
+        const frequencyArray = track.frequencia.filter((value, index) => {
+            if (value >= captureOptions.minFreq && value <= captureOptions.maxFreq) {
+                amplitudeArray.push(track.amplitude[index])
+                fields.forEach(field => arrays[field].push(track[field][index]))
+                return true
+            }
+        })
+
+        return { frequencia: frequencyArray, amplitude: amplitudeArray, ...arrays }
+    }
+
+    /**
+     * Calcula a média da frequência e a mediana da amplitude, sem alterar os arrays. Para as demais estatísticas, ver `trackStatistics()`
+     * @param {number[]} freqTrack array da frequência
+     * @param {number[]} ampTrack array da amplitude
+     * @returns {{frequencia: number, amplitude: number}}
+     */
+    static calculateMedia(freqTrack, ampTrack) {
+        return {
+            frequencia: freqTrack.reduce((accumulator, currentValue) => accumulator + currentValue) / freqTrack.length,
+            amplitude: median(ampTrack)
+        }
+    }
+
+    /**
+     * Verifica se o array possui a quantidade mínima de valores dentro do esperado.
+     * Por exemplo, em um array com 100 valores e 70% de aceitação, pelo menos 70 destes valores devem estar dentro do range esperado de frequência.
+     * @param {number[]} frequencyBuffer array com os valores de frequência lidos
+     * @param {import("./beep-listener.js").captureOptions} captureOptions objeto com os valores de frequência e porcentagem de aceitação
+     * @returns {boolean}
+     */
+    static validateTrackPercentage(frequencyBuffer, captureOptions) {
+        // Uma track vazia, com todos os quadros descartados por baixa confiança, não é válida
+        if (frequencyBuffer.length == 0) { return false }
+
+        const validTrackSampleQuantity = frequencyBuffer.length * (captureOptions.validTrackPercentage / 100)
+
+        const filteredArray = frequencyBuffer.filter(frequencia => frequencia >= captureOptions.minFreq && frequencia <= captureOptions.maxFreq)
+
+        return filteredArray.length >= validTrackSampleQuantity
+    }
+
+    /**
+     * Junta as tracks passadas na primeira delas
+     * @param {import("./beep-listener.js").track} track track que recebe as amostras
+     * @param {...import("./beep-listener.js").track} tracks
+     * @returns {import("./beep-listener.js").track}
+     */
+    static concatTracks(track, ...tracks) {
+        track.tempo ??= []
+        for (const next of tracks) {
+            track.frequencia.push(...next.frequencia)
+            track.amplitude.push(...next.amplitude)
+            track.tempo.push(...(next.tempo ?? []))
+            if (next.confianca) { (track.confianca ??= []).push(...next.confianca) }
+            for (const field of this.spectralFields) {
+                if (next[field]) { (track[field] ??= []).push(...next[field]) }
+            }
+        }
+        return track
+    }
+
+    /**
+     * Indica se a medição do fim do beep pode ser encerrada: o beep ficou fora da faixa por `debounce` milissegundos,
+     * ou já ultrapassou `maxDuration`
+     * @param {import("./beep-listener.js").track} timingTrack track iniciada no trigger
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @param {number} frameDuration duração de um quadro de análise, em milissegundos
+     * @param {number} now instante atual, em milissegundos do relógio do áudio. Quadros descartados por baixa confiança não
+     * aparecem na track, então o tempo atual é informado à parte.
+     * @returns {boolean}
+     */
+    static timingComplete(timingTrack, captureOptions, frameDuration, now) {
+        const lastOnTime = this.lastOnTime(timingTrack, captureOptions)
+
+        if (now - lastOnTime >= captureOptions.debounce) { return true }
+        return captureOptions.maxDuration != undefined && lastOnTime - timingTrack.tempo[0] > captureOptions.maxDuration + frameDuration
+    }
+
+    /**
+     * @param {import("./beep-listener.js").track} track
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @returns {number} instante da última amostra dentro da faixa
+     */
+    static lastOnTime(track, captureOptions) {
+        for (let index = track.frequencia.length - 1; index >= 0; index--) {
+            if (this.isTriggerSample(track.frequencia[index], track.amplitude[index], captureOptions)) { return track.tempo[index] }
+        }
+        return track.tempo[0]
+    }
+
+    /**
+     * Mede o início e, se `measureDuration` estiver ativo, o fim e a duração do beep que disparou o trigger
+     * @param {import("./beep-listener.js").track} timingTrack track iniciada no trigger
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @param {number} startTime instante de início da captura, em milissegundos do relógio do áudio
+     * @param {number} frameDuration duração de um quadro de análise, em milissegundos
+     * @param {number} now instante em que a medição terminou, em milissegundos do relógio do áudio
+     * @returns {{ onset: number, offset?: number, duration?: number }} tempos em milissegundos a partir do início da captura.
+     * Se o beep não terminou até o fim da medição, `offset` fica indefinido e `duration` é o tempo medido até então.
+     */
+    static measureBeep(timingTrack, captureOptions, startTime, frameDuration, now) {
+        const onset = parseFloat((timingTrack.tempo[0] - startTime).toFixed(2))
+        if (!captureOptions.measureDuration) { return { onset } }
+
+        const beep = this.segmentBeeps(timingTrack, captureOptions, startTime, frameDuration)[0]
+            ?? { onset, offset: onset, duration: 0 }
+        const ended = now - this.lastOnTime(timingTrack, captureOptions) >= captureOptions.debounce
+
+        if (!ended) {
+            return { onset: beep.onset, duration: parseFloat((now - startTime - beep.onset).toFixed(2)) }
+        }
+        return { onset: beep.onset, offset: beep.offset, duration: beep.duration }
+    }
+
+    /**
+     * Valida a latência e a duração do beep
+     * @param {{ onset: number, offset?: number, duration?: number }} beep
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    static validateTiming(beep, captureOptions) {
+        if (captureOptions.maxLatency != undefined && beep.onset > captureOptions.maxLatency) {
+            return { success: false, ...Messages.get("BEEP_LATENCY_ABOVE_MAX", { maxLatency: captureOptions.maxLatency, onset: beep.onset }) }
+        }
+        if (captureOptions.minDuration != undefined && beep.duration < captureOptions.minDuration) {
+            return { success: false, ...Messages.get("BEEP_DURATION_BELOW_MIN", { minDuration: captureOptions.minDuration, duration: beep.duration }) }
+        }
+        if (captureOptions.maxDuration != undefined && beep.duration > captureOptions.maxDuration) {
+            return { success: false, ...Messages.get("BEEP_DURATION_ABOVE_MAX", { maxDuration: captureOptions.maxDuration, duration: beep.duration }) }
+        }
+        return { success: true }
+    }
+
+    /**
+     * Monta o objeto de resultado do `capture()`
+     * @param {ReturnType<typeof BeepAnalyzer.trackValidator> | undefined} capture track validada, ou undefined caso nenhuma tenha sido aceita
+     * @param {import("./beep-listener.js").track[]} lastReads tracks lidas durante a captura
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @param {{ onset: number, offset?: number, duration?: number }} [beep] tempos do beep detectado
+     */
+    static captureResult(capture, lastReads, captureOptions, beep) {
+        const timing = beep ? this.validateTiming(beep, captureOptions) : { success: true }
+        const noiseFloor = captureOptions.noiseLevel
+
+        if (capture && !timing.success) {
+            return {
+                success: false,
+                code: timing.code,
+                msg: timing.msg,
+                beep,
+                snr: capture.snr,
+                noiseFloor,
+                spectrum: capture.spectrum,
+                statistics: capture.statistics,
+                lastTracks: lastReads
+            }
+        }
+
+        if (!capture) {
+            const bandTrack = lastReads.find(track => this.validateTrackPercentage(track.frequencia, captureOptions))
+            const snr = bandTrack && noiseFloor != undefined ? this.trackSnr(bandTrack, captureOptions) : undefined
+            const bandSamples = bandTrack ? this.trackFilter(bandTrack, captureOptions) : undefined
+            const spectrum = bandSamples ? this.trackSpectrum(bandSamples) : undefined
+            const statistics = bandSamples ? this.trackStatistics(bandSamples) : undefined
+
+            let message = Messages.get("CAPTURE_NOT_DETECTED")
+            if (bandTrack) {
+                const spectrumCheck = this.validateSpectrum(spectrum, captureOptions)
+                const statisticsCheck = this.validateStatistics(statistics, captureOptions)
+                const amplitude = median(bandSamples.amplitude)
+                const amplitudeInRange = !captureOptions.amplitudeValidation || (amplitude >= captureOptions.minAmplitude && amplitude <= captureOptions.maxAmplitude)
+
+                if (captureOptions.snrValidation && snr < captureOptions.minSnr) {
+                    message = Messages.get("CAPTURE_LOW_SNR", { minSnr: captureOptions.minSnr, snr })
+                } else if (amplitudeInRange && !spectrumCheck.success) {
+                    message = { code: spectrumCheck.code, msg: spectrumCheck.msg }
+                } else if (amplitudeInRange && !statisticsCheck.success) {
+                    message = { code: statisticsCheck.code, msg: statisticsCheck.msg }
+                } else {
+                    message = Messages.get("CAPTURE_AMPLITUDE_OUT_OF_RANGE")
+                }
+            }
+
+            return { success: false, ...message, snr, noiseFloor, spectrum, statistics, lastTracks: lastReads }
+        }
+
+        return {
+            success: true,
+            ...Messages.get("CAPTURE_SUCCESS"),
+            snr: capture.snr,
+            noiseFloor,
+            spectrum: capture.spectrum,
+            statistics: capture.statistics,
+            frequencia: {
+                values: capture.frequencia,
+                frequenciaMedia: capture.frequenciaMedia
+            },
+            amplitude: {
+                values: capture.amplitude,
+                amplitudeMedia: capture.amplitudeMedia
+            },
+            beep
+        }
+    }
+
+    /**
+     * Monta o resultado da captura multicanal: o resultado do canal escolhido pelo `selection`, acrescido dos resultados de
+     * todos os canais em `channels`. No modo `any`, sem nenhum canal aprovado, o resultado é o do melhor canal
+     * @param {({ channel: number, success: boolean, snr?: number, statistics?: trackStatistics })[]} results resultado de cada canal
+     * @param {channelSelection} selection
+     */
+    static channelResult(results, selection) {
+        const best = results.reduce((best, result) => channelScore(result) > channelScore(best) ? result : best)
+
+        const selected = typeof selection == "number"
+            ? results.find(result => result.channel == selection)
+            : selection == "any" ? results.find(result => result.success) ?? best : best
+
+        return { ...selected, channels: results }
+    }
+    //#endregion DataValidation
+
+    //#region PatternValidation
+
+    /**
+     * Aplica os valores padrão do `capturePattern()`
+     * @param {Partial<import("./beep-listener.js").captureOptions> & { pattern: import("./beep-listener.js").beepPatternStep[] }} captureOptions
+     */
+    static patternDefaults(captureOptions) {
+        captureOptions.minFreq ??= 2950
+        captureOptions.maxFreq ??= 3050
+        captureOptions.snrValidation ??= captureOptions.minSnr != undefined
+        captureOptions.minSnr ??= 10
+        captureOptions.amplitudeValidation ??= !captureOptions.snrValidation
+        captureOptions.minAmplitude ??= -30
+        captureOptions.maxAmplitude ??= -20
+        captureOptions.patternTolerance ??= 50
+        captureOptions.debounce ??= 30
+        captureOptions.timeOut ??= 10000
+        return captureOptions
+    }
+
+    /**
+     * Tempo de silêncio, após o último beep, que encerra a gravação do padrão: a maior pausa esperada, com sua tolerância
+     * @param {import("./beep-listener.js").captureOptions & { pattern: import("./beep-listener.js").beepPatternStep[] }} captureOptions
+     * @returns {number} tempo em milissegundos
+     */
+    static patternSilenceLimit(captureOptions) {
+        const gaps = captureOptions.pattern.map(step => (step.gap ?? 0) + (step.gapTolerance ?? step.tolerance ?? captureOptions.patternTolerance))
+        return Math.max(...gaps) + captureOptions.debounce
+    }
+
+    /**
+     * Separa os beeps de uma track contínua. Cada amostra é classificada pelo mesmo critério de frequência e amplitude do trigger;
+     * pausas menores que `debounce` são ignoradas e beeps menores que `debounce` são descartados.
+     * 
+     * Cada quadro contém as últimas `fftSize` amostras, então o beep continua visível por um quadro após terminar;
+     * por isso o fim é antecipado em `frameDuration`.
+     * @param {import("./beep-listener.js").track} track track com o array `tempo`
+     * @param {import("./beep-listener.js").captureOptions} captureOptions
+     * @param {number} [startTime] instante de início da captura, subtraído dos tempos retornados
+     * @param {number} [frameDuration] duração de um quadro de análise, em milissegundos
+     * @returns {import("./beep-listener.js").beep[]}
+     */
+    static segmentBeeps(track, captureOptions, startTime = 0, frameDuration = 0) {
+        /** @type {{ first: number, last: number }[]} */
+        const runs = []
+
+        track.frequencia.forEach((frequency, index) => {
+            if (!this.isTriggerSample(frequency, track.amplitude[index], captureOptions)) { return }
+
+            const lastRun = runs.at(-1)
+            if (lastRun && track.tempo[index] - track.tempo[lastRun.last] < captureOptions.debounce) {
+                lastRun.last = index
+            } else {
+                runs.push({ first: index, last: index })
+            }
+        })
+
+        return runs
+            .filter(run => track.tempo[run.last] - track.tempo[run.first] >= captureOptions.debounce)
+            .map(run => {
+                const samples = this.trackFilter({
+                    frequencia: track.frequencia.slice(run.first, run.last + 1),
+                    amplitude: track.amplitude.slice(run.first, run.last + 1)
+                }, captureOptions)
+                const media = this.calculateMedia(samples.frequencia, samples.amplitude)
+                const onset = track.tempo[run.first] - startTime
+                const offset = Math.max(onset, track.tempo[run.last] - startTime - frameDuration)
+
+                return {
+                    onset: parseFloat(onset.toFixed(2)),
+                    offset: parseFloat(offset.toFixed(2)),
+                    duration: parseFloat((offset - onset).toFixed(2)),
+                    frequenciaMedia: parseFloat(media.frequencia.toFixed(2)),
+                    amplitudeMedia: media.amplitude
+                }
+            })
+    }
+
+    /**
+     * Compara os beeps medidos com o padrão esperado
+     * @param {import("./beep-listener.js").beep[]} beeps beeps medidos
+     * @param {import("./beep-listener.js").captureOptions & { pattern: import("./beep-listener.js").beepPatternStep[] }} captureOptions
+     * @returns {{ success: boolean, code: string, msg: string }}
+     */
+    static matchPattern(beeps, captureOptions) {
+        const pattern = captureOptions.pattern
+
+        if (beeps.length != pattern.length) {
+            return { success: false, ...Messages.get("PATTERN_COUNT_MISMATCH", { expected: pattern.length, detected: beeps.length }) }
+        }
+
+        for (const [index, step] of pattern.entries()) {
+            const tolerance = step.tolerance ?? captureOptions.patternTolerance
+            if (Math.abs(beeps[index].duration - step.duration) > tolerance) {
+                return { success: false, ...Messages.get("PATTERN_DURATION_MISMATCH", { beep: index + 1, expected: step.duration, measured: beeps[index].duration }) }
+            }
+
+            if (index == pattern.length - 1 || step.gap == undefined) { continue }
+
+            const gap = parseFloat((beeps[index + 1].onset - beeps[index].offset).toFixed(2))
+            const gapTolerance = step.gapTolerance ?? tolerance
+            if (Math.abs(gap - step.gap) > gapTolerance) {
+                return { success: false, ...Messages.get("PATTERN_GAP_MISMATCH", { beep: index + 1, expected: step.gap, measured: gap }) }
+            }
+        }
+
+        return { success: true, ...Messages.get("PATTERN_SUCCESS") }
+    }
+
+    /**
+     * Monta o objeto de resultado do `capturePattern()`
+     * @param {import("./beep-listener.js").track} track track contínua gravada durante a captura
+     * @param {number} startTime instante de início da captura, em milissegundos do relógio do áudio
+     * @param {number} frameDuration duração de um quadro de análise, em milissegundos
+     * @param {import("./beep-listener.js").captureOptions & { pattern: import("./beep-listener.js").beepPatternStep[] }} captureOptions
+     */
+    static patternResult(track, startTime, frameDuration, captureOptions) {
+        const beeps = this.segmentBeeps(track, captureOptions, startTime, frameDuration)
+        const match = this.matchPattern(beeps, captureOptions)
+
+        if (!match.success) { return { ...match, beeps, lastTracks: [track] } }
+        return { ...match, beeps }
+    }
+    //#endregion PatternValidation
+}
+
+/**
+ * Deslocamento, entre -0.5 e 0.5, do vértice da parábola que passa pelos três pontos em relação ao ponto central
+ * @param {number} previous
+ * @param {number} current
+ * @param {number} next
+ */
+function parabolicInterpolation(previous, current, next) {
+    const denominator = previous - 2 * current + next
+    if (!denominator || !isFinite(denominator)) { return 0 }
+    return Math.max(-0.5, Math.min(0.5, (previous - next) / (2 * denominator)))
+}
+
+/**
+ * @param {number} value
+ * @returns {number} valor limitado entre 0 e 1
+ */
+function clamp(value) { return isFinite(value) ? Math.max(0, Math.min(1, value)) : 0 }
+
+/**
+ * Posição do maior valor do espectro até duas posições ao redor de `center`, já que a frequência detectada pode não coincidir
+ * com o centro do pico
+ * @param {Float32Array} frequencyDataArray
+ * @param {number} center
+ * @param {number} binCount
+ * @returns {number | undefined} undefined quando `center` está fora do espectro
+ */
+function peakBin(frequencyDataArray, center, binCount) {
+    if (!(center >= 1 && center < binCount - 1)) { return undefined }
+
+    let peak = center
+    for (let k = Math.max(1, center - 2); k <= Math.min(binCount - 1, center + 2); k++) {
+        if (frequencyDataArray[k] > frequencyDataArray[peak]) { peak = k }
+    }
+    return peak
+}
+
+/**
+ * Fração, entre 0 e 1, da distância entre duas posições do espectro em que o nível cruza o limiar
+ * @param {number} inside nível acima do limiar
+ * @param {number} outside nível da posição seguinte, abaixo do limiar
+ * @param {number} threshold
+ */
+function crossing(inside, outside, threshold) {
+    if (!isFinite(outside) || outside >= threshold) { return 0 }
+    return (inside - threshold) / (inside - outside)
+}
+
+/**
+ * @param {number[]} values
+ * @returns {import("./beep-analyzer.js").distribution}
+ */
+function distribution(values) {
+    const finite = values.filter(value => Number.isFinite(value))
+
+    return {
+        mean: round(mean(finite)),
+        std: round(std(finite)),
+        min: Math.min(...finite),
+        max: Math.max(...finite),
+        p10: percentile(finite, 10),
+        p50: percentile(finite, 50),
+        p90: percentile(finite, 90)
+    }
+}
+
+/**
+ * Inclinação da reta de regressão linear de `y` em função de `x`
+ * @param {number[]} x
+ * @param {number[]} y
+ */
+function regressionSlope(x, y) {
+    const meanX = x.reduce((sum, value) => sum + value, 0) / x.length
+    const meanY = y.reduce((sum, value) => sum + value, 0) / y.length
+
+    let covariance = 0
+    let varianceX = 0
+    for (let i = 0; i < x.length; i++) {
+        covariance += (x[i] - meanX) * (y[i] - meanY)
+        varianceX += (x[i] - meanX) ** 2
+    }
+    return varianceX == 0 ? 0 : covariance / varianceX
+}
+
+/**
+ * Pontuação de um canal na captura multicanal: a relação sinal-ruído ou, sem ruído medido, a mediana da amplitude na faixa
+ * @param {{ snr?: number, statistics?: trackStatistics }} result
+ */
+function channelScore(result) { return result.snr ?? result.statistics?.amplitude.p50 ?? -Infinity }
@@ -0,0 +1,335 @@
+import BeepListener from "./beep-listener.js"
+
+/**
+ * Componente `<beep-listener-scope>`, que desenha ao vivo o espectro e um espectrograma rolante a partir do `Analyser` de um
+ * BeepListener, para que o operador veja o que o microfone está ouvindo quando uma estação reprova.
+ *
+ * Sobre o espectro são desenhadas a faixa `minFreq`-`maxFreq` e a janela de amplitude `minAmplitude`-`maxAmplitude`; sobre
+ * o espectrograma, a faixa e as marcas de trigger e de início e fim de cada track (verde aprovada, vermelha reprovada), a
+ * partir dos `events` do BeepListener. A faixa e a janela são as opções do último `capture()` ou `capturePattern()`, ou os
+ * atributos `min-freq`, `max-freq`, `min-amplitude` e `max-amplitude`, quando informados.
+ *
+ * Com o atributo `freeze-on-fail`, o desenho congela ao final de uma captura reprovada, mostrando o `code` do resultado e as
+ * amostras da última track lida sobre o espectro, até um clique ou o `unfreeze()`.
+ *
+ * Demais atributos: `max-frequency` é a maior frequência exibida (por padrão a de Nyquist) e `min-db`/`max-db` a faixa de
+ * amplitude exibida, em dBFS.
+ * @example
+ * import "../node_modules/@libs-scripts-mep/beep-listener/beep-listener-scope.js"
+ * @example
+ * <beep-listener-scope freeze-on-fail style="width: 640px; height: 360px"></beep-listener-scope>
+ * @example
+ * // Por padrão o componente usa a instância padrão do BeepListener
+ * document.querySelector("beep-listener-scope").listener = ninho2
+ */
+export default class BeepListenerScope extends (globalThis.HTMLElement ?? class { }) {
+
+    /** Nome do elemento registrado no `customElements` */
+    static tagName = "beep-listener-scope"
+
+    static observedAttributes = ["min-freq", "max-freq", "min-amplitude", "max-amplitude", "max-frequency", "min-db", "max-db"]
+
+    /** Cores das camadas desenhadas */
+    static colors = {
+        background: "#111",
+        spectrum: "#4fc3f7",
+        band: "rgba(255, 235, 59, 0.15)",
+        amplitudeWindow: "#ff9800",
+        trigger: "#ffffff",
+        valid: "#66bb6a",
+        invalid: "#ef5350",
+        samples: "#e040fb",
+        text: "#ffffff"
+    }
+
+    /** Faixa de amplitude exibida por padrão, em dBFS */
+    static defaultDecibels = { min: -110, max: -10 }
+
+    constructor() {
+        super()
+
+        /** @type {BeepListener | undefined} */
+        this.boundListener = undefined
+        /** Opções da última captura iniciada, fonte da faixa e da janela de amplitude */
+        this.captureOptions = {}
+        /** Resultado da captura que congelou o desenho */
+        this.frozenResult = undefined
+        /** Instante, em milissegundos do relógio do áudio, de cada coluna do espectrograma, da mais antiga à mais recente */
+        this.columnTimes = []
+        this.animationFrame = undefined
+
+        const shadow = this.attachShadow({ mode: "open" })
+        shadow.innerHTML = `
+            <style>
+                :host { display: block; position: relative; width: 480px; height: 320px; background: ${BeepListenerScope.colors.background} }
+                canvas { display: block; width: 100%; height: 50% }
+                div { position: absolute; top: 4px; left: 8px; color: ${BeepListenerScope.colors.text}; font: 12px monospace; pointer-events: none }
+            </style>
+            <canvas part="spectrum"></canvas>
+            <canvas part="spectrogram"></canvas>
+            <div part="status"></div>`
+
+        /** @type {HTMLCanvasElement} */
+        this.spectrumCanvas = shadow.querySelector("[part=spectrum]")
+        /** @type {HTMLCanvasElement} */
+        this.spectrogramCanvas = shadow.querySelector("[part=spectrogram]")
+        /** @type {HTMLDivElement} */
+        this.status = shadow.querySelector("[part=status]")
+
+        this.handlers = {
+            capturestart: (/** @type {CustomEvent} */ event) => { this.captureOptions = event.detail.options },
+            trigger: (/** @type {CustomEvent} */ event) => { this.mark(event.detail.time, BeepListenerScope.colors.trigger, true) },
+            track: (/** @type {CustomEvent} */ event) => {
+                const color = event.detail.valid ? BeepListenerScope.colors.valid : BeepListenerScope.colors.invalid
+                this.mark(event.detail.start, color)
+                this.mark(event.detail.end, color)
+            },
+            captureend: (/** @type {CustomEvent} */ event) => {
+                const result = event.detail.result
+                if (this.hasAttribute("freeze-on-fail") && !result.success && !result.aborted) { this.freeze(result) }
+            }
+        }
+
+        this.addEventListener("click", () => this.unfreeze())
+    }
+
+    /**
+     * Instância do BeepListener desenhada, por padrão a instância padrão
+     * @type BeepListener
+     */
+    get listener() { return this.boundListener ?? BeepListener.defaultInstance }
+
+    set listener(listener) {
+        this.unbind()
+        this.boundListener = listener
+        this.columnTimes = []
+        if (this.isConnected) { this.bind() }
+    }
+
+    /** Indica se o desenho está congelado */
+    get frozen() { return this.frozenResult != undefined }
+
+    connectedCallback() {
+        this.bind()
+        this.animationFrame = requestAnimationFrame(() => this.frame())
+    }
+
+    disconnectedCallback() {
+        this.unbind()
+        cancelAnimationFrame(this.animationFrame)
+    }
+
+    attributeChangedCallback() { if (this.frozen) { this.drawFrozen() } }
+
+    /** Passa a receber os eventos do `listener` */
+    bind() { for (const type in this.handlers) { this.listener.events.addEventListener(type, this.handlers[type]) } }
+
+    /** Deixa de receber os eventos do `listener` */
+    unbind() { for (const type in this.handlers) { this.listener.events.removeEventListener(type, this.handlers[type]) } }
+
+    /**
+     * Congela o desenho, mostrando o resultado e as amostras da última track lida
+     * @param {{ code?: string, msg?: string }} result
+     */
+    freeze(result) {
+        this.frozenResult = result
+        this.drawFrozen()
+    }
+
+    /** Retoma o desenho ao vivo */
+    unfreeze() {
+        this.frozenResult = undefined
+        this.status.textContent = ""
+    }
+
+    /**
+     * Faixa de frequência, janela de amplitude e eixos exibidos, dos atributos ou das opções da última captura
+     * @returns {{ minFreq?: number, maxFreq?: number, minAmplitude?: number, maxAmplitude?: number, maxFrequency: number, minDb: number, maxDb: number }}
+     */
+    bounds() {
+        const options = this.captureOptions
+        const amplitudeWindow = options.amplitudeValidation != false
+
+        return {
+            minFreq: this.numberAttribute("min-freq") ?? options.minFreq,
+            maxFreq: this.numberAttribute("max-freq") ?? options.maxFreq,
+            minAmplitude: this.numberAttribute("min-amplitude") ?? (amplitudeWindow ? options.minAmplitude : undefined),
+            maxAmplitude: this.numberAttribute("max-amplitude") ?? (amplitudeWindow ? options.maxAmplitude : undefined),
+            maxFrequency: this.numberAttribute("max-frequency") ?? this.listener.AudioContext.sampleRate / 2,
+            minDb: this.numberAttribute("min-db") ?? BeepListenerScope.defaultDecibels.min,
+            maxDb: this.numberAttribute("max-db") ?? BeepListenerScope.defaultDecibels.max
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {number | undefined} valor numérico do atributo, ou undefined se ausente ou inválido
+     */
+    numberAttribute(name) {
+        const value = parseFloat(this.getAttribute(name))
+        return Number.isFinite(value) ? value : undefined
+    }
+
+    /** Desenha um quadro e agenda o próximo */
+    frame() {
+        this.animationFrame = requestAnimationFrame(() => this.frame())
+        if (this.frozen || !this.listener.Analyser) { return }
+
+        resizeCanvas(this.spectrumCanvas)
+        if (resizeCanvas(this.spectrogramCanvas)) { this.columnTimes = [] }
+
+        const frequencyData = new Float32Array(this.listener.Analyser.frequencyBinCount)
+        this.listener.Analyser.getFloatFrequencyData(frequencyData)
+
+        const bounds = this.bounds()
+        this.drawSpectrum(frequencyData, bounds)
+
+        // O espectrograma só avança enquanto o áudio é processado; com o AudioContext suspenso o Analyser não muda
+        const now = this.listener.AudioContext.currentTime * 1000
+        if (this.listener.isRunning() && now != this.columnTimes.at(-1)) { this.drawColumn(frequencyData, bounds, now) }
+    }
+
+    /**
+     * Desenha o espectro, com a faixa de frequência e a janela de amplitude
+     * @param {Float32Array} frequencyData amplitude de cada divisão da FFT, em dBFS
+     * @param {ReturnType<BeepListenerScope["bounds"]>} bounds
+     */
+    drawSpectrum(frequencyData, bounds) {
+        const canvas = this.spectrumCanvas
+        const context = canvas.getContext("2d")
+        const colors = BeepListenerScope.colors
+        const x = (/** @type {number} */ frequency) => frequency / bounds.maxFrequency * canvas.width
+        const y = (/** @type {number} */ amplitude) => (bounds.maxDb - amplitude) / (bounds.maxDb - bounds.minDb) * canvas.height
+
+        context.fillStyle = colors.background
+        context.fillRect(0, 0, canvas.width, canvas.height)
+
+        if (bounds.minFreq != undefined && bounds.maxFreq != undefined) {
+            context.fillStyle = colors.band
+            context.fillRect(x(bounds.minFreq), 0, x(bounds.maxFreq) - x(bounds.minFreq), canvas.height)
+
+            if (bounds.minAmplitude != undefined && bounds.maxAmplitude != undefined) {
+                context.strokeStyle = colors.amplitudeWindow
+                context.strokeRect(x(bounds.minFreq), y(bounds.maxAmplitude), x(bounds.maxFreq) - x(bounds.minFreq), y(bounds.minAmplitude) - y(bounds.maxAmplitude))
+            }
+        }
+
+        const hertzPerDivision = this.listener.hertzPerDivision
+        context.strokeStyle = colors.spectrum
+        context.beginPath()
+        for (let k = 0; k < frequencyData.length && k * hertzPerDivision <= bounds.maxFrequency; k++) {
+            const value = Math.max(frequencyData[k], bounds.minDb)
+            k == 0 ? context.moveTo(x(0), y(value)) : context.lineTo(x(k * hertzPerDivision), y(value))
+        }
+        context.stroke()
+    }
+
+    /**
+     * Rola o espectrograma uma coluna para a esquerda e desenha a nova coluna, com as linhas da faixa de frequência
+     * @param {Float32Array} frequencyData
+     * @param {ReturnType<BeepListenerScope["bounds"]>} bounds
+     * @param {number} time instante da coluna, em milissegundos do relógio do áudio
+     */
+    drawColumn(frequencyData, bounds, time) {
+        const canvas = this.spectrogramCanvas
+        const context = canvas.getContext("2d")
+        const column = context.createImageData(1, canvas.height)
+        const hertzPerDivision = this.listener.hertzPerDivision
+        const bandColor = [255, 235, 59]
+        const bandRows = [bounds.minFreq, bounds.maxFreq].filter(frequency => frequency != undefined).map(frequency => this.frequencyRow(frequency, bounds))
+
+        for (let row = 0; row < canvas.height; row++) {
+            const frequency = (canvas.height - 1 - row) / (canvas.height - 1) * bounds.maxFrequency
+            const amplitude = frequencyData[Math.min(Math.round(frequency / hertzPerDivision), frequencyData.length - 1)]
+            const [r, g, b] = bandRows.includes(row) ? bandColor : heatColor((amplitude - bounds.minDb) / (bounds.maxDb - bounds.minDb))
+            column.data.set([r, g, b, 255], row * 4)
+        }
+
+        context.drawImage(canvas, -1, 0)
+        context.putImageData(column, canvas.width - 1, 0)
+
+        this.columnTimes.push(time)
+        if (this.columnTimes.length > canvas.width) { this.columnTimes.shift() }
+    }
+
+    /**
+     * @param {number} frequency
+     * @param {ReturnType<BeepListenerScope["bounds"]>} bounds
+     * @returns {number} linha do espectrograma da frequência
+     */
+    frequencyRow(frequency, bounds) {
+        const height = this.spectrogramCanvas.height
+        return Math.round((1 - frequency / bounds.maxFrequency) * (height - 1))
+    }
+
+    /**
+     * Marca um instante no espectrograma com uma linha vertical, na coluna mais recente que não é posterior a ele
+     * @param {number | undefined} time instante em milissegundos do relógio do áudio
+     * @param {string} color
+     * @param {boolean} [dashed]
+     */
+    mark(time, color, dashed = false) {
+        if (time == undefined || this.frozen) { return }
+
+        const canvas = this.spectrogramCanvas
+        const context = canvas.getContext("2d")
+        const newer = this.columnTimes.filter(columnTime => columnTime > time).length
+        const x = canvas.width - 1 - newer + 0.5
+
+        context.strokeStyle = color
+        context.setLineDash(dashed ? [4, 4] : [])
+        context.beginPath()
+        context.moveTo(x, 0)
+        context.lineTo(x, canvas.height)
+        context.stroke()
+        context.setLineDash([])
+    }
+
+    /** Mostra o resultado congelado e as amostras da última track lida sobre o espectro */
+    drawFrozen() {
+        this.status.textContent = `${this.frozenResult.code ?? ""} ${this.frozenResult.msg ?? ""}`.trim()
+
+        const track = this.listener.lastReads.at(-1)
+        if (!track || !this.listener.AudioContext) { return }
+
+        const canvas = this.spectrumCanvas
+        const context = canvas.getContext("2d")
+        const bounds = this.bounds()
+
+        context.fillStyle = BeepListenerScope.colors.samples
+        track.frequencia.forEach((frequency, index) => {
+            const x = frequency / bounds.maxFrequency * canvas.width
+            const y = (bounds.maxDb - track.amplitude[index]) / (bounds.maxDb - bounds.minDb) * canvas.height
+            context.fillRect(x - 1.5, y - 1.5, 3, 3)
+        })
+    }
+}
+
+if (typeof customElements != "undefined" && !customElements.get(BeepListenerScope.tagName)) {
+    customElements.define(BeepListenerScope.tagName, BeepListenerScope)
+}
+
+/**
+ * Ajusta a resolução do canvas ao tamanho exibido
+ * @param {HTMLCanvasElement} canvas
+ * @returns {boolean} true caso o tamanho tenha mudado, o que apaga o conteúdo
+ */
+function resizeCanvas(canvas) {
+    const width = Math.max(1, canvas.clientWidth)
+    const height = Math.max(1, canvas.clientHeight)
+    if (canvas.width == width && canvas.height == height) { return false }
+
+    canvas.width = width
+    canvas.height = height
+    return true
+}
+
+/**
+ * Escala de cores do espectrograma: preto, vermelho, amarelo e branco
+ * @param {number} value intensidade entre 0 e 1
+ * @returns {number[]} [r, g, b]
+ */
+function heatColor(value) {
+    const intensity = Math.min(1, Math.max(0, value)) * 3
+    return [intensity, intensity - 1, intensity - 2].map(channel => Math.round(Math.min(1, Math.max(0, channel)) * 255))
+}
@@ -0,0 +1,100 @@
+/**
+ * Processadores de AudioWorklet do BeepListener. Este arquivo roda no AudioWorkletGlobalScope e é carregado com
+ * [audioWorklet.addModule()](https://developer.mozilla.org/en-US/docs/Web/API/Worklet/addModule), não deve ser importado.
+ */
+
+/**
+ * Envia para a thread principal uma cópia de cada render quantum recebido enquanto a gravação estiver ativa, com todos os
+ * canais da entrada.
+ *
+ * Mensagens recebidas: `"start"` e `"stop"`. Mensagens enviadas: `{ type: "start", time: number }` no primeiro bloco gravado,
+ * com o instante da sua primeira amostra em milissegundos do relógio do áudio, `{ type: "samples", samples: Float32Array[] }`,
+ * com um array por canal, e, após o último bloco de uma gravação, `{ type: "stop" }`.
+ */
+class BeepListenerRecorder extends AudioWorkletProcessor {
+    constructor() {
+        super()
+        this.recording = false
+        this.started = false
+
+        this.port.onmessage = ({ data }) => {
+            if (data == "start") {
+                this.recording = true
+                this.started = false
+            }
+            if (data == "stop") {
+                this.recording = false
+                this.port.postMessage({ type: "stop" })
+            }
+        }
+    }
+
+    /**
+     * @param {Float32Array[][]} inputs
+     */
+    process(inputs) {
+        if (this.recording) {
+            if (!this.started) {
+                this.started = true
+                this.port.postMessage({ type: "start", time: currentFrame / sampleRate * 1000 })
+            }
+            // Sem nada conectado à entrada, o quantum é silêncio
+            const samples = inputs[0].length > 0 ? inputs[0].map(channel => channel.slice()) : [new Float32Array(128)]
+            this.port.postMessage({ type: "samples", samples }, samples.map(channel => channel.buffer))
+        }
+        return true
+    }
+}
+
+registerProcessor("beep-listener-recorder", BeepListenerRecorder)
+
+/**
+ * Envia para a thread principal, a cada `hopSize` amostras, o quadro com as últimas `fftSize` amostras recebidas. Assim cada
+ * bloco de áudio é analisado em um intervalo fixo, independente da carga da CPU e dos timers do navegador.
+ *
+ * Apenas o primeiro canal da entrada é lido; o nó é criado com `channelCount: 1` para que a entrada chegue mixada em mono.
+ *
+ * Opções (`processorOptions`): `fftSize` e `hopSize`. Mensagens enviadas: `{ type: "frame", time: number, samples: Float32Array }`,
+ * onde `time` é o instante logo após a última amostra do quadro, em milissegundos do relógio do áudio.
+ */
+class BeepListenerFrames extends AudioWorkletProcessor {
+    /**
+     * @param {{ processorOptions: { fftSize: number, hopSize: number } }} options
+     */
+    constructor({ processorOptions }) {
+        super()
+        this.fftSize = processorOptions.fftSize
+        this.hopSize = processorOptions.hopSize
+
+        // Buffer circular com as últimas fftSize amostras
+        this.buffer = new Float32Array(this.fftSize)
+        this.writeIndex = 0
+        this.sinceLastFrame = 0
+    }
+
+    /**
+     * @param {Float32Array[][]} inputs
+     */
+    process(inputs) {
+        const input = inputs[0][0]
+        const length = input?.length ?? 128
+
+        for (let i = 0; i < length; i++) {
+            // Sem nada conectado à entrada, o quantum é silêncio
+            this.buffer[this.writeIndex] = input ? input[i] : 0
+            this.writeIndex = (this.writeIndex + 1) % this.fftSize
+
+            if (++this.sinceLastFrame == this.hopSize) {
+                this.sinceLastFrame = 0
+
+                const samples = new Float32Array(this.fftSize)
+                samples.set(this.buffer.subarray(this.writeIndex))
+                samples.set(this.buffer.subarray(0, this.writeIndex), this.fftSize - this.writeIndex)
+                this.port.postMessage({ type: "frame", time: (currentFrame + i + 1) / sampleRate * 1000, samples }, [samples.buffer])
+            }
+        }
+        return true
+    }
+}
+
+registerProcessor("beep-listener-frames", BeepListenerFrames)
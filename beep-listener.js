@@ -1,7 +1,27 @@
+import BeepAnalyzer from "./beep-analyzer.js"
+import OfflineSource from "./offline-source.js"
+import SessionRecorder from "./session-recorder.js"
+import BeepMonitor from "./beep-monitor.js"
+import ProfileRegistry from "./profiles.js"
+import CalibrationStore from "./calibration-store.js"
+import ProfileLearner from "./profile-learner.js"
+import DeviceRegistry from "./device-registry.js"
+import Messages from "./messages.js"
+import ParameterValidator from "./parameter-validator.js"
+import WorkletAcquisition from "./worklet-acquisition.js"
+
 /**
- * Classe que faz a manipulação dos dados obtidos pelo microfone, permitindo a validação do beep dos controladores
+ * Classe que faz a manipulação dos dados obtidos pelo microfone, permitindo a validação do beep dos controladores.
+ * 
+ * Cada instância possui seu próprio AudioContext, ganho e calibração, permitindo usar vários microfones ao mesmo tempo.
+ * Os métodos estáticos (`BeepListener.init()`, `BeepListener.capture()`, ...) continuam disponíveis e usam a instância padrão.
  * @example
  * import BeepListener from "../node_modules/@libs-scripts-mep/beep-listener/beep-listener.js"
+ * @example
+ * const ninho1 = new BeepListener({ deviceId: await BeepListener.C930e() })
+ * const ninho2 = new BeepListener({ deviceId: await BeepListener.HS_29() })
+ * await Promise.all([ninho1.init(), ninho2.init()])
+ * const [beep1, beep2] = await Promise.all([ninho1.capture(), ninho2.capture()])
  */
 export default class BeepListener {
     //#region TypeDefinitions
@@ -16,14 +36,78 @@ export default class BeepListener {
      *     minAmplitude?: number,
      *     maxAmplitude?: number,
      *     timeOut?: number,
-     *     firstReadTimeOut?: number,
-     *     calibrationTimeOut?: number
+     *     pattern?: beepPatternStep[],
+     *     patternTolerance?: number,
+     *     debounce?: number,
+     *     measureDuration?: boolean,
+     *     minDuration?: number,
+     *     maxDuration?: number,
+     *     maxLatency?: number,
+     *     snrValidation?: boolean,
+     *     minSnr?: number,
+     *     noiseLevel?: number,
+     *     maxThd?: number,
+     *     maxHarmonicRatio?: number,
+     *     maxFlatness?: number,
+     *     maxBandwidth?: number,
+     *     maxFrequencyStd?: number,
+     *     maxAmplitudeStd?: number,
+     *     maxDrift?: number,
+     *     maxRiseTime?: number,
+     *     maxDecayTime?: number,
+     *     maxRipple?: number,
+     *     filters?: import("./beep-analyzer.js").filterSpec[],
+     *     channel?: import("./beep-analyzer.js").channelSelection,
+     *     record?: boolean,
+     *     onSession?: function(import("./session-recorder.js").session): void,
+     *     sessionMetadata?: object,
+     *     profile?: string
      * }} captureOptions Objeto com opções para realizar a captura do beep
      * 
      * @typedef {{
      *     frequencia: number[],
-     *     amplitude: number[]
-     * }} track Objeto com os arrays de frequência e amplitude
+     *     amplitude: number[],
+     *     tempo?: number[],
+     *     confianca?: number[],
+     *     thd?: number[],
+     *     harmonicRatio?: number[],
+     *     flatness?: number[],
+     *     bandwidth?: number[]
+     * }} track Objeto com os arrays de frequência e amplitude, o instante de cada amostra, em milissegundos do relógio do áudio,
+     * a confiança da frequência de cada amostra, entre 0 e 1, e a forma do espectro de cada amostra (ver {@link BeepAnalyzer.spectralShape})
+     * 
+     * @typedef {{
+     *     duration: number,
+     *     gap?: number,
+     *     tolerance?: number,
+     *     gapTolerance?: number
+     * }} beepPatternStep Beep esperado em um padrão: duração e pausa até o próximo beep, em milissegundos, com suas tolerâncias
+     * 
+     * @typedef {{
+     *     onset: number,
+     *     offset: number,
+     *     duration: number,
+     *     frequenciaMedia: number,
+     *     amplitudeMedia: number
+     * }} beep Beep medido: início, fim e duração em milissegundos a partir do início da captura
+     * 
+     * @typedef {{
+     *     connected: boolean,
+     *     deviceId: string,
+     *     label: string
+     * }} deviceChange Mudança na conexão do microfone em uso, informada ao `onDeviceChange` do `init()`
+     * 
+     * @typedef {{
+     *     channel: number,
+     *     success: boolean,
+     *     code: string,
+     *     msg: string,
+     *     aborted?: boolean,
+     *     snr?: number,
+     *     statistics?: import("./beep-analyzer.js").trackStatistics,
+     *     tracks: track[]
+     * }} channelCaptureResult Resultado de um canal no `capture()` multicanal, com os demais campos do resultado do `capture()`
+     * e as tracks lidas pelo canal
     */
 
     //#endregion TypeDefinitions
@@ -34,70 +118,328 @@ export default class BeepListener {
      * Instância do [AudioContext](https://developer.mozilla.org/en-US/docs/Web/API/AudioContext) do BeepListener
      * @type AudioContext
      */
-    static AudioContext
+    AudioContext
 
     /**
      * [AudioSourceNode](https://developer.mozilla.org/en-US/docs/Web/API/MediaStreamAudioSourceNode) utilizado pelo AudioContext,
      * é a fonte de áudio(microfone) que fornece os dados para ele.
      * @type MediaStreamAudioSourceNode
      */
-    static AudioSourceNode
+    AudioSourceNode
 
     /**
      * Instância do [AnalyserNode](https://developer.mozilla.org/en-US/docs/Web/API/AnalyserNode) do BeepListener
      * @type AnalyserNode
      */
-    static Analyser
+    Analyser
 
     /**
      * [GainNode](https://developer.mozilla.org/en-US/docs/Web/API/GainNode) do BeepListener
      * @type GainNode
      */
-    static GainNode
+    GainNode
+
+    /**
+     * Cadeia de [BiquadFilterNode](https://developer.mozilla.org/en-US/docs/Web/API/BiquadFilterNode) entre o GainNode e o
+     * Analyser, vazia quando nenhum filtro está ativo
+     * @type {BiquadFilterNode[]}
+     */
+    FilterNodes = []
+
+    /**
+     * Filtros padrão, definidos no `init()` ou pelo `setFilters()`. As operações com a opção `filters` os substituem apenas
+     * durante a leitura
+     * @type {import("./beep-analyzer.js").filterSpec[]}
+     */
+    filters = []
+
+    /**
+     * Filtros montados na cadeia atual, já com a frequência e o Q resolvidos
+     * @type {import("./beep-analyzer.js").filterSpec[]}
+     */
+    activeFilters = []
+
+    /**
+     * [ChannelSplitterNode](https://developer.mozilla.org/en-US/docs/Web/API/ChannelSplitterNode) que separa os canais do
+     * microfone no modo multicanal, ligado à saída da cadeia de filtros
+     * @type {ChannelSplitterNode | undefined}
+     */
+    ChannelSplitter
+
+    /**
+     * Um BeepListener por canal de entrada no modo multicanal (`channels` do `init()` maior que 1), cada um com o seu Analyser
+     * e a sua aquisição. Vazio no modo mono, em que o Analyser mistura os canais
+     * @type {BeepListener[]}
+     */
+    channels = []
+
+    /**
+     * Índice do canal lido por esta instância, quando ela é um dos `channels` de outro BeepListener. Nesse caso o AudioContext
+     * é controlado pela instância principal
+     * @type {number | undefined}
+     */
+    channel
+
+    /**
+     * Tempo, em milissegundos, que os demais canais têm para concluir a leitura após o primeiro canal detectar o beep, no
+     * `capture()` multicanal com `channel: "best"`
+     * @type number
+     */
+    channelWindow = 1000
 
     /**
      * Usado para descobrir em qual posição do array está a amplitude da frequência desejada
      * @type number
      */
-    static hertzPerDivision
+    hertzPerDivision
 
     /**
      * Armazena as últimas leituras, permite visualizar o que foi lido quando ocorrem erros
      * @type {track[]}
      */
-    static lastReads = []
+    lastReads = []
+
+    /**
+     * Fonte de áudio offline, definida quando o `init()` recebe um arquivo ou array PCM no lugar do microfone
+     * @type {OfflineSource | undefined}
+     */
+    OfflineSource
+
+    /**
+     * Aquisição por AudioWorklet, definida no `init()` com `acquisition: "worklet"`. Quando ausente, as leituras são feitas
+     * consultando o Analyser em um loop (polling). No modo multicanal, apenas as instâncias de cada canal têm a aquisição
+     * @type {WorkletAcquisition | undefined}
+     */
+    acquisition
+
+    /**
+     * Instante da última leitura do Analyser no polling, em milissegundos do relógio do áudio. Descartado a cada `resume()`
+     * @type {number | undefined}
+     */
+    readTime
+
+    /**
+     * Instantes das leituras da operação sendo gravada em uma sessão, definido apenas durante a gravação
+     * @type {import("./session-recorder.js").sessionTiming | undefined}
+     */
+    timing
+
+    /**
+     * Algoritmo de detecção de frequência, definido no `init()`
+     * @type {import("./beep-analyzer.js").pitchEngine}
+     */
+    pitchEngine = "yin"
+
+    /**
+     * Confiança mínima da frequência, entre 0 e 1. Amostras abaixo deste valor são descartadas das tracks.
+     * @type number
+     */
+    minConfidence = 0
+
+    /**
+     * Ruído ambiente medido pelo `measureNoiseFloor()`, referência da relação sinal-ruído do `capture()`
+     * @type {import("./beep-analyzer.js").noiseFloor | undefined}
+     */
+    noiseFloor
+
+    /**
+     * Registro onde são buscados os perfis passados na opção `profile`. Por padrão é compartilhado por todas as instâncias.
+     * @type ProfileRegistry
+     */
+    profileRegistry = ProfileRegistry.defaultRegistry
+
+    /**
+     * Armazenamento das calibrações usado pelo `init()` com `applyCalibration` e pelo `calibrateMic()` com `saveCalibration`
+     * @type CalibrationStore
+     */
+    calibrationStore = CalibrationStore.defaultStore
+
+    /**
+     * Registro dos modelos de microfone usados pelo `findDevice()` e pela opção `deviceModel` do `init()`
+     * @type DeviceRegistry
+     */
+    deviceRegistry = DeviceRegistry.defaultRegistry
+
+    /**
+     * Indica se o microfone em uso está conectado. É `undefined` antes do `init()` e na fonte offline.
+     * @type {boolean | undefined}
+     */
+    deviceConnected
+
+    /**
+     * Abortado quando o microfone em uso é desconectado, interrompendo as operações em andamento
+     * @type AbortController
+     */
+    deviceController = new AbortController()
+
+    /**
+     * Microfone acompanhado pelo `watchDevice()`, com a track atual e os handlers registrados, removidos no `unwatchDevice()`
+     * @type {{
+     *     device: { deviceId: string, label: string },
+     *     onDeviceChange?: (change: deviceChange) => void,
+     *     onChange: () => Promise<void>,
+     *     onEnded: () => void,
+     *     track: MediaStreamTrack | undefined
+     * } | undefined}
+     */
+    deviceWatcher
+
+    /**
+     * Identificação da estação, definida no `init()`, que compõe a chave das calibrações salvas
+     * @type {string | undefined}
+     */
+    station
+
+    /**
+     * Opções usadas pelo `init()` quando ele é chamado sem parâmetros
+     * @type {Parameters<BeepListener["init"]>[0]}
+     */
+    initOptions
+
+    /**
+     * Eventos da aquisição (`CustomEvent`, com os dados em `detail`), usados por exemplo pelo `<beep-listener-scope>`:
+     * - `capturestart`: início do `capture()` ou `capturePattern()`, com o `method` e as `options` já validadas
+     * - `trigger`: amostra que disparou o trigger do `capture()` ou `configDeterminator()`, com `time`, `frequency` e `amplitude`
+     * - `track`: track lida, com `track`, `start` e `end` em milissegundos do relógio do áudio e `valid`
+     * - `captureend`: fim do `capture()` ou `capturePattern()`, com o `method` e o `result`
+     * @type EventTarget
+     */
+    events = new EventTarget()
     //#endregion Properties
 
+    /**
+     * @param {Parameters<BeepListener["init"]>[0]} [initOptions] opções usadas pelo `init()` desta instância
+     */
+    constructor(initOptions = {}) { this.initOptions = initOptions }
+
     //#region DeviceIds
 
     /** 
      * Localiza o ID de um dispositivo baseado no filtro passado
      * @param {function({ kind: string, label: string, deviceId: string }): boolean} deviceFilter Filtro para encontrar o dispositivo
      */
-    static async findDeviceId(deviceFilter) {
+    async findDeviceId(deviceFilter) {
         const DeviceList = await navigator.mediaDevices.enumerateDevices()
         const Device = DeviceList.find(deviceFilter)
         if (Device) { return Device.deviceId }
     }
 
+    /**
+     * Localiza o ID de um microfone registrado no `deviceRegistry`
+     * @param {string} name nome do modelo
+     * @returns {Promise<string | undefined>}
+     * @example
+     * BeepListener.deviceRegistry.register({ name: "ME-2", labelPatterns: ["USB PnP Sound"] })
+     * const init = await BeepListener.init({ deviceId: await BeepListener.findDevice("ME-2") })
+     */
+    async findDevice(name) { return await this.findDeviceId(device => this.deviceRegistry.matches(name, device)) }
+
     /**
      * Localiza o ID da Webcam Logitech C930e
      * 
      * ![Image](https://i.imgur.com/9YnqdVk.png)
      */
-    static async C930e() {
-        const filter = device => device.kind == "audioinput" && device.label.includes("C930e") && !device.deviceId.includes("communications") && !device.deviceId.includes("default")
-        return await this.findDeviceId(filter)
-    }
+    async C930e() { return await this.findDevice("C930e") }
 
     /**
      * Localiza o ID do Microfone de lapela USB HS-29
      * 
      * ![Image](https://i.imgur.com/DffAe6i.png)
      */
-    static async HS_29() {
-        const filter = device => device.kind == "audioinput" && device.label.includes("AB13X") && !device.deviceId.includes("communications") && !device.deviceId.includes("default")
-        return await this.findDeviceId(filter)
+    async HS_29() { return await this.findDevice("HS_29") }
+
+    /**
+     * Acompanha a conexão do microfone em uso, pelo evento [devicechange](https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/devicechange_event)
+     * e pelo fim da track. Ao ser desconectado, as operações em andamento são interrompidas com `deviceLost`, sem aguardar o
+     * timeout; ao reaparecer, o microfone é reaberto e volta a alimentar o GainNode.
+     * @param {(change: deviceChange) => void} [onDeviceChange]
+     */
+    watchDevice(onDeviceChange) {
+        this.unwatchDevice()
+
+        const track = this.AudioSourceNode.mediaStream.getAudioTracks()[0]
+        const device = { deviceId: track.getSettings().deviceId, label: track.label }
+        const onChange = () => this.checkDevice().catch(error => console.error(error))
+        const onEnded = () => this.disconnectDevice()
+
+        this.deviceWatcher = { device, onDeviceChange, onChange, onEnded, track: undefined }
+        this.deviceConnected = true
+        this.deviceController = new AbortController()
+
+        navigator.mediaDevices.addEventListener("devicechange", onChange)
+        this.watchTrack(track)
+    }
+
+    /**
+     * Acompanha o fim da track do microfone, deixando de acompanhar a track anterior
+     * @param {MediaStreamTrack} track
+     */
+    watchTrack(track) {
+        const watcher = this.deviceWatcher
+        watcher.track?.removeEventListener("ended", watcher.onEnded)
+        watcher.track = track
+        track.addEventListener("ended", watcher.onEnded, { once: true })
+    }
+
+    /** Encerra o acompanhamento do microfone */
+    unwatchDevice() {
+        if (this.deviceWatcher) {
+            navigator.mediaDevices.removeEventListener("devicechange", this.deviceWatcher.onChange)
+            this.deviceWatcher.track?.removeEventListener("ended", this.deviceWatcher.onEnded)
+        }
+        this.deviceWatcher = undefined
+        this.deviceConnected = undefined
+    }
+
+    /** Verifica se o microfone em uso ainda está na lista de dispositivos */
+    async checkDevice() {
+        const watcher = this.deviceWatcher
+        if (!watcher) { return }
+
+        const devices = await navigator.mediaDevices.enumerateDevices()
+        const present = devices.some(device => device.kind == "audioinput" && device.deviceId == watcher.device.deviceId)
+
+        if (!present) { this.disconnectDevice() }
+        else if (!this.deviceConnected) { await this.reconnectDevice() }
+    }
+
+    /** Marca o microfone como desconectado e interrompe as operações em andamento */
+    disconnectDevice() {
+        const watcher = this.deviceWatcher
+        if (!watcher || !this.deviceConnected) { return }
+
+        this.deviceConnected = false
+        this.deviceController.abort({ deviceLost: true, ...Messages.get("DEVICE_LOST", { label: watcher.device.label }) })
+        watcher.onDeviceChange?.({ connected: false, ...watcher.device })
+    }
+
+    /** Reabre o microfone que voltou a ser listado, substituindo o AudioSourceNode */
+    async reconnectDevice() {
+        const watcher = this.deviceWatcher
+        const getDevice = await this.getAudioDevice({ exact: watcher.device.deviceId }, Math.max(1, this.channels.length))
+        if (!getDevice.result || watcher != this.deviceWatcher || this.deviceConnected) { return }
+
+        this.AudioSourceNode.disconnect()
+        this.AudioSourceNode.mediaStream.getTracks().forEach(track => track.stop())
+
+        this.AudioSourceNode = this.AudioContext.createMediaStreamSource(getDevice.device)
+        this.AudioSourceNode.connect(this.GainNode)
+
+        this.watchTrack(getDevice.device.getAudioTracks()[0])
+
+        this.deviceConnected = true
+        this.deviceController = new AbortController()
+        watcher.onDeviceChange?.({ connected: true, ...watcher.device })
+    }
+
+    /**
+     * Junta o `signal` de uma operação à desconexão do microfone
+     * @param {AbortSignal} [signal]
+     * @returns {AbortSignal | undefined}
+     */
+    operationSignal(signal) {
+        if (!this.deviceWatcher) { return signal }
+        return signal ? AbortSignal.any([signal, this.deviceController.signal]) : this.deviceController.signal
     }
     //#endregion DeviceIds
 
@@ -105,51 +447,214 @@ export default class BeepListener {
 
     /**
     * Inicializa o microfone e cria as instâncias do AudioContext e AnalyserNode
+    * 
+    * Quando `source` é informado, o microfone é substituído por um arquivo WAV (URL, Blob ou ArrayBuffer), um AudioBuffer
+    * ou um array PCM (na taxa `sampleRate`), reproduzido em um OfflineAudioContext mais rápido que o tempo real.
+    * 
+    * `pitchEngine` escolhe o algoritmo de detecção de frequência, `yin` por padrão (ver {@link BeepAnalyzer.detectPitch}). Cada
+    * amostra recebe uma confiança entre 0 e 1, e amostras abaixo de `minConfidence` (ruído, silêncio) são descartadas das tracks.
+    * 
+    * Por padrão (`acquisition: "polling"`), o Analyser é consultado em um loop, e o trigger a cada 50ms. Com
+    * `acquisition: "worklet"`, o microfone é lido por um AudioWorklet que entrega um quadro a cada `hopSize` amostras, e o
+    * trigger é verificado em todos eles; as tracks têm uma quantidade de amostras e uma base de tempo determinísticas (ver
+    * {@link WorkletAcquisition}). Onde o AudioWorklet não está disponível, o `init()` volta ao polling. O resultado informa a
+    * aquisição usada em `acquisition`. A fonte offline sempre avança o áudio sob demanda.
+    * 
+    * `filters` monta uma cadeia de BiquadFilterNodes entre o GainNode e o Analyser: um passa-faixa centrado no beep, notches
+    * para o ruído da rede elétrica, um passa-altas (ver {@link BeepAnalyzer.resolveFilters}). A cadeia pode ser trocada depois
+    * pelo `setFilters()` ou, apenas durante uma leitura, pela opção `filters` do `capture()`, sem um novo `init()`.
+    * 
+    * Com `channels` maior que 1, os canais do microfone (ou da fonte offline) são separados após os filtros e analisados de forma
+    * independente, cada um pelo seu BeepListener em `channels` (ver {@link BeepListener#channelCapture}). O init falha caso a
+    * fonte forneça menos canais.
     * @param {{
     *     sampleRate?: number,
     *     fftSize?: number,
     *     smoothingTimeConstant?: number,
     *     gain?: number,
-    *     deviceId?: string
-    * }} initOptions
-    * @returns {Promise<{success: boolean, msg?: string}>}
+    *     deviceId?: string,
+    *     source?: string | Blob | ArrayBuffer | AudioBuffer | Float32Array | number[] | Float32Array[],
+    *     pitchEngine?: import("./beep-analyzer.js").pitchEngine,
+    *     minConfidence?: number,
+    *     acquisition?: "worklet" | "polling",
+    *     hopSize?: number,
+    *     filters?: import("./beep-analyzer.js").filterSpec[],
+    *     channels?: number,
+    *     profile?: string,
+    *     applyCalibration?: boolean,
+    *     station?: string,
+    *     deviceModel?: string,
+    *     onDeviceChange?: (change: deviceChange) => void
+    * }} initOptions `profile` preenche as opções não informadas com a seção `init` do perfil (ver {@link ProfileRegistry}).
+    * 
+    * `deviceModel` localiza o microfone pelo `deviceRegistry` e usa a taxa de amostragem e o ganho recomendados para o modelo,
+    * caso não informados. A desconexão e a reconexão do microfone são informadas ao `onDeviceChange`, e as operações em
+    * andamento durante uma desconexão falham com `deviceLost`.
+    * 
+    * Com `applyCalibration`, o ganho salvo pelo `calibrateMic()` para este microfone, taxa de amostragem e `station` é aplicado
+    * caso ainda seja válido; caso contrário o resultado informa `recalibrationNeeded`, com o motivo em `calibrationCode` e
+    * `calibrationMsg`, inclusive quando o `calibrationStore` não pode ser lido (ver {@link CalibrationStore}).
+    * @returns {Promise<{
+    *     success: boolean,
+    *     code?: string,
+    *     msg?: string,
+    *     calibration?: import("./calibration-store.js").calibration,
+    *     recalibrationNeeded?: boolean,
+    *     calibrationCode?: string,
+    *     calibrationMsg?: string,
+    *     acquisition?: "worklet" | "polling",
+    *     channels?: number
+    * }>}
     * @example
     * const init = await BeepListener.init({ DeviceId: await BeepListener.C930e() })
     * if (!init.success) // setar erro
+    * @example
+    * const init = await BeepListener.init({ source: "gravacoes/reclamacao-campo.wav" })
+    * const capture = await BeepListener.capture()
+    * @example
+    * const init = await BeepListener.init({ deviceId: await BeepListener.C930e(), pitchEngine: "yin", minConfidence: 0.8 })
+    * @example
+    * const init = await BeepListener.init({
+    *     deviceId: await BeepListener.C930e(),
+    *     filters: [{ type: "highpass", frequency: 200 }, { type: "notch", frequency: 60, Q: 10 }, { type: "notch", frequency: 120, Q: 10 }]
+    * })
+    * @example
+    * // Microfone estéreo USB: cada canal é analisado separadamente
+    * const init = await BeepListener.init({ deviceId, channels: 2 })
+    * @example
+    * const init = await BeepListener.init({ deviceId: await BeepListener.C930e(), applyCalibration: true, station: "linha-3" })
+    * if (init.recalibrationNeeded) { await BeepListener.calibrateMic({ saveCalibration: true }) }
+    * @example
+    * const init = await BeepListener.init({
+    *     deviceModel: "C930e",
+    *     onDeviceChange: ({ connected, label }) => UI.setStatus(connected ? `${label} reconectado` : `${label} desconectado`)
+    * })
     */
-    static async init(initOptions = {}) {
-        initOptions.sampleRate ??= 48000
-        initOptions.fftSize ??= 2048
-        initOptions.smoothingTimeConstant ??= 0.8
-        initOptions.gain ??= 1
-        initOptions.deviceId ??= undefined
-
-        const checkParams = ParameterValidator.validate(initOptions)
+    async init(initOptions = this.initOptions) {
+        const resolved = this.resolveProfile(initOptions, "init", "init")
+        if (!resolved.success) { return resolved }
+        initOptions = resolved.options
+
+        if (initOptions.deviceModel != undefined && initOptions.source == undefined) {
+            initOptions = { ...initOptions }
+            const model = this.deviceRegistry.get(initOptions.deviceModel)
+            if (!model) { return { success: false, ...Messages.get("DEVICE_MODEL_NOT_REGISTERED", { model: initOptions.deviceModel }) } }
+
+            initOptions.sampleRate ??= model.sampleRate
+            initOptions.gain ??= model.gain
+            initOptions.deviceId ??= await this.findDevice(model.name)
+            if (initOptions.deviceId == undefined) { return { success: false, ...Messages.get("DEVICE_NOT_FOUND", { model: model.name }) } }
+        }
+
+        const checkParams = ParameterValidator.validate("init", initOptions)
         if (!checkParams.success) { return checkParams }
+        initOptions = checkParams.options
+
+        this.pitchEngine = initOptions.pitchEngine
+        this.minConfidence = initOptions.minConfidence
+        this.station = initOptions.station
+        this.filters = initOptions.filters
+        this.unwatchDevice()
+        // O microfone do init anterior não é mais lido
+        this.AudioSourceNode?.mediaStream?.getTracks().forEach(track => track.stop())
+
+        this.acquisition?.disconnect()
+        this.acquisition = undefined
+        this.channels.forEach(listener => listener.acquisition?.disconnect())
+        this.channels = []
+        this.ChannelSplitter = undefined
+        // Os navegadores limitam a quantidade de AudioContexts abertos, e o do init anterior não é mais usado
+        if (!this.OfflineSource && this.AudioContext?.state != "closed") { await this.AudioContext?.close() }
+
+        if (initOptions.source != undefined) { return await this.initOffline(initOptions) }
 
-        const getDevice = await this.getAudioDevice(initOptions.deviceId)
+        this.OfflineSource = undefined
+
+        const getDevice = await this.getAudioDevice(initOptions.deviceId, initOptions.channels)
         if (getDevice.result) {
+            const available = getDevice.device.getAudioTracks()[0]?.getSettings().channelCount ?? 1
+            if (available < initOptions.channels) {
+                getDevice.device.getTracks().forEach(track => track.stop())
+                return { success: false, ...Messages.get("INIT_CHANNELS_UNAVAILABLE", { channels: initOptions.channels, available }) }
+            }
+
             this.createAudioContext(getDevice.device, initOptions.sampleRate)
             this.createAnalyser(initOptions.fftSize, initOptions.smoothingTimeConstant, initOptions.gain)
+            this.mountFilters(this.filters)
+            if (initOptions.acquisition == "worklet" && initOptions.channels == 1) { this.acquisition = await this.createAcquisition(initOptions) }
+            await this.createChannels(initOptions)
             await this.AudioContext.suspend()
 
             this.hertzPerDivision = initOptions.sampleRate / initOptions.fftSize
+            this.watchDevice(initOptions.onDeviceChange)
 
             console.log(`%cAudioContext latency -> ${this.AudioContext.baseLatency * 1000}ms`, "color: #00FFFF")
 
-            return { success: true, msg: "Inicialização do microfone concluída com sucesso" }
+            const result = {
+                success: true,
+                ...Messages.get("INIT_MIC_SUCCESS"),
+                acquisition: (this.acquisition ?? this.channels[0]?.acquisition) ? "worklet" : "polling",
+                channels: initOptions.channels
+            }
+            return initOptions.applyCalibration ? await this.applyCalibration(result) : result
+        }
+
+        return { success: false, ...Messages.get("INIT_MIC_FAILED") }
+    }
+
+    /**
+     * Inicializa o BeepListener com uma fonte de áudio offline no lugar do microfone
+     * @param {{
+     *     sampleRate: number,
+     *     fftSize: number,
+     *     smoothingTimeConstant: number,
+     *     gain: number,
+     *     source: string | Blob | ArrayBuffer | AudioBuffer | Float32Array | number[] | Float32Array[],
+     *     filters: import("./beep-analyzer.js").filterSpec[],
+     *     channels: number,
+     *     pitchEngine: import("./beep-analyzer.js").pitchEngine
+     * }} initOptions
+     * @returns {Promise<{success: boolean, code?: string, msg?: string, channels?: number}>}
+     */
+    async initOffline(initOptions) {
+        const audioBuffer = await OfflineSource.toAudioBuffer(initOptions.source, initOptions.sampleRate)
+            .catch(error => {
+                console.error(error)
+                return undefined
+            })
+
+        if (!audioBuffer) { return { success: false, ...Messages.get("INIT_OFFLINE_FAILED") } }
+        if (audioBuffer.numberOfChannels < initOptions.channels) {
+            return { success: false, ...Messages.get("INIT_CHANNELS_UNAVAILABLE", { channels: initOptions.channels, available: audioBuffer.numberOfChannels }) }
         }
 
-        return { success: false, msg: "Falha na inicialização do microfone" }
+        this.OfflineSource = new OfflineSource(audioBuffer, initOptions.sampleRate)
+        this.AudioContext = this.OfflineSource.AudioContext
+        this.AudioSourceNode = this.OfflineSource.AudioSourceNode
+        this.createAnalyser(initOptions.fftSize, initOptions.smoothingTimeConstant, initOptions.gain)
+        this.mountFilters(this.filters)
+        this.Analyser.connect(this.AudioContext.destination)
+        await this.createChannels(initOptions)
+
+        this.hertzPerDivision = initOptions.sampleRate / initOptions.fftSize
+
+        console.log(`%cOffline source duration -> ${audioBuffer.duration * 1000}ms`, "color: #00FFFF")
+
+        return { success: true, ...Messages.get("INIT_OFFLINE_SUCCESS"), channels: initOptions.channels }
     }
 
     /**
      * Detecta o microfone utilizando [getUserMedia()](https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/getUserMedia)
-     * @param {string} [deviceId] ID do microfone
+     * @param {string | ConstrainDOMString} [deviceId] ID do microfone
+     * @param {number} [channels] quantidade de canais solicitada. Acima de 1, o cancelamento de eco, que reduz o áudio a
+     * um canal, é desativado
      * @returns microfone detectado ou erro
      */
-    static async getAudioDevice(deviceId) {
-        const audioDevice = await navigator.mediaDevices.getUserMedia({ audio: { autoGainControl: false, deviceId, noiseSuppression: false } })
+    async getAudioDevice(deviceId, channels = 1) {
+        const constraints = { autoGainControl: false, deviceId, noiseSuppression: false }
+        if (channels > 1) { Object.assign(constraints, { channelCount: { ideal: channels }, echoCancellation: false }) }
+
+        const audioDevice = await navigator.mediaDevices.getUserMedia({ audio: constraints })
             .then(device => {
                 return { result: true, device }
             })
@@ -166,7 +671,7 @@ export default class BeepListener {
      * @param {MediaStream} audioDevice Microfone
      * @param {number} sampleRate Taxa de amostragem
      */
-    static createAudioContext(audioDevice, sampleRate) {
+    createAudioContext(audioDevice, sampleRate) {
         this.AudioContext = new AudioContext({ sampleRate, latencyHint: "interactive" })
         this.AudioSourceNode = this.AudioContext.createMediaStreamSource(audioDevice)
     }
@@ -177,116 +682,379 @@ export default class BeepListener {
      * @param {number} smoothingTimeConstant
      * @param {number} gain
      */
-    static createAnalyser(fftSize, smoothingTimeConstant, gain) {
+    createAnalyser(fftSize, smoothingTimeConstant, gain) {
         this.Analyser = this.AudioContext.createAnalyser()
         this.Analyser.fftSize = fftSize
         this.Analyser.smoothingTimeConstant = smoothingTimeConstant
 
         this.GainNode = this.AudioContext.createGain()
         this.GainNode.gain.value = gain
+        this.FilterNodes = []
+        this.activeFilters = []
 
         this.AudioSourceNode.connect(this.GainNode)
         this.GainNode.connect(this.Analyser)
         // this.Analyser.connect(this.AudioContext.destination) //Descomentar para jogar o som lido pelo microfone no alto-falante.
     }
+
+    /**
+     * Cria a aquisição por AudioWorklet, conectada à saída da cadeia de filtros em paralelo ao Analyser
+     * @param {{ fftSize: number, hopSize: number, smoothingTimeConstant: number, pitchEngine: import("./beep-analyzer.js").pitchEngine }} initOptions
+     * @returns {Promise<WorkletAcquisition | undefined>} undefined caso o AudioWorklet não esteja disponível, mantendo o polling
+     */
+    async createAcquisition(initOptions) {
+        if (!WorkletAcquisition.supported) { return undefined }
+
+        return await WorkletAcquisition.create(this.AudioContext, this.filterOutput(), {
+            fftSize: initOptions.fftSize,
+            hopSize: initOptions.hopSize,
+            smoothingTimeConstant: initOptions.smoothingTimeConstant,
+            pitchEngine: initOptions.pitchEngine
+        }).catch(error => {
+            console.warn("AudioWorklet indisponível, usando polling", error)
+            return undefined
+        })
+    }
+
+    /**
+     * Cria um BeepListener por canal no modo multicanal. Cada um recebe um canal do ChannelSplitter em um GainNode próprio,
+     * com ganho unitário, e tem o seu Analyser e, na aquisição por AudioWorklet, a sua aquisição. Os eventos `trigger` e `track`
+     * de cada canal são repassados para `events` com o `channel`
+     * @param {{
+     *     fftSize: number,
+     *     hopSize: number,
+     *     smoothingTimeConstant: number,
+     *     pitchEngine: import("./beep-analyzer.js").pitchEngine,
+     *     acquisition: "worklet" | "polling",
+     *     channels: number
+     * }} initOptions
+     */
+    async createChannels(initOptions) {
+        if (initOptions.channels == 1) { return }
+
+        this.ChannelSplitter = this.AudioContext.createChannelSplitter(initOptions.channels)
+        this.filterOutput().connect(this.ChannelSplitter)
+
+        for (let channel = 0; channel < initOptions.channels; channel++) {
+            const listener = new BeepListener()
+            Object.assign(listener, {
+                channel,
+                AudioContext: this.AudioContext,
+                AudioSourceNode: this.AudioSourceNode,
+                OfflineSource: this.OfflineSource,
+                GainNode: this.AudioContext.createGain(),
+                Analyser: this.AudioContext.createAnalyser(),
+                hertzPerDivision: this.AudioContext.sampleRate / initOptions.fftSize,
+                pitchEngine: this.pitchEngine,
+                minConfidence: this.minConfidence,
+                profileRegistry: this.profileRegistry
+            })
+            listener.Analyser.fftSize = initOptions.fftSize
+            listener.Analyser.smoothingTimeConstant = initOptions.smoothingTimeConstant
+
+            this.ChannelSplitter.connect(listener.GainNode, channel)
+            listener.GainNode.connect(listener.Analyser)
+            if (this.OfflineSource) { listener.Analyser.connect(this.AudioContext.destination) }
+            if (initOptions.acquisition == "worklet" && !this.OfflineSource) { listener.acquisition = await listener.createAcquisition(initOptions) }
+
+            for (const type of ["trigger", "track"]) {
+                listener.events.addEventListener(type, (/** @type {CustomEvent} */ event) => this.emit(type, { ...event.detail, channel }))
+            }
+
+            this.channels.push(listener)
+        }
+    }
     //#endregion Init
 
+    //#region Filters
+
+    /**
+     * Define os filtros padrão, montando a cadeia imediatamente caso o `init()` já tenha sido executado
+     * @param {import("./beep-analyzer.js").filterSpec[]} filters array vazio remove os filtros
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     * @example
+     * BeepListener.setFilters([{ type: "notch", frequency: 60, Q: 10 }, { type: "notch", frequency: 120, Q: 10 }, { type: "lowpass", frequency: 8000 }])
+     */
+    setFilters(filters) {
+        const checkParams = ParameterValidator.validate("setFilters", { filters })
+        if (!checkParams.success) { return checkParams }
+
+        this.filters = checkParams.options.filters
+        if (this.Analyser) { this.mountFilters(this.filters) }
+        return { success: true }
+    }
+
+    /** Último nó da cadeia de filtros, ou o GainNode quando não há filtros */
+    filterOutput() { return this.FilterNodes.at(-1) ?? this.GainNode }
+
+    /**
+     * Monta a cadeia de filtros entre o GainNode e o Analyser (e o ChannelSplitter, no modo multicanal), substituindo a anterior. Nada é refeito quando os filtros
+     * resolvidos são iguais aos da cadeia atual
+     * @param {import("./beep-analyzer.js").filterSpec[]} filters
+     * @param {{ minFreq: number, maxFreq: number }} [band] faixa do beep, centro padrão do passa-faixa
+     */
+    mountFilters(filters, band = BeepAnalyzer.captureDefaults({})) {
+        const resolved = BeepAnalyzer.resolveFilters(filters, band)
+        if (JSON.stringify(resolved) == JSON.stringify(this.activeFilters)) { return }
+
+        const previousOutput = this.filterOutput()
+        const previousNodes = this.FilterNodes
+
+        this.FilterNodes = resolved.map(filter => {
+            const node = this.AudioContext.createBiquadFilter()
+            node.type = filter.type
+            node.frequency.value = filter.frequency
+            node.Q.value = filter.Q
+            return node
+        })
+        const output = this.filterOutput()
+
+        previousOutput.disconnect(this.Analyser)
+        this.acquisition?.reconnect(output)
+        if (this.ChannelSplitter) { previousOutput.disconnect(this.ChannelSplitter) }
+        if (previousNodes.length > 0) {
+            this.GainNode.disconnect(previousNodes[0])
+            previousNodes.forEach(node => node.disconnect())
+        }
+
+        /** @type {AudioNode[]} */([this.GainNode, ...this.FilterNodes]).reduce((previous, node) => previous.connect(node))
+        output.connect(this.Analyser)
+        if (this.ChannelSplitter) { output.connect(this.ChannelSplitter) }
+        this.activeFilters = resolved
+    }
+    //#endregion Filters
+
+    //#region Profiles
+
+    /**
+     * Preenche as opções não informadas com as seções do perfil passado em `profile`, já com a herança aplicada. Como uma seção
+     * é compartilhada por vários métodos, apenas as opções aceitas pelo schema do método são usadas
+     * @param {{ profile?: string }} options opções passadas ao método
+     * @param {string} method método que recebe as opções, uma das chaves de {@link ParameterValidator.schemas}
+     * @param {...("init" | "capture" | "pattern" | "calibration")} sections seções do perfil usadas pelo método, da menor para a maior prioridade
+     * @returns {{ success: boolean, code?: string, msg?: string, options?: any }} as próprias opções, caso nenhum perfil seja informado
+     */
+    resolveProfile(options, method, ...sections) {
+        if (options.profile == undefined) { return { success: true, options } }
+        if (typeof options.profile != "string") { return { success: false, ...Messages.get("PARAM_NOT_STRING", { parameter: "profile" }), parameter: "profile" } }
+
+        const resolved = this.profileRegistry.resolve(options.profile)
+        if (!resolved.success) { return resolved }
+
+        const profileOptions = sections.map(section => ParameterValidator.pick(method, resolved.profile[section] ?? {}))
+        return { success: true, options: Object.assign({}, ...profileOptions, options) }
+    }
+    //#endregion Profiles
+
+    //#region OptionValidation
+
+    /**
+     * Estado usado pelo {@link ParameterValidator} nas regras que dependem do AudioContext, como a frequência de Nyquist e a
+     * duração de um quadro da FFT
+     * @returns {import("./parameter-validator.js").validationContext}
+     */
+    validationContext() {
+        return {
+            sampleRate: this.AudioContext?.sampleRate,
+            fftSize: this.Analyser?.fftSize,
+            offline: this.OfflineSource != undefined,
+            channels: this.AudioContext ? Math.max(1, this.channels.length) : undefined
+        }
+    }
+    //#endregion OptionValidation
+
+    //#region Events
+
+    /**
+     * Emite um evento em `events`
+     * @param {"capturestart" | "trigger" | "track" | "captureend"} type
+     * @param {object} detail
+     */
+    emit(type, detail) { this.events.dispatchEvent(new CustomEvent(type, { detail })) }
+
+    /**
+     * Emite o `trigger` e a `track` lida em seguida
+     * @param {track} trigger amostra que disparou o trigger
+     * @param {track} track
+     * @param {boolean} valid indica se a track foi aprovada
+     */
+    emitTrack(trigger, track, valid) {
+        this.emit("trigger", { time: trigger.tempo?.[0], frequency: trigger.frequencia[0], amplitude: trigger.amplitude[0] })
+        this.emit("track", { track, start: track.tempo?.[0] ?? trigger.tempo?.[0], end: this.audioTime(), valid })
+    }
+    //#endregion Events
+
     //#region DataAcquisition
 
     /**
      * Retorna um objeto com os valores de frequência e amplitude obtidos no tempo que foi passado
      * @param {number} time Tempo em que serão obtidas as amostras de frequência e amplitude
      * @param {boolean} triggerSample Se true, será obtida apenas uma amostra de frequência e amplitude para utilizar como trigger
+     * @param {AbortSignal} [signal] interrompe a leitura, retornando as amostras obtidas até o momento
      * @returns {Promise<track>}
      * 
      */
-    static async getData(time, triggerSample = false) {
+    async getData(time, triggerSample = false, signal) {
+        if (this.acquisition) { return await this.workletData(time, triggerSample, signal) }
+
+        // O fim da leitura é medido no relógio do áudio, o mesmo do `tempo`, para que o reprocessamento da sessão separe as tracks
+        // pelos instantes gravados
+        const startTime = this.AudioContext.currentTime * 1000
+        let sampleTime = startTime
+
         /**@type {number[]} */
         const frequencyBuffer = []
         /**@type {number[]} */
         const amplitudeBuffer = []
+        /**@type {number[]} */
+        const timeBuffer = []
+        /**@type {number[]} */
+        const confidenceBuffer = []
+        /**@type {import("./beep-analyzer.js").spectralShape[]} */
+        const spectralBuffer = []
 
-        let loopControl = true
-
-        if (!triggerSample) { this.delay(time).then(() => { loopControl = false }) }
-
-        while (loopControl) {
+        do {
             const sample = this.freqSample()
-            const frequency = this.pitch(sample.timeDomain)
-            frequencyBuffer.push(frequency)
+            const pitch = this.detectPitch(sample)
+            this.readTime = sampleTime
+            this.timing?.reads.push(sampleTime)
+
+            // Amostras sem confiança suficiente (ruído, silêncio) são descartadas
+            if (pitch.confidence >= this.minConfidence) {
+                frequencyBuffer.push(pitch.frequency)
+                amplitudeBuffer.push(this.findAmplitude(pitch.frequency, sample.frequencyDomain))
+                timeBuffer.push(sampleTime)
+                confidenceBuffer.push(pitch.confidence)
+                spectralBuffer.push(BeepAnalyzer.spectralShape(sample.frequencyDomain, pitch.frequency, this.hertzPerDivision))
+            }
 
-            const amplitude = this.findAmplitude(frequency, sample.frequencyDomain)
-            amplitudeBuffer.push(amplitude)
+            await this.delay(0, signal) // Precisa disto para não travar o navegador
+            sampleTime = this.AudioContext.currentTime * 1000
+        } while (!triggerSample && sampleTime < startTime + time && this.isRunning() && !signal?.aborted)
 
-            await this.delay(0) // Precisa disto para não travar o navegador
+        return this.fixValues(frequencyBuffer, amplitudeBuffer, timeBuffer, confidenceBuffer, spectralBuffer)
+    }
 
-            if (triggerSample) { break }
+    /**
+     * Equivalente ao `getData()` na aquisição por AudioWorklet: lê em sequência os quadros que cobrem `time` milissegundos de
+     * áudio, um a cada `hopSize` amostras, na mesma quantidade do `getData()` do {@link BeepAnalyzer}
+     * @param {number} time
+     * @param {boolean} triggerSample se true, lê apenas um quadro
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<track>}
+     */
+    async workletData(time, triggerSample, signal) {
+        const frequencyBuffer = []
+        const amplitudeBuffer = []
+        const timeBuffer = []
+        const confidenceBuffer = []
+        /**@type {import("./beep-analyzer.js").spectralShape[]} */
+        const spectralBuffer = []
+
+        const analyzer = this.acquisition.analyzer
+        const frames = triggerSample ? 1 : Math.max(1, Math.ceil(time / 1000 * analyzer.sampleRate / analyzer.hopSize))
+
+        for (let read = 0; read < frames && !signal?.aborted; read++) {
+            const frame = await this.acquisition.read(signal)
+            if (!frame) { break }
+            this.timing?.reads.push(frame.time)
+
+            if (frame.confidence >= this.minConfidence) {
+                frequencyBuffer.push(frame.frequency)
+                amplitudeBuffer.push(frame.amplitude)
+                timeBuffer.push(frame.time)
+                confidenceBuffer.push(frame.confidence)
+                spectralBuffer.push(frame.spectralShape)
+            }
         }
 
-        const roundedValues = this.fixValues(frequencyBuffer, amplitudeBuffer)
-
-        return { frequencia: roundedValues.frequencia, amplitude: roundedValues.amplitude }
+        return this.fixValues(frequencyBuffer, amplitudeBuffer, timeBuffer, confidenceBuffer, spectralBuffer)
     }
 
+    /**
+     * Instante atual das leituras, em milissegundos do relógio do áudio: o da última leitura do Analyser ou, na aquisição por
+     * AudioWorklet, o do último quadro lido, que fica atrás do relógio enquanto houver quadros na fila. Antes da primeira
+     * leitura, é o relógio do áudio
+     * @returns {number}
+     */
+    audioTime() { return (this.acquisition ? this.acquisition.time : this.readTime) ?? this.AudioContext.currentTime * 1000 }
+
     /**
      * Permite extrair um valor de frequência do TimeDomainArray  
      * @param {Float32Array} timeDomainArray array do TimeDomain
      * @returns {number} valor de frequência
      */
-    static pitch(timeDomainArray) {
-        let maximaCount = 0
-        let corrolatedSignal = new Float32Array(this.Analyser.fftSize)
-        let localMaxima = new Array(10)
+    pitch(timeDomainArray) { return BeepAnalyzer.pitch(timeDomainArray, this.AudioContext.sampleRate) }
 
-        for (let l = 0; l < this.Analyser.fftSize; l++) {
-            corrolatedSignal[l] = 0
-            for (let i = 0; i < this.Analyser.fftSize - l; i++) {
-                corrolatedSignal[l] += timeDomainArray[i] * timeDomainArray[i + l]
-            }
-            if (l > 1) {
-                if ((corrolatedSignal[l - 2] - corrolatedSignal[l - 1]) < 0
-                    && (corrolatedSignal[l - 1] - corrolatedSignal[l]) > 0) {
-                    localMaxima[maximaCount] = (l - 1)
-                    maximaCount++
-                    if ((maximaCount >= localMaxima.length))
-                        break
-                }
-            }
-        }
+    /**
+     * Extrai a frequência da amostra com o algoritmo definido em `pitchEngine`
+     * @param {{ timeDomain: Float32Array, frequencyDomain: Float32Array }} sample amostra obtida pelo `freqSample()`
+     * @returns {{ frequency: number, confidence: number }} frequência e confiança entre 0 e 1
+     */
+    detectPitch(sample) {
+        return BeepAnalyzer.detectPitch(this.pitchEngine, sample.timeDomain, sample.frequencyDomain, this.AudioContext.sampleRate)
+    }
 
-        let maximaMean = localMaxima[0]
+    /**
+     * Returns a promise that resolves after a specified timeout.
+     * @param {number} timeout - The number of milliseconds to delay.
+     * @param {AbortSignal} [signal] - Resolves immediately and clears the timer when aborted.
+     * @returns {Promise<void>} A promise that resolves after the specified timeout.
+     */
+    delay(timeout, signal) {
+        if (this.OfflineSource) { return this.OfflineSource.wait(timeout, signal) }
 
-        for (let i = 1; i < maximaCount; i++)
-            maximaMean += localMaxima[i] - localMaxima[i - 1]
+        return new Promise(resolve => {
+            if (signal?.aborted) { return resolve() }
 
-        maximaMean /= maximaCount
+            const onAbort = () => { clearTimeout(timer); resolve() }
+            const timer = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve() }, timeout)
+            signal?.addEventListener("abort", onAbort, { once: true })
+        })
+    }
 
-        return this.AudioContext.sampleRate / maximaMean
+    /**
+     * Retoma o processamento de áudio, seja do microfone ou da fonte offline. O instante da última leitura e, na aquisição por
+     * AudioWorklet, os quadros que sobraram da operação anterior são descartados. Nas instâncias de um canal, o AudioContext não é retomado
+     */
+    async resume() {
+        this.readTime = undefined
+        if (this.channel != undefined) { return this.acquisition?.flush() }
+        if (this.OfflineSource) { return this.OfflineSource.resume() }
+        this.acquisition?.flush()
+        await this.AudioContext.resume()
     }
 
+    /**
+     * Suspende o processamento de áudio, seja do microfone ou da fonte offline. Nas instâncias de um canal não faz nada, os
+     * demais canais ainda podem estar lendo
+     */
+    async suspend() {
+        if (this.channel != undefined) { return }
+        if (this.OfflineSource) { return this.OfflineSource.suspend() }
+        await this.AudioContext.suspend()
+    }
 
     /**
-     * Returns a promise that resolves after a specified timeout.
-     * @param {number} timeout - The number of milliseconds to delay.
-     * @returns {Promise<void>} A promise that resolves after the specified timeout.
+     * Indica se o áudio está sendo processado. Na fonte offline, retorna false também quando o áudio chegou ao fim.
+     * @returns {boolean}
      */
-    static delay(timeout) { return new Promise(resolve => setTimeout(resolve, timeout)) }
+    isRunning() {
+        if (this.OfflineSource) { return this.OfflineSource.running }
+        return this.AudioContext.state == "running"
+    }
 
     /**
      * Arredonda os valores dos arrays para no máximo duas casas decimais
      * @param {number[]} freqBuffer array da frequência
      * @param {number[]} ampBuffer array da amplitude
+     * @param {number[]} [timeBuffer] array com o instante de cada amostra
+     * @param {number[]} [confidenceBuffer] array com a confiança da frequência de cada amostra
+     * @param {import("./beep-analyzer.js").spectralShape[]} [spectralBuffer] forma do espectro de cada amostra
      * @returns {track}
      */
-    static fixValues(freqBuffer, ampBuffer) {
-        return { frequencia: fix(freqBuffer), amplitude: fix(ampBuffer) }
-
-        /**
-         * @param {number[]} buffer
-         */
-        function fix(buffer) {
-            return buffer.map(value => !isNaN(value) && !Number.isInteger(value) ? parseFloat(value.toFixed(2)) : value)
-        }
+    fixValues(freqBuffer, ampBuffer, timeBuffer, confidenceBuffer, spectralBuffer) {
+        return BeepAnalyzer.fixValues(freqBuffer, ampBuffer, timeBuffer, confidenceBuffer, spectralBuffer)
     }
 
     /**
@@ -294,7 +1062,7 @@ export default class BeepListener {
      * [getFloatTimeDomainData()](https://developer.mozilla.org/en-US/docs/Web/API/AnalyserNode/getFloatTimeDomainData) e
      * [getFloatFrequencyData()](https://developer.mozilla.org/en-US/docs/Web/API/AnalyserNode/getFloatFrequencyData)
      */
-    static freqSample() {
+    freqSample() {
         const frequencyDataArray = new Float32Array(this.Analyser.fftSize)
         const timeDomainDataArray = new Float32Array(this.Analyser.fftSize)
 
@@ -310,7 +1078,7 @@ export default class BeepListener {
      * @param {Float32Array} amplitudeArray array do domínio da frequência
      * @returns {number} valor de amplitude referente à frequência passada
      */
-    static findAmplitude(frequency, amplitudeArray) { return amplitudeArray[Math.round(frequency / this.hertzPerDivision)] }
+    findAmplitude(frequency, amplitudeArray) { return BeepAnalyzer.findAmplitude(frequency, amplitudeArray, this.hertzPerDivision) }
     //#endregion DataAcquisition
 
     //#region DataValidation
@@ -321,57 +1089,31 @@ export default class BeepListener {
      * @param {captureOptions} captureOptions objeto com os valores de frequência
      * @returns {{ result: boolean, frequencia?: number[], frequenciaMedia?: number, amplitude?: number[], amplitudeMedia?: number }}
      */
-    static trackValidator(track, captureOptions) {
-
-        const percentageValidation = this.validateTrackPercentage(track.frequencia, captureOptions)
-        if (!percentageValidation) return { result: false }
-
-        const filteredTrack = this.trackFilter(track, captureOptions)
-        const media = this.calculateMedia(filteredTrack.frequencia, filteredTrack.amplitude)
-
-        if (captureOptions.amplitudeValidation && (media.amplitude < captureOptions.minAmplitude || media.amplitude > captureOptions.maxAmplitude)) {
-            return { result: false }
-        }
-
-        return {
-            result: true,
-            frequencia: filteredTrack.frequencia,
-            frequenciaMedia: media.frequencia,
-            amplitude: filteredTrack.amplitude,
-            amplitudeMedia: media.amplitude
-        }
-    }
+    trackValidator(track, captureOptions) { return BeepAnalyzer.trackValidator(track, captureOptions) }
 
     /**
-     * Filtra a track, mantendo apenas os valores de frequência que estão dentro do esperado e suas respectivas amplitudes
+     * Filtra a track, mantendo apenas os valores de frequência que estão dentro do esperado e seus respectivos instantes,
+     * amplitudes e formas do espectro
      * @param {track} track 
      * @param {captureOptions} captureOptions 
      * @returns {track}
      */
-    static trackFilter(track, captureOptions) {
-        const amplitudeArray = []
-        const frequencyArray = track.frequencia.filter((value, index) => {
-            if (value >= captureOptions.minFreq && value <= captureOptions.maxFreq) {
-                amplitudeArray.push(track.amplitude[index])
-                return true
-            }
-        })
-
-        return { frequencia: frequencyArray, amplitude: amplitudeArray }
-    }
+    trackFilter(track, captureOptions) { return BeepAnalyzer.trackFilter(track, captureOptions) }
 
     /**
-     * Calcula a média da frequência e a mediana da amplitude.
+     * Calcula a média da frequência e a mediana da amplitude, sem alterar os arrays.
      * @param {number[]} freqTrack array da frequência
      * @param {number[]} ampTrack array da amplitude
      * @returns {{frequencia: number, amplitude: number}}
      */
-    static calculateMedia(freqTrack, ampTrack) {
-        return {
-            frequencia: freqTrack.reduce((accumulator, currentValue) => accumulator + currentValue) / freqTrack.length,
-            amplitude: ampTrack.sort((a, b) => a - b)[Math.round(ampTrack.length / 2)]
-        }
-    }
+    calculateMedia(freqTrack, ampTrack) { return BeepAnalyzer.calculateMedia(freqTrack, ampTrack) }
+
+    /**
+     * Calcula o desvio padrão, os percentis, o drift da frequência e o envelope da amplitude da track
+     * @param {track} track normalmente filtrada pelo `trackFilter()`
+     * @returns {import("./beep-analyzer.js").trackStatistics | undefined}
+     */
+    trackStatistics(track) { return BeepAnalyzer.trackStatistics(track) }
 
     /**
      * Verifica se o array possui a quantidade mínima de valores dentro do esperado.
@@ -380,14 +1122,71 @@ export default class BeepListener {
      * @param {captureOptions} captureOptions objeto com os valores de frequência e porcentagem de aceitação
      * @returns {boolean}
      */
-    static validateTrackPercentage(frequencyBuffer, captureOptions) {
-        const validTrackSampleQuantity = frequencyBuffer.length * (captureOptions.validTrackPercentage / 100)
+    validateTrackPercentage(frequencyBuffer, captureOptions) { return BeepAnalyzer.validateTrackPercentage(frequencyBuffer, captureOptions) }
+    //#endregion DataValidation
 
-        const filteredArray = frequencyBuffer.filter(frequencia => frequencia >= captureOptions.minFreq && frequencia <= captureOptions.maxFreq)
+    //#region NoiseFloor
 
-        return filteredArray.length >= validTrackSampleQuantity
+    /**
+     * Mede o espectro e o nível do ruído ambiente, que deve ser feito com o produto desligado e após o ajuste do ganho.
+     * O resultado fica em `noiseFloor` e é usado pelo `capture()` para calcular a relação sinal-ruído na faixa do beep.
+     * No modo multicanal, o ruído de cada canal também é medido, no `noiseFloor` de cada um dos `channels`, e informado em `channels`.
+     * @param {number} time tempo de medição em milissegundos
+     * @param {AbortSignal} [signal] interrompe a medição, mantendo o ruído medido anteriormente
+     * @returns {Promise<{
+     *     success: boolean,
+     *     code: string,
+     *     msg: string,
+     *     aborted?: boolean,
+     *     noiseFloor?: import("./beep-analyzer.js").noiseFloor,
+     *     channels?: import("./beep-analyzer.js").noiseFloor[]
+     * }>}
+     * @example
+     * await BeepListener.measureNoiseFloor()
+     * // acionar o beep
+     * const capture = await BeepListener.capture({ minSnr: 15 })
+     */
+    async measureNoiseFloor(time = 1000, signal) {
+        signal = this.operationSignal(signal)
+        if (signal?.aborted) { return abortedResult(signal) }
+
+        /** @type {{ timeDomain: Float32Array, frequencyDomain: Float32Array }[]} */
+        const frames = []
+        let loopControl = true
+
+        await this.resume()
+        const channelMeasures = this.channels.map(listener => listener.measureNoiseFloor(time, signal))
+        this.delay(time, signal).then(() => { loopControl = false })
+
+        while (loopControl && !signal?.aborted) {
+            frames.push(this.freqSample())
+            await this.delay(0, signal)
+        }
+
+        const channelResults = await Promise.all(channelMeasures)
+        await this.suspend()
+        if (signal?.aborted) { return abortedResult(signal) }
+
+        this.noiseFloor = BeepAnalyzer.noiseFloor(frames, this.hertzPerDivision)
+        return {
+            success: true,
+            ...Messages.get("NOISE_FLOOR_MEASURED", { level: this.noiseFloor.level }),
+            noiseFloor: this.noiseFloor,
+            ...(this.channels.length > 0 ? { channels: channelResults.map(result => result.noiseFloor) } : {})
+        }
     }
-    //#endregion DataValidation
+
+    /**
+     * Preenche o `noiseLevel` com o nível do `noiseFloor` na faixa de frequência da captura, caso ele não tenha sido informado
+     * @param {captureOptions} captureOptions
+     */
+    applyNoiseLevel(captureOptions) {
+        if (captureOptions.noiseLevel == undefined && this.noiseFloor) {
+            captureOptions.noiseLevel = BeepAnalyzer.bandLevel(this.noiseFloor, captureOptions.minFreq, captureOptions.maxFreq)
+        }
+        return captureOptions
+    }
+    //#endregion NoiseFloor
 
     //#region Capture
 
@@ -401,11 +1200,72 @@ export default class BeepListener {
     *     maxAmplitude?: number,
     *     validTrackPercentage?: number,
     *     trackSize?: number,
-    *     timeOut?: number
-    * }} captureOptions objeto com configurações para realizar a captura do beep
+    *     timeOut?: number,
+    *     measureDuration?: boolean,
+    *     minDuration?: number,
+    *     maxDuration?: number,
+    *     maxLatency?: number,
+    *     debounce?: number,
+    *     snrValidation?: boolean,
+    *     minSnr?: number,
+    *     noiseLevel?: number,
+    *     maxThd?: number,
+    *     maxHarmonicRatio?: number,
+    *     maxFlatness?: number,
+    *     maxBandwidth?: number,
+    *     maxFrequencyStd?: number,
+    *     maxAmplitudeStd?: number,
+    *     maxDrift?: number,
+    *     maxRiseTime?: number,
+    *     maxDecayTime?: number,
+    *     maxRipple?: number,
+    *     filters?: import("./beep-analyzer.js").filterSpec[],
+    *     channel?: import("./beep-analyzer.js").channelSelection,
+    *     record?: boolean,
+    *     onSession?: function(import("./session-recorder.js").session): void,
+    *     sessionMetadata?: object,
+    *     profile?: string,
+    *     signal?: AbortSignal
+    * }} captureOptions objeto com configurações para realizar a captura do beep.
+    * 
+    * O início do beep (`beep.onset`) é sempre medido, em milissegundos do relógio do áudio a partir do início da captura, com a resolução
+    * do trigger (50ms). Com `measureDuration`, ativado automaticamente por `minDuration`/`maxDuration`, a leitura continua após a track até
+    * o beep ficar `debounce` milissegundos fora da faixa, medindo o fim e a duração. `maxLatency` limita o tempo até o início do beep.
+    * 
+    * Com `snrValidation`, ativado automaticamente por `minSnr`, o beep é validado pela relação sinal-ruído em dB entre sua amplitude e o
+    * `noiseLevel`, por padrão o nível na faixa de frequência do ruído medido pelo `measureNoiseFloor()`. Nesse caso a janela fixa de
+    * amplitude só é usada se `amplitudeValidation` for passado. O resultado informa `snr` e `noiseFloor` (o `noiseLevel` usado) quando o ruído é conhecido.
+    * 
+    * A forma do espectro do beep é sempre informada em `spectrum`, com a mediana das amostras dentro da faixa (ver {@link BeepAnalyzer.spectralShape}).
+    * `maxThd` (%), `maxHarmonicRatio` (dB em relação à fundamental), `maxFlatness` (dB) e `maxBandwidth` (Hz) reprovam os buzzers que
+    * acertam a frequência e o volume, mas soam ásperos, como os trincados ou soltos.
+    * 
+    * As estatísticas da track são sempre informadas em `statistics` (ver {@link BeepAnalyzer.trackStatistics}). `maxFrequencyStd` (Hz),
+    * `maxAmplitudeStd` (dB), `maxDrift` (Hz/s, em módulo), `maxRiseTime` (ms), `maxDecayTime` (ms) e `maxRipple` (dB) reprovam os buzzers
+    * com o tom oscilando, deslizando ou perdendo a força ao longo do beep.
+    * 
+    * No modo multicanal (`channels` do `init()`), cada canal é capturado de forma independente e `channel` escolhe o canal que
+    * decide o resultado: `"any"` (padrão), `"best"` ou o índice de um canal (ver {@link BeepListener#channelCapture}).
+    * 
+    * `filters` substitui os filtros do `init()` apenas durante esta captura; o passa-faixa sem `frequency` é centralizado
+    * entre `minFreq` e `maxFreq`.
+    * 
+    * Com `record`, ativado automaticamente por `onSession`, o áudio bruto da captura e um JSON com as opções, o ganho, o dispositivo, as tracks e o resultado são retornados em
+    * `session` e passados ao `onSession`, junto com o `sessionMetadata` (número de série, por exemplo). Ver {@link SessionRecorder}.
+    * 
+    * `profile` preenche as opções não informadas com a seção `capture` do perfil (ver {@link ProfileRegistry}).
+    * 
+    * Abortar o `signal` interrompe a captura imediatamente, retornando `{ success: false, aborted: true }`.
     * @returns {Promise<{ 
     *     success: boolean, 
+    *     code: string,
     *     msg: string,
+    *     aborted?: boolean,
+    *     snr?: number,
+    *     noiseFloor?: number,
+    *     spectrum?: import("./beep-analyzer.js").spectralShape,
+    *     statistics?: import("./beep-analyzer.js").trackStatistics,
+    *     session?: import("./session-recorder.js").session,
     *     lastTracks?: track[],
     *     frequencia?: {
     *         values: number[],
@@ -414,90 +1274,431 @@ export default class BeepListener {
     *     amplitude?: {
     *         values: number[],
     *         amplitudeMedia: number,
-    *     }
+    *     },
+    *     beep?: { onset: number, offset?: number, duration?: number },
+    *     channel?: number,
+    *     channels?: channelCaptureResult[]
     * }>} Objeto com o resultado da validação
+    * @example
+    * // Falha caso o buzzer fique travado ligado ou demore mais de 2 segundos para tocar
+    * const capture = await BeepListener.capture({ minDuration: 200, maxDuration: 600, maxLatency: 2000 })
+    * @example
+    * // Reprova buzzers trincados: harmônicas fortes ou pico largo
+    * const capture = await BeepListener.capture({ maxThd: 20, maxBandwidth: 80 })
+    * if (capture.code == "CAPTURE_THD_ABOVE_MAX") { console.log(capture.spectrum) }
+    * @example
+    * // Passa-faixa centrado no beep e notch do ruído da rede elétrica apenas nesta captura
+    * const capture = await BeepListener.capture({ minFreq: 2900, maxFreq: 3100, filters: [{ type: "bandpass", Q: 5 }, { type: "notch", frequency: 60 }] })
+    * @example
+    * // Reprova buzzers com o tom instável ou que perdem a força durante o beep
+    * const capture = await BeepListener.capture({ maxFrequencyStd: 15, maxDrift: 100, maxRipple: 6 })
+    * console.log(capture.statistics.envelope)
+    * @example
+    * // Microfone estéreo: aprova apenas pelo canal com a melhor relação sinal-ruído
+    * await BeepListener.init({ deviceId, channels: 2 })
+    * await BeepListener.measureNoiseFloor()
+    * const capture = await BeepListener.capture({ channel: "best" })
+    * console.log(capture.channel, capture.channels.map(channel => channel.snr))
+    * @example
+    * // Cancela a captura caso o operador interrompa o teste
+    * const controller = new AbortController()
+    * botaoCancelar.onclick = () => controller.abort()
+    * const capture = await BeepListener.capture({ signal: controller.signal })
+    * if (capture.aborted) { return }
     */
-    static async capture(captureOptions = {}) {
-        captureOptions.minFreq ??= 2950
-        captureOptions.maxFreq ??= 3050
-        captureOptions.amplitudeValidation ??= true
-        captureOptions.minAmplitude ??= -30
-        captureOptions.maxAmplitude ??= -20
-        captureOptions.validTrackPercentage ??= 70
-        captureOptions.trackSize ??= 500
-        captureOptions.timeOut ??= 10000
-
-        const checkParams = ParameterValidator.validate(captureOptions)
+    async capture(captureOptions = {}) {
+        const resolved = this.resolveProfile(captureOptions, "capture", "capture")
+        if (!resolved.success) { return resolved }
+
+        const checkParams = ParameterValidator.validate("capture", resolved.options, this.validationContext())
         if (!checkParams.success) { return checkParams }
+        captureOptions = this.applyNoiseLevel(checkParams.options)
 
-        await this.AudioContext.resume()
+        const noiseCheck = BeepAnalyzer.validateNoiseLevel(captureOptions)
+        if (!noiseCheck.success) { return noiseCheck }
 
-        const capture = await Promise.race([this.trackCapture(captureOptions), this.delay(captureOptions.timeOut)])
+        captureOptions.signal = this.operationSignal(captureOptions.signal)
+        if (captureOptions.signal?.aborted) { return abortedResult(captureOptions.signal) }
 
-        await this.AudioContext.suspend()
+        // Encerra os loops e timers da captura ao final, seja por sucesso, timeout ou cancelamento
+        const controller = linkedController(captureOptions.signal)
+        const recorder = captureOptions.record ? await this.startRecording() : undefined
+        this.mountFilters(captureOptions.filters ?? this.filters, captureOptions)
 
-        if (!capture) {
-            return {
-                success: false,
-                msg: this.lastReads.find(track => this.validateTrackPercentage(track.frequencia, captureOptions))
-                    ? "Faixa detectada na frequência esperada, mas fora da amplitude desejada"
-                    : "Nenhuma faixa detectada na frequência esperada",
-                lastTracks: this.lastReads
-            }
-        }
+        this.emit("capturestart", { method: "capture", options: captureOptions })
+        await this.resume()
 
-        return {
-            success: true,
-            msg: "Faixa detectada dentro dos valores esperados",
-            frequencia: {
-                values: capture.frequencia,
-                frequenciaMedia: capture.frequenciaMedia
-            },
-            amplitude: {
-                values: capture.amplitude,
-                amplitudeMedia: capture.amplitudeMedia
-            }
+        if (this.channels.length > 0) {
+            const channelResult = await this.channelCapture(captureOptions, resolved.options.noiseLevel, controller.signal)
+
+            controller.abort()
+            await this.suspend()
+            this.mountFilters(this.filters)
+
+            const result = captureOptions.signal?.aborted ? abortedResult(captureOptions.signal) : channelResult
+            this.emit("captureend", { method: "capture", result })
+            return recorder ? await this.finishSession(recorder, "capture", captureOptions, result) : result
         }
+
+        const startTime = this.AudioContext.currentTime * 1000
+        if (this.timing) { Object.assign(this.timing, { startTime, noiseLevel: captureOptions.noiseLevel }) }
+        const capture = await Promise.race([this.trackCapture(captureOptions, controller.signal), this.delay(captureOptions.timeOut, controller.signal)])
+        const beep = capture && !controller.signal.aborted ? await this.beepTiming(capture.timingTrack, startTime, captureOptions, controller.signal) : undefined
+
+        if (this.timing) { Object.assign(this.timing, { endTime: this.AudioContext.currentTime * 1000, aborted: captureOptions.signal?.aborted }) }
+        controller.abort()
+        await this.suspend()
+        this.mountFilters(this.filters)
+
+        const result = captureOptions.signal?.aborted ? abortedResult(captureOptions.signal) : BeepAnalyzer.captureResult(capture, this.lastReads, captureOptions, beep)
+        this.emit("captureend", { method: "capture", result })
+        return recorder ? await this.finishSession(recorder, "capture", captureOptions, result) : result
     }
 
     /**
-     * Verifica a frequência a cada 50ms e retorna caso ela esteja dentro dos valores de frequência e, opcionalmente, de amplitude
+     * Verifica a frequência a cada 50ms, ou a cada quadro na aquisição por AudioWorklet, e retorna caso ela esteja dentro dos valores de frequência e, opcionalmente, de amplitude
      * @param {captureOptions} captureOptions objeto com os valores para fazer a detecção do trigger
+     * @param {AbortSignal} [signal] interrompe a espera pelo trigger
+     * @returns {Promise<track | undefined>} amostra que disparou o trigger
      */
-    static async frequencyTrigger(captureOptions) {
-        while (this.AudioContext.state == "running") {
-            const sample = await this.getData(0, true)
+    async frequencyTrigger(captureOptions, signal) {
+        while (this.isRunning() && !signal?.aborted) {
+            const sample = await this.getData(0, true, signal)
 
-            if (sample.frequencia[0] >= captureOptions.minFreq && sample.frequencia[0] <= captureOptions.maxFreq) {
-                if (captureOptions.amplitudeValidation) {
-                    if (sample.amplitude[0] >= captureOptions.minAmplitude && sample.amplitude[0] <= captureOptions.maxAmplitude) { return }
-                } else { return }
-            }
+            if (BeepAnalyzer.isTriggerSample(sample.frequencia[0], sample.amplitude[0], captureOptions)) { return sample }
 
-            await this.delay(50)
+            // Na aquisição por AudioWorklet, cada quadro é verificado
+            if (!this.acquisition) { await this.delay(50, signal) }
         }
     }
 
     /**
      * Método que aguarda um acionamento do trigger para capturar e validar uma track, retornando a mesma caso ela seja válida.
      * @param {captureOptions} captureOptions objeto com os valores usados para a validação
+     * @param {AbortSignal} [signal] interrompe a captura
      */
-    static async trackCapture(captureOptions) {
+    async trackCapture(captureOptions, signal) {
         this.lastReads = []
 
-        while (this.AudioContext.state == "running") {
-            await this.frequencyTrigger(captureOptions)
-            if (this.AudioContext.state != "running") { return }
+        while (this.isRunning() && !signal?.aborted) {
+            const trigger = await this.frequencyTrigger(captureOptions, signal)
+            if (!this.isRunning() || signal?.aborted) { return }
 
-            const track = await this.getData(captureOptions.trackSize)
+            const track = await this.getData(captureOptions.trackSize, false, signal)
+            if (signal?.aborted) { return }
             this.lastReads.push(track)
 
             const validatedTrack = this.trackValidator(track, captureOptions)
-            if (validatedTrack.result) { return validatedTrack }
+            this.emitTrack(trigger, track, validatedTrack.result)
+            if (validatedTrack.result) {
+                return { ...validatedTrack, timingTrack: BeepAnalyzer.concatTracks({ frequencia: [], amplitude: [], tempo: [] }, trigger, track) }
+            }
+        }
+    }
+
+    /**
+     * Mede o início do beep validado e, com `measureDuration`, continua a leitura até o fim do beep, limitada por `maxDuration` e pelo `timeOut`
+     * @param {track} timingTrack amostra do trigger seguida da track validada
+     * @param {number} startTime instante de início da captura, em milissegundos do relógio do áudio
+     * @param {captureOptions} captureOptions
+     * @param {AbortSignal} [signal] interrompe a medição da duração
+     * @returns {Promise<{ onset: number, offset?: number, duration?: number }>}
+     */
+    async beepTiming(timingTrack, startTime, captureOptions, signal) {
+        const frameDuration = this.Analyser.fftSize / this.AudioContext.sampleRate * 1000
+
+        if (captureOptions.measureDuration) {
+            let loopControl = true
+            const elapsedTime = this.AudioContext.currentTime * 1000 - startTime
+            this.delay(Math.max(0, captureOptions.timeOut - elapsedTime), signal).then(() => { loopControl = false })
+
+            while (loopControl && this.isRunning() && !signal?.aborted && !BeepAnalyzer.timingComplete(timingTrack, captureOptions, frameDuration, this.audioTime())) {
+                BeepAnalyzer.concatTracks(timingTrack, await this.getData(0, true, signal))
+            }
+        }
+
+        return BeepAnalyzer.measureBeep(timingTrack, captureOptions, startTime, frameDuration, this.audioTime())
+    }
+
+    /**
+     * Captura multicanal: executa o `capture()` de cada um dos `channels` ao mesmo tempo, cada canal com o seu trigger, as suas
+     * tracks e o seu ruído, e escolhe o resultado pelo `channel` das opções ({@link BeepAnalyzer.channelResult}).
+     * 
+     * Com `"any"`, os demais canais são interrompidos assim que um deles aprova o beep. Com `"best"`, após o primeiro canal
+     * detectar o beep, os demais têm `channelWindow` milissegundos para concluir, e os interrompidos são informados com `aborted`.
+     * Com o índice de um canal, apenas ele é lido. A gravação da sessão, os filtros e o `profile` ficam com esta instância.
+     * @param {captureOptions & { signal?: AbortSignal, channel?: import("./beep-analyzer.js").channelSelection }} captureOptions
+     * opções já validadas
+     * @param {number} [noiseLevel] `noiseLevel` informado pelo usuário; sem ele, cada canal usa o próprio ruído medido
+     * @param {AbortSignal} signal
+     * @returns {Promise<object>} resultado do `capture()` do canal escolhido, com `channel` e os resultados de todos em `channels`
+     */
+    async channelCapture(captureOptions, noiseLevel, signal) {
+        const selection = captureOptions.channel ?? "any"
+        const listeners = typeof selection == "number" ? [this.channels[selection]] : this.channels
+        const controller = linkedController(signal)
+        let windowStarted = false
+
+        const channelOptions = {
+            ...captureOptions,
+            noiseLevel,
+            channel: undefined,
+            filters: undefined,
+            record: false,
+            onSession: undefined,
+            sessionMetadata: undefined,
+            profile: undefined,
+            signal: controller.signal
         }
+
+        const results = await Promise.all(listeners.map(async listener => {
+            const { lastTracks, ...result } = await listener.capture(channelOptions)
+
+            if (selection == "any" && result.success) { controller.abort() }
+            if (selection == "best" && result.statistics && !windowStarted) {
+                windowStarted = true
+                this.delay(this.channelWindow, controller.signal).then(() => controller.abort())
+            }
+
+            return { channel: listener.channel, ...result, tracks: listener.lastReads }
+        }))
+        controller.abort()
+
+        const { tracks, ...channelResult } = BeepAnalyzer.channelResult(results, selection)
+        this.lastReads = tracks
+        return channelResult.success ? channelResult : { ...channelResult, lastTracks: tracks }
     }
     //#endregion Capture
 
+    //#region PatternCapture
+
+    /**
+    * Valida uma sequência de beeps, como "3 beeps curtos" ou "1 longo + 2 curtos", medindo o início, o fim e a duração de cada beep.
+    * 
+    * Cada amostra é classificada pela mesma faixa de frequência e amplitude do `capture()`. A gravação termina quando,
+    * após o primeiro beep, o silêncio ultrapassa a maior pausa esperada, ou no `timeOut`.
+    * @param {{
+    *     pattern: beepPatternStep[],
+    *     minFreq?: number,
+    *     maxFreq?: number,
+    *     amplitudeValidation?: boolean,
+    *     minAmplitude?: number,
+    *     maxAmplitude?: number,
+    *     patternTolerance?: number,
+    *     debounce?: number,
+    *     timeOut?: number,
+    *     filters?: import("./beep-analyzer.js").filterSpec[],
+    *     record?: boolean,
+    *     onSession?: function(import("./session-recorder.js").session): void,
+    *     sessionMetadata?: object,
+    *     profile?: string,
+    *     signal?: AbortSignal
+    * }} captureOptions `patternTolerance` é a tolerância padrão, em milissegundos, para passos sem `tolerance`;
+    * `debounce` é o tempo mínimo de um beep e de uma pausa, evitando que falhas na leitura dividam um beep.
+    * Abortar o `signal` interrompe a gravação, retornando `{ success: false, aborted: true }`. `record`, `onSession` e
+    * `sessionMetadata` gravam a sessão como no `capture()`, e `filters` substitui os filtros durante a gravação. `profile` preenche as opções com as seções `capture` e `pattern` do perfil
+    * @returns {Promise<{
+    *     success: boolean,
+    *     code: string,
+    *     msg: string,
+    *     aborted?: boolean,
+    *     session?: import("./session-recorder.js").session,
+    *     beeps?: beep[],
+    *     lastTracks?: track[]
+    * }>}
+    * @example
+    * // 1 beep longo seguido de 2 beeps curtos
+    * const capture = await BeepListener.capturePattern({
+    *     pattern: [{ duration: 600, gap: 200 }, { duration: 150, gap: 150 }, { duration: 150 }],
+    *     patternTolerance: 60
+    * })
+    */
+    async capturePattern(captureOptions = {}) {
+        const resolved = this.resolveProfile(captureOptions, "capturePattern", "capture", "pattern")
+        if (!resolved.success) { return resolved }
+
+        const checkParams = ParameterValidator.validate("capturePattern", resolved.options, this.validationContext())
+        if (!checkParams.success) { return checkParams }
+        captureOptions = this.applyNoiseLevel(checkParams.options)
+
+        const noiseCheck = BeepAnalyzer.validateNoiseLevel(captureOptions)
+        if (!noiseCheck.success) { return noiseCheck }
+
+        captureOptions.signal = this.operationSignal(captureOptions.signal)
+        if (captureOptions.signal?.aborted) { return abortedResult(captureOptions.signal) }
+
+        const controller = linkedController(captureOptions.signal)
+        const recorder = captureOptions.record ? await this.startRecording() : undefined
+        this.mountFilters(captureOptions.filters ?? this.filters, captureOptions)
+
+        this.emit("capturestart", { method: "capturePattern", options: captureOptions })
+        await this.resume()
+
+        const startTime = this.AudioContext.currentTime * 1000
+        if (this.timing) { Object.assign(this.timing, { startTime, noiseLevel: captureOptions.noiseLevel }) }
+        const track = await this.patternTrack(captureOptions, controller.signal)
+
+        if (this.timing) { Object.assign(this.timing, { endTime: this.AudioContext.currentTime * 1000, aborted: captureOptions.signal?.aborted }) }
+        controller.abort()
+        await this.suspend()
+        this.mountFilters(this.filters)
+
+        this.lastReads = [track]
+        const result = captureOptions.signal?.aborted
+            ? abortedResult(captureOptions.signal)
+            : BeepAnalyzer.patternResult(track, startTime, this.Analyser.fftSize / this.AudioContext.sampleRate * 1000, captureOptions)
+        this.emit("track", { track, start: startTime, end: this.audioTime(), valid: result.success })
+        this.emit("captureend", { method: "capturePattern", result })
+        return recorder ? await this.finishSession(recorder, "capturePattern", captureOptions, result) : result
+    }
+
+    /**
+     * Grava uma track contínua até que o silêncio após o último beep ultrapasse a maior pausa esperada, ou até o `timeOut`
+     * @param {captureOptions & { pattern: beepPatternStep[] }} captureOptions
+     * @param {AbortSignal} [signal] interrompe a gravação
+     * @returns {Promise<track>}
+     */
+    async patternTrack(captureOptions, signal) {
+        const silenceLimit = BeepAnalyzer.patternSilenceLimit(captureOptions)
+        /** @type {track & { tempo: number[] }} */
+        const track = { frequencia: [], amplitude: [], tempo: [] }
+
+        let loopControl = true
+        let lastOnTime
+
+        this.delay(captureOptions.timeOut, signal).then(() => { loopControl = false })
+
+        while (loopControl && this.isRunning() && !signal?.aborted) {
+            const sample = await this.getData(0, true, signal)
+            const now = this.audioTime()
+            BeepAnalyzer.concatTracks(track, sample)
+
+            if (BeepAnalyzer.isTriggerSample(sample.frequencia[0], sample.amplitude[0], captureOptions)) {
+                lastOnTime = now
+            } else if (lastOnTime != undefined && now - lastOnTime > silenceLimit) { break }
+        }
+
+        return track
+    }
+    //#endregion PatternCapture
+
+    //#region Monitoring
+
+    /**
+     * Inicia o monitoramento contínuo: o áudio permanece em execução e cada beep, ruído ou saturação é emitido como evento
+     * pelo monitor retornado, até o `stop()` ou o `signal` ser abortado. Os critérios de faixa, amplitude, relação sinal-ruído
+     * e `debounce` são os mesmos do `capture()`.
+     * 
+     * Enquanto o monitor estiver ativo, os demais métodos de captura não devem ser usados na mesma instância.
+     * @param {import("./beep-monitor.js").monitorOptions} monitorOptions
+     * @returns {Promise<BeepMonitor | { success: false, code: string, msg: string }>} monitor em execução, ou o erro de validação das opções
+     * @example
+     * const monitor = await BeepListener.startMonitoring({ minFreq: 2950, maxFreq: 3050, amplitudeValidation: false })
+     * monitor.addEventListener("beepend", ({ detail }) => console.log(`Beep de ${detail.duration}ms`, detail.frequencia))
+     * monitor.addEventListener("clipping", () => console.warn("Microfone saturado"))
+     * // ...
+     * await monitor.stop()
+     */
+    async startMonitoring(monitorOptions = {}) {
+        const resolved = this.resolveProfile(monitorOptions, "startMonitoring", "capture")
+        if (!resolved.success) { return resolved }
+
+        const checkParams = ParameterValidator.validate("startMonitoring", resolved.options, this.validationContext())
+        if (!checkParams.success) { return checkParams }
+        monitorOptions = this.applyNoiseLevel(checkParams.options)
+
+        const noiseCheck = BeepAnalyzer.validateNoiseLevel(monitorOptions)
+        if (!noiseCheck.success) { return noiseCheck }
+
+        monitorOptions.signal = this.operationSignal(monitorOptions.signal)
+
+        const monitor = new BeepMonitor(this, monitorOptions)
+        await monitor.start()
+        return monitor
+    }
+    //#endregion Monitoring
+
+    //#region SessionRecording
+
+    /**
+     * Inicia a gravação do áudio bruto do microfone ou da fonte offline, antes do ganho, com todos os canais, e dos instantes das
+     * leituras desta instância e de cada canal no modo multicanal
+     * @returns {Promise<SessionRecorder>}
+     */
+    async startRecording() {
+        const recorder = await SessionRecorder.create(this.AudioContext, this.AudioSourceNode)
+        this.readers().forEach(reader => { reader.timing = { ...(reader.channel != undefined ? { channel: reader.channel } : {}), reads: [] } })
+        recorder.start()
+        return recorder
+    }
+
+    /**
+     * Instâncias que podem ler o áudio em uma captura: esta e as de cada canal. No modo multicanal, o `capture()` lê pelos canais
+     * e o `capturePattern()` pela mistura desta instância
+     * @returns {BeepListener[]}
+     */
+    readers() { return [this, ...this.channels] }
+
+    /**
+     * Encerra a gravação, monta a sessão com o resultado da captura e a entrega ao `onSession`
+     * @param {SessionRecorder} recorder
+     * @param {"capture" | "capturePattern"} method método que gravou a sessão
+     * @param {captureOptions} captureOptions
+     * @param {{ success: boolean, code: string, msg: string, lastTracks?: track[] }} result resultado da captura
+     * @returns {Promise<object>} resultado da captura acrescido da `session`
+     */
+    async finishSession(recorder, method, captureOptions, result) {
+        const samples = await recorder.stop()
+        const { lastTracks, ...verdict } = result
+        // Apenas as instâncias que leram o áudio têm o início da captura
+        const timing = this.readers().map(reader => reader.timing).filter(timing => timing.startTime != undefined)
+        this.readers().forEach(reader => { reader.timing = undefined })
+        // No modo multicanal, as tracks vêm da aquisição de cada canal
+        const acquisition = this.acquisition ?? this.channels[0]?.acquisition
+
+        const session = SessionRecorder.session(samples, {
+            version: SessionRecorder.version,
+            method,
+            startedAt: recorder.startedAt.toISOString(),
+            endedAt: new Date().toISOString(),
+            audioStartTime: recorder.audioStartTime,
+            sampleRate: this.AudioContext.sampleRate,
+            gain: this.GainNode.gain.value,
+            device: this.deviceInfo(),
+            channels: Math.max(1, this.channels.length),
+            ...(method == "capture" && this.channels.length > 0 ? { channel: captureOptions.channel ?? "any" } : {}),
+            analysis: {
+                fftSize: this.Analyser.fftSize,
+                smoothingTimeConstant: this.Analyser.smoothingTimeConstant,
+                pitchEngine: this.pitchEngine,
+                minConfidence: this.minConfidence,
+                ...(this.filters.length > 0 ? { filters: this.filters } : {}),
+                ...(acquisition ? { hopSize: acquisition.hopSize, triggerInterval: 0 } : {})
+            },
+            options: SessionRecorder.serializeOptions(captureOptions),
+            metadata: captureOptions.sessionMetadata,
+            noiseFloor: this.noiseFloor ? { level: this.noiseFloor.level, bandLevel: captureOptions.noiseLevel } : undefined,
+            tracks: this.lastReads,
+            timing,
+            verdict
+        })
+
+        captureOptions.onSession?.(session)
+        return { ...result, session }
+    }
+
+    /**
+     * Identifica o microfone em uso, ou a fonte offline
+     * @returns {{ label: string, deviceId?: string }}
+     */
+    deviceInfo() {
+        if (this.OfflineSource) { return { label: "offline" } }
+
+        const track = this.AudioSourceNode.mediaStream.getAudioTracks()[0]
+        return { label: track?.label ?? "", deviceId: track?.getSettings().deviceId }
+    }
+    //#endregion SessionRecording
+
     //#region MicrophoneCalibration
 
     /**
@@ -510,52 +1711,127 @@ export default class BeepListener {
      * maxFreq?: number,
      * trackSize?: number,
      * firstReadTimeOut?: number,
-     * calibrationTimeOut?: number
-     * }} calibrationOptions
+     * calibrationTimeOut?: number,
+     * saveCalibration?: boolean,
+     * calibrationValidity?: number,
+     * referenceTone?: boolean,
+     * toneFrequency?: number,
+     * toneLevel?: number,
+     * toneOutput?: "speaker" | "loopback",
+     * profile?: string,
+     * signal?: AbortSignal
+     * }} calibrationOptions abortar o `signal` interrompe a calibração, mantendo o último ganho testado.
+     * `firstReadTimeOut` limita a espera pelo primeiro beep e `calibrationTimeOut` o ajuste do ganho a partir dele.
+     * `profile` preenche as opções não informadas com a seção `calibration` do perfil.
+     * Com `saveCalibration`, o ganho, a amplitude e a curva obtidos são salvos no `calibrationStore`, válidos por `calibrationValidity` milissegundos.
+     * Se o `calibrationStore` falhar, o resultado é `CALIBRATION_STORE_FAILED`, com o ganho já ajustado.
+     *
+     * Com `referenceTone`, a calibração não depende do buzzer de um produto: um tom de `toneFrequency` Hz (por padrão o centro
+     * da faixa) e `toneLevel` dBFS é gerado por um OscillatorNode e tocado no alto-falante de referência (`toneOutput: "speaker"`)
+     * ou injetado no lugar do microfone (`toneOutput: "loopback"`, padrão na fonte offline)
      * @param {number} amplitudeTolerance
      * @param {number} gainStep
-     * @returns {Promise<{success: boolean, msg: string, gain?: number}>}
+     * @returns {Promise<{
+     *     success: boolean,
+     *     code: string,
+     *     msg: string,
+     *     gain?: number,
+     *     amplitude?: number,
+     *     curve?: import("./calibration-store.js").gainPoint[],
+     *     referenceTone?: import("./calibration-store.js").referenceTone,
+     *     calibration?: import("./calibration-store.js").calibration,
+     *     aborted?: boolean
+     * }>} `amplitude` é a amplitude medida com o ganho final e `curve` as amplitudes medidas em cada ganho testado, em ordem de ganho
      * @example
-     * if (sessionStorage.getItem("gain") == null) {
-     *     const calibrateMic = await BeepListener.calibrateMic()
-     *     if (calibrateMic.success) {
-     *         sessionStorage.setItem("gain", calibrateMic.gain)
-     *     } else {
+     * const init = await BeepListener.init({ deviceId: await BeepListener.C930e(), applyCalibration: true })
+     * if (init.recalibrationNeeded) {
+     *     const calibrateMic = await BeepListener.calibrateMic({ saveCalibration: true })
+     *     if (!calibrateMic.success) {
      *         // setar erro
      *     }
-     * } else { BeepListener.setGain(parseFloat(sessionStorage.getItem("gain"))) }
+     * }
+     * @example
+     * const calibrateMic = await BeepListener.calibrateMic({ referenceTone: true, toneFrequency: 3000, toneLevel: -20, saveCalibration: true })
+     * // Ganho estimado para outra faixa de amplitude, sem recalibrar
+     * const gain = CalibrationStore.gainFor(calibrateMic.calibration, -30)
     */
-    static async calibrateMic(calibrationOptions = {}, amplitudeTolerance = 2, gainStep = 1) {
-        calibrationOptions.minAmplitude ??= -30
-        calibrationOptions.maxAmplitude ??= -20
-        calibrationOptions.validTrackPercentage ??= 70
-        calibrationOptions.minFreq ??= 3050
-        calibrationOptions.maxFreq ??= 3250
-        calibrationOptions.trackSize ??= 300
-        calibrationOptions.firstReadTimeOut ??= 5000
-        calibrationOptions.calibrationTimeOut ??= 10000
-
-        const checkParams = ParameterValidator.validate(calibrationOptions)
+    async calibrateMic(calibrationOptions = {}, amplitudeTolerance = 2, gainStep = 1) {
+        const resolved = this.resolveProfile(calibrationOptions, "calibrateMic", "calibration")
+        if (!resolved.success) { return resolved }
+
+        const checkParams = ParameterValidator.validate("calibrateMic", resolved.options, this.validationContext())
         if (!checkParams.success) { return checkParams }
+        calibrationOptions = checkParams.options
 
-        const firstRead = await BeepListener.configDeterminator(
-            // Object.assign(JSON.parse(JSON.stringify(calibrationOptions)), { timeOut: calibrationOptions.firstReadTimeOut })
-            calibrationOptions
-        )
+        calibrationOptions.signal = this.operationSignal(calibrationOptions.signal)
+        if (calibrationOptions.signal?.aborted) { return abortedResult(calibrationOptions.signal) }
 
-        if (!firstRead.success) { return { success: false, msg: "Nenhuma faixa detectada na frequência esperada" } }
+        // Também interrompe as leituras do gainDiscover quando o tempo de calibração é excedido
+        const controller = linkedController(calibrationOptions.signal)
+        // O perfil já foi aplicado, as leituras não devem completar as opções com a seção capture
+        const readOptions = { ...ParameterValidator.pick("configDeterminator", calibrationOptions), profile: undefined, signal: controller.signal }
 
-        const currentAmplitude = firstRead.amplitude.media
-        const centralAmplitude = (calibrationOptions.minAmplitude + calibrationOptions.maxAmplitude) / 2
-        if (Math.abs(currentAmplitude - centralAmplitude) <= amplitudeTolerance) {
-            console.log(`%cNew Gain value: ${this.GainNode.gain.value}`, "color: #00FFFF")
-            return { success: true, msg: `Sucesso ao ajustar o ganho`, gain: this.GainNode.gain.value }
-        }
+        /** @type {import("./calibration-store.js").gainPoint[]} */
+        const curve = []
+        /** @type {import("./calibration-store.js").referenceTone | undefined} */
+        const referenceTone = calibrationOptions.referenceTone
+            ? { frequency: calibrationOptions.toneFrequency, level: calibrationOptions.toneLevel, output: calibrationOptions.toneOutput }
+            : undefined
+        const stopTone = referenceTone ? this.startReferenceTone(referenceTone) : undefined
+
+        try {
+            const firstRead = await this.configDeterminator({ ...readOptions, timeOut: calibrationOptions.firstReadTimeOut })
+
+            if (calibrationOptions.signal?.aborted) { return abortedResult(calibrationOptions.signal) }
+            if (!firstRead.success) { return { success: false, ...Messages.get("CALIBRATION_NO_SIGNAL") } }
+
+            const currentAmplitude = firstRead.amplitude.media
+            const centralAmplitude = (calibrationOptions.minAmplitude + calibrationOptions.maxAmplitude) / 2
+            curve.push({ gain: this.GainNode.gain.value, amplitude: currentAmplitude })
 
-        return await Promise.race([
-            this.gainDiscover(calibrationOptions, centralAmplitude, currentAmplitude, this.GainNode.gain.value, gainStep, amplitudeTolerance),
-            this.delay(calibrationOptions.calibrationTimeOut).then(() => { return { success: false, msg: "Tempo de calibração do microfone foi excedido" } })
-        ])
+            /** @type {{ success: boolean, msg: string, gain?: number, amplitude?: number, curve?: import("./calibration-store.js").gainPoint[], referenceTone?: import("./calibration-store.js").referenceTone, calibration?: import("./calibration-store.js").calibration }} */
+            let result
+            if (Math.abs(currentAmplitude - centralAmplitude) <= amplitudeTolerance) {
+                console.log(`%cNew Gain value: ${this.GainNode.gain.value}`, "color: #00FFFF")
+                result = { success: true, ...Messages.get("CALIBRATION_SUCCESS"), gain: this.GainNode.gain.value, amplitude: currentAmplitude }
+            } else {
+                result = await Promise.race([
+                    this.gainDiscover(readOptions, centralAmplitude, currentAmplitude, this.GainNode.gain.value, gainStep, amplitudeTolerance, curve),
+                    this.delay(calibrationOptions.calibrationTimeOut, controller.signal).then(() => { return { success: false, ...Messages.get("CALIBRATION_TIMEOUT") } })
+                ])
+            }
+
+            if (calibrationOptions.signal?.aborted) { return abortedResult(calibrationOptions.signal) }
+
+            result = { ...result, curve: curve.toSorted((a, b) => a.gain - b.gain), referenceTone }
+
+            if (result.success && calibrationOptions.saveCalibration) {
+                try {
+                    result.calibration = await this.calibrationStore.save(
+                        this.deviceInfo(),
+                        this.AudioContext.sampleRate,
+                        {
+                            gain: result.gain,
+                            referenceAmplitude: result.amplitude,
+                            minFreq: calibrationOptions.minFreq,
+                            maxFreq: calibrationOptions.maxFreq,
+                            curve: result.curve,
+                            referenceTone
+                        },
+                        { station: this.station, validity: calibrationOptions.calibrationValidity }
+                    )
+                } catch (error) {
+                    // O ganho continua ajustado, mas não foi salvo para o próximo init
+                    const key = CalibrationStore.key(this.deviceInfo(), this.AudioContext.sampleRate, this.station)
+                    result = { ...result, success: false, ...Messages.get("CALIBRATION_STORE_FAILED", { key, error: error?.message ?? error }) }
+                }
+            }
+
+            return result
+        } finally {
+            controller.abort()
+            stopTone?.()
+        }
     }
 
     /**
@@ -566,9 +1842,10 @@ export default class BeepListener {
      * @param {number} initialGain
      * @param {number} gainStep
      * @param {number} amplitudeTolerance
-     * @returns {Promise<{success: boolean, msg: string, gain: number}>}
+     * @param {import("./calibration-store.js").gainPoint[]} [curve] recebe a amplitude medida em cada ganho testado
+     * @returns {Promise<{success: boolean, code: string, msg: string, gain?: number, amplitude?: number, aborted?: boolean}>}
     */
-    static async gainDiscover(calibrationOptions, centralAmplitude, currentAmplitude, initialGain, gainStep, amplitudeTolerance) {
+    async gainDiscover(calibrationOptions, centralAmplitude, currentAmplitude, initialGain, gainStep, amplitudeTolerance, curve = []) {
         this.GainNode.gain.value = initialGain
 
         /** @type {[number, number][]} */
@@ -582,14 +1859,17 @@ export default class BeepListener {
         }
 
         while (!condition() && this.GainNode.gain.value > 0) {
-            const currentRead = await BeepListener.configDeterminator(calibrationOptions)
+            const currentRead = await this.configDeterminator({ ...calibrationOptions })
             console.log(`%cTesting with Gain -> ${this.GainNode.gain.value}`, "color: #00FF7F")
             console.log(currentRead)
+            if (!currentRead.success) { return currentRead }
+
             const newAmplitude = currentRead.amplitude.media
+            curve.push({ gain: this.GainNode.gain.value, amplitude: newAmplitude })
 
             if (Math.abs(newAmplitude - centralAmplitude) <= amplitudeTolerance) {
                 console.log(`%cNew Gain value: ${this.GainNode.gain.value}`, "color: #00FFFF")
-                return { success: true, msg: `Sucesso ao ajustar o ganho`, gain: this.GainNode.gain.value }
+                return { success: true, ...Messages.get("CALIBRATION_SUCCESS"), gain: this.GainNode.gain.value, amplitude: newAmplitude }
             }
 
             currentAmplitude = newAmplitude
@@ -609,16 +1889,70 @@ export default class BeepListener {
             amplitudeSamples[0][1],
             amplitudeSamples[0][0],
             Math.abs(gainStep / 2),
-            amplitudeTolerance
+            amplitudeTolerance,
+            curve
         )
     }
 
+    /**
+     * Gera o tom de referência da calibração com um [OscillatorNode](https://developer.mozilla.org/en-US/docs/Web/API/OscillatorNode).
+     * No modo `speaker` o tom é tocado no alto-falante e captado pelo microfone; no `loopback` ele substitui o microfone na
+     * entrada do GainNode, medindo apenas o caminho digital.
+     * @param {import("./calibration-store.js").referenceTone} referenceTone `level` é o pico do tom em dBFS
+     * @returns {function(): void} encerra o tom e reconecta o microfone
+     */
+    startReferenceTone(referenceTone) {
+        const oscillator = this.AudioContext.createOscillator()
+        oscillator.frequency.value = referenceTone.frequency
+
+        const toneGain = this.AudioContext.createGain()
+        toneGain.gain.value = 10 ** (referenceTone.level / 20)
+        oscillator.connect(toneGain)
+
+        if (referenceTone.output == "loopback") {
+            this.AudioSourceNode.disconnect(this.GainNode)
+            toneGain.connect(this.GainNode)
+        } else {
+            toneGain.connect(this.AudioContext.destination)
+        }
+
+        oscillator.start()
+
+        return () => {
+            oscillator.stop()
+            toneGain.disconnect()
+            if (referenceTone.output == "loopback") { this.AudioSourceNode.connect(this.GainNode) }
+        }
+    }
+
 
     /**
      * Sets the gain value of the Gain node.
      * @param {number} gain - The new gain value to set.
      */
-    static setGain(gain) { this.GainNode.gain.value = gain }
+    setGain(gain) { this.GainNode.gain.value = gain }
+
+    /**
+     * Aplica o ganho da calibração salva para o microfone em uso, caso ela seja válida
+     * @param {{ success: boolean, code: string, msg: string }} result resultado do `init()`
+     * @returns {Promise<{
+     *     success: boolean,
+     *     code: string,
+     *     msg: string,
+     *     calibration?: import("./calibration-store.js").calibration,
+     *     recalibrationNeeded?: boolean,
+     *     calibrationCode?: string,
+     *     calibrationMsg?: string
+     * }>} `calibrationCode` e `calibrationMsg` informam o resultado da busca pela calibração, inclusive um erro do `calibrationStore`
+     */
+    async applyCalibration(result) {
+        const stored = await this.calibrationStore.load(this.deviceInfo(), this.AudioContext.sampleRate, this.station)
+
+        if (!stored.success) { return { ...result, recalibrationNeeded: true, calibrationCode: stored.code, calibrationMsg: stored.msg } }
+
+        this.setGain(stored.calibration.gain)
+        return { ...result, calibration: stored.calibration, calibrationCode: stored.code, calibrationMsg: stored.msg }
+    }
     //#endregion MicrophoneCalibration
 
     //#region ConfigDiscovererMethods
@@ -626,16 +1960,17 @@ export default class BeepListener {
     /**
      * Retorna um array com os valores de frequência lidos no tempo que foi passado
      * @param {number} time
+     * @param {AbortSignal} [signal] interrompe a leitura, retornando os valores lidos até o momento
      * @returns {Promise<number[]>} 
      * @example
      * console.log(await BeepListener.frequencyReader(1000))
      */
-    static async frequencyReader(time) {
-        await this.AudioContext.resume()
+    async frequencyReader(time, signal) {
+        await this.resume()
 
-        const track = await this.getData(time)
+        const track = await this.getData(time, false, signal)
 
-        await this.AudioContext.suspend()
+        await this.suspend()
         return track.frequencia
     }
 
@@ -647,49 +1982,62 @@ export default class BeepListener {
      *     validTrackPercentage?: number,
      *     trackSize?: number,
      *     amplitudeValidation?: boolean,
-     *     timeOut?: number
-     * }} captureOptions objeto com configurações para detecção da faixa
+     *     timeOut?: number,
+     *     filters?: import("./beep-analyzer.js").filterSpec[],
+     *     profile?: string,
+     *     signal?: AbortSignal
+     * }} captureOptions objeto com configurações para detecção da faixa. `profile` usa a seção `capture` do perfil e `filters`
+     * substitui os filtros durante a leitura
      * @returns {Promise<{
      *     success: boolean,
+     *     code?: string,
      *     msg?: string,
+     *     aborted?: boolean,
      *     frequencia?: {min: number, max: number, media: number, valores: number[]},
      *     amplitude?: {min: number, max: number, media: number, valores: number[]},
+     *     statistics?: import("./beep-analyzer.js").trackStatistics
      * }>}
      * @example
      * console.log(await BeepListener.configDeterminator())
      */
-    static async configDeterminator(captureOptions = {}) {
-        captureOptions.minFreq ??= 2950
-        captureOptions.maxFreq ??= 3050
-        captureOptions.validTrackPercentage ??= 70
-        captureOptions.trackSize ??= 500
-        captureOptions.amplitudeValidation = false
-        captureOptions.timeOut ??= 10000
+    async configDeterminator(captureOptions = {}) {
+        const resolved = this.resolveProfile(captureOptions, "configDeterminator", "capture")
+        if (!resolved.success) { return resolved }
 
-        const checkParams = ParameterValidator.validate(captureOptions)
+        const checkParams = ParameterValidator.validate("configDeterminator", resolved.options, this.validationContext())
         if (!checkParams.success) { return checkParams }
+        captureOptions = { ...checkParams.options, amplitudeValidation: false }
+
+        captureOptions.signal = this.operationSignal(captureOptions.signal)
+        if (captureOptions.signal?.aborted) { return abortedResult(captureOptions.signal) }
 
         this.lastReads = []
-        let captureSuccess = false
+        const controller = linkedController(captureOptions.signal)
+        const signal = controller.signal
 
-        await this.AudioContext.resume()
-        this.delay(captureOptions.timeOut).then(() => { if (!captureSuccess) { this.AudioContext.suspend(); console.log(this.lastReads) } })
+        this.mountFilters(captureOptions.filters ?? this.filters, captureOptions)
+        await this.resume()
+        this.delay(captureOptions.timeOut, signal).then(() => { if (!signal.aborted) { this.suspend(); console.log(this.lastReads) } })
 
-        while (this.AudioContext.state == "running") {
-            await this.frequencyTrigger(captureOptions)
-            if (this.AudioContext.state != "running") { break }
+        while (this.isRunning() && !signal.aborted) {
+            const trigger = await this.frequencyTrigger(captureOptions, signal)
+            if (!this.isRunning() || signal.aborted) { break }
 
-            const track = await this.getData(captureOptions.trackSize)
+            const track = await this.getData(captureOptions.trackSize, false, signal)
+            if (signal.aborted) { break }
             this.lastReads.push(track)
 
             const validatedTrack = this.trackValidator(track, captureOptions)
+            this.emitTrack(trigger, track, validatedTrack.result)
 
             if (validatedTrack.result) {
-                await this.AudioContext.suspend()
-                captureSuccess = true
+                controller.abort()
+                await this.suspend()
+                this.mountFilters(this.filters)
 
                 return {
                     success: true,
+                    ...Messages.get("CONFIG_DETECTED"),
                     frequencia: {
                         min: Math.min(...validatedTrack.frequencia),
                         max: Math.max(...validatedTrack.frequencia),
@@ -701,228 +2049,248 @@ export default class BeepListener {
                         max: Math.max(...validatedTrack.amplitude),
                         media: validatedTrack.amplitudeMedia,
                         valores: validatedTrack.amplitude
-                    }
+                    },
+                    statistics: validatedTrack.statistics
                 }
             }
         }
 
-        return { success: false, msg: "Falha na detecção da faixa esperada" }
+        controller.abort()
+        await this.suspend()
+        this.mountFilters(this.filters)
+
+        if (captureOptions.signal?.aborted) { return abortedResult(captureOptions.signal) }
+        return { success: false, ...Messages.get("CONFIG_NOT_DETECTED") }
     }
     //#endregion ConfigDiscovererMethods
 
-    static { window.BeepListener = this }
+    //#region ProfileLearning
 
-}
+    /**
+     * Aprende as opções do `capture()` a partir de unidades de referência: lê o beep de `goodUnits` produtos bons e de
+     * `badUnits` produtos ruins, um de cada vez, e propõe os limites pela média ± `k`·σ das unidades boas (ver {@link ProfileLearner}).
+     *
+     * `onUnit` é chamado antes de cada leitura, para que o operador troque o produto e acione o beep. As leituras usam a faixa
+     * de busca `minFreq`-`maxFreq` e as demais opções do `configDeterminator()`; um produto ruim sem beep detectado conta como rejeitado.
+     * @param {{
+     *     goodUnits?: number,
+     *     badUnits?: number,
+     *     k?: number,
+     *     onUnit?: (unit: { kind: "good" | "bad", index: number, total: number }) => void | Promise<void>,
+     *     minFreq?: number,
+     *     maxFreq?: number,
+     *     validTrackPercentage?: number,
+     *     trackSize?: number,
+     *     timeOut?: number,
+     *     profile?: string,
+     *     signal?: AbortSignal
+     * }} learnOptions `profile` usa a seção `capture` do perfil
+     * @returns {Promise<ReturnType<typeof ProfileLearner.learn> & { aborted?: boolean }>}
+     * @example
+     * const learned = await BeepListener.learnProfile({
+     *     goodUnits: 10,
+     *     badUnits: 3,
+     *     minFreq: 2800,
+     *     maxFreq: 3200,
+     *     onUnit: ({ kind, index }) => UI.confirm(`Conecte o produto ${kind == "good" ? "bom" : "ruim"} ${index + 1} e acione o beep`)
+     * })
+     * console.log(learned.captureOptions, learned.falseReject, learned.falseAccept)
+     * const capture = await BeepListener.capture(learned.captureOptions)
+     */
+    async learnProfile(learnOptions = {}) {
+        const resolved = this.resolveProfile(learnOptions, "learnProfile", "capture")
+        if (!resolved.success) { return resolved }
 
-//#region ParameterValidation
-export class ParameterValidator {
+        const checkParams = ParameterValidator.validate("learnProfile", resolved.options, this.validationContext())
+        if (!checkParams.success) { return checkParams }
+        learnOptions = checkParams.options
 
-    static parameterCheckConfigs = {
-        sampleRate: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.sampleRate.value] },
-                msg: "sampleRate deve ser um número"
-            },
-            valueCheck: {
-                condition: (value) => value >= 8000 && value <= 96000,
-                get params() { return [ParameterValidator.parameterCheckConfigs.sampleRate.value] },
-                msg: "sampleRate deve estar entre 8000 e 96000"
-            }
-        },
-        fftSize: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.fftSize.value] },
-                msg: "fftSize deve ser um número"
-            },
-            valueCheck: {
-                condition: (value) => value >= 32 && value <= 32768 && Number.isInteger(Math.log(value) / Math.log(2)),
-                get params() { return [ParameterValidator.parameterCheckConfigs.fftSize.value] },
-                msg: "fftSize deve estar entre 32 e 32768 e deve ser uma potência de 2"
-            }
-        },
-        smoothingTimeConstant: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.smoothingTimeConstant.value] },
-                msg: "smoothingTimeConstant deve ser um número"
-            },
-            valueCheck: {
-                condition: (value) => value >= 0 && value <= 1,
-                get params() { return [ParameterValidator.parameterCheckConfigs.smoothingTimeConstant.value] },
-                msg: "smoothingTimeConstant deve estar entre 0 e 1"
-            }
-        },
-        gain: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.gain.value] },
-                msg: "gain deve ser um número"
-            }
-        },
-        deviceId: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "string" || value == undefined,
-                get params() { return [ParameterValidator.parameterCheckConfigs.deviceId.value] },
-                msg: "deviceId deve ser uma string ou undefined"
-            }
-        },
-        minFreq: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.minFreq.value] },
-                msg: "minFreq deve ser um número"
-            },
-            valueCheck: {
-                condition: (value) => value > 0,
-                get params() { return [ParameterValidator.parameterCheckConfigs.minFreq.value] },
-                msg: "minFreq deve ser maior que 0"
-            },
-            rangeCheck: {
-                condition: (minFreq, maxFreq) => minFreq <= maxFreq,
-                get params() { return [ParameterValidator.parameterCheckConfigs.minFreq.value, ParameterValidator.parameterCheckConfigs.maxFreq.value] },
-                msg: "minFreq deve ser menor ou igual a maxFreq"
-            }
-        },
-        maxFreq: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.maxFreq.value] },
-                msg: "maxFreq deve ser um número"
-            },
-            valueCheck: {
-                condition: (value) => value > 0,
-                get params() { return [ParameterValidator.parameterCheckConfigs.maxFreq.value] },
-                msg: "maxFreq deve ser maior que 0"
-            }
-        },
-        amplitudeValidation: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "boolean",
-                get params() { return [ParameterValidator.parameterCheckConfigs.amplitudeValidation.value] },
-                msg: "amplitudeValidation deve ser um booleano"
-            }
-        },
-        minAmplitude: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.minAmplitude.value] },
-                msg: "minAmplitude deve ser um número"
-            },
-            rangeCheck: {
-                condition: (minAmplitude, maxAmplitude) => minAmplitude <= maxAmplitude,
-                get params() { return [ParameterValidator.parameterCheckConfigs.minAmplitude.value, ParameterValidator.parameterCheckConfigs.maxAmplitude.value] },
-                msg: "minAmplitude deve ser menor ou igual a maxAmplitude"
-            }
-        },
-        maxAmplitude: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.maxAmplitude.value] },
-                msg: "maxAmplitude deve ser um número"
-            }
-        },
-        validTrackPercentage: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.validTrackPercentage.value] },
-                msg: "validTrackPercentage deve ser um número"
-            },
-            valueCheck: {
-                condition: (value) => value >= 0 && value <= 100,
-                get params() { return [ParameterValidator.parameterCheckConfigs.validTrackPercentage.value] },
-                msg: "validTrackPercentage deve estar entre 0 e 100"
-            }
-        },
-        trackSize: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.trackSize.value] },
-                msg: "trackSize deve ser um número"
-            },
-            valueCheck: {
-                condition: (value) => value > 0,
-                get params() { return [ParameterValidator.parameterCheckConfigs.trackSize.value] },
-                msg: "trackSize deve ser maior que 0"
-            }
-        },
-        timeOut: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.timeOut.value] },
-                msg: "timeOut deve ser um número"
-            }
-        },
-        firstReadTimeOut: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.firstReadTimeOut.value] },
-                msg: "firstReadTimeOut deve ser um número"
-            }
-        },
-        calibrationTimeOut: {
-            value: undefined,
-            typeCheck: {
-                condition: (value) => typeof value == "number",
-                get params() { return [ParameterValidator.parameterCheckConfigs.calibrationTimeOut.value] },
-                msg: "calibrationTimeOut deve ser um número"
+        learnOptions.signal = this.operationSignal(learnOptions.signal)
+        if (learnOptions.signal?.aborted) { return abortedResult(learnOptions.signal) }
+
+        const { goodUnits, badUnits, k, onUnit, ...readOptions } = learnOptions
+        /** @type {{ good: track[], bad: (track | undefined)[] }} */
+        const tracks = { good: [], bad: [] }
+
+        for (const [kind, total] of /** @type {["good" | "bad", number][]} */ ([["good", goodUnits], ["bad", badUnits]])) {
+            for (let index = 0; index < total; index++) {
+                await onUnit?.({ kind, index, total })
+                if (learnOptions.signal?.aborted) { return abortedResult(learnOptions.signal) }
+
+                // O perfil já foi aplicado, as leituras não devem completar as opções com a seção capture
+                const read = await this.configDeterminator({ ...readOptions, profile: undefined })
+                if (read.aborted || read.deviceLost) { return read }
+
+                if (!read.success && kind == "good") {
+                    return { success: false, ...Messages.get("LEARN_UNIT_NOT_DETECTED", { unit: index + 1, minFreq: learnOptions.minFreq, maxFreq: learnOptions.maxFreq }) }
+                }
+
+                tracks[kind].push(read.success ? this.lastReads.at(-1) : undefined)
             }
         }
+
+        return ProfileLearner.learn(tracks.good, tracks.bad, { minFreq: learnOptions.minFreq, maxFreq: learnOptions.maxFreq, k, trackSize: learnOptions.trackSize })
     }
+    //#endregion ProfileLearning
+
+    //#region StaticAPI
 
     /**
-     * @param {{[parameterName: string]: number | string | boolean | undefined}} params
-     * @returns {{success: boolean, msg?: string}}
+     * Instância usada pelos métodos e propriedades estáticos, mantendo a API anterior às instâncias
+     * @type BeepListener
      */
-    static validate(params) {
-        for (const parameter in params) {
-            if (!(parameter in this.parameterCheckConfigs)) {
-                return { success: false, msg: `Parâmetro ${parameter} não está configurado no objeto parameterCheckConfigs` }
-            }
+    static defaultInstance = new BeepListener()
 
-            this.parameterCheckConfigs[parameter].value = params[parameter]
-        }
+    /**
+     * {@link BeepListener#init} executado na instância padrão
+     * @param {Parameters<BeepListener["init"]>} args
+     * @returns {ReturnType<BeepListener["init"]>}
+     */
+    static init(...args) { return this.defaultInstance.init(...args) }
 
-        const validationOptions = ["typeCheck", "valueCheck", "rangeCheck"]
+    /**
+     * {@link BeepListener#capture} executado na instância padrão
+     * @param {Parameters<BeepListener["capture"]>} args
+     * @returns {ReturnType<BeepListener["capture"]>}
+     */
+    static capture(...args) { return this.defaultInstance.capture(...args) }
 
-        for (const validationType of validationOptions) {
-            for (const parameter in params) {
-                if (validationType in this.parameterCheckConfigs[parameter]) {
-                    const check = this.check(
-                        this.parameterCheckConfigs[parameter][validationType].condition,
-                        this.parameterCheckConfigs[parameter][validationType].params,
-                        this.parameterCheckConfigs[parameter][validationType].msg
-                    )
+    /**
+     * {@link BeepListener#capturePattern} executado na instância padrão
+     * @param {Parameters<BeepListener["capturePattern"]>} args
+     * @returns {ReturnType<BeepListener["capturePattern"]>}
+     */
+    static capturePattern(...args) { return this.defaultInstance.capturePattern(...args) }
 
-                    if (!check.success) { return check }
-                }
-            }
-        }
+    /**
+     * {@link BeepListener#measureNoiseFloor} executado na instância padrão
+     * @param {Parameters<BeepListener["measureNoiseFloor"]>} args
+     * @returns {ReturnType<BeepListener["measureNoiseFloor"]>}
+     */
+    static measureNoiseFloor(...args) { return this.defaultInstance.measureNoiseFloor(...args) }
 
-        return { success: true }
-    }
+    /**
+     * {@link BeepListener#startMonitoring} executado na instância padrão
+     * @param {Parameters<BeepListener["startMonitoring"]>} args
+     * @returns {ReturnType<BeepListener["startMonitoring"]>}
+     */
+    static startMonitoring(...args) { return this.defaultInstance.startMonitoring(...args) }
 
     /**
-     * 
-     * @param {function(...arg0): boolean} condition
-     * @param {array} params
-     * @param {string} msg
+     * {@link BeepListener#calibrateMic} executado na instância padrão
+     * @param {Parameters<BeepListener["calibrateMic"]>} args
+     * @returns {ReturnType<BeepListener["calibrateMic"]>}
+     */
+    static calibrateMic(...args) { return this.defaultInstance.calibrateMic(...args) }
+
+    /**
+     * {@link BeepListener#learnProfile} executado na instância padrão
+     * @param {Parameters<BeepListener["learnProfile"]>} args
+     * @returns {ReturnType<BeepListener["learnProfile"]>}
+     */
+    static learnProfile(...args) { return this.defaultInstance.learnProfile(...args) }
+
+    /**
+     * {@link BeepListener#setGain} executado na instância padrão
+     * @param {Parameters<BeepListener["setGain"]>} args
+     */
+    static setGain(...args) { return this.defaultInstance.setGain(...args) }
+
+    /**
+     * {@link BeepListener#setFilters} executado na instância padrão
+     * @param {Parameters<BeepListener["setFilters"]>} args
+     */
+    static setFilters(...args) { return this.defaultInstance.setFilters(...args) }
+
+    /**
+     * {@link BeepListener#frequencyReader} executado na instância padrão
+     * @param {Parameters<BeepListener["frequencyReader"]>} args
+     * @returns {ReturnType<BeepListener["frequencyReader"]>}
+     */
+    static frequencyReader(...args) { return this.defaultInstance.frequencyReader(...args) }
+
+    /**
+     * {@link BeepListener#configDeterminator} executado na instância padrão
+     * @param {Parameters<BeepListener["configDeterminator"]>} args
+     * @returns {ReturnType<BeepListener["configDeterminator"]>}
+     */
+    static configDeterminator(...args) { return this.defaultInstance.configDeterminator(...args) }
+
+    /**
+     * {@link BeepListener#findDeviceId} executado na instância padrão
+     * @param {Parameters<BeepListener["findDeviceId"]>} args
+     * @returns {ReturnType<BeepListener["findDeviceId"]>}
+     */
+    static findDeviceId(...args) { return this.defaultInstance.findDeviceId(...args) }
+
+    /**
+     * {@link BeepListener#findDevice} executado na instância padrão
+     * @param {Parameters<BeepListener["findDevice"]>} args
+     * @returns {ReturnType<BeepListener["findDevice"]>}
+     */
+    static findDevice(...args) { return this.defaultInstance.findDevice(...args) }
+
+    /**
+     * {@link BeepListener#C930e} executado na instância padrão
+     * @returns {ReturnType<BeepListener["C930e"]>}
+     */
+    static C930e() { return this.defaultInstance.C930e() }
+
+    /**
+     * {@link BeepListener#HS_29} executado na instância padrão
+     * @returns {ReturnType<BeepListener["HS_29"]>}
      */
-    static check(condition, params, msg) { return condition(...params) ? { success: true } : { success: false, msg } }
+    static HS_29() { return this.defaultInstance.HS_29() }
+
+    static {
+        // Os demais métodos e as propriedades (AudioContext, GainNode, lastReads, ...) também ficam disponíveis
+        // estaticamente, redirecionados para a instância padrão
+        for (const name of Object.getOwnPropertyNames(this.prototype)) {
+            if (name == "constructor" || Object.hasOwn(this, name)) { continue }
+            Object.defineProperty(this, name, { value: (...args) => this.defaultInstance[name](...args), writable: true, configurable: true })
+        }
+
+        for (const name of Object.keys(this.defaultInstance)) {
+            Object.defineProperty(this, name, {
+                get: () => this.defaultInstance[name],
+                set: value => { this.defaultInstance[name] = value },
+                configurable: true
+            })
+        }
+    }
+    //#endregion StaticAPI
+
+    static { if (typeof window != "undefined") { window.BeepListener = this } }
+
+}
+
+// Mantém a importação `import { ParameterValidator } from "./beep-listener.js"`
+export { ParameterValidator }
+
+/**
+ * Cria um AbortController que também é abortado junto com o `signal` do usuário, permitindo encerrar os loops e timers
+ * internos ao final de uma operação sem afetar o controller de quem a chamou
+ * @param {AbortSignal} [signal]
+ * @returns {AbortController}
+ */
+function linkedController(signal) {
+    const controller = new AbortController()
+    if (!signal) { return controller }
+    if (signal.aborted) { controller.abort(signal.reason); return controller }
+
+    const onAbort = () => controller.abort(signal.reason)
+    signal.addEventListener("abort", onAbort, { once: true })
+    controller.signal.addEventListener("abort", () => signal.removeEventListener("abort", onAbort), { once: true })
+
+    return controller
+}
+
+/**
+ * Resultado retornado quando a operação é cancelada pelo `signal`, ou interrompida pela desconexão do microfone
+ * @param {AbortSignal} [signal]
+ * @returns {{ success: false, aborted: true, code: string, msg: string } | { success: false, deviceLost: true, code: string, msg: string }}
+ */
+function abortedResult(signal) {
+    if (signal?.reason?.deviceLost) { return { success: false, deviceLost: true, code: signal.reason.code, msg: signal.reason.msg } }
+    return { success: false, aborted: true, ...Messages.get("OPERATION_ABORTED") }
 }
-//#endregion ParameterValidation
\ No newline at end of file
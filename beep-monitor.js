@@ -0,0 +1,174 @@
+import BeepAnalyzer from "./beep-analyzer.js"
+import { round } from "./statistics.js"
+
+/**
+ * Monitoramento contínuo do BeepListener, para racks de burn-in e testes de longa duração. Mantém o áudio em execução até o
+ * `stop()` e emite eventos a cada beep, ruído ou saturação, usando os mesmos critérios de faixa e amplitude do `capture()`.
+ *
+ * Eventos (`CustomEvent`, com os dados em `detail`):
+ * - `beepstart`: beep dentro da faixa por pelo menos `debounce` milissegundos
+ * - `beepend`: beep fora da faixa por `debounce` milissegundos, com a duração e as estatísticas de frequência e amplitude
+ * - `noise`: som acima de `noiseThreshold` por `debounce` milissegundos que não atende aos critérios do beep
+ * - `clipping`: amostras acima de `clipThreshold`, indicando que o ganho deve ser reduzido
+ * - `devicelost`: o microfone foi desconectado e o monitoramento foi encerrado
+ *
+ * Cada ruído e cada saturação geram um único evento, até que o sinal volte ao normal.
+ * @example
+ * const monitor = await BeepListener.startMonitoring({ minFreq: 2950, maxFreq: 3050 })
+ * monitor.addEventListener("beepend", event => console.log(event.detail.duration))
+ * // ...
+ * await monitor.stop()
+ */
+export default class BeepMonitor extends EventTarget {
+
+    /**
+     * @typedef {import("./beep-listener.js").captureOptions & {
+     *     noiseThreshold?: number,
+     *     clipThreshold?: number,
+     *     signal?: AbortSignal
+     * }} monitorOptions `noiseThreshold` é o nível RMS em dBFS a partir do qual um som fora dos critérios gera o evento `noise`
+     * e `clipThreshold` o valor absoluto de amostra, entre 0 e 1, que gera o evento `clipping`
+     *
+     * @typedef {{
+     *     onset: number,
+     *     offset: number,
+     *     duration: number,
+     *     frequencia: { min: number, max: number, media: number },
+     *     amplitude: { min: number, max: number, media: number }
+     * }} monitorBeep Beep detectado, com tempos em milissegundos do relógio do áudio
+     */
+
+    /**
+     * @param {import("./beep-listener.js").default} listener instância já inicializada
+     * @param {monitorOptions} monitorOptions opções com os valores padrão aplicados
+     */
+    constructor(listener, monitorOptions) {
+        super()
+        this.listener = listener
+        this.monitorOptions = monitorOptions
+        this.running = false
+
+        /** @type {Promise<void> | undefined} */
+        this.loop = undefined
+        this.controller = new AbortController()
+    }
+
+    /** Duração de um quadro de análise, em milissegundos */
+    get frameDuration() { return this.listener.Analyser.fftSize / this.listener.AudioContext.sampleRate * 1000 }
+
+    /** Inicia o monitoramento */
+    async start() {
+        const signal = this.monitorOptions.signal
+        signal?.addEventListener("abort", () => {
+            if (signal.reason?.deviceLost) { this.emit("devicelost", { msg: signal.reason.msg }) }
+            this.stop()
+        }, { once: true })
+
+        this.running = true
+        await this.listener.resume()
+        this.loop = this.monitor()
+    }
+
+    /**
+     * Encerra o monitoramento e suspende o áudio. Um beep em andamento gera o `beepend` com os valores medidos até então.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.running = false
+        this.controller.abort()
+        await this.loop
+    }
+
+    /** Loop de leitura, executado até o `stop()` ou o fim da fonte offline */
+    async monitor() {
+        const options = this.monitorOptions
+        const listener = this.listener
+
+        /** @type {{ first: number, last: number, started: boolean, frequencia: number[], amplitude: number[] } | undefined} */
+        let beep
+        /** @type {{ first: number, last: number, reported: boolean } | undefined} */
+        let noise
+        let clipping = false
+
+        while (this.running && listener.isRunning()) {
+            const now = listener.AudioContext.currentTime * 1000
+            const sample = listener.freqSample()
+            const pitch = listener.detectPitch(sample)
+            const amplitude = listener.findAmplitude(pitch.frequency, sample.frequencyDomain)
+            const signal = BeepAnalyzer.signalLevel(sample.timeDomain)
+
+            if (signal.peak >= options.clipThreshold) {
+                if (!clipping) { this.emit("clipping", { time: round(now), peak: round(signal.peak) }) }
+                clipping = true
+            } else { clipping = false }
+
+            if (pitch.confidence >= listener.minConfidence && BeepAnalyzer.isTriggerSample(pitch.frequency, amplitude, options)) {
+                if (!beep || now - beep.last >= options.debounce) {
+                    beep = { first: now, last: now, started: false, frequencia: [], amplitude: [] }
+                }
+                beep.last = now
+                beep.frequencia.push(pitch.frequency)
+                beep.amplitude.push(amplitude)
+
+                if (!beep.started && now - beep.first >= options.debounce) {
+                    beep.started = true
+                    this.emit("beepstart", { onset: round(beep.first), frequency: round(pitch.frequency), amplitude: round(amplitude) })
+                }
+                noise = undefined
+            } else {
+                if (beep && now - beep.last >= options.debounce) {
+                    if (beep.started) { this.emit("beepend", this.beepStats(beep)) }
+                    beep = undefined
+                }
+
+                if (signal.level >= options.noiseThreshold && !beep) {
+                    if (!noise || now - noise.last >= options.debounce) { noise = { first: now, last: now, reported: false } }
+                    noise.last = now
+
+                    if (!noise.reported && now - noise.first >= options.debounce) {
+                        noise.reported = true
+                        this.emit("noise", { time: round(noise.first), frequency: round(pitch.frequency), amplitude: round(amplitude), level: round(signal.level) })
+                    }
+                }
+            }
+
+            await listener.delay(0, this.controller.signal)
+        }
+
+        if (beep?.started) { this.emit("beepend", this.beepStats(beep)) }
+
+        this.running = false
+        await listener.suspend()
+    }
+
+    /**
+     * @param {{ first: number, last: number, frequencia: number[], amplitude: number[] }} beep
+     * @returns {monitorBeep}
+     */
+    beepStats(beep) {
+        const media = BeepAnalyzer.calculateMedia([...beep.frequencia], [...beep.amplitude])
+        const offset = Math.max(beep.first, beep.last - this.frameDuration)
+
+        return {
+            onset: round(beep.first),
+            offset: round(offset),
+            duration: round(offset - beep.first),
+            frequencia: {
+                min: round(Math.min(...beep.frequencia)),
+                max: round(Math.max(...beep.frequencia)),
+                media: round(media.frequencia)
+            },
+            amplitude: {
+                min: round(Math.min(...beep.amplitude)),
+                max: round(Math.max(...beep.amplitude)),
+                media: round(media.amplitude)
+            }
+        }
+    }
+
+    /**
+     * @param {"beepstart" | "beepend" | "noise" | "clipping" | "devicelost"} type
+     * @param {object} detail
+     */
+    emit(type, detail) { this.dispatchEvent(new CustomEvent(type, { detail })) }
+}
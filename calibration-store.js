@@ -0,0 +1,295 @@
+import Messages from "./messages.js"
+
+/**
+ * Armazenamento persistente das calibrações do microfone, identificadas pelo dispositivo, pela taxa de amostragem e,
+ * opcionalmente, pela estação. No navegador usa o localStorage (ou o IndexedDB, se preferido) e no Node.js um arquivo JSON.
+ *
+ * Cada calibração guarda o ganho, a amplitude de referência medida com ele, a data e a validade. Uma calibração de outro
+ * microfone, mesmo que do mesmo modelo, ou vencida não é reaproveitada.
+ * @example
+ * const init = await BeepListener.init({ deviceId: await BeepListener.C930e(), applyCalibration: true, station: "linha-3" })
+ * if (init.recalibrationNeeded) {
+ *     await BeepListener.calibrateMic({ saveCalibration: true })
+ * }
+ */
+export default class CalibrationStore {
+
+    /**
+     * @typedef {{
+     *     key: string,
+     *     device: { label: string, deviceId?: string },
+     *     station?: string,
+     *     sampleRate: number,
+     *     gain: number,
+     *     referenceAmplitude: number,
+     *     minFreq?: number,
+     *     maxFreq?: number,
+     *     curve?: gainPoint[],
+     *     referenceTone?: referenceTone,
+     *     calibratedAt: string,
+     *     expiresAt: string
+     * }} calibration Calibração salva. `calibratedAt` e `expiresAt` são datas ISO; `referenceTone` é informado quando a
+     * calibração foi feita com o tom de referência no lugar do buzzer
+     *
+     * @typedef {{ gain: number, amplitude: number }} gainPoint Amplitude em dB medida com o ganho
+     *
+     * @typedef {{ frequency: number, level: number, output: "speaker" | "loopback" }} referenceTone Tom de referência da
+     * calibração: frequência em Hz e pico em dBFS
+     *
+     * @typedef {{
+     *     get(key: string): Promise<calibration | undefined>,
+     *     set(key: string, value: calibration): Promise<void>,
+     *     delete(key: string): Promise<void>,
+     *     values(): Promise<calibration[]>
+     * }} calibrationBackend Meio onde as calibrações são gravadas
+     */
+
+    /** Validade padrão de uma calibração, em milissegundos (7 dias) */
+    static defaultValidity = 7 * 24 * 60 * 60 * 1000
+
+    /**
+     * Armazenamento usado por padrão pelas instâncias do BeepListener, criado ao final do módulo, após os backends
+     * @type CalibrationStore
+     */
+    static defaultStore
+
+    /**
+     * @param {calibrationBackend} [backend] por padrão o localStorage no navegador e o arquivo `beep-listener-calibration.json` no Node.js
+     */
+    constructor(backend = typeof localStorage != "undefined" ? new LocalStorageBackend() : new JsonFileBackend()) {
+        this.backend = backend
+    }
+
+    /**
+     * Chave de uma calibração
+     * @param {{ label: string, deviceId?: string }} device
+     * @param {number} sampleRate
+     * @param {string} [station]
+     * @returns {string}
+     */
+    static key(device, sampleRate, station) {
+        const deviceKey = device.deviceId ? `${device.label} (${device.deviceId})` : device.label
+        return `${station ? `${station}/` : ""}${deviceKey}@${sampleRate}`
+    }
+
+    /**
+     * Salva a calibração do dispositivo
+     * @param {{ label: string, deviceId?: string }} device
+     * @param {number} sampleRate
+     * @param {{ gain: number, referenceAmplitude: number, minFreq?: number, maxFreq?: number, curve?: gainPoint[], referenceTone?: referenceTone }} values
+     * @param {{ station?: string, validity?: number }} [saveOptions] `validity` em milissegundos
+     * @returns {Promise<calibration>}
+     */
+    async save(device, sampleRate, values, saveOptions = {}) {
+        const now = Date.now()
+        const key = CalibrationStore.key(device, sampleRate, saveOptions.station)
+
+        /** @type {calibration} */
+        const calibration = {
+            key,
+            device: { label: device.label, deviceId: device.deviceId },
+            station: saveOptions.station,
+            sampleRate,
+            ...values,
+            calibratedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + (saveOptions.validity ?? CalibrationStore.defaultValidity)).toISOString()
+        }
+
+        await this.backend.set(key, calibration)
+        return calibration
+    }
+
+    /**
+     * Busca a calibração válida do dispositivo. Um erro do backend, como um arquivo corrompido, é retornado como
+     * `CALIBRATION_STORE_FAILED`
+     * @param {{ label: string, deviceId?: string }} device
+     * @param {number} sampleRate
+     * @param {string} [station]
+     * @returns {Promise<{ success: boolean, code: string, msg: string, calibration?: calibration, expired?: boolean }>}
+     */
+    async load(device, sampleRate, station) {
+        const key = CalibrationStore.key(device, sampleRate, station)
+
+        /** @type {calibration | undefined} */
+        let calibration
+        try {
+            calibration = await this.backend.get(key)
+        } catch (error) {
+            return { success: false, ...Messages.get("CALIBRATION_STORE_FAILED", { key, error: error?.message ?? error }) }
+        }
+
+        if (!calibration) { return { success: false, ...Messages.get("CALIBRATION_NOT_FOUND", { key }) } }
+
+        if (Date.parse(calibration.expiresAt) <= Date.now()) {
+            return { success: false, ...Messages.get("CALIBRATION_EXPIRED", { key, expiresAt: calibration.expiresAt }), calibration, expired: true }
+        }
+
+        return { success: true, ...Messages.get("CALIBRATION_APPLIED", { calibratedAt: calibration.calibratedAt }), calibration }
+    }
+
+    /**
+     * Estima o ganho que leva o sinal calibrado à amplitude desejada, a partir do ponto da curva ganho × amplitude mais próximo.
+     * Como a amplitude é medida em dB, cada fator de ganho soma `20 * log10(fator)` dB.
+     * @param {calibration} calibration
+     * @param {number} amplitude amplitude desejada, em dB
+     * @returns {number}
+     */
+    static gainFor(calibration, amplitude) {
+        const points = calibration.curve?.length ? calibration.curve : [{ gain: calibration.gain, amplitude: calibration.referenceAmplitude }]
+        const nearest = points.reduce((best, point) => Math.abs(point.amplitude - amplitude) < Math.abs(best.amplitude - amplitude) ? point : best)
+        return nearest.gain * 10 ** ((amplitude - nearest.amplitude) / 20)
+    }
+
+    /**
+     * Remove a calibração do dispositivo
+     * @param {{ label: string, deviceId?: string }} device
+     * @param {number} sampleRate
+     * @param {string} [station]
+     */
+    async remove(device, sampleRate, station) { await this.backend.delete(CalibrationStore.key(device, sampleRate, station)) }
+
+    /**
+     * Lista todas as calibrações salvas, inclusive as vencidas
+     * @returns {Promise<calibration[]>}
+     */
+    async list() { return await this.backend.values() }
+}
+
+/**
+ * Calibrações no [localStorage](https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage), em uma única entrada JSON
+ * @implements {calibrationBackend}
+ */
+export class LocalStorageBackend {
+
+    /**
+     * @param {string} [storageKey] entrada do localStorage
+     */
+    constructor(storageKey = "beep-listener-calibration") { this.storageKey = storageKey }
+
+    /** @returns {{ [key: string]: import("./calibration-store.js").calibration }} */
+    read() { return JSON.parse(localStorage.getItem(this.storageKey) ?? "{}") }
+
+    /** @param {string} key */
+    async get(key) { return this.read()[key] }
+
+    /**
+     * @param {string} key
+     * @param {import("./calibration-store.js").calibration} value
+     */
+    async set(key, value) { localStorage.setItem(this.storageKey, JSON.stringify({ ...this.read(), [key]: value })) }
+
+    /** @param {string} key */
+    async delete(key) {
+        const calibrations = this.read()
+        delete calibrations[key]
+        localStorage.setItem(this.storageKey, JSON.stringify(calibrations))
+    }
+
+    async values() { return Object.values(this.read()) }
+}
+
+/**
+ * Calibrações no [IndexedDB](https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API)
+ * @implements {calibrationBackend}
+ */
+export class IndexedDBBackend {
+
+    /**
+     * @param {string} [databaseName]
+     */
+    constructor(databaseName = "beep-listener") {
+        this.databaseName = databaseName
+        this.storeName = "calibration"
+        /** @type {Promise<IDBDatabase> | undefined} */
+        this.database = undefined
+    }
+
+    /** @returns {Promise<IDBDatabase>} */
+    open() {
+        this.database ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1)
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName)
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+        return this.database
+    }
+
+    /**
+     * Executa uma operação no object store
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} operation
+     * @returns {Promise<any>}
+     */
+    async request(mode, operation) {
+        const database = await this.open()
+        return await new Promise((resolve, reject) => {
+            const request = operation(database.transaction(this.storeName, mode).objectStore(this.storeName))
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+    }
+
+    /** @param {string} key */
+    async get(key) { return await this.request("readonly", store => store.get(key)) }
+
+    /**
+     * @param {string} key
+     * @param {import("./calibration-store.js").calibration} value
+     */
+    async set(key, value) { await this.request("readwrite", store => store.put(value, key)) }
+
+    /** @param {string} key */
+    async delete(key) { await this.request("readwrite", store => store.delete(key)) }
+
+    async values() { return await this.request("readonly", store => store.getAll()) }
+}
+
+/**
+ * Calibrações em um arquivo JSON, para uso no Node.js
+ * @implements {calibrationBackend}
+ */
+export class JsonFileBackend {
+
+    /**
+     * @param {string} [path] caminho do arquivo
+     */
+    constructor(path = "beep-listener-calibration.json") { this.path = path }
+
+    /** @returns {Promise<{ [key: string]: import("./calibration-store.js").calibration }>} */
+    async read() {
+        const { readFile } = await import("node:fs/promises")
+        return await readFile(this.path, "utf-8")
+            .then(content => JSON.parse(content))
+            .catch(error => {
+                if (error.code == "ENOENT") { return {} }
+                throw error
+            })
+    }
+
+    /** @param {{ [key: string]: import("./calibration-store.js").calibration }} calibrations */
+    async write(calibrations) {
+        const { writeFile } = await import("node:fs/promises")
+        await writeFile(this.path, JSON.stringify(calibrations, null, 2))
+    }
+
+    /** @param {string} key */
+    async get(key) { return (await this.read())[key] }
+
+    /**
+     * @param {string} key
+     * @param {import("./calibration-store.js").calibration} value
+     */
+    async set(key, value) { await this.write({ ...await this.read(), [key]: value }) }
+
+    /** @param {string} key */
+    async delete(key) {
+        const calibrations = await this.read()
+        delete calibrations[key]
+        await this.write(calibrations)
+    }
+
+    async values() { return Object.values(await this.read()) }
+}
+
+CalibrationStore.defaultStore = new CalibrationStore()
@@ -0,0 +1,146 @@
+import Messages from "./messages.js"
+
+/**
+ * Registro dos modelos de microfone suportados pelo BeepListener. Cada modelo define como o microfone é encontrado na lista do
+ * [enumerateDevices()](https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/enumerateDevices) e os valores
+ * recomendados para o `init()`, permitindo adicionar um microfone sem uma nova versão da biblioteca.
+ * @example
+ * BeepListener.deviceRegistry.register({ name: "ME-2", labelPatterns: ["USB PnP Sound"], sampleRate: 44100, gain: 2 })
+ * const init = await BeepListener.init({ deviceModel: "ME-2" })
+ */
+export default class DeviceRegistry {
+
+    /**
+     * @typedef {{
+     *     name: string,
+     *     labelPatterns: (string | RegExp)[],
+     *     excludedIds?: string[],
+     *     sampleRate?: number,
+     *     gain?: number,
+     *     description?: string
+     * }} deviceModel Modelo de microfone. O dispositivo é do modelo quando o nome contém um dos `labelPatterns` (texto ou
+     * expressão regular) e o `deviceId` não contém nenhum dos `excludedIds`, que por padrão descartam as entradas duplicadas
+     * `communications` e `default` do Windows. `sampleRate` e `gain` são os valores recomendados para o `init()`
+     */
+
+    /** IDs descartados quando o modelo não informa `excludedIds` */
+    static defaultExcludedIds = ["communications", "default"]
+
+    /**
+     * Registro usado por padrão pelas instâncias do BeepListener, com os microfones homologados
+     * @type DeviceRegistry
+     */
+    static defaultRegistry = new DeviceRegistry()
+
+    static {
+        this.defaultRegistry.register({
+            name: "C930e",
+            labelPatterns: ["C930e"],
+            description: "Webcam Logitech C930e ![Image](https://i.imgur.com/9YnqdVk.png)"
+        })
+        this.defaultRegistry.register({
+            name: "HS_29",
+            labelPatterns: ["AB13X"],
+            description: "Microfone de lapela USB HS-29 ![Image](https://i.imgur.com/DffAe6i.png)"
+        })
+    }
+
+    constructor() {
+        /** @type {Map<string, deviceModel>} */
+        this.models = new Map()
+    }
+
+    /**
+     * Verifica se o modelo é válido
+     * @param {any} model
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    static validate(model) {
+        if (typeof model != "object" || model == null || Array.isArray(model)) { return { success: false, ...Messages.get("DEVICE_MODEL_NOT_OBJECT") } }
+        if (typeof model.name != "string" || model.name.length == 0) { return { success: false, ...Messages.get("DEVICE_MODEL_INVALID_NAME") } }
+
+        if (!Array.isArray(model.labelPatterns) || model.labelPatterns.length == 0 || !model.labelPatterns.every(pattern => typeof pattern == "string" || pattern instanceof RegExp)) {
+            return { success: false, ...Messages.get("DEVICE_MODEL_INVALID_PATTERNS", { name: model.name }) }
+        }
+        if (model.excludedIds != undefined && (!Array.isArray(model.excludedIds) || !model.excludedIds.every(id => typeof id == "string"))) {
+            return { success: false, ...Messages.get("DEVICE_MODEL_INVALID_EXCLUDED_IDS", { name: model.name }) }
+        }
+        if (model.sampleRate != undefined && !(typeof model.sampleRate == "number" && model.sampleRate > 0)) {
+            return { success: false, ...Messages.get("DEVICE_MODEL_INVALID_SAMPLE_RATE", { name: model.name }) }
+        }
+        if (model.gain != undefined && !(typeof model.gain == "number" && model.gain >= 0)) {
+            return { success: false, ...Messages.get("DEVICE_MODEL_INVALID_GAIN", { name: model.name }) }
+        }
+
+        return { success: true }
+    }
+
+    /**
+     * Registra um modelo, substituindo o modelo de mesmo nome
+     * @param {deviceModel} model
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    register(model) {
+        const validation = DeviceRegistry.validate(model)
+        if (!validation.success) { return validation }
+
+        this.models.set(model.name, { ...model, labelPatterns: [...model.labelPatterns] })
+        return { success: true }
+    }
+
+    /**
+     * Remove um modelo
+     * @param {string} name
+     * @returns {boolean} true caso o modelo existisse
+     */
+    remove(name) { return this.models.delete(name) }
+
+    /**
+     * @param {string} name
+     * @returns {deviceModel | undefined}
+     */
+    get(name) { return this.models.get(name) }
+
+    /** Nomes dos modelos registrados */
+    list() { return [...this.models.keys()] }
+
+    /**
+     * Carrega modelos de um objeto, array, texto JSON ou URL. O JSON pode ser um modelo, um array de modelos ou `{ devices: [...] }`;
+     * no JSON, os `labelPatterns` são textos. Nenhum modelo é carregado se algum for inválido.
+     * @param {string | deviceModel | deviceModel[] | { devices: deviceModel[] }} source
+     * @returns {Promise<{ success: boolean, code?: string, msg?: string, loaded?: string[] }>}
+     */
+    async load(source) {
+        if (typeof source == "string") {
+            source = source.trim().startsWith("{") || source.trim().startsWith("[")
+                ? JSON.parse(source)
+                : await fetch(source).then(response => response.json())
+        }
+
+        const models = Array.isArray(source) ? source : source.devices ?? [source]
+
+        for (const model of models) {
+            const validation = DeviceRegistry.validate(model)
+            if (!validation.success) { return validation }
+        }
+
+        models.forEach(model => this.register(model))
+        return { success: true, loaded: models.map(model => model.name) }
+    }
+
+    /**
+     * Verifica se o dispositivo é do modelo
+     * @param {string} name
+     * @param {{ kind: string, label: string, deviceId: string }} device
+     * @returns {boolean}
+     */
+    matches(name, device) {
+        const model = this.models.get(name)
+        if (!model || device.kind != "audioinput") { return false }
+
+        const excludedIds = model.excludedIds ?? DeviceRegistry.defaultExcludedIds
+        if (excludedIds.some(id => device.deviceId.includes(id))) { return false }
+
+        return model.labelPatterns.some(pattern => typeof pattern == "string" ? device.label.includes(pattern) : pattern.test(device.label))
+    }
+}
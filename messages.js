@@ -0,0 +1,265 @@
+/**
+ * Códigos e mensagens dos resultados do BeepListener. Todo resultado com `success` traz um `code` estável, para integração
+ * com outros sistemas, e o `msg` no idioma selecionado, mantido para compatibilidade com os scripts existentes.
+ *
+ * As mensagens usam parâmetros no formato `{nome}`. Um código sem mensagem no idioma selecionado usa a mensagem em pt-BR.
+ * @example
+ * Messages.setLocale("en")
+ * const capture = await BeepListener.capture()
+ * if (capture.code == "CAPTURE_NOT_DETECTED") { console.log(capture.msg) } // No track detected at the expected frequency
+ */
+export default class Messages {
+
+    /**
+     * @typedef {{ [code: string]: string }} catalog Mensagens de um idioma, por código
+     */
+
+    /** Idioma usado quando nenhum é selecionado, e cujas mensagens completam os demais catálogos */
+    static defaultLocale = "pt-BR"
+
+    /** Idioma selecionado */
+    static locale = "pt-BR"
+
+    /** @type {{ [locale: string]: catalog }} */
+    static catalogs = {
+        "pt-BR": {
+            OPERATION_ABORTED: "Operação cancelada",
+            DEVICE_LOST: "Microfone {label} desconectado",
+
+            INIT_MIC_SUCCESS: "Inicialização do microfone concluída com sucesso",
+            INIT_MIC_FAILED: "Falha na inicialização do microfone",
+            INIT_OFFLINE_SUCCESS: "Inicialização da fonte de áudio offline concluída com sucesso",
+            INIT_OFFLINE_FAILED: "Falha na leitura da fonte de áudio offline",
+            INIT_CHANNELS_UNAVAILABLE: "A fonte de áudio fornece {available} canal(is), {channels} solicitado(s)",
+            DEVICE_MODEL_NOT_REGISTERED: "Microfone {model} não registrado no deviceRegistry",
+            DEVICE_NOT_FOUND: "Microfone {model} não encontrado",
+
+            NOISE_FLOOR_MEASURED: "Ruído ambiente medido: {level}dBFS",
+            NOISE_FLOOR_MISSING: "Ruído ambiente não medido, execute o measureNoiseFloor() antes da captura",
+
+            CAPTURE_SUCCESS: "Faixa detectada dentro dos valores esperados",
+            CAPTURE_NOT_DETECTED: "Nenhuma faixa detectada na frequência esperada",
+            CAPTURE_LOW_SNR: "Faixa detectada na frequência esperada, mas com relação sinal-ruído abaixo do mínimo: esperado {minSnr}dB, medido {snr}dB",
+            CAPTURE_AMPLITUDE_OUT_OF_RANGE: "Faixa detectada na frequência esperada, mas fora da amplitude desejada",
+            CAPTURE_THD_ABOVE_MAX: "Faixa detectada na frequência esperada, mas com distorção harmônica acima do máximo: esperado até {max}%, medido {value}%",
+            CAPTURE_HARMONIC_ABOVE_MAX: "Faixa detectada na frequência esperada, mas com harmônica acima do máximo: esperado até {max}dB da fundamental, medido {value}dB",
+            CAPTURE_FLATNESS_ABOVE_MAX: "Faixa detectada na frequência esperada, mas com espectro ruidoso: planicidade esperada até {max}dB, medida {value}dB",
+            CAPTURE_BANDWIDTH_ABOVE_MAX: "Faixa detectada na frequência esperada, mas com pico largo: esperado até {max}Hz, medido {value}Hz",
+            CAPTURE_FREQUENCY_STD_ABOVE_MAX: "Faixa detectada na frequência esperada, mas com o tom oscilando: desvio padrão esperado até {max}Hz, medido {value}Hz",
+            CAPTURE_AMPLITUDE_STD_ABOVE_MAX: "Faixa detectada na frequência esperada, mas com o volume oscilando: desvio padrão esperado até {max}dB, medido {value}dB",
+            CAPTURE_DRIFT_ABOVE_MAX: "Faixa detectada na frequência esperada, mas com o tom deslizando: drift esperado até {max}Hz/s, medido {value}Hz/s",
+            CAPTURE_RISE_TIME_ABOVE_MAX: "Faixa detectada na frequência esperada, mas com subida lenta: esperado até {max}ms, medido {value}ms",
+            CAPTURE_DECAY_TIME_ABOVE_MAX: "Faixa detectada na frequência esperada, mas perdendo a força: queda esperada até {max}ms, medida {value}ms",
+            CAPTURE_RIPPLE_ABOVE_MAX: "Faixa detectada na frequência esperada, mas com ondulação no volume: esperado até {max}dB, medido {value}dB",
+            BEEP_LATENCY_ABOVE_MAX: "Beep detectado com latência acima do máximo: esperado até {maxLatency}ms, medido {onset}ms",
+            BEEP_DURATION_BELOW_MIN: "Duração do beep abaixo do mínimo: esperado {minDuration}ms, medido {duration}ms",
+            BEEP_DURATION_ABOVE_MAX: "Duração do beep acima do máximo: esperado {maxDuration}ms, medido {duration}ms",
+
+            PATTERN_SUCCESS: "Padrão de beeps detectado dentro dos valores esperados",
+            PATTERN_COUNT_MISMATCH: "Quantidade de beeps diferente do esperado: esperado {expected}, detectado {detected}",
+            PATTERN_DURATION_MISMATCH: "Duração do beep {beep} fora do esperado: esperado {expected}ms, medido {measured}ms",
+            PATTERN_GAP_MISMATCH: "Pausa após o beep {beep} fora do esperado: esperado {expected}ms, medido {measured}ms",
+
+            CONFIG_DETECTED: "Faixa detectada na frequência esperada",
+            CONFIG_NOT_DETECTED: "Falha na detecção da faixa esperada",
+
+            CALIBRATION_SUCCESS: "Sucesso ao ajustar o ganho",
+            CALIBRATION_NO_SIGNAL: "Nenhuma faixa detectada na frequência esperada",
+            CALIBRATION_TIMEOUT: "Tempo de calibração do microfone foi excedido",
+            CALIBRATION_NOT_FOUND: "Nenhuma calibração encontrada para {key}, é necessário calibrar o microfone",
+            CALIBRATION_EXPIRED: "Calibração de {key} expirou em {expiresAt}, é necessário calibrar o microfone",
+            CALIBRATION_APPLIED: "Calibração de {calibratedAt} aplicada",
+            CALIBRATION_STORE_FAILED: "Falha ao acessar a calibração de {key}: {error}",
+
+            LEARN_SUCCESS: "Opções aprendidas a partir de {good} unidades boas e {bad} ruins",
+            LEARN_UNIT_NOT_DETECTED: "Beep da unidade boa {unit} não detectado entre {minFreq} e {maxFreq} Hz",
+            LEARN_NOT_ENOUGH_UNITS: "São necessárias pelo menos duas unidades boas para calcular o desvio padrão",
+
+            PROFILE_NOT_FOUND: "Perfil {name} não encontrado",
+            PROFILE_BASE_NOT_FOUND: "Perfil {base}, base do perfil {name}, não encontrado",
+            PROFILE_CIRCULAR: "Herança circular no perfil {name}: {chain}",
+            PROFILE_NOT_OBJECT: "Perfil deve ser um objeto",
+            PROFILE_PROPERTY_NOT_ALLOWED: "Propriedade {property} não é permitida no perfil {name}",
+            PROFILE_INVALID_NAME: "name do perfil deve ser um texto",
+            PROFILE_INVALID_VERSION: "version do perfil {name} deve ser um inteiro maior que 0",
+            PROFILE_INVALID_EXTENDS: "extends do perfil {name} deve ser um texto",
+            PROFILE_INVALID_DESCRIPTION: "description do perfil {name} deve ser um texto",
+            PROFILE_INVALID_SECTION: "{section} do perfil {name} deve ser um objeto",
+
+            DEVICE_MODEL_NOT_OBJECT: "Modelo de microfone deve ser um objeto",
+            DEVICE_MODEL_INVALID_NAME: "name do modelo de microfone deve ser um texto",
+            DEVICE_MODEL_INVALID_PATTERNS: "labelPatterns do microfone {name} deve ser um array de textos ou expressões regulares",
+            DEVICE_MODEL_INVALID_EXCLUDED_IDS: "excludedIds do microfone {name} deve ser um array de textos",
+            DEVICE_MODEL_INVALID_SAMPLE_RATE: "sampleRate do microfone {name} deve ser um número maior que 0",
+            DEVICE_MODEL_INVALID_GAIN: "gain do microfone {name} deve ser um número maior ou igual a 0",
+
+            LOCALE_NOT_AVAILABLE: "Idioma {locale} não disponível, use um dos valores: {locales}",
+
+            PARAM_UNKNOWN: "Parâmetro {parameter} não é aceito pelo {method}()",
+            PARAM_UNKNOWN_METHOD: "Não há schema de validação para o método {method}()",
+            PARAM_REQUIRED: "{parameter} é obrigatório",
+            PARAM_NOT_NUMBER: "{parameter} deve ser um número",
+            PARAM_NOT_INTEGER: "{parameter} deve ser um número inteiro",
+            PARAM_NOT_BOOLEAN: "{parameter} deve ser um booleano",
+            PARAM_NOT_STRING: "{parameter} deve ser um texto",
+            PARAM_NOT_FUNCTION: "{parameter} deve ser uma função",
+            PARAM_NOT_OBJECT: "{parameter} deve ser um objeto",
+            PARAM_NOT_ABORT_SIGNAL: "{parameter} deve ser um AbortSignal",
+            PARAM_NOT_ONE_OF: "{parameter} deve ser um dos valores: {values}",
+            PARAM_NOT_BETWEEN: "{parameter} deve estar entre {min} e {max}",
+            PARAM_NOT_GREATER_THAN: "{parameter} deve ser maior que {min}",
+            PARAM_NOT_AT_LEAST: "{parameter} deve ser maior ou igual a {min}",
+            PARAM_NOT_AT_MOST: "{parameter} deve ser menor ou igual a {max}",
+            PARAM_ABOVE_PARAMETER: "{parameter} deve ser menor ou igual a {other}",
+            PARAM_ABOVE_NYQUIST: "{parameter} deve ser menor que {nyquist} Hz, a frequência de Nyquist da taxa de amostragem de {sampleRate} Hz",
+            PARAM_BELOW_FRAME: "{parameter} deve ser maior que a duração de um quadro da FFT ({frame}ms)",
+            PARAM_FFT_SIZE: "{parameter} deve estar entre 32 e 32768 e deve ser uma potência de 2",
+            PARAM_SOURCE: "{parameter} deve ser uma URL, Blob, ArrayBuffer, AudioBuffer ou array PCM",
+            PARAM_PATTERN_FORMAT: "{parameter} deve ser um array não vazio de objetos com duration e, opcionalmente, gap, tolerance e gapTolerance numéricos",
+            PARAM_PATTERN_VALUES: "{parameter} deve ter duration maior que 0 e gap, tolerance e gapTolerance maiores ou iguais a 0",
+            PARAM_FILTERS: "{parameter} deve ser um array de { type, frequency, Q }, com type bandpass, notch, highpass ou lowpass e frequency maior que 0, opcional apenas no bandpass",
+            PARAM_CHANNEL: "{parameter} deve ser any, best ou o índice de um canal, inteiro maior ou igual a 0",
+            PARAM_CHANNEL_UNAVAILABLE: "{parameter} deve ser menor que a quantidade de canais analisados ({channels})"
+        },
+        en: {
+            OPERATION_ABORTED: "Operation cancelled",
+            DEVICE_LOST: "Microphone {label} disconnected",
+
+            INIT_MIC_SUCCESS: "Microphone initialized successfully",
+            INIT_MIC_FAILED: "Microphone initialization failed",
+            INIT_OFFLINE_SUCCESS: "Offline audio source initialized successfully",
+            INIT_OFFLINE_FAILED: "Failed to read the offline audio source",
+            INIT_CHANNELS_UNAVAILABLE: "The audio source provides {available} channel(s), {channels} requested",
+            DEVICE_MODEL_NOT_REGISTERED: "Microphone {model} is not registered in the deviceRegistry",
+            DEVICE_NOT_FOUND: "Microphone {model} not found",
+
+            NOISE_FLOOR_MEASURED: "Noise floor measured: {level}dBFS",
+            NOISE_FLOOR_MISSING: "Noise floor not measured, run measureNoiseFloor() before the capture",
+
+            CAPTURE_SUCCESS: "Track detected within the expected values",
+            CAPTURE_NOT_DETECTED: "No track detected at the expected frequency",
+            CAPTURE_LOW_SNR: "Track detected at the expected frequency, but with a signal-to-noise ratio below the minimum: expected {minSnr}dB, measured {snr}dB",
+            CAPTURE_AMPLITUDE_OUT_OF_RANGE: "Track detected at the expected frequency, but outside the expected amplitude",
+            CAPTURE_THD_ABOVE_MAX: "Track detected at the expected frequency, but with harmonic distortion above the maximum: expected up to {max}%, measured {value}%",
+            CAPTURE_HARMONIC_ABOVE_MAX: "Track detected at the expected frequency, but with a harmonic above the maximum: expected up to {max}dB from the fundamental, measured {value}dB",
+            CAPTURE_FLATNESS_ABOVE_MAX: "Track detected at the expected frequency, but with a noisy spectrum: flatness expected up to {max}dB, measured {value}dB",
+            CAPTURE_BANDWIDTH_ABOVE_MAX: "Track detected at the expected frequency, but with a wide peak: expected up to {max}Hz, measured {value}Hz",
+            CAPTURE_FREQUENCY_STD_ABOVE_MAX: "Track detected at the expected frequency, but with a wobbling tone: standard deviation expected up to {max}Hz, measured {value}Hz",
+            CAPTURE_AMPLITUDE_STD_ABOVE_MAX: "Track detected at the expected frequency, but with a wobbling volume: standard deviation expected up to {max}dB, measured {value}dB",
+            CAPTURE_DRIFT_ABOVE_MAX: "Track detected at the expected frequency, but with a drifting tone: drift expected up to {max}Hz/s, measured {value}Hz/s",
+            CAPTURE_RISE_TIME_ABOVE_MAX: "Track detected at the expected frequency, but with a slow rise: expected up to {max}ms, measured {value}ms",
+            CAPTURE_DECAY_TIME_ABOVE_MAX: "Track detected at the expected frequency, but losing strength: decay expected up to {max}ms, measured {value}ms",
+            CAPTURE_RIPPLE_ABOVE_MAX: "Track detected at the expected frequency, but with ripple in the volume: expected up to {max}dB, measured {value}dB",
+            BEEP_LATENCY_ABOVE_MAX: "Beep detected with latency above the maximum: expected up to {maxLatency}ms, measured {onset}ms",
+            BEEP_DURATION_BELOW_MIN: "Beep duration below the minimum: expected {minDuration}ms, measured {duration}ms",
+            BEEP_DURATION_ABOVE_MAX: "Beep duration above the maximum: expected {maxDuration}ms, measured {duration}ms",
+
+            PATTERN_SUCCESS: "Beep pattern detected within the expected values",
+            PATTERN_COUNT_MISMATCH: "Unexpected number of beeps: expected {expected}, detected {detected}",
+            PATTERN_DURATION_MISMATCH: "Duration of beep {beep} out of range: expected {expected}ms, measured {measured}ms",
+            PATTERN_GAP_MISMATCH: "Gap after beep {beep} out of range: expected {expected}ms, measured {measured}ms",
+
+            CONFIG_DETECTED: "Track detected at the expected frequency",
+            CONFIG_NOT_DETECTED: "Failed to detect the expected track",
+
+            CALIBRATION_SUCCESS: "Gain adjusted successfully",
+            CALIBRATION_NO_SIGNAL: "No track detected at the expected frequency",
+            CALIBRATION_TIMEOUT: "Microphone calibration timed out",
+            CALIBRATION_NOT_FOUND: "No calibration found for {key}, the microphone must be calibrated",
+            CALIBRATION_EXPIRED: "Calibration of {key} expired at {expiresAt}, the microphone must be calibrated",
+            CALIBRATION_APPLIED: "Calibration from {calibratedAt} applied",
+            CALIBRATION_STORE_FAILED: "Failed to access the calibration of {key}: {error}",
+
+            LEARN_SUCCESS: "Options learned from {good} good units and {bad} bad units",
+            LEARN_UNIT_NOT_DETECTED: "Beep of good unit {unit} not detected between {minFreq} and {maxFreq} Hz",
+            LEARN_NOT_ENOUGH_UNITS: "At least two good units are required to compute the standard deviation",
+
+            PROFILE_NOT_FOUND: "Profile {name} not found",
+            PROFILE_BASE_NOT_FOUND: "Profile {base}, base of profile {name}, not found",
+            PROFILE_CIRCULAR: "Circular inheritance in profile {name}: {chain}",
+            PROFILE_NOT_OBJECT: "Profile must be an object",
+            PROFILE_PROPERTY_NOT_ALLOWED: "Property {property} is not allowed in profile {name}",
+            PROFILE_INVALID_NAME: "Profile name must be a string",
+            PROFILE_INVALID_VERSION: "version of profile {name} must be an integer greater than 0",
+            PROFILE_INVALID_EXTENDS: "extends of profile {name} must be a string",
+            PROFILE_INVALID_DESCRIPTION: "description of profile {name} must be a string",
+            PROFILE_INVALID_SECTION: "{section} of profile {name} must be an object",
+
+            DEVICE_MODEL_NOT_OBJECT: "Microphone model must be an object",
+            DEVICE_MODEL_INVALID_NAME: "Microphone model name must be a string",
+            DEVICE_MODEL_INVALID_PATTERNS: "labelPatterns of microphone {name} must be an array of strings or regular expressions",
+            DEVICE_MODEL_INVALID_EXCLUDED_IDS: "excludedIds of microphone {name} must be an array of strings",
+            DEVICE_MODEL_INVALID_SAMPLE_RATE: "sampleRate of microphone {name} must be a number greater than 0",
+            DEVICE_MODEL_INVALID_GAIN: "gain of microphone {name} must be a number greater than or equal to 0",
+
+            LOCALE_NOT_AVAILABLE: "Locale {locale} is not available, use one of: {locales}",
+
+            PARAM_UNKNOWN: "Parameter {parameter} is not accepted by {method}()",
+            PARAM_UNKNOWN_METHOD: "There is no validation schema for method {method}()",
+            PARAM_REQUIRED: "{parameter} is required",
+            PARAM_NOT_NUMBER: "{parameter} must be a number",
+            PARAM_NOT_INTEGER: "{parameter} must be an integer",
+            PARAM_NOT_BOOLEAN: "{parameter} must be a boolean",
+            PARAM_NOT_STRING: "{parameter} must be a string",
+            PARAM_NOT_FUNCTION: "{parameter} must be a function",
+            PARAM_NOT_OBJECT: "{parameter} must be an object",
+            PARAM_NOT_ABORT_SIGNAL: "{parameter} must be an AbortSignal",
+            PARAM_NOT_ONE_OF: "{parameter} must be one of: {values}",
+            PARAM_NOT_BETWEEN: "{parameter} must be between {min} and {max}",
+            PARAM_NOT_GREATER_THAN: "{parameter} must be greater than {min}",
+            PARAM_NOT_AT_LEAST: "{parameter} must be greater than or equal to {min}",
+            PARAM_NOT_AT_MOST: "{parameter} must be less than or equal to {max}",
+            PARAM_ABOVE_PARAMETER: "{parameter} must be less than or equal to {other}",
+            PARAM_ABOVE_NYQUIST: "{parameter} must be less than {nyquist} Hz, the Nyquist frequency of the {sampleRate} Hz sample rate",
+            PARAM_BELOW_FRAME: "{parameter} must be greater than the duration of one FFT frame ({frame}ms)",
+            PARAM_FFT_SIZE: "{parameter} must be between 32 and 32768 and a power of 2",
+            PARAM_SOURCE: "{parameter} must be a URL, Blob, ArrayBuffer, AudioBuffer or PCM array",
+            PARAM_PATTERN_FORMAT: "{parameter} must be a non-empty array of objects with duration and, optionally, numeric gap, tolerance and gapTolerance",
+            PARAM_PATTERN_VALUES: "{parameter} must have duration greater than 0 and gap, tolerance and gapTolerance greater than or equal to 0",
+            PARAM_FILTERS: "{parameter} must be an array of { type, frequency, Q }, with type bandpass, notch, highpass or lowpass and frequency greater than 0, optional only for bandpass",
+            PARAM_CHANNEL: "{parameter} must be any, best or a channel index, an integer greater than or equal to 0",
+            PARAM_CHANNEL_UNAVAILABLE: "{parameter} must be less than the number of analysed channels ({channels})"
+        }
+    }
+
+    /**
+     * Seleciona o idioma das mensagens
+     * @param {string} locale um dos idiomas de `catalogs`, como `pt-BR` ou `en`
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    static setLocale(locale) {
+        if (!(locale in this.catalogs)) {
+            return { success: false, ...this.get("LOCALE_NOT_AVAILABLE", { locale, locales: Object.keys(this.catalogs).join(", ") }) }
+        }
+        this.locale = locale
+        return { success: true }
+    }
+
+    /**
+     * Adiciona um idioma, ou substitui mensagens de um idioma existente
+     * @param {string} locale
+     * @param {catalog} catalog
+     */
+    static register(locale, catalog) { this.catalogs[locale] = { ...this.catalogs[locale], ...catalog } }
+
+    /**
+     * Mensagem do código no idioma selecionado, com os parâmetros aplicados
+     * @param {string} code
+     * @param {{ [name: string]: any }} [params]
+     * @returns {string}
+     */
+    static text(code, params = {}) {
+        const template = this.catalogs[this.locale]?.[code] ?? this.catalogs[this.defaultLocale][code] ?? code
+        return template.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match)
+    }
+
+    /**
+     * Código e mensagem para compor um resultado
+     * @param {string} code
+     * @param {{ [name: string]: any }} [params]
+     * @returns {{ code: string, msg: string }}
+     * @example
+     * return { success: false, ...Messages.get("CAPTURE_NOT_DETECTED") }
+     */
+    static get(code, params) { return { code, msg: this.text(code, params) } }
+}
@@ -0,0 +1,189 @@
+/**
+ * Fonte de áudio offline do BeepListener. Reproduz um arquivo WAV, um AudioBuffer ou um array PCM
+ * através de um [OfflineAudioContext](https://developer.mozilla.org/en-US/docs/Web/API/OfflineAudioContext),
+ * avançando o áudio sob demanda para que a captura rode mais rápido que o tempo real.
+ *
+ * O tempo é virtual: cada `wait()` avança a renderização até o prazo solicitado (no mínimo um render quantum),
+ * então as leituras do AnalyserNode acontecem nos mesmos instantes do áudio, independente da carga da CPU.
+ * @example
+ * const init = await BeepListener.init({ source: arquivoWav })
+ */
+export default class OfflineSource {
+
+    /**
+     * Quantidade de amostras processadas pelo Web Audio em cada bloco de renderização
+     */
+    static renderQuantum = 128
+
+    /**
+     * @param {AudioBuffer} audioBuffer áudio que será reproduzido
+     * @param {number} sampleRate taxa de amostragem do OfflineAudioContext
+     */
+    constructor(audioBuffer, sampleRate) {
+        /**
+         * Instância do OfflineAudioContext que renderiza o áudio
+         * @type OfflineAudioContext
+         */
+        this.AudioContext = new OfflineAudioContext({ numberOfChannels: 1, length: Math.ceil(audioBuffer.duration * sampleRate), sampleRate })
+
+        /**
+         * Nó que reproduz o áudio no OfflineAudioContext
+         * @type AudioBufferSourceNode
+         */
+        this.AudioSourceNode = this.AudioContext.createBufferSource()
+        this.AudioSourceNode.buffer = audioBuffer
+        this.AudioSourceNode.start(0)
+
+        /** Indica se o áudio deve avançar quando houver timers pendentes */
+        this.running = false
+        /** Indica se todo o áudio já foi renderizado */
+        this.ended = false
+
+        /** @type {{ deadline: number, resolve: function(): void }[]} */
+        this.timers = []
+        this.pumping = false
+        this.started = false
+    }
+
+    /** Duração do áudio, em segundos */
+    get duration() { return this.AudioContext.length / this.AudioContext.sampleRate }
+
+    /** Tempo atual do áudio renderizado, em segundos */
+    get currentTime() { return this.AudioContext.currentTime }
+
+    /**
+     * Converte a fonte passada no `init()` em um AudioBuffer
+     * @param {string | Blob | ArrayBuffer | AudioBuffer | Float32Array | number[] | Float32Array[]} source URL ou arquivo WAV,
+     * AudioBuffer, array PCM ou um array PCM por canal
+     * @param {number} sampleRate taxa de amostragem assumida para arrays PCM
+     * @returns {Promise<AudioBuffer>}
+     */
+    static async toAudioBuffer(source, sampleRate) {
+        if (source instanceof AudioBuffer) { return source }
+
+        if (Array.isArray(source) && source.length > 0 && typeof source[0] != "number") {
+            const audioBuffer = new AudioBuffer({ length: Math.max(...source.map(channel => channel.length)), numberOfChannels: source.length, sampleRate })
+            source.forEach((channel, index) => audioBuffer.copyToChannel(Float32Array.from(channel), index))
+            return audioBuffer
+        }
+
+        if (Array.isArray(source) || source instanceof Float32Array) {
+            const audioBuffer = new AudioBuffer({ length: source.length, numberOfChannels: 1, sampleRate })
+            audioBuffer.copyToChannel(Float32Array.from(source), 0)
+            return audioBuffer
+        }
+
+        if (typeof source == "string") { source = await fetch(source).then(response => response.arrayBuffer()) }
+        if (source instanceof Blob) { source = await source.arrayBuffer() }
+
+        // decodeAudioData reamostra o arquivo para a taxa de amostragem do contexto
+        return await new OfflineAudioContext({ numberOfChannels: 1, length: 1, sampleRate }).decodeAudioData(source)
+    }
+
+    /** Libera o avanço do áudio */
+    resume() {
+        if (this.ended) { return }
+        this.running = true
+        this.pump()
+    }
+
+    /** Pausa o avanço do áudio, os timers pendentes aguardam o próximo `resume()` */
+    suspend() { this.running = false }
+
+    /**
+     * Equivalente ao `setTimeout`, porém medido no tempo do áudio
+     * @param {number} timeout tempo em milissegundos
+     * @param {AbortSignal} [signal] ao ser abortado, o timer é removido e a promise resolvida imediatamente
+     * @returns {Promise<void>}
+     */
+    wait(timeout, signal) {
+        return new Promise(resolve => {
+            if (this.ended || signal?.aborted) { return resolve() }
+
+            const onAbort = () => {
+                this.timers = this.timers.filter(pending => pending != timer)
+                resolve()
+            }
+            const timer = { deadline: this.currentTime + timeout / 1000, resolve: () => { signal?.removeEventListener("abort", onAbort); resolve() } }
+
+            this.timers.push(timer)
+            signal?.addEventListener("abort", onAbort, { once: true })
+
+            this.pump()
+        })
+    }
+
+    /**
+     * Renderiza o áudio até o próximo timer pendente, liberando os timers vencidos a cada passo
+     */
+    async pump() {
+        if (this.pumping) { return }
+        this.pumping = true
+
+        while (this.running && this.timers.length > 0) {
+            // Permite que o código liberado no passo anterior registre seus próximos timers
+            await nextTask()
+            if (!this.running) { break }
+
+            this.timers.sort((a, b) => a.deadline - b.deadline)
+            const quantum = OfflineSource.renderQuantum / this.AudioContext.sampleRate
+            const target = this.quantize(Math.max(this.timers[0].deadline, this.currentTime + quantum))
+
+            if (target >= this.duration) { this.end(); break }
+
+            await this.renderUntil(target)
+
+            const expired = this.timers.filter(timer => timer.deadline <= this.currentTime)
+            this.timers = this.timers.filter(timer => timer.deadline > this.currentTime)
+            expired.forEach(timer => timer.resolve())
+        }
+
+        this.pumping = false
+    }
+
+    /**
+     * Arredonda o tempo para o próximo limite de render quantum, único ponto em que o OfflineAudioContext pode ser suspenso
+     * @param {number} time tempo em segundos
+     */
+    quantize(time) {
+        const frames = OfflineSource.renderQuantum
+        return Math.ceil(time * this.AudioContext.sampleRate / frames - 1e-9) * frames / this.AudioContext.sampleRate
+    }
+
+    /**
+     * Renderiza o áudio até o tempo passado
+     * @param {number} time tempo em segundos
+     */
+    async renderUntil(time) {
+        const suspended = this.AudioContext.suspend(time)
+
+        if (this.started) {
+            this.AudioContext.resume()
+        } else {
+            this.started = true
+            this.AudioContext.startRendering()
+        }
+
+        await suspended
+    }
+
+    /** Finaliza a fonte, liberando todos os timers pendentes */
+    end() {
+        this.ended = true
+        this.running = false
+        this.timers.forEach(timer => timer.resolve())
+        this.timers = []
+    }
+}
+
+/**
+ * Aguarda a próxima tarefa do event loop, sem o atraso mínimo imposto ao `setTimeout`
+ * @returns {Promise<void>}
+ */
+function nextTask() {
+    return new Promise(resolve => {
+        const channel = new MessageChannel()
+        channel.port1.onmessage = () => { channel.port1.close(); resolve() }
+        channel.port2.postMessage(null)
+    })
+}
@@ -0,0 +1,457 @@
+import BeepAnalyzer from "./beep-analyzer.js"
+import ProfileLearner from "./profile-learner.js"
+import Messages from "./messages.js"
+
+/**
+ * Validação das opções dos métodos do BeepListener por schemas declarativos. Cada método tem um schema com as opções que
+ * aceita, os valores padrão e as regras entre opções; as verificações de cada opção são compartilhadas entre os métodos.
+ *
+ * A validação não guarda estado: as opções recebidas não são alteradas e o resultado traz uma cópia com os valores padrão
+ * aplicados. Todas as violações são retornadas em `errors`, e a primeira também no próprio resultado.
+ * @example
+ * const validation = ParameterValidator.validate("capture", { minFreq: 3100, maxFreq: 3000, timeOut: -1 }, { sampleRate: 48000, fftSize: 2048 })
+ * validation.errors.forEach(error => console.warn(error.parameter, error.code, error.msg))
+ */
+export default class ParameterValidator {
+
+    /**
+     * @typedef {{
+     *     condition: (value: any) => boolean,
+     *     code: string,
+     *     messageParams?: object
+     * }} parameterCheck Verificação de uma opção; a mensagem é a do `code` no catálogo do {@link Messages}
+     *
+     * @typedef {{
+     *     parameters: string[],
+     *     condition: (options: object, context: validationContext) => boolean,
+     *     code: string,
+     *     messageParams?: object | ((options: object, context: validationContext) => object)
+     * }} parameterRule Regra entre opções, ou entre uma opção e o contexto. Só é verificada quando todos os `parameters` foram
+     * informados e são válidos; o erro é atribuído ao primeiro deles
+     *
+     * @typedef {{
+     *     parameters: string[],
+     *     required?: string[],
+     *     defaults?: (options: object, context: validationContext) => void,
+     *     rules?: parameterRule[]
+     * }} parameterSchema Opções aceitas por um método. `defaults` preenche os valores padrão na cópia das opções
+     *
+     * @typedef {{
+     *     sampleRate?: number,
+     *     fftSize?: number,
+     *     offline?: boolean,
+     *     channels?: number
+     * }} validationContext Estado do BeepListener usado pelas regras e valores padrão: taxa de amostragem e tamanho da FFT do
+     * AudioContext inicializado, se a fonte de áudio é offline e a quantidade de canais analisados. As regras que dependem de um valor ausente não são verificadas
+     *
+     * @typedef {{ code: string, msg: string, parameter: string }} validationError
+     */
+
+    /**
+     * Verificações de cada opção, executadas em ordem até a primeira falha
+     * @type {{ [parameter: string]: parameterCheck[] }}
+     */
+    static parameters = {
+        sampleRate: [number(), between(8000, 96000)],
+        fftSize: [number(), { condition: (value) => value >= 32 && value <= 32768 && Number.isInteger(Math.log2(value)), code: "PARAM_FFT_SIZE" }],
+        smoothingTimeConstant: [number(), between(0, 1)],
+        gain: [number(), atLeast(0)],
+        deviceId: [string()],
+        source: [{
+            condition: (value) => typeof value == "string"
+                || value instanceof ArrayBuffer
+                || value instanceof Float32Array
+                || Array.isArray(value)
+                || (typeof Blob != "undefined" && value instanceof Blob)
+                || (typeof AudioBuffer != "undefined" && value instanceof AudioBuffer),
+            code: "PARAM_SOURCE"
+        }],
+        pitchEngine: [oneOf(BeepAnalyzer.pitchEngines)],
+        minConfidence: [number(), between(0, 1)],
+        acquisition: [oneOf(["worklet", "polling"])],
+        filters: [{
+            condition: (value) => Array.isArray(value) && value.every(filter => BeepAnalyzer.filterTypes.includes(filter?.type)
+                && (filter.frequency == undefined ? filter.type == "bandpass" : typeof filter.frequency == "number" && filter.frequency > 0)
+                && (filter.Q == undefined || typeof filter.Q == "number")),
+            code: "PARAM_FILTERS"
+        }],
+        hopSize: [integer(), greaterThan(0)],
+        channels: [integer(), between(1, 32)],
+        profile: [string()],
+        applyCalibration: [boolean()],
+        station: [string()],
+        deviceModel: [string()],
+        onDeviceChange: [callback()],
+        minFreq: [number(), greaterThan(0)],
+        maxFreq: [number(), greaterThan(0)],
+        amplitudeValidation: [boolean()],
+        minAmplitude: [number()],
+        maxAmplitude: [number()],
+        validTrackPercentage: [number(), between(0, 100)],
+        trackSize: [number(), greaterThan(0)],
+        timeOut: [number(), greaterThan(0)],
+        firstReadTimeOut: [number(), greaterThan(0)],
+        calibrationTimeOut: [number(), greaterThan(0)],
+        pattern: [
+            {
+                condition: (value) => Array.isArray(value) && value.length > 0 && value.every(step => typeof step?.duration == "number"
+                    && ["gap", "tolerance", "gapTolerance"].every(key => step[key] == undefined || typeof step[key] == "number")),
+                code: "PARAM_PATTERN_FORMAT"
+            },
+            {
+                condition: (value) => value.every(step => step.duration > 0 && ["gap", "tolerance", "gapTolerance"].every(key => !(step[key] < 0))),
+                code: "PARAM_PATTERN_VALUES"
+            }
+        ],
+        patternTolerance: [number(), atLeast(0)],
+        debounce: [number(), atLeast(0)],
+        measureDuration: [boolean()],
+        minDuration: [number(), atLeast(0)],
+        maxDuration: [number(), greaterThan(0)],
+        maxLatency: [number(), atLeast(0)],
+        snrValidation: [boolean()],
+        minSnr: [number()],
+        noiseLevel: [number()],
+        maxThd: [number(), greaterThan(0)],
+        maxHarmonicRatio: [number()],
+        maxFlatness: [number(), atMost(0)],
+        maxBandwidth: [number(), greaterThan(0)],
+        maxFrequencyStd: [number(), greaterThan(0)],
+        maxAmplitudeStd: [number(), greaterThan(0)],
+        maxDrift: [number(), greaterThan(0)],
+        maxRiseTime: [number(), atLeast(0)],
+        maxDecayTime: [number(), atLeast(0)],
+        maxRipple: [number(), greaterThan(0)],
+        channel: [{ condition: (value) => value == "any" || value == "best" || (Number.isInteger(value) && value >= 0), code: "PARAM_CHANNEL" }],
+        record: [boolean()],
+        onSession: [callback()],
+        sessionMetadata: [object()],
+        signal: [{ condition: (value) => typeof AbortSignal != "undefined" && value instanceof AbortSignal, code: "PARAM_NOT_ABORT_SIGNAL" }],
+        noiseThreshold: [number()],
+        clipThreshold: [number(), { condition: (value) => value > 0 && value <= 1, code: "PARAM_NOT_BETWEEN", messageParams: { min: 0, max: 1 } }],
+        saveCalibration: [boolean()],
+        calibrationValidity: [number(), greaterThan(0)],
+        referenceTone: [boolean()],
+        toneFrequency: [number(), greaterThan(0)],
+        toneLevel: [number(), atMost(0)],
+        toneOutput: [oneOf(["speaker", "loopback"])],
+        goodUnits: [integer(), atLeast(2)],
+        badUnits: [integer(), atLeast(0)],
+        k: [number(), greaterThan(0)],
+        onUnit: [callback()]
+    }
+
+    /**
+     * Regras entre opções compartilhadas pelos schemas
+     * @type {{ [rule: string]: parameterRule }}
+     */
+    static rules = {
+        frequencyRange: {
+            parameters: ["minFreq", "maxFreq"],
+            condition: ({ minFreq, maxFreq }) => minFreq <= maxFreq,
+            code: "PARAM_ABOVE_PARAMETER",
+            messageParams: { other: "maxFreq" }
+        },
+        amplitudeRange: {
+            parameters: ["minAmplitude", "maxAmplitude"],
+            condition: ({ minAmplitude, maxAmplitude }) => minAmplitude <= maxAmplitude,
+            code: "PARAM_ABOVE_PARAMETER",
+            messageParams: { other: "maxAmplitude" }
+        },
+        durationRange: {
+            parameters: ["minDuration", "maxDuration"],
+            condition: ({ minDuration, maxDuration }) => minDuration <= maxDuration,
+            code: "PARAM_ABOVE_PARAMETER",
+            messageParams: { other: "maxDuration" }
+        },
+        // Acima da metade da taxa de amostragem a FFT não representa a frequência, e a faixa nunca seria atingida
+        maxFreqNyquist: belowNyquist("maxFreq"),
+        toneFrequencyNyquist: belowNyquist("toneFrequency"),
+        hopSizeFrame: {
+            parameters: ["hopSize", "fftSize"],
+            condition: ({ hopSize, fftSize }) => hopSize <= fftSize,
+            code: "PARAM_ABOVE_PARAMETER",
+            messageParams: { other: "fftSize" }
+        },
+        channelInput: {
+            parameters: ["channel"],
+            condition: ({ channel }, { channels }) => typeof channel != "number" || channels == undefined || channel < channels,
+            code: "PARAM_CHANNEL_UNAVAILABLE",
+            messageParams: (options, { channels }) => ({ channels })
+        },
+        trackSizeFrame: {
+            parameters: ["trackSize"],
+            condition: ({ trackSize }, { sampleRate, fftSize }) => sampleRate == undefined || fftSize == undefined || trackSize > fftSize / sampleRate * 1000,
+            code: "PARAM_BELOW_FRAME",
+            messageParams: (options, { sampleRate, fftSize }) => ({ frame: parseFloat((fftSize / sampleRate * 1000).toFixed(2)) })
+        }
+    }
+
+    /**
+     * Schema das opções de cada método
+     * @type {{ [method: string]: parameterSchema }}
+     */
+    static schemas = {
+        init: {
+            parameters: [
+                "sampleRate", "fftSize", "smoothingTimeConstant", "gain", "deviceId", "source", "pitchEngine", "minConfidence",
+                "acquisition", "hopSize", "filters", "channels", "profile", "applyCalibration", "station", "deviceModel", "onDeviceChange"
+            ],
+            defaults: (options) => {
+                options.sampleRate ??= 48000
+                options.fftSize ??= 2048
+                options.smoothingTimeConstant ??= 0.8
+                options.gain ??= 1
+                options.pitchEngine ??= "yin"
+                options.minConfidence ??= 0
+                options.acquisition ??= "polling"
+                options.hopSize ??= 512
+                options.filters ??= []
+                options.channels ??= 1
+            },
+            rules: [this.rules.hopSizeFrame]
+        },
+        capture: {
+            parameters: [
+                "minFreq", "maxFreq", "amplitudeValidation", "minAmplitude", "maxAmplitude", "validTrackPercentage", "trackSize",
+                "timeOut", "measureDuration", "minDuration", "maxDuration", "maxLatency", "debounce", "snrValidation", "minSnr",
+                "noiseLevel", "maxThd", "maxHarmonicRatio", "maxFlatness", "maxBandwidth", "maxFrequencyStd", "maxAmplitudeStd",
+                "maxDrift", "maxRiseTime", "maxDecayTime", "maxRipple", "filters", "channel", "record", "onSession", "sessionMetadata",
+                "profile", "signal"
+            ],
+            defaults: (options) => {
+                BeepAnalyzer.captureDefaults(options)
+                options.record ??= options.onSession != undefined
+            },
+            rules: [
+                this.rules.frequencyRange, this.rules.amplitudeRange, this.rules.durationRange, this.rules.maxFreqNyquist,
+                this.rules.trackSizeFrame, this.rules.channelInput
+            ]
+        },
+        capturePattern: {
+            parameters: [
+                "pattern", "minFreq", "maxFreq", "amplitudeValidation", "minAmplitude", "maxAmplitude", "snrValidation", "minSnr",
+                "noiseLevel", "patternTolerance", "debounce", "timeOut", "filters", "record", "onSession", "sessionMetadata", "profile",
+                "signal"
+            ],
+            required: ["pattern"],
+            defaults: (options) => {
+                BeepAnalyzer.patternDefaults(options)
+                options.record ??= options.onSession != undefined
+            },
+            rules: [this.rules.frequencyRange, this.rules.amplitudeRange, this.rules.maxFreqNyquist]
+        },
+        startMonitoring: {
+            parameters: [
+                "minFreq", "maxFreq", "amplitudeValidation", "minAmplitude", "maxAmplitude", "validTrackPercentage", "trackSize",
+                "timeOut", "measureDuration", "minDuration", "maxDuration", "debounce", "snrValidation", "minSnr", "noiseLevel",
+                "noiseThreshold", "clipThreshold", "profile", "signal"
+            ],
+            defaults: (options) => {
+                BeepAnalyzer.captureDefaults(options)
+                options.noiseThreshold ??= -50
+                options.clipThreshold ??= 0.99
+            },
+            rules: [this.rules.frequencyRange, this.rules.amplitudeRange, this.rules.durationRange, this.rules.maxFreqNyquist]
+        },
+        calibrateMic: {
+            parameters: [
+                "minAmplitude", "maxAmplitude", "validTrackPercentage", "minFreq", "maxFreq", "trackSize", "firstReadTimeOut",
+                "calibrationTimeOut", "saveCalibration", "calibrationValidity", "referenceTone", "toneFrequency", "toneLevel",
+                "toneOutput", "profile", "signal"
+            ],
+            defaults: (options, context) => {
+                options.minAmplitude ??= -30
+                options.maxAmplitude ??= -20
+                options.validTrackPercentage ??= 70
+                options.minFreq ??= 3050
+                options.maxFreq ??= 3250
+                options.trackSize ??= 300
+                options.firstReadTimeOut ??= 5000
+                options.calibrationTimeOut ??= 10000
+                options.referenceTone ??= false
+                options.toneFrequency ??= (options.minFreq + options.maxFreq) / 2
+                options.toneLevel ??= -20
+                options.toneOutput ??= context.offline ? "loopback" : "speaker"
+            },
+            rules: [
+                this.rules.frequencyRange, this.rules.amplitudeRange, this.rules.maxFreqNyquist, this.rules.toneFrequencyNyquist,
+                this.rules.trackSizeFrame
+            ]
+        },
+        configDeterminator: {
+            parameters: ["minFreq", "maxFreq", "validTrackPercentage", "trackSize", "timeOut", "filters", "profile", "signal"],
+            defaults: (options) => {
+                options.minFreq ??= 2950
+                options.maxFreq ??= 3050
+                options.validTrackPercentage ??= 70
+                options.trackSize ??= 500
+                options.timeOut ??= 10000
+            },
+            rules: [this.rules.frequencyRange, this.rules.maxFreqNyquist, this.rules.trackSizeFrame]
+        },
+        learnProfile: {
+            parameters: ["goodUnits", "badUnits", "k", "onUnit", "minFreq", "maxFreq", "validTrackPercentage", "trackSize", "timeOut", "profile", "signal"],
+            defaults: (options) => {
+                options.goodUnits ??= 5
+                options.badUnits ??= 0
+                options.k ??= ProfileLearner.defaultK
+                options.minFreq ??= 2950
+                options.maxFreq ??= 3050
+                options.trackSize ??= 500
+            },
+            rules: [this.rules.frequencyRange, this.rules.maxFreqNyquist, this.rules.trackSizeFrame]
+        },
+        setFilters: {
+            parameters: ["filters"],
+            required: ["filters"]
+        }
+    }
+
+    /**
+     * Valida as opções de um método, aplicando os valores padrão do schema.
+     *
+     * A chamada antiga `validate(options)`, sem o nome do método, continua aceita: cada opção é verificada contra todas as
+     * opções conhecidas, sem valores padrão e sem as regras entre opções.
+     * @param {string | object} method nome do método, uma das chaves de `schemas`, ou as opções na chamada antiga
+     * @param {object} [options] opções passadas ao método, que não são alteradas
+     * @param {validationContext} [context]
+     * @returns {{ success: boolean, code?: string, msg?: string, parameter?: string, errors?: validationError[], options?: any }}
+     * `options` é a cópia das opções com os valores padrão, retornada quando todas são válidas
+     */
+    static validate(method, options = {}, context = {}) {
+        /** @type {parameterSchema} */
+        let schema
+        if (typeof method != "string") {
+            options = method ?? {}
+            method = "validate"
+            schema = { parameters: Object.keys(this.parameters) }
+        } else if (Object.hasOwn(this.schemas, method)) {
+            schema = this.schemas[method]
+        } else {
+            return { success: false, ...Messages.get("PARAM_UNKNOWN_METHOD", { method }) }
+        }
+
+        const values = { ...options }
+        schema.defaults?.(values, context)
+
+        /** @type {validationError[]} */
+        const errors = []
+        /** @type {Set<string>} */
+        const invalid = new Set()
+
+        for (const parameter in values) {
+            if (!schema.parameters.includes(parameter)) {
+                errors.push(this.error("PARAM_UNKNOWN", parameter, { method }))
+                invalid.add(parameter)
+            }
+        }
+
+        for (const parameter of schema.parameters) {
+            if (values[parameter] == undefined) {
+                if (schema.required?.includes(parameter)) { errors.push(this.error("PARAM_REQUIRED", parameter)); invalid.add(parameter) }
+                continue
+            }
+
+            const failed = this.parameters[parameter].find(check => !check.condition(values[parameter]))
+            if (failed) {
+                errors.push(this.error(failed.code, parameter, failed.messageParams))
+                invalid.add(parameter)
+            }
+        }
+
+        for (const rule of schema.rules ?? []) {
+            if (rule.parameters.some(parameter => values[parameter] == undefined || invalid.has(parameter))) { continue }
+            if (!rule.condition(values, context)) {
+                const messageParams = typeof rule.messageParams == "function" ? rule.messageParams(values, context) : rule.messageParams
+                errors.push(this.error(rule.code, rule.parameters[0], messageParams))
+            }
+        }
+
+        if (errors.length > 0) { return { success: false, ...errors[0], errors } }
+        return { success: true, options: values }
+    }
+
+    /**
+     * Opções aceitas pelo método, descartando as demais. Usado para repassar as opções de um método a outro
+     * @param {string} method
+     * @param {object} options
+     * @returns {object}
+     */
+    static pick(method, options) {
+        return Object.fromEntries(Object.entries(options).filter(([parameter]) => this.schemas[method].parameters.includes(parameter)))
+    }
+
+    /**
+     * @param {string} code código do erro no catálogo do {@link Messages}
+     * @param {string} parameter nome do parâmetro verificado
+     * @param {object} [messageParams] parâmetros da mensagem, além do nome do parâmetro
+     * @returns {validationError}
+     */
+    static error(code, parameter, messageParams) {
+        return { ...Messages.get(code, { parameter, ...messageParams }), parameter }
+    }
+}
+
+/** @returns {import("./parameter-validator.js").parameterCheck} */
+function number() { return { condition: (value) => typeof value == "number", code: "PARAM_NOT_NUMBER" } }
+
+/** @returns {import("./parameter-validator.js").parameterCheck} */
+function integer() { return { condition: (value) => Number.isInteger(value), code: "PARAM_NOT_INTEGER" } }
+
+/** @returns {import("./parameter-validator.js").parameterCheck} */
+function boolean() { return { condition: (value) => typeof value == "boolean", code: "PARAM_NOT_BOOLEAN" } }
+
+/** @returns {import("./parameter-validator.js").parameterCheck} */
+function string() { return { condition: (value) => typeof value == "string", code: "PARAM_NOT_STRING" } }
+
+/** @returns {import("./parameter-validator.js").parameterCheck} */
+function callback() { return { condition: (value) => typeof value == "function", code: "PARAM_NOT_FUNCTION" } }
+
+/** @returns {import("./parameter-validator.js").parameterCheck} */
+function object() { return { condition: (value) => typeof value == "object", code: "PARAM_NOT_OBJECT" } }
+
+/**
+ * @param {string[]} values
+ * @returns {import("./parameter-validator.js").parameterCheck}
+ */
+function oneOf(values) { return { condition: (value) => values.includes(value), code: "PARAM_NOT_ONE_OF", messageParams: { values: values.join(", ") } } }
+
+/**
+ * @param {number} min
+ * @param {number} max
+ * @returns {import("./parameter-validator.js").parameterCheck}
+ */
+function between(min, max) { return { condition: (value) => value >= min && value <= max, code: "PARAM_NOT_BETWEEN", messageParams: { min, max } } }
+
+/**
+ * @param {number} min
+ * @returns {import("./parameter-validator.js").parameterCheck}
+ */
+function greaterThan(min) { return { condition: (value) => value > min, code: "PARAM_NOT_GREATER_THAN", messageParams: { min } } }
+
+/**
+ * @param {number} min
+ * @returns {import("./parameter-validator.js").parameterCheck}
+ */
+function atLeast(min) { return { condition: (value) => value >= min, code: "PARAM_NOT_AT_LEAST", messageParams: { min } } }
+
+/**
+ * @param {number} max
+ * @returns {import("./parameter-validator.js").parameterCheck}
+ */
+function atMost(max) { return { condition: (value) => value <= max, code: "PARAM_NOT_AT_MOST", messageParams: { max } } }
+
+/**
+ * Regra que limita a frequência à frequência de Nyquist da taxa de amostragem do AudioContext
+ * @param {string} parameter
+ * @returns {import("./parameter-validator.js").parameterRule}
+ */
+function belowNyquist(parameter) {
+    return {
+        parameters: [parameter],
+        condition: (options, { sampleRate }) => sampleRate == undefined || options[parameter] < sampleRate / 2,
+        code: "PARAM_ABOVE_NYQUIST",
+        messageParams: (options, { sampleRate }) => ({ nyquist: sampleRate / 2, sampleRate })
+    }
+}
@@ -0,0 +1,205 @@
+import BeepAnalyzer from "./beep-analyzer.js"
+import Messages from "./messages.js"
+import { mean, std, median, round } from "./statistics.js"
+
+/**
+ * Aprendizado das opções do `capture()` a partir de unidades de referência: as tracks de produtos sabidamente bons (golden
+ * units) e, opcionalmente, de produtos sabidamente ruins. No lugar de escolher os limites a partir de uma única leitura do
+ * `configDeterminator()`, os limites propostos são a média ± k·σ das unidades boas.
+ *
+ * - `minFreq`/`maxFreq`: média ± k·σ das frequências de todos os quadros das unidades boas
+ * - `minAmplitude`/`maxAmplitude`: média ± k·σ da amplitude de cada unidade boa (a mediana da track, como no `capture()`)
+ * - `validTrackPercentage`: média - k·σ da porcentagem de quadros de cada unidade boa dentro da nova faixa de frequência
+ *
+ * As taxas de falsa rejeição e falsa aceitação são informadas como observadas, reprocessando as tracks aprendidas com as opções
+ * propostas, e estimadas, supondo que os valores de cada unidade seguem uma distribuição normal.
+ * @example
+ * // Última track de cada sessão gravada de unidades boas, a track aprovada pelo capture()
+ * const learned = ProfileLearner.learn(sessions.map(session => session.data.tracks.at(-1)), [], { minFreq: 2900, maxFreq: 3100 })
+ * BeepListener.profileRegistry.register({ name: "ctrl-xyz", version: 4, capture: learned.captureOptions })
+ */
+export default class ProfileLearner {
+
+    /**
+     * @typedef {{
+     *     minFreq: number,
+     *     maxFreq: number,
+     *     k?: number,
+     *     trackSize?: number
+     * }} learnOptions `minFreq`/`maxFreq` é a faixa de busca, que descarta os quadros de outras frequências antes do cálculo.
+     * `trackSize` é copiado para as opções propostas
+     *
+     * @typedef {{
+     *     kind: "good" | "bad",
+     *     detected: boolean,
+     *     frequency?: { mean: number, std: number },
+     *     amplitude?: { median: number, std: number },
+     *     inBand?: number,
+     *     accepted: boolean
+     * }} learnedUnit Estatísticas de uma unidade. `inBand` é a porcentagem de quadros dentro da faixa proposta e `accepted`
+     * indica se a track da unidade é aprovada com as opções propostas
+     *
+     * @typedef {{ observed: number, estimated?: number }} errorRate Taxa entre 0 e 1. `estimated` não é calculado para os
+     * produtos ruins com menos de duas unidades detectadas
+     */
+
+    /** Multiplicador padrão do desvio padrão */
+    static defaultK = 3
+
+    /**
+     * Propõe as opções do `capture()` a partir das tracks das unidades de referência
+     * @param {import("./beep-listener.js").track[]} goodTracks uma track por unidade boa, pelo menos duas
+     * @param {(import("./beep-listener.js").track | undefined)[]} [badTracks] uma track por unidade ruim, ou `undefined` para
+     * as unidades em que nenhum beep foi detectado
+     * @param {learnOptions} learnOptions
+     * @returns {{
+     *     success: boolean,
+     *     code: string,
+     *     msg: string,
+     *     captureOptions?: Partial<import("./beep-listener.js").captureOptions>,
+     *     units?: learnedUnit[],
+     *     falseReject?: errorRate,
+     *     falseAccept?: errorRate
+     * }}
+     */
+    static learn(goodTracks, badTracks = [], learnOptions) {
+        const k = learnOptions.k ?? this.defaultK
+        const window = { minFreq: learnOptions.minFreq, maxFreq: learnOptions.maxFreq }
+
+        const good = goodTracks.map(track => BeepAnalyzer.trackFilter(track, window))
+
+        const undetected = good.findIndex(track => track.frequencia.length == 0)
+        if (undetected != -1) { return { success: false, ...Messages.get("LEARN_UNIT_NOT_DETECTED", { unit: undetected + 1, ...window }) } }
+        if (good.length < 2) { return { success: false, ...Messages.get("LEARN_NOT_ENOUGH_UNITS") } }
+
+        const frequencies = good.flatMap(track => track.frequencia)
+        const frequencyMean = mean(frequencies)
+        const frequencyStd = std(frequencies)
+
+        const amplitudes = good.map(track => median(track.amplitude))
+        const amplitudeMean = mean(amplitudes)
+        const amplitudeStd = std(amplitudes)
+
+        const limits = {
+            minFreq: round(frequencyMean - k * frequencyStd),
+            maxFreq: round(frequencyMean + k * frequencyStd),
+            minAmplitude: round(amplitudeMean - k * amplitudeStd),
+            maxAmplitude: round(amplitudeMean + k * amplitudeStd)
+        }
+
+        const goodInBand = goodTracks.map(track => this.inBand(track, limits))
+        const inBandMean = mean(goodInBand)
+        const inBandStd = std(goodInBand)
+
+        /** @type {Partial<import("./beep-listener.js").captureOptions>} */
+        const captureOptions = {
+            ...limits,
+            validTrackPercentage: Math.min(100, Math.max(0, Math.floor(inBandMean - k * inBandStd))),
+            amplitudeValidation: true,
+            snrValidation: false
+        }
+        if (learnOptions.trackSize != undefined) { captureOptions.trackSize = learnOptions.trackSize }
+
+        const units = [
+            ...goodTracks.map(track => this.unit("good", track, window, captureOptions)),
+            ...badTracks.map(track => this.unit("bad", track, window, captureOptions))
+        ]
+        const goodUnits = units.filter(unit => unit.kind == "good")
+        const badUnits = units.filter(unit => unit.kind == "bad")
+
+        const falseReject = {
+            observed: round(goodUnits.filter(unit => !unit.accepted).length / goodUnits.length, 4),
+            estimated: round(1 - this.acceptance(amplitudes, goodInBand, captureOptions), 4)
+        }
+
+        const badDetected = badUnits.filter(unit => unit.detected)
+        const falseAccept = {
+            observed: badUnits.length > 0 ? round(badUnits.filter(unit => unit.accepted).length / badUnits.length, 4) : 0,
+            estimated: badDetected.length > 1
+                ? round(this.acceptance(badDetected.map(unit => unit.amplitude.median), badDetected.map(unit => unit.inBand), captureOptions) * badDetected.length / badUnits.length, 4)
+                : undefined
+        }
+
+        return {
+            success: true,
+            ...Messages.get("LEARN_SUCCESS", { good: goodUnits.length, bad: badUnits.length }),
+            captureOptions,
+            units,
+            falseReject,
+            falseAccept
+        }
+    }
+
+    /**
+     * Porcentagem dos quadros da track dentro da faixa de frequência
+     * @param {import("./beep-listener.js").track} track
+     * @param {{ minFreq: number, maxFreq: number }} limits
+     * @returns {number}
+     */
+    static inBand(track, limits) {
+        if (track.frequencia.length == 0) { return 0 }
+        return track.frequencia.filter(frequencia => frequencia >= limits.minFreq && frequencia <= limits.maxFreq).length / track.frequencia.length * 100
+    }
+
+    /**
+     * Estatísticas de uma unidade e seu resultado com as opções propostas
+     * @param {"good" | "bad"} kind
+     * @param {import("./beep-listener.js").track | undefined} track
+     * @param {{ minFreq: number, maxFreq: number }} window faixa de busca
+     * @param {Partial<import("./beep-listener.js").captureOptions>} captureOptions opções propostas
+     * @returns {learnedUnit}
+     */
+    static unit(kind, track, window, captureOptions) {
+        const filtered = track ? BeepAnalyzer.trackFilter(track, window) : undefined
+        if (!filtered || filtered.frequencia.length == 0) { return { kind, detected: false, accepted: false } }
+
+        return {
+            kind,
+            detected: true,
+            frequency: { mean: round(mean(filtered.frequencia)), std: round(std(filtered.frequencia)) },
+            amplitude: { median: round(median(filtered.amplitude)), std: round(std(filtered.amplitude)) },
+            inBand: round(this.inBand(track, captureOptions)),
+            accepted: BeepAnalyzer.trackValidator(track, /** @type {import("./beep-listener.js").captureOptions} */(captureOptions)).result
+        }
+    }
+
+    /**
+     * Probabilidade de aprovação de uma unidade, supondo distribuições normais e independentes da amplitude e da porcentagem
+     * de quadros dentro da faixa
+     * @param {number[]} amplitudes amplitude de cada unidade
+     * @param {number[]} inBand porcentagem de quadros dentro da faixa de cada unidade
+     * @param {Partial<import("./beep-listener.js").captureOptions>} captureOptions
+     * @returns {number}
+     */
+    static acceptance(amplitudes, inBand, captureOptions) {
+        const amplitudeAcceptance = probabilityBetween(mean(amplitudes), std(amplitudes), captureOptions.minAmplitude, captureOptions.maxAmplitude)
+        const inBandAcceptance = probabilityBetween(mean(inBand), std(inBand), captureOptions.validTrackPercentage, Infinity)
+        return amplitudeAcceptance * inBandAcceptance
+    }
+}
+
+/**
+ * Probabilidade de um valor com distribuição normal estar entre os limites
+ * @param {number} average
+ * @param {number} deviation
+ * @param {number} min
+ * @param {number} max
+ */
+function probabilityBetween(average, deviation, min, max) {
+    if (deviation == 0) { return average >= min && average <= max ? 1 : 0 }
+    return normalCdf((max - average) / deviation) - normalCdf((min - average) / deviation)
+}
+
+/**
+ * Função de distribuição acumulada da normal padrão, pela aproximação de Abramowitz e Stegun (7.1.26) da função erro
+ * @param {number} z
+ */
+function normalCdf(z) {
+    if (z == Infinity) { return 1 }
+    if (z == -Infinity) { return 0 }
+
+    const x = Math.abs(z) / Math.SQRT2
+    const t = 1 / (1 + 0.3275911 * x)
+    const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x)
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
@@ -0,0 +1,205 @@
+import Messages from "./messages.js"
+
+/**
+ * Perfis de produto do BeepListener: reúnem em um JSON versionado as opções de `init()`, `capture()`, `capturePattern()` e
+ * `calibrateMic()` de um controlador, no lugar de valores fixos em cada script de teste.
+ *
+ * Um perfil pode herdar de outro com `extends`, sobrescrevendo apenas as opções que mudam (por exemplo, o padrão da família
+ * e o ajuste de um modelo). As opções resolvidas passam pelo `ParameterValidator` no método que as utiliza.
+ * @example
+ * BeepListener.profileRegistry.load([
+ *     { name: "familia-ctrl", version: 1, capture: { minFreq: 2950, maxFreq: 3050, trackSize: 500 }, calibration: { minFreq: 2950, maxFreq: 3050 } },
+ *     { name: "ctrl-xyz", version: 3, extends: "familia-ctrl", capture: { minAmplitude: -35 } }
+ * ])
+ * const capture = await BeepListener.capture({ profile: "ctrl-xyz" })
+ */
+export default class ProfileRegistry {
+
+    /**
+     * @typedef {{
+     *     name: string,
+     *     version: number,
+     *     extends?: string,
+     *     description?: string,
+     *     init?: object,
+     *     capture?: object,
+     *     pattern?: object,
+     *     calibration?: object
+     * }} profile Perfil de produto. `capture` é usado pelo `capture()`, `configDeterminator()` e `startMonitoring()`;
+     * `pattern` complementa o `capture` no `capturePattern()`; `calibration` é usado pelo `calibrateMic()` e `init` pelo `init()`
+     */
+
+    /** Seções de opções de um perfil */
+    static sections = ["init", "capture", "pattern", "calibration"]
+
+    /**
+     * [JSON Schema](https://json-schema.org/) do perfil, para validação em editores e ferramentas externas. As opções de cada
+     * seção são validadas pelo `ParameterValidator` quando o perfil é usado.
+     */
+    static schema = {
+        $schema: "http://json-schema.org/draft-07/schema#",
+        title: "BeepListener profile",
+        type: "object",
+        required: ["name", "version"],
+        additionalProperties: false,
+        properties: {
+            name: { type: "string", minLength: 1 },
+            version: { type: "integer", minimum: 1 },
+            extends: { type: "string", minLength: 1 },
+            description: { type: "string" },
+            init: { type: "object" },
+            capture: { type: "object" },
+            pattern: { type: "object" },
+            calibration: { type: "object" }
+        }
+    }
+
+    /**
+     * Registro usado por padrão pelas instâncias do BeepListener
+     * @type ProfileRegistry
+     */
+    static defaultRegistry = new ProfileRegistry()
+
+    constructor() {
+        /** @type {Map<string, profile>} */
+        this.profiles = new Map()
+    }
+
+    /**
+     * Verifica se o perfil segue o `schema`
+     * @param {any} profile
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    static validate(profile) {
+        if (typeof profile != "object" || profile == null || Array.isArray(profile)) { return { success: false, ...Messages.get("PROFILE_NOT_OBJECT") } }
+
+        const properties = this.schema.properties
+        for (const key in profile) {
+            if (!(key in properties)) { return { success: false, ...Messages.get("PROFILE_PROPERTY_NOT_ALLOWED", { property: key, name: profile.name }) } }
+        }
+
+        if (typeof profile.name != "string" || profile.name.length == 0) { return { success: false, ...Messages.get("PROFILE_INVALID_NAME") } }
+        if (!Number.isInteger(profile.version) || profile.version < 1) { return { success: false, ...Messages.get("PROFILE_INVALID_VERSION", { name: profile.name }) } }
+        if (profile.extends != undefined && (typeof profile.extends != "string" || profile.extends.length == 0)) {
+            return { success: false, ...Messages.get("PROFILE_INVALID_EXTENDS", { name: profile.name }) }
+        }
+        if (profile.description != undefined && typeof profile.description != "string") {
+            return { success: false, ...Messages.get("PROFILE_INVALID_DESCRIPTION", { name: profile.name }) }
+        }
+
+        for (const section of this.sections) {
+            const options = profile[section]
+            if (options != undefined && (typeof options != "object" || options == null || Array.isArray(options))) {
+                return { success: false, ...Messages.get("PROFILE_INVALID_SECTION", { section, name: profile.name }) }
+            }
+        }
+
+        return { success: true }
+    }
+
+    /**
+     * Registra um perfil, substituindo o perfil de mesmo nome
+     * @param {profile} profile
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    register(profile) {
+        const validation = ProfileRegistry.validate(profile)
+        if (!validation.success) { return validation }
+
+        this.profiles.set(profile.name, structuredClone(profile))
+        return { success: true }
+    }
+
+    /**
+     * Remove um perfil
+     * @param {string} name
+     * @returns {boolean} true caso o perfil existisse
+     */
+    remove(name) { return this.profiles.delete(name) }
+
+    /**
+     * Retorna o perfil registrado, sem aplicar a herança
+     * @param {string} name
+     * @returns {profile | undefined}
+     */
+    get(name) {
+        const profile = this.profiles.get(name)
+        return profile ? structuredClone(profile) : undefined
+    }
+
+    /** Nomes dos perfis registrados */
+    list() { return [...this.profiles.keys()] }
+
+    /**
+     * Retorna o perfil com a herança aplicada: as opções de cada seção são as do perfil base, sobrescritas pelas do perfil
+     * @param {string} name
+     * @returns {{ success: boolean, code?: string, msg?: string, profile?: profile }}
+     */
+    resolve(name) {
+        /** @type {profile[]} */
+        const chain = []
+
+        for (let current = name; current != undefined; current = this.profiles.get(current).extends) {
+            if (!this.profiles.has(current)) {
+                return {
+                    success: false,
+                    ...(chain.length == 0 ? Messages.get("PROFILE_NOT_FOUND", { name }) : Messages.get("PROFILE_BASE_NOT_FOUND", { base: current, name: chain.at(-1).name }))
+                }
+            }
+            if (chain.some(profile => profile.name == current)) {
+                return { success: false, ...Messages.get("PROFILE_CIRCULAR", { name, chain: [...chain.map(profile => profile.name), current].join(" → ") }) }
+            }
+            chain.push(this.profiles.get(current))
+        }
+
+        const profile = chain.reduceRight((base, override) => ProfileRegistry.merge(base, override))
+        return { success: true, profile: structuredClone(profile) }
+    }
+
+    /**
+     * Junta dois perfis: identificação do `override` e, em cada seção, as opções do `base` sobrescritas pelas do `override`
+     * @param {profile} base
+     * @param {profile} override
+     * @returns {profile}
+     */
+    static merge(base, override) {
+        const merged = { ...base, ...override }
+        for (const section of this.sections) {
+            if (base[section] || override[section]) { merged[section] = { ...base[section], ...override[section] } }
+        }
+        return merged
+    }
+
+    /**
+     * Carrega perfis de um objeto, array, texto JSON ou URL. O JSON pode ser um perfil, um array de perfis ou `{ profiles: [...] }`.
+     * Os perfis são validados antes de qualquer registro, então nenhum é carregado se algum for inválido.
+     * @param {string | profile | profile[] | { profiles: profile[] }} source
+     * @returns {Promise<{ success: boolean, code?: string, msg?: string, loaded?: string[] }>}
+     */
+    async load(source) {
+        if (typeof source == "string") {
+            source = source.trim().startsWith("{") || source.trim().startsWith("[")
+                ? JSON.parse(source)
+                : await fetch(source).then(response => response.json())
+        }
+
+        const profiles = Array.isArray(source) ? source : source.profiles ?? [source]
+
+        for (const profile of profiles) {
+            const validation = ProfileRegistry.validate(profile)
+            if (!validation.success) { return validation }
+        }
+
+        profiles.forEach(profile => this.register(profile))
+        return { success: true, loaded: profiles.map(profile => profile.name) }
+    }
+
+    /**
+     * Exporta os perfis registrados em JSON, no formato aceito pelo `load()`
+     * @param {string[]} [names] perfis exportados, por padrão todos
+     * @returns {string}
+     */
+    save(names = this.list()) {
+        return JSON.stringify({ profiles: names.filter(name => this.profiles.has(name)).map(name => this.profiles.get(name)) }, null, 2)
+    }
+}
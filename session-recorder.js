@@ -0,0 +1,208 @@
+import { encodeWav } from "./wav.js"
+
+/**
+ * Gravação das sessões de captura do BeepListener, para rastreabilidade. O áudio bruto, antes do ganho, é copiado por um
+ * [AudioWorklet](https://developer.mozilla.org/en-US/docs/Web/API/AudioWorkletNode) e salvo em WAV, com todos os canais da fonte, acompanhado de um JSON
+ * com as opções, o ganho, o dispositivo, os horários, as tracks e o resultado da captura.
+ * @example
+ * const capture = await BeepListener.capture({ record: true, sessionMetadata: { serialNumber: "123456" } })
+ * SessionRecorder.download(capture.session, `beep-123456`)
+ */
+export default class SessionRecorder {
+
+    /**
+     * @typedef {{
+     *     version: number,
+     *     method: "capture" | "capturePattern",
+     *     startedAt: string,
+     *     endedAt: string,
+     *     audioStartTime: number,
+     *     sampleRate: number,
+     *     gain: number,
+     *     device: { label: string, deviceId?: string },
+     *     channels: number,
+     *     channel?: import("./beep-analyzer.js").channelSelection,
+     *     analysis: {
+     *         fftSize: number,
+     *         smoothingTimeConstant: number,
+     *         pitchEngine: string,
+     *         minConfidence: number,
+     *         hopSize?: number,
+     *         triggerInterval?: number,
+     *         filters?: import("./beep-analyzer.js").filterSpec[]
+     *     },
+     *     options: object,
+     *     metadata?: object,
+     *     noiseFloor?: { level: number, bandLevel?: number },
+     *     tracks: import("./beep-listener.js").track[],
+     *     timing?: sessionTiming[],
+     *     verdict: object
+     * }} sessionData Conteúdo do JSON da sessão. `startedAt` e `endedAt` são datas ISO; `audioStartTime` é o instante da
+     * primeira amostra do WAV, em milissegundos do relógio do áudio, a mesma referência do `tempo` das tracks. `hopSize` e
+     * `triggerInterval` são gravados na aquisição por AudioWorklet, e `filters` quando o `init()` ou o `setFilters()` definiram
+     * filtros; os filtros da própria captura ficam em `options`. `channels` é a quantidade de canais analisados e, no `capture()`
+     * multicanal, `channel` é o critério que escolheu o canal do resultado. `timing` tem os instantes das leituras de cada canal
+     * lido. `channels`, `channel` e `timing` existem a partir da versão 2, cujo WAV tem todos os canais da fonte
+     *
+     * @typedef {{
+     *     channel?: number,
+     *     noiseLevel?: number,
+     *     startTime: number,
+     *     endTime: number,
+     *     reads: number[],
+     *     aborted?: boolean
+     * }} sessionTiming Instantes, em milissegundos do relógio do áudio, do início da captura, do fim das leituras e de cada leitura
+     * do Analyser ou quadro do AudioWorklet lido, na ordem em que foram feitos. Com eles, o reprocessamento lê o áudio nos mesmos
+     * instantes da estação, já que no polling as leituras dependem dos timers do navegador. `channel` identifica o canal no
+     * modo multicanal, e `noiseLevel` é o ruído usado na leitura, que no modo multicanal é o de cada canal. `aborted` indica que
+     * a leitura foi interrompida antes do resultado, pelo `signal` ou, no modo multicanal, pela decisão de outro canal
+     *
+     * @typedef {{ audio: Blob, data: sessionData }} session Sessão gravada: áudio WAV e JSON
+     */
+
+    /** Versão do formato do JSON da sessão */
+    static version = 2
+
+    /**
+     * AudioContexts que já carregaram o módulo do AudioWorklet
+     * @type {WeakSet<BaseAudioContext>}
+     */
+    static loadedContexts = new WeakSet()
+
+    /**
+     * @param {BaseAudioContext} audioContext
+     * @param {AudioNode} sourceNode nó cuja saída será gravada
+     */
+    constructor(audioContext, sourceNode) {
+        this.AudioContext = audioContext
+        this.sourceNode = sourceNode
+
+        /**
+         * Render quanta recebidos, cada um com um array por canal
+         * @type {Float32Array[][]}
+         */
+        this.chunks = []
+        /** @type {AudioWorkletNode | undefined} */
+        this.node = undefined
+        /** @type {Date | undefined} */
+        this.startedAt = undefined
+        this.audioStartTime = 0
+    }
+
+    /**
+     * Cria um gravador, carregando o módulo do AudioWorklet no AudioContext caso necessário
+     * @param {BaseAudioContext} audioContext
+     * @param {AudioNode} sourceNode nó cuja saída será gravada
+     * @returns {Promise<SessionRecorder>}
+     */
+    static async create(audioContext, sourceNode) {
+        await this.loadModule(audioContext)
+        return new SessionRecorder(audioContext, sourceNode)
+    }
+
+    /**
+     * Carrega o módulo `beep-listener-worklet.js` no AudioContext, uma única vez por contexto, já que os processadores não
+     * podem ser registrados duas vezes
+     * @param {BaseAudioContext} audioContext
+     */
+    static async loadModule(audioContext) {
+        if (this.loadedContexts.has(audioContext)) { return }
+
+        await audioContext.audioWorklet.addModule(new URL("./beep-listener-worklet.js", import.meta.url))
+        this.loadedContexts.add(audioContext)
+    }
+
+    /** Inicia a gravação */
+    start() {
+        this.chunks = []
+        this.node = new AudioWorkletNode(this.AudioContext, "beep-listener-recorder", { numberOfInputs: 1, numberOfOutputs: 0 })
+        this.node.port.onmessage = ({ data }) => {
+            if (data.type == "start") { this.audioStartTime = data.time }
+            if (data.type == "samples") { this.chunks.push(data.samples) }
+        }
+
+        this.sourceNode.connect(this.node)
+        this.node.port.postMessage("start")
+
+        this.startedAt = new Date()
+        // Substituído pelo instante do primeiro render quantum gravado, informado pelo processador
+        this.audioStartTime = this.AudioContext.currentTime * 1000
+    }
+
+    /**
+     * Encerra a gravação e retorna as amostras gravadas de cada canal
+     * @returns {Promise<Float32Array[]>}
+     */
+    async stop() {
+        const node = this.node
+        if (!node) { return [new Float32Array(0)] }
+
+        await new Promise(resolve => {
+            node.port.onmessage = ({ data }) => {
+                if (data.type == "samples") { this.chunks.push(data.samples) }
+                if (data.type == "stop") { resolve() }
+            }
+            node.port.postMessage("stop")
+            // Um AudioContext fechado não responde, evitando que a captura fique presa aguardando a gravação
+            setTimeout(resolve, 1000)
+        })
+
+        this.sourceNode.disconnect(node)
+        node.port.close()
+        this.node = undefined
+
+        // Os quanta sem todos os canais, como os de antes da fonte ser conectada, ficam em silêncio nos canais que faltam
+        const channelCount = Math.max(1, ...this.chunks.map(chunk => chunk.length))
+        const length = this.chunks.reduce((length, chunk) => length + chunk[0].length, 0)
+        const channels = Array.from({ length: channelCount }, () => new Float32Array(length))
+        let offset = 0
+        for (const chunk of this.chunks) {
+            chunk.forEach((samples, channel) => channels[channel].set(samples, offset))
+            offset += chunk[0].length
+        }
+
+        this.chunks = []
+        return channels
+    }
+
+    /**
+     * Monta a sessão a partir das amostras gravadas e do conteúdo do JSON
+     * @param {Float32Array[]} channels amostras de cada canal
+     * @param {sessionData} sessionData
+     * @returns {session}
+     */
+    static session(channels, sessionData) {
+        return {
+            audio: new Blob([encodeWav(channels, sessionData.sampleRate)], { type: "audio/wav" }),
+            data: sessionData
+        }
+    }
+
+    /**
+     * Remove das opções o que não pode ser salvo em JSON, como o `signal` e o `onSession`, e o `sessionMetadata`, que é salvo à parte
+     * @param {object} captureOptions
+     * @returns {object}
+     */
+    static serializeOptions(captureOptions) {
+        const ignored = ["signal", "onSession", "sessionMetadata"]
+        return JSON.parse(JSON.stringify(captureOptions, (key, value) => ignored.includes(key) || typeof value == "function" ? undefined : value))
+    }
+
+    /**
+     * Baixa o WAV e o JSON da sessão no navegador
+     * @param {session} session
+     * @param {string} [fileName] nome dos arquivos, sem extensão
+     */
+    static download(session, fileName = `beep-session-${session.data.startedAt.replace(/[:.]/g, "-")}`) {
+        const json = new Blob([JSON.stringify(session.data, null, 2)], { type: "application/json" })
+
+        for (const [blob, extension] of [[session.audio, "wav"], [json, "json"]]) {
+            const url = URL.createObjectURL(blob)
+            const link = document.createElement("a")
+            link.href = url
+            link.download = `${fileName}.${extension}`
+            link.click()
+            setTimeout(() => URL.revokeObjectURL(url))
+        }
+    }
+}
@@ -0,0 +1,414 @@
+import BeepAnalyzer from "./beep-analyzer.js"
+import Messages from "./messages.js"
+import { decodeWav } from "./wav.js"
+
+/**
+ * Reprocessa sessões gravadas pelo {@link import("./session-recorder.js").default SessionRecorder} no {@link BeepAnalyzer},
+ * com o mesmo fluxo de trigger, leitura e validação do `capture()`, porém sem relógio: o resultado depende apenas do áudio
+ * e das opções, e é idêntico a cada execução. Roda no navegador e no Node.js.
+ *
+ * O áudio é lido nos instantes gravados em `timing`, os mesmos em que a estação leu o Analyser ou os quadros do AudioWorklet,
+ * então com as opções gravadas o resultado é o da estação. No `capture()` multicanal, cada canal do WAV é lido nos seus
+ * instantes, com o seu ruído, e o resultado é escolhido pelo mesmo `channel`; os canais interrompidos na estação, pela decisão
+ * de outro canal ou pelo `signal`, são interrompidos na última leitura gravada caso ainda não tenham concluído. As sessões
+ * anteriores à versão 2 não têm esses instantes e são lidas no ritmo da fonte offline, pelo `detect()` e `detectPattern()`.
+ *
+ * Permite validar uma mudança de `captureOptions` ou de versão da biblioteca contra um acervo de beeps reais, comparando o
+ * resultado de cada sessão com o resultado obtido na estação.
+ * @example
+ * import { readFile } from "node:fs/promises"
+ * import SessionReplay from "@libs-scripts-mep/beep-listener/session-replay.js"
+ *
+ * const session = {
+ *     name: "123456",
+ *     audio: (await readFile("beep-123456.wav")).buffer,
+ *     data: JSON.parse(await readFile("beep-123456.json", "utf-8"))
+ * }
+ * const replay = await SessionReplay.replay(session, { captureOptions: { minAmplitude: -35 } })
+ * if (!replay.match) { console.table(replay.differences) }
+ */
+export default class SessionReplay {
+
+    /**
+     * @typedef {{
+     *     name?: string,
+     *     audio: Blob | ArrayBuffer | Float32Array | Float32Array[],
+     *     data: import("./session-recorder.js").sessionData
+     * }} recordedSession Sessão gravada. `audio` é o WAV da sessão, ou as amostras já decodificadas na taxa `data.sampleRate`,
+     * um array por canal
+     *
+     * @typedef {{
+     *     frequency?: number,
+     *     amplitude?: number,
+     *     time?: number
+     * }} replayTolerances Diferença aceita entre os valores numéricos do resultado original e do reprocessado: frequência em Hz,
+     * amplitude e relação sinal-ruído em dB e tempos em milissegundos. Por padrão qualquer diferença é informada.
+     *
+     * @typedef {{
+     *     field: string,
+     *     original: any,
+     *     replayed: any
+     * }} replayDifference
+     *
+     * @typedef {{
+     *     name?: string,
+     *     method: string,
+     *     match: boolean,
+     *     differences: replayDifference[],
+     *     original: object,
+     *     replayed: object
+     * }} replayResult
+     */
+
+    /**
+     * Opções preenchidas a partir de outras pelos valores padrão do `capture()`. Como as opções da sessão são salvas com os
+     * padrões aplicados, elas são recalculadas quando uma das opções de origem é alterada no reprocessamento.
+     */
+    static derivedOptions = {
+        measureDuration: ["minDuration", "maxDuration"],
+        snrValidation: ["minSnr"],
+        amplitudeValidation: ["snrValidation", "minSnr"]
+    }
+
+    /**
+     * Reprocessa uma sessão gravada e compara o resultado com o original
+     * @param {recordedSession} session
+     * @param {{ captureOptions?: Partial<import("./beep-listener.js").captureOptions>, tolerances?: replayTolerances }} [replayOptions]
+     * `captureOptions` substitui as opções gravadas na sessão. Um `timeOut` menor que o gravado descarta as leituras feitas depois
+     * dele, e o `channel` escolhe entre os canais lidos na estação
+     * @returns {Promise<replayResult>}
+     */
+    static async replay(session, replayOptions = {}) {
+        const data = session.data
+        const channels = await this.loadAudio(session.audio, data.gain)
+
+        const analyzer = new BeepAnalyzer({ sampleRate: data.sampleRate, ...data.analysis })
+        const captureOptions = this.mergeOptions(data.options, replayOptions.captureOptions)
+
+        const { lastTracks, ...replayed } = data.timing
+            ? this.replayChannels(analyzer, channels, data, replayOptions.captureOptions)
+            : data.method == "capturePattern" ? analyzer.detectPattern(channels[0], captureOptions) : analyzer.detect(channels[0], captureOptions)
+
+        const differences = this.compare(data.verdict, replayed, replayOptions.tolerances)
+        return { name: session.name, method: data.method, match: differences.length == 0, differences, original: data.verdict, replayed }
+    }
+
+    /**
+     * Reprocessa um acervo de sessões, uma de cada vez
+     * @param {Iterable<recordedSession> | AsyncIterable<recordedSession>} sessions
+     * @param {{ captureOptions?: Partial<import("./beep-listener.js").captureOptions>, tolerances?: replayTolerances }} [replayOptions]
+     * @returns {Promise<{ total: number, matches: number, mismatches: replayResult[], results: replayResult[] }>}
+     */
+    static async replayCorpus(sessions, replayOptions = {}) {
+        /** @type {replayResult[]} */
+        const results = []
+        for await (const session of sessions) { results.push(await this.replay(session, replayOptions)) }
+
+        const mismatches = results.filter(result => !result.match)
+        return { total: results.length, matches: results.length - mismatches.length, mismatches, results }
+    }
+
+    /**
+     * Converte o áudio da sessão nas amostras de cada canal, aplicando o ganho usado na captura, já que a gravação é feita antes
+     * do GainNode
+     * @param {Blob | ArrayBuffer | Float32Array | Float32Array[]} audio
+     * @param {number} gain
+     * @returns {Promise<Float32Array[]>}
+     */
+    static async loadAudio(audio, gain = 1) {
+        if (typeof Blob != "undefined" && audio instanceof Blob) { audio = await audio.arrayBuffer() }
+
+        const channels = audio instanceof Float32Array ? [audio]
+            : Array.isArray(audio) ? audio
+                : decodeWav(/** @type {ArrayBuffer} */(audio)).channels
+        return channels.map(samples => samples.map(sample => sample * gain))
+    }
+
+    /**
+     * Reprocessa as leituras gravadas em `timing`. Sem canais separados, a leitura é feita na mistura dos canais, como no
+     * Analyser; no `capture()` multicanal, cada canal lido na estação é reprocessado no seu canal do áudio, com o seu `noiseLevel`,
+     * e o resultado é escolhido como no BeepListener ({@link BeepAnalyzer.channelResult})
+     * @param {BeepAnalyzer} analyzer
+     * @param {Float32Array[]} channels áudio de cada canal, com o ganho aplicado
+     * @param {import("./session-recorder.js").sessionData} data
+     * @param {object} [overrides] opções que substituem as gravadas
+     * @returns {object} resultado do `capture()` ou do `capturePattern()`, ou o erro `PARAM_CHANNEL_UNAVAILABLE` quando o `channel`
+     * não foi lido na estação
+     */
+    static replayChannels(analyzer, channels, data, overrides = {}) {
+        const [first] = data.timing
+        if (first.channel == undefined) { return this.replayTiming(analyzer, downmix(channels), data, first, this.mergeOptions(data.options, overrides)) }
+
+        const selection = overrides.channel ?? data.channel ?? "any"
+        const timings = typeof selection == "number" ? data.timing.filter(timing => timing.channel == selection) : data.timing
+        if (timings.length == 0) {
+            return { success: false, ...Messages.get("PARAM_CHANNEL_UNAVAILABLE", { parameter: "channel", channels: data.channels }), parameter: "channel" }
+        }
+
+        const results = timings.map(timing => {
+            // As opções gravadas têm o ruído desta instância, medido na mistura dos canais
+            const captureOptions = this.mergeOptions({ ...data.options, noiseLevel: timing.noiseLevel }, overrides)
+            const { lastTracks, ...result } = this.replayTiming(analyzer, channels[timing.channel], data, timing, captureOptions)
+            return { channel: timing.channel, ...result }
+        })
+        return BeepAnalyzer.channelResult(results, selection)
+    }
+
+    /**
+     * Executa o fluxo do `capture()` ou do `capturePattern()` do BeepListener lendo o áudio nos instantes gravados em `timing`.
+     * As leituras são consumidas na ordem: uma por verificação do trigger, da duração do beep e da track do `capturePattern()`,
+     * e as feitas até `trackSize` milissegundos após a primeira leitura de uma track, ou `trackSize` em quadros do `hopSize` na
+     * aquisição por AudioWorklet. A captura termina com a última leitura gravada, e é interrompida caso a da estação tenha sido
+     * @param {BeepAnalyzer} analyzer
+     * @param {Float32Array} pcm áudio do canal, com o ganho aplicado
+     * @param {import("./session-recorder.js").sessionData} data
+     * @param {import("./session-recorder.js").sessionTiming} timing
+     * @param {object} captureOptions
+     * @returns {object} resultado do `capture()` ou do `capturePattern()`
+     */
+    static replayTiming(analyzer, pcm, data, timing, captureOptions) {
+        const pattern = data.method == "capturePattern"
+        if (pattern) { BeepAnalyzer.patternDefaults(captureOptions) } else { BeepAnalyzer.captureDefaults(captureOptions) }
+
+        const noiseCheck = BeepAnalyzer.validateNoiseLevel(captureOptions)
+        if (!noiseCheck.success) { return noiseCheck }
+
+        // As leituras gravadas terminam no timeOut da estação, um timeOut menor descarta as seguintes
+        const limited = captureOptions.timeOut < data.options.timeOut
+        const reads = limited ? timing.reads.filter(time => time - timing.startTime < captureOptions.timeOut) : timing.reads
+        const endTime = limited ? Math.min(timing.endTime, timing.startTime + captureOptions.timeOut) : timing.endTime
+        const reader = new TimingReader(analyzer, analyzer.filter(pcm, captureOptions), data.audioStartTime, reads)
+        const frameDuration = analyzer.fftSize / analyzer.sampleRate * 1000
+
+        if (pattern) {
+            const silenceLimit = BeepAnalyzer.patternSilenceLimit(captureOptions)
+            const track = { frequencia: [], amplitude: [], tempo: [] }
+            let lastOnTime
+
+            while (!reader.done) {
+                const sample = reader.read()
+                BeepAnalyzer.concatTracks(track, sample)
+
+                if (BeepAnalyzer.isTriggerSample(sample.frequencia[0], sample.amplitude[0], captureOptions)) {
+                    lastOnTime = reader.time
+                } else if (lastOnTime != undefined && reader.time - lastOnTime > silenceLimit) { break }
+            }
+
+            return timing.aborted && reader.done ? abortedResult() : BeepAnalyzer.patternResult(track, timing.startTime, frameDuration, captureOptions)
+        }
+
+        /** @type {import("./beep-listener.js").track[]} */
+        const lastReads = []
+        while (!reader.done) {
+            let trigger
+            while (!reader.done && !trigger) {
+                const sample = reader.read()
+                if (BeepAnalyzer.isTriggerSample(sample.frequencia[0], sample.amplitude[0], captureOptions)) { trigger = sample }
+            }
+
+            const track = trigger && (data.analysis.hopSize != undefined
+                ? reader.readFrames(Math.max(1, Math.ceil(captureOptions.trackSize / 1000 * analyzer.sampleRate / analyzer.hopSize)))
+                : reader.readUntil(captureOptions.trackSize, endTime))
+            if (!track) { break }
+            lastReads.push(track)
+
+            const validatedTrack = BeepAnalyzer.trackValidator(track, captureOptions)
+            if (validatedTrack.result) {
+                const timingTrack = BeepAnalyzer.concatTracks({ frequencia: [], amplitude: [], tempo: [] }, trigger, track)
+
+                while (captureOptions.measureDuration && !reader.done && !BeepAnalyzer.timingComplete(timingTrack, captureOptions, frameDuration, reader.time)) {
+                    BeepAnalyzer.concatTracks(timingTrack, reader.read())
+                }
+                if (timing.aborted && reader.done) { return abortedResult() }
+
+                const beep = BeepAnalyzer.measureBeep(timingTrack, captureOptions, timing.startTime, frameDuration, reader.time)
+                return BeepAnalyzer.captureResult(validatedTrack, lastReads, captureOptions, beep)
+            }
+        }
+
+        return timing.aborted ? abortedResult() : BeepAnalyzer.captureResult(undefined, lastReads, captureOptions)
+    }
+
+    /**
+     * Junta as opções gravadas com as substituições, descartando as opções derivadas cuja origem foi alterada
+     * @param {object} options opções gravadas na sessão
+     * @param {object} [overrides]
+     * @returns {object}
+     */
+    static mergeOptions(options, overrides = {}) {
+        const merged = { ...options, ...overrides }
+
+        for (const [derived, sources] of Object.entries(this.derivedOptions)) {
+            if (!(derived in overrides) && sources.some(source => source in overrides)) { delete merged[derived] }
+        }
+
+        return merged
+    }
+
+    /**
+     * Compara dois resultados do `capture()` ou do `capturePattern()`
+     * @param {object} original
+     * @param {object} replayed
+     * @param {replayTolerances} [tolerances]
+     * @returns {replayDifference[]}
+     */
+    static compare(original, replayed, tolerances = {}) {
+        const originalValues = this.summary(original)
+        const replayedValues = this.summary(replayed)
+
+        // O msg depende do idioma selecionado, então só é comparado com sessões gravadas antes dos códigos de resultado
+        const ignored = originalValues.code != undefined && replayedValues.code != undefined ? "msg" : "code"
+        delete originalValues[ignored]
+        delete replayedValues[ignored]
+
+        /** @type {replayDifference[]} */
+        const differences = []
+
+        for (const field of new Set([...Object.keys(originalValues), ...Object.keys(replayedValues)])) {
+            const a = originalValues[field]
+            const b = replayedValues[field]
+
+            if (typeof a == "number" && typeof b == "number") {
+                if (Math.abs(a - b) > (tolerances[this.fieldKind(field)] ?? 0)) { differences.push({ field, original: a, replayed: b }) }
+            } else if (a !== b) {
+                differences.push({ field, original: a, replayed: b })
+            }
+        }
+
+        return differences
+    }
+
+    /**
+     * Extrai os valores comparados de um resultado, no formato `campo: valor`
+     * @param {any} result
+     * @returns {{ [field: string]: any }}
+     */
+    static summary(result) {
+        const values = {
+            success: result.success,
+            code: result.code,
+            msg: result.msg,
+            snr: result.snr,
+            "frequencia.frequenciaMedia": result.frequencia?.frequenciaMedia,
+            "amplitude.amplitudeMedia": result.amplitude?.amplitudeMedia,
+            "beep.onset": result.beep?.onset,
+            "beep.offset": result.beep?.offset,
+            "beep.duration": result.beep?.duration,
+            "beeps.length": result.beeps?.length
+        }
+
+        result.beeps?.forEach((beep, index) => {
+            for (const key of ["onset", "offset", "duration", "frequenciaMedia", "amplitudeMedia"]) { values[`beeps[${index}].${key}`] = beep[key] }
+        })
+
+        for (const field in values) { if (values[field] === undefined) { delete values[field] } }
+        return values
+    }
+
+    /**
+     * @param {string} field
+     * @returns {"frequency" | "amplitude" | "time" | "count"} a quantidade de beeps é sempre comparada sem tolerância
+     */
+    static fieldKind(field) {
+        if (field == "beeps.length") { return "count" }
+        if (field.endsWith("frequenciaMedia")) { return "frequency" }
+        if (field.endsWith("amplitudeMedia") || field == "snr") { return "amplitude" }
+        return "time"
+    }
+}
+
+/**
+ * Leitura do áudio de uma sessão nos instantes gravados, equivalente às leituras do Analyser ou dos quadros do AudioWorklet
+ */
+class TimingReader {
+
+    /**
+     * @param {BeepAnalyzer} analyzer
+     * @param {Float32Array} pcm áudio já filtrado
+     * @param {number} audioStartTime instante da primeira amostra, em milissegundos do relógio do áudio
+     * @param {number[]} reads instantes das leituras, em milissegundos do relógio do áudio
+     */
+    constructor(analyzer, pcm, audioStartTime, reads) {
+        this.analyzer = analyzer
+        this.pcm = pcm
+        this.audioStartTime = audioStartTime
+        this.reads = reads
+        this.index = 0
+
+        /**
+         * Instante da última leitura
+         * @type {number | undefined}
+         */
+        this.time = undefined
+        /** @type {{ position: number, analysis: ReturnType<BeepAnalyzer["analyzeFrame"]> } | undefined} */
+        this.last = undefined
+
+        analyzer.reset()
+    }
+
+    /** Indica se todas as leituras foram consumidas */
+    get done() { return this.index >= this.reads.length }
+
+    /** Instante da próxima leitura */
+    get next() { return this.reads[this.index] }
+
+    /**
+     * Consome a próxima leitura. Como no AnalyserNode, uma leitura na mesma posição da anterior repete o resultado, sem suavizar de novo
+     * @returns {import("./beep-listener.js").track} track com a amostra lida, vazia caso a confiança seja menor que a mínima
+     */
+    read() {
+        this.time = this.reads[this.index++]
+        const position = Math.round((this.time - this.audioStartTime) / 1000 * this.analyzer.sampleRate)
+
+        if (this.last?.position != position) {
+            this.last = { position, analysis: this.analyzer.analyzeFrame(this.analyzer.frameAt(this.pcm, position)) }
+        }
+
+        const sample = this.last.analysis
+        return sample.confidence >= this.analyzer.minConfidence
+            ? BeepAnalyzer.fixValues([sample.frequency], [sample.amplitude], [this.time], [sample.confidence], [sample.spectralShape])
+            : BeepAnalyzer.fixValues([], [], [], [], [])
+    }
+
+    /**
+     * Track do polling: a próxima leitura e as seguintes até `time` milissegundos após ela
+     * @param {number} time
+     * @param {number} endTime instante em que a estação parou de ler
+     * @returns {import("./beep-listener.js").track | undefined} undefined caso a estação tenha parado de ler antes do fim da track
+     */
+    readUntil(time, endTime) {
+        if (this.done) { return undefined }
+
+        const end = this.next + time
+        const track = this.read()
+        while (!this.done && this.next < end) { BeepAnalyzer.concatTracks(track, this.read()) }
+
+        return this.done && endTime < end ? undefined : track
+    }
+
+    /**
+     * Track da aquisição por AudioWorklet: as próximas `frames` leituras
+     * @param {number} frames
+     * @returns {import("./beep-listener.js").track | undefined} undefined caso a estação tenha parado de ler antes do fim da track
+     */
+    readFrames(frames) {
+        if (this.reads.length - this.index < frames) { return undefined }
+
+        const track = this.read()
+        for (let read = 1; read < frames; read++) { BeepAnalyzer.concatTracks(track, this.read()) }
+        return track
+    }
+}
+
+/**
+ * Mistura os canais em mono pela média, como o AnalyserNode
+ * @param {Float32Array[]} channels
+ * @returns {Float32Array}
+ */
+function downmix(channels) {
+    if (channels.length == 1) { return channels[0] }
+    return channels[0].map((sample, index) => channels.reduce((sum, channel) => sum + channel[index], 0) / channels.length)
+}
+
+/** Resultado da captura interrompida na estação */
+function abortedResult() { return { success: false, aborted: true, ...Messages.get("OPERATION_ABORTED") } }
@@ -0,0 +1,62 @@
+/**
+ * Estatísticas usadas na análise das tracks e no aprendizado de perfis. Os valores que não são números finitos, como a
+ * amplitude `NaN` ou `-Infinity` de um quadro em silêncio, são ignorados
+ * @example
+ * import { median, percentile } from "@libs-scripts-mep/beep-listener/statistics.js"
+ *
+ * console.log(median([-32, -30, NaN, -31]), percentile([-32, -30, -31], 90))
+ */
+
+/**
+ * Média aritmética
+ * @param {number[]} values
+ * @returns {number} NaN para um array sem valores finitos
+ */
+export function mean(values) {
+    const finite = values.filter(value => Number.isFinite(value))
+    return finite.reduce((sum, value) => sum + value, 0) / finite.length
+}
+
+/**
+ * Desvio padrão amostral
+ * @param {number[]} values
+ * @returns {number} 0 com menos de dois valores finitos
+ */
+export function std(values) {
+    const finite = values.filter(value => Number.isFinite(value))
+    if (finite.length < 2) { return 0 }
+
+    const average = mean(finite)
+    return Math.sqrt(finite.reduce((sum, value) => sum + (value - average) ** 2, 0) / (finite.length - 1))
+}
+
+/**
+ * Mediana, sem alterar o array. Com uma quantidade par de valores, é a média dos dois centrais
+ * @param {number[]} values
+ * @returns {number} NaN para um array sem valores finitos
+ */
+export function median(values) {
+    const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b)
+    if (sorted.length == 0) { return NaN }
+
+    const middle = (sorted.length - 1) / 2
+    return (sorted[Math.floor(middle)] + sorted[Math.ceil(middle)]) / 2
+}
+
+/**
+ * Percentil pelo critério do posto mais próximo, sem alterar o array
+ * @param {number[]} values
+ * @param {number} percent entre 0 e 100
+ * @returns {number} NaN para um array sem valores finitos
+ */
+export function percentile(values, percent) {
+    const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b)
+    if (sorted.length == 0) { return NaN }
+    return sorted[Math.round(percent / 100 * (sorted.length - 1))]
+}
+
+/**
+ * @param {number} value
+ * @param {number} [digits] casas decimais
+ */
+export function round(value, digits = 2) { return parseFloat(value.toFixed(digits)) }
@@ -0,0 +1,999 @@
+import BeepAnalyzer from "./beep-analyzer.js"
+import { decodeWav } from "./wav.js"
+
+/**
+ * Suporte aos testes automatizados: sinais sintéticos e uma implementação simulada do Web Audio e do
+ * `navigator.mediaDevices`, que toca esses sinais no microfone usado pelo `init()`. Funciona no Node.js, sem navegador e
+ * sem microfone.
+ *
+ * Os geradores retornam um `Float32Array` com as amostras na taxa `sampleRate` (48000 por padrão), com durações em
+ * milissegundos e níveis em dBFS, e podem ser combinados com `concat()` e `mix()`. O mesmo sinal pode ser usado como `source`
+ * do `init()` ou tocado no microfone simulado.
+ *
+ * O `installFakeAudio()` substitui os globais `AudioContext`, `OfflineAudioContext`, `AudioBuffer`, `AudioWorkletNode` e
+ * `navigator`. O relógio do AudioContext simulado avança em tempo real apenas enquanto ele está rodando, e o sinal tocado
+ * avança com ele: o sinal tocado antes do `capture()` começa quando a leitura começa. Os processadores do AudioWorklet são
+ * os de `beep-listener-worklet.js`, executados no Node.js a cada render quantum do relógio, então o `init()` com
+ * `acquisition: "worklet"` também pode ser testado.
+ * @example
+ * import BeepListener from "@libs-scripts-mep/beep-listener"
+ * import { installFakeAudio, beepPattern, whiteNoise, mix } from "@libs-scripts-mep/beep-listener/synthetic-audio.js"
+ *
+ * const audio = installFakeAudio({ devices: [{ deviceId: "mic-1", label: "Logitech C930e" }] })
+ * audio.play(mix(beepPattern({ pattern: [{ duration: 600, gap: 400 }], frequency: 3000, level: -20 }), whiteNoise({ duration: 1000, level: -50 })))
+ *
+ * const listener = new BeepListener()
+ * await listener.init({ deviceId: "mic-1", pitchEngine: "yin" })
+ * const capture = await listener.capture({ minAmplitude: -40, maxAmplitude: -25, trackSize: 300 })
+ * audio.uninstall()
+ */
+
+/** Taxa de amostragem padrão dos geradores */
+export const defaultSampleRate = 48000
+
+//#region Signals
+
+/**
+ * Converte um nível em dBFS para amplitude linear
+ * @param {number} level nível em dBFS
+ * @returns {number}
+ */
+export function dbfs(level) { return 10 ** (level / 20) }
+
+/**
+ * Tom puro
+ * @param {{ frequency: number, duration: number, level?: number, sampleRate?: number }} toneOptions `level` é o pico da
+ * senoide em dBFS, -20 por padrão
+ * @returns {Float32Array}
+ * @example
+ * const beep = tone({ frequency: 3000, duration: 500, level: -12 })
+ */
+export function tone({ frequency, duration, level = -20, sampleRate = defaultSampleRate }) {
+    const amplitude = dbfs(level)
+    return Float32Array.from({ length: samples(duration, sampleRate) }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate))
+}
+
+/**
+ * Varredura linear de frequência, de `from` até `to`
+ * @param {{ from: number, to: number, duration: number, level?: number, sampleRate?: number }} chirpOptions
+ * @returns {Float32Array}
+ */
+export function chirp({ from, to, duration, level = -20, sampleRate = defaultSampleRate }) {
+    const amplitude = dbfs(level)
+    const length = samples(duration, sampleRate)
+    const rate = (to - from) / (length / sampleRate)
+
+    return Float32Array.from({ length }, (_, i) => {
+        const time = i / sampleRate
+        return amplitude * Math.sin(2 * Math.PI * (from * time + rate * time * time / 2))
+    })
+}
+
+/**
+ * Silêncio
+ * @param {{ duration: number, sampleRate?: number }} silenceOptions
+ * @returns {Float32Array}
+ */
+export function silence({ duration, sampleRate = defaultSampleRate }) { return new Float32Array(samples(duration, sampleRate)) }
+
+/**
+ * Sequência de beeps, no mesmo formato do `pattern` do `capturePattern()`
+ * @param {{
+ *     pattern: { duration: number, gap?: number }[],
+ *     frequency: number,
+ *     level?: number,
+ *     lead?: number,
+ *     sampleRate?: number
+ * }} patternOptions `gap` é o silêncio após cada beep e `lead` o silêncio antes do primeiro, em milissegundos
+ * @returns {Float32Array}
+ * @example
+ * const pattern = beepPattern({ pattern: [{ duration: 200, gap: 200 }, { duration: 200, gap: 200 }, { duration: 600 }], frequency: 3000 })
+ */
+export function beepPattern({ pattern, frequency, level = -20, lead = 0, sampleRate = defaultSampleRate }) {
+    return concat(
+        silence({ duration: lead, sampleRate }),
+        ...pattern.flatMap(beep => [
+            tone({ frequency, duration: beep.duration, level, sampleRate }),
+            silence({ duration: beep.gap ?? 0, sampleRate })
+        ])
+    )
+}
+
+/**
+ * Ruído branco, reproduzível pela `seed`
+ * @param {{ duration: number, level?: number, seed?: number, sampleRate?: number }} noiseOptions `level` é o valor RMS em
+ * dBFS, -40 por padrão
+ * @returns {Float32Array}
+ */
+export function whiteNoise({ duration, level = -40, seed = 1, sampleRate = defaultSampleRate }) {
+    const random = randomGenerator(seed)
+    // O RMS do ruído uniforme entre -1 e 1 é 1/√3
+    const amplitude = dbfs(level) * Math.sqrt(3)
+    return Float32Array.from({ length: samples(duration, sampleRate) }, () => amplitude * (2 * random() - 1))
+}
+
+/**
+ * Ruído rosa (-3 dB por oitava), pelo filtro de Paul Kellet aplicado ao ruído branco, reproduzível pela `seed`
+ * @param {{ duration: number, level?: number, seed?: number, sampleRate?: number }} noiseOptions `level` é o valor RMS em
+ * dBFS, -40 por padrão
+ * @returns {Float32Array}
+ */
+export function pinkNoise({ duration, level = -40, seed = 1, sampleRate = defaultSampleRate }) {
+    const random = randomGenerator(seed)
+    const output = new Float32Array(samples(duration, sampleRate))
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0
+
+    for (let i = 0; i < output.length; i++) {
+        const white = 2 * random() - 1
+        b0 = 0.99886 * b0 + white * 0.0555179
+        b1 = 0.99332 * b1 + white * 0.0750759
+        b2 = 0.96900 * b2 + white * 0.1538520
+        b3 = 0.86650 * b3 + white * 0.3104856
+        b4 = 0.55000 * b4 + white * 0.5329522
+        b5 = -0.7616 * b5 - white * 0.0168980
+        output[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362
+        b6 = white * 0.115926
+    }
+
+    return scale(output, dbfs(level) / rms(output))
+}
+
+/**
+ * Ceifa o sinal em `level`, como um microfone ou conversor saturado
+ * @param {Float32Array} signal
+ * @param {number} level nível de corte em dBFS
+ * @returns {Float32Array}
+ */
+export function clip(signal, level) {
+    const limit = dbfs(level)
+    return signal.map(sample => Math.max(-limit, Math.min(limit, sample)))
+}
+
+/**
+ * Distorce o sinal por uma curva tangente hiperbólica, mantendo o pico. Quanto maior o `drive`, maior a distorção harmônica
+ * @param {Float32Array} signal
+ * @param {number} [drive]
+ * @returns {Float32Array}
+ */
+export function distort(signal, drive = 4) {
+    const peak = signal.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0)
+    if (peak == 0) { return Float32Array.from(signal) }
+    return signal.map(sample => peak * Math.tanh(drive * sample / peak) / Math.tanh(drive))
+}
+
+/**
+ * Soma os sinais, com o tamanho do maior
+ * @param {...Float32Array} signals
+ * @returns {Float32Array}
+ */
+export function mix(...signals) {
+    const output = new Float32Array(Math.max(0, ...signals.map(signal => signal.length)))
+    signals.forEach(signal => signal.forEach((sample, i) => { output[i] += sample }))
+    return output
+}
+
+/**
+ * Concatena os sinais
+ * @param {...Float32Array} signals
+ * @returns {Float32Array}
+ */
+export function concat(...signals) {
+    const output = new Float32Array(signals.reduce((length, signal) => length + signal.length, 0))
+    let offset = 0
+    for (const signal of signals) {
+        output.set(signal, offset)
+        offset += signal.length
+    }
+    return output
+}
+
+/**
+ * Valor RMS do sinal em dBFS
+ * @param {Float32Array} signal
+ * @returns {number}
+ */
+export function rmsLevel(signal) { return 20 * Math.log10(rms(signal)) }
+//#endregion Signals
+
+//#region FakeAudio
+
+/**
+ * Substitui os globais do Web Audio e o `navigator.mediaDevices` pelas implementações simuladas
+ * @param {{ devices?: fakeDevice[] }} [installOptions] microfones disponíveis, por padrão um microfone mono
+ * @returns {{
+ *     mediaDevices: FakeMediaDevices,
+ *     play: FakeMediaDevices["play"],
+ *     uninstall: () => void
+ * }} `uninstall()` restaura os globais anteriores
+ * @example
+ * const audio = installFakeAudio({ devices: [{ deviceId: "stereo", label: "USB Stereo", channels: 2 }] })
+ * audio.play([tone({ frequency: 3000, duration: 1000 }), silence({ duration: 1000 })], { loop: true })
+ * audio.mediaDevices.disconnect("stereo") // dispara o devicechange e encerra a track
+ */
+export function installFakeAudio({ devices = [{ deviceId: "fake-microphone", label: "Fake Microphone" }] } = {}) {
+    const names = ["AudioContext", "OfflineAudioContext", "AudioBuffer", "AudioWorkletNode", "navigator"]
+    const previous = names.map(name => Object.getOwnPropertyDescriptor(globalThis, name))
+    const mediaDevices = new FakeMediaDevices(devices)
+
+    const fakes = [FakeAudioContext, FakeOfflineAudioContext, FakeAudioBuffer, FakeAudioWorkletNode, { mediaDevices }]
+    names.forEach((name, index) => Object.defineProperty(globalThis, name, { value: fakes[index], configurable: true, writable: true }))
+
+    return {
+        mediaDevices,
+        play: (signal, playOptions) => mediaDevices.play(signal, playOptions),
+        uninstall: () => names.forEach((name, index) => {
+            if (previous[index]) { Object.defineProperty(globalThis, name, previous[index]) } else { delete globalThis[name] }
+        })
+    }
+}
+
+/**
+ * @typedef {{ deviceId: string, label: string, channels?: number, groupId?: string }} fakeDevice Microfone simulado.
+ * `channels` é a quantidade de canais do hardware, 1 por padrão
+ */
+
+/** Microfones simulados: lista, conexão e reprodução dos sinais */
+export class FakeMediaDevices extends EventTarget {
+
+    /** @param {fakeDevice[]} devices */
+    constructor(devices) {
+        super()
+        this.devices = devices.map(device => ({ channels: 1, groupId: "", ...device, connected: true, playback: undefined }))
+        /** @type {Set<FakeMediaStreamAudioSourceNode>} */
+        this.sources = new Set()
+        /** @type {Set<FakeMediaStream>} */
+        this.streams = new Set()
+    }
+
+    async enumerateDevices() {
+        return this.devices
+            .filter(device => device.connected)
+            .map(device => ({ kind: "audioinput", deviceId: device.deviceId, label: device.label, groupId: device.groupId }))
+    }
+
+    /**
+     * Abre o microfone pelo `deviceId`. Como no navegador, um `deviceId` em texto é apenas uma preferência, e `{ exact }` falha
+     * caso o microfone não exista. `channelCount` é limitado aos canais do hardware, e é 1 quando não solicitado
+     * @param {{ audio: MediaTrackConstraints }} constraints
+     * @returns {Promise<FakeMediaStream>}
+     */
+    async getUserMedia({ audio }) {
+        const connected = this.devices.filter(device => device.connected)
+        const requested = constraintValue(audio?.deviceId)
+        const device = connected.find(device => device.deviceId == requested.value) ?? (requested.exact ? undefined : connected[0])
+        if (!device) { throw new DOMException("Requested device not found", "NotFoundError") }
+
+        const channelCount = Math.min(device.channels, constraintValue(audio?.channelCount).value ?? 1)
+        const stream = new FakeMediaStream(this, device, channelCount)
+        this.streams.add(stream)
+        return stream
+    }
+
+    /**
+     * Toca o sinal no microfone. Nos AudioContexts já conectados ao microfone, o sinal começa no instante atual
+     * @param {Float32Array | Float32Array[]} signal sinal mono ou um sinal por canal
+     * @param {{ deviceId?: string, loop?: boolean }} [playOptions] por padrão o primeiro microfone, sem repetição
+     */
+    play(signal, { deviceId, loop = false } = {}) {
+        const device = this.device(deviceId)
+        device.playback = { channels: Array.isArray(signal) ? signal : [signal], loop }
+        this.sources.forEach(source => {
+            if (source.mediaStream.device == device) { source.offset = source.context.currentFrame }
+        })
+    }
+
+    /**
+     * Desconecta o microfone: as tracks abertas terminam e o `devicechange` é disparado
+     * @param {string} [deviceId]
+     */
+    disconnect(deviceId) {
+        const device = this.device(deviceId)
+        device.connected = false
+        this.streams.forEach(stream => {
+            if (stream.device == device) { stream.getTracks().forEach(track => track.end()) }
+        })
+        this.dispatchEvent(new Event("devicechange"))
+    }
+
+    /**
+     * Reconecta o microfone, disparando o `devicechange`
+     * @param {string} [deviceId]
+     */
+    connect(deviceId) {
+        this.device(deviceId).connected = true
+        this.dispatchEvent(new Event("devicechange"))
+    }
+
+    /** @param {string} [deviceId] */
+    device(deviceId) {
+        const device = deviceId == undefined ? this.devices[0] : this.devices.find(device => device.deviceId == deviceId)
+        if (!device) { throw new Error(`Fake device not found: ${deviceId}`) }
+        return device
+    }
+}
+
+export class FakeMediaStream {
+
+    /**
+     * @param {FakeMediaDevices} mediaDevices
+     * @param {FakeMediaDevices["devices"][number]} device
+     * @param {number} channelCount
+     */
+    constructor(mediaDevices, device, channelCount) {
+        this.mediaDevices = mediaDevices
+        this.device = device
+        this.channelCount = channelCount
+        this.tracks = [new FakeMediaStreamTrack(device, channelCount)]
+    }
+
+    getTracks() { return [...this.tracks] }
+
+    getAudioTracks() { return this.getTracks() }
+
+    /**
+     * Amostras do microfone, do instante `start` até `end` do sinal tocado, com `channelCount` canais. O sinal de um canal é
+     * copiado em todos os canais, e vários canais são somados em um canal mono pela média
+     * @param {number} start
+     * @param {number} end
+     * @returns {Float32Array[]}
+     */
+    read(start, end) {
+        const output = Array.from({ length: this.channelCount }, () => new Float32Array(end - start))
+        const playback = this.device.playback
+        if (!playback || this.tracks[0].readyState == "ended") { return output }
+
+        const source = this.channelCount == 1 && playback.channels.length > 1
+            ? [mix(...playback.channels).map(sample => sample / playback.channels.length)]
+            : playback.channels
+        const length = Math.max(...source.map(channel => channel.length))
+
+        output.forEach((channel, index) => {
+            const data = source[index % source.length]
+            for (let i = 0; i < channel.length; i++) {
+                const position = playback.loop && length > 0 ? (start + i) % length : start + i
+                channel[i] = position >= 0 ? data[position] ?? 0 : 0
+            }
+        })
+        return output
+    }
+}
+
+export class FakeMediaStreamTrack extends EventTarget {
+
+    /**
+     * @param {FakeMediaDevices["devices"][number]} device
+     * @param {number} channelCount
+     */
+    constructor(device, channelCount) {
+        super()
+        this.kind = "audio"
+        this.label = device.label
+        this.readyState = "live"
+        this.settings = { deviceId: device.deviceId, groupId: device.groupId, channelCount }
+    }
+
+    getSettings() { return { ...this.settings } }
+
+    stop() { this.readyState = "ended" }
+
+    /** Termina a track como na desconexão do microfone, disparando o `ended` */
+    end() {
+        if (this.readyState == "ended") { return }
+        this.readyState = "ended"
+        this.dispatchEvent(new Event("ended"))
+    }
+}
+
+export class FakeAudioBuffer {
+
+    /** @param {{ length: number, numberOfChannels?: number, sampleRate: number }} bufferOptions */
+    constructor({ length, numberOfChannels = 1, sampleRate }) {
+        this.length = length
+        this.numberOfChannels = numberOfChannels
+        this.sampleRate = sampleRate
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length))
+    }
+
+    get duration() { return this.length / this.sampleRate }
+
+    /** @param {number} channel */
+    getChannelData(channel) { return this.channels[channel] }
+
+    /**
+     * @param {Float32Array} source
+     * @param {number} channel
+     * @param {number} [start]
+     */
+    copyToChannel(source, channel, start = 0) { this.channels[channel].set(source.subarray(0, this.length - start), start) }
+
+    /**
+     * @param {Float32Array} destination
+     * @param {number} channel
+     * @param {number} [start]
+     */
+    copyFromChannel(destination, channel, start = 0) { destination.set(this.channels[channel].subarray(start, start + destination.length)) }
+}
+
+/** Base dos contextos simulados: criação dos nós e decodificação */
+class FakeBaseAudioContext {
+
+    /** @param {number} sampleRate */
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate
+        this.destination = new FakeAudioNode(this)
+        this.audioWorklet = new FakeAudioWorklet(this)
+        /** @type {"suspended" | "running" | "closed"} */
+        this.state = "suspended"
+    }
+
+    /** Instante atual em amostras */
+    get currentFrame() { return Math.round(this.currentTime * this.sampleRate) }
+
+    createGain() { return new FakeGainNode(this) }
+
+    createAnalyser() { return new FakeAnalyserNode(this) }
+
+    createBiquadFilter() { return new FakeBiquadFilterNode(this) }
+
+    /** @param {number} [numberOfOutputs] */
+    createChannelSplitter(numberOfOutputs = 6) { return new FakeChannelSplitterNode(this, numberOfOutputs) }
+
+    createOscillator() { return new FakeOscillatorNode(this) }
+
+    createBufferSource() { return new FakeAudioBufferSourceNode(this) }
+
+    /**
+     * Decodifica um WAV, reamostrado para a taxa do contexto por interpolação linear
+     * @param {ArrayBuffer} arrayBuffer
+     * @returns {Promise<FakeAudioBuffer>}
+     */
+    async decodeAudioData(arrayBuffer) {
+        const wav = decodeWav(arrayBuffer)
+        const ratio = wav.sampleRate / this.sampleRate
+        const length = Math.floor(wav.channels[0].length / ratio)
+        const audioBuffer = new FakeAudioBuffer({ length, numberOfChannels: wav.channels.length, sampleRate: this.sampleRate })
+
+        wav.channels.forEach((data, channel) => audioBuffer.copyToChannel(Float32Array.from({ length }, (_, i) => {
+            const position = i * ratio
+            const index = Math.floor(position)
+            return data[index] + ((data[index + 1] ?? data[index]) - data[index]) * (position - index)
+        }), channel))
+
+        return audioBuffer
+    }
+}
+
+/** AudioContext simulado, com o relógio em tempo real enquanto está rodando */
+export class FakeAudioContext extends FakeBaseAudioContext {
+
+    /** @param {{ sampleRate?: number, latencyHint?: string }} [contextOptions] */
+    constructor({ sampleRate = defaultSampleRate } = {}) {
+        super(sampleRate)
+        this.baseLatency = 128 / sampleRate
+        this.state = "running"
+        this.elapsed = 0
+        this.resumedAt = taskTime()
+    }
+
+    /**
+     * Tempo em segundos, avançando em blocos de 128 amostras como no navegador. Fica parado durante cada tarefa do event loop,
+     * para que as leituras feitas em sequência, como o instante e o Analyser, vejam o mesmo render quantum
+     */
+    get currentTime() {
+        const running = this.state == "running" ? (taskTime() - this.resumedAt) / 1000 : 0
+        return Math.floor((this.elapsed + running) * this.sampleRate / 128) * 128 / this.sampleRate
+    }
+
+    async resume() {
+        if (this.state != "suspended") { return }
+        this.resumedAt = taskTime()
+        this.state = "running"
+    }
+
+    async suspend() {
+        if (this.state != "running") { return }
+        this.elapsed += (taskTime() - this.resumedAt) / 1000
+        this.state = "suspended"
+    }
+
+    async close() {
+        await this.suspend()
+        this.state = "closed"
+    }
+
+    /** @param {FakeMediaStream} mediaStream */
+    createMediaStreamSource(mediaStream) { return new FakeMediaStreamAudioSourceNode(this, mediaStream) }
+}
+
+/**
+ * OfflineAudioContext simulado: o relógio só avança pelo `startRendering()` e `resume()`, até o próximo `suspend(time)`
+ * pendente ou até o fim
+ */
+export class FakeOfflineAudioContext extends FakeBaseAudioContext {
+
+    /** @param {{ numberOfChannels?: number, length: number, sampleRate: number }} contextOptions */
+    constructor({ numberOfChannels = 1, length, sampleRate }) {
+        super(sampleRate)
+        this.numberOfChannels = numberOfChannels
+        this.length = length
+        this.frame = 0
+        /** @type {{ frame: number, resolve: () => void }[]} */
+        this.suspends = []
+        /** @type {((buffer: FakeAudioBuffer) => void) | undefined} */
+        this.finish = undefined
+    }
+
+    get currentTime() { return this.frame / this.sampleRate }
+
+    get currentFrame() { return this.frame }
+
+    /**
+     * @param {number} time instante em segundos, arredondado para um múltiplo de 128 amostras
+     * @returns {Promise<void>}
+     */
+    suspend(time) {
+        return new Promise(resolve => this.suspends.push({ frame: Math.ceil(time * this.sampleRate / 128 - 1e-9) * 128, resolve }))
+    }
+
+    async resume() {
+        this.state = "running"
+        this.advance()
+    }
+
+    /** @returns {Promise<FakeAudioBuffer>} o áudio renderizado não é calculado, o buffer retornado é silencioso */
+    startRendering() {
+        return new Promise(resolve => {
+            this.finish = resolve
+            this.resume()
+        })
+    }
+
+    /** Avança até o próximo `suspend()` pendente, ou até o fim */
+    advance() {
+        setImmediate(() => {
+            this.suspends.sort((a, b) => a.frame - b.frame)
+            const next = this.suspends.find(pending => pending.frame > this.frame)
+
+            if (next && next.frame < this.length) {
+                this.suspends = this.suspends.filter(pending => pending != next)
+                this.frame = next.frame
+                this.state = "suspended"
+                next.resolve()
+                return
+            }
+
+            this.frame = this.length
+            this.state = "closed"
+            this.finish?.(new FakeAudioBuffer({ length: this.length, numberOfChannels: this.numberOfChannels, sampleRate: this.sampleRate }))
+        })
+    }
+}
+
+/** Nó simulado, que calcula a sua saída sob demanda a partir das entradas */
+export class FakeAudioNode {
+
+    /** @param {FakeBaseAudioContext} context */
+    constructor(context) {
+        this.context = context
+        /** @type {{ node: FakeAudioNode, output: number }[]} */
+        this.inputs = []
+        /** @type {Set<FakeAudioNode>} */
+        this.outputs = new Set()
+    }
+
+    /**
+     * @param {FakeAudioNode} destination
+     * @param {number} [output]
+     * @returns {FakeAudioNode}
+     */
+    connect(destination, output = 0) {
+        destination.inputs.push({ node: this, output })
+        this.outputs.add(destination)
+        return destination
+    }
+
+    /**
+     * Desconecta de `destination`, ou de todos os destinos. Como no navegador, falha caso o nó não esteja conectado a ele
+     * @param {FakeAudioNode} [destination]
+     */
+    disconnect(destination) {
+        if (destination && !this.outputs.has(destination)) { throw new DOMException("The node is not connected to the destination", "InvalidAccessError") }
+
+        for (const target of destination ? [destination] : [...this.outputs]) {
+            target.inputs = target.inputs.filter(input => input.node != this)
+            this.outputs.delete(target)
+        }
+    }
+
+    /**
+     * Saída do nó nas `length` amostras que terminam em `end`
+     * @param {number} end
+     * @param {number} length
+     * @param {number} [output] saída do nó, usada pelo ChannelSplitter
+     * @returns {Float32Array[]} um array por canal
+     */
+    render(end, length, output = 0) { return this.mixInputs(end, length) }
+
+    /**
+     * Soma das entradas. As entradas mono são copiadas em todos os canais
+     * @param {number} end
+     * @param {number} length
+     * @returns {Float32Array[]}
+     */
+    mixInputs(end, length) {
+        const rendered = this.inputs.map(input => input.node.render(end, length, input.output))
+        const channels = Math.max(1, ...rendered.map(input => input.length))
+        const output = Array.from({ length: channels }, () => new Float32Array(length))
+
+        rendered.forEach(input => output.forEach((channel, index) => {
+            const data = input[input.length == 1 ? 0 : index]
+            if (data) { data.forEach((sample, i) => { channel[i] += sample }) }
+        }))
+        return output
+    }
+}
+
+class FakeAudioParam {
+
+    /** @param {number} value */
+    constructor(value) { this.value = value }
+}
+
+export class FakeGainNode extends FakeAudioNode {
+
+    /** @param {FakeBaseAudioContext} context */
+    constructor(context) {
+        super(context)
+        this.gain = new FakeAudioParam(1)
+    }
+
+    render(end, length) { return this.mixInputs(end, length).map(channel => scale(channel, this.gain.value)) }
+}
+
+/** BiquadFilterNode simulado pelo {@link BeepAnalyzer.applyFilters}, com 100ms de áudio anterior para estabilizar o filtro */
+export class FakeBiquadFilterNode extends FakeAudioNode {
+
+    /** @param {FakeBaseAudioContext} context */
+    constructor(context) {
+        super(context)
+        /** @type {import("./beep-analyzer.js").filterSpec["type"]} */
+        this.type = "lowpass"
+        this.frequency = new FakeAudioParam(350)
+        this.Q = new FakeAudioParam(1)
+    }
+
+    render(end, length) {
+        const preroll = Math.round(this.context.sampleRate / 10)
+        const filter = { type: this.type, frequency: this.frequency.value, Q: this.Q.value }
+
+        return this.mixInputs(end, length + preroll)
+            .map(channel => BeepAnalyzer.applyFilters(channel, [filter], this.context.sampleRate).slice(preroll))
+    }
+}
+
+/**
+ * AudioWorklet simulado: o módulo é executado em um contexto do `node:vm` com os globais do AudioWorkletGlobalScope, e os
+ * processadores registrados ficam disponíveis para o {@link FakeAudioWorkletNode}
+ */
+export class FakeAudioWorklet {
+
+    /** @param {FakeBaseAudioContext} context */
+    constructor(context) {
+        /** @type {Map<string, typeof FakeAudioWorkletProcessor>} */
+        this.processors = new Map()
+        /** Globais do AudioWorkletGlobalScope. `currentFrame` é atualizado antes de cada `process()` */
+        this.scope = {
+            AudioWorkletProcessor: FakeAudioWorkletProcessor,
+            registerProcessor: (name, processor) => this.processors.set(name, processor),
+            sampleRate: context.sampleRate,
+            currentFrame: 0
+        }
+    }
+
+    /** @param {string | URL} moduleURL caminho ou URL `file:` do módulo */
+    async addModule(moduleURL) {
+        const { readFile } = await import("node:fs/promises")
+        const { runInNewContext } = await import("node:vm")
+        runInNewContext(await readFile(moduleURL, "utf-8"), this.scope)
+    }
+}
+
+/** Base dos processadores no AudioWorklet simulado, com a porta ligada à do nó */
+export class FakeAudioWorkletProcessor {
+
+    /**
+     * Porta entregue ao próximo processador criado, já que o construtor dos processadores não a recebe
+     * @type {FakeMessagePort | undefined}
+     */
+    static nextPort = undefined
+
+    constructor() { this.port = FakeAudioWorkletProcessor.nextPort }
+}
+
+/**
+ * AudioWorkletNode simulado: a cada 10ms, o processador recebe os render quanta de 128 amostras até o instante atual do
+ * contexto. A entrada é mixada em `channelCount` canais com `channelCountMode: "explicit"`; sem nada conectado, a entrada
+ * não tem canais. Enquanto o contexto está rodando, o timer mantém o processo do Node.js ativo
+ */
+export class FakeAudioWorkletNode extends FakeAudioNode {
+
+    /**
+     * @param {FakeBaseAudioContext} context
+     * @param {string} name
+     * @param {{ channelCount?: number, channelCountMode?: string, processorOptions?: object }} [nodeOptions]
+     */
+    constructor(context, name, nodeOptions = {}) {
+        super(context)
+        const Processor = context.audioWorklet.processors.get(name)
+        if (!Processor) { throw new DOMException(`The node name '${name}' is not defined in AudioWorkletGlobalScope`, "InvalidStateError") }
+
+        this.channelCount = nodeOptions.channelCount ?? 2
+        this.channelCountMode = nodeOptions.channelCountMode ?? "max"
+
+        const [port, processorPort] = FakeMessagePort.pair()
+        this.port = port
+        // Como no navegador, a mensagem chega ao processador depois do áudio anterior ao seu envio
+        processorPort.beforeMessage = () => this.process()
+        FakeAudioWorkletProcessor.nextPort = processorPort
+        this.processor = new Processor(nodeOptions)
+        FakeAudioWorkletProcessor.nextPort = undefined
+
+        this.frame = context.currentFrame
+        this.timer = setInterval(() => this.process(), 10)
+        this.keepAlive()
+    }
+
+    /** Processa os render quanta até o instante atual, até a porta ser fechada */
+    process() {
+        if (this.port.closed) { return clearInterval(this.timer) }
+        this.keepAlive()
+
+        while (this.frame + 128 <= this.context.currentFrame) {
+            this.context.audioWorklet.scope.currentFrame = this.frame
+            this.frame += 128
+            this.processor.process([this.inputs.length > 0 ? this.input(this.frame, 128) : []], [], {})
+        }
+    }
+
+    /** Mantém o processo ativo apenas enquanto o contexto está rodando */
+    keepAlive() {
+        if (this.context.state == "running") { this.timer.ref() } else { this.timer.unref() }
+    }
+
+    /**
+     * Entrada do processador, mixada em mono pela média dos canais quando excede o `channelCount` no modo `explicit`
+     * @param {number} end
+     * @param {number} length
+     */
+    input(end, length) {
+        const channels = this.mixInputs(end, length)
+        if (this.channelCountMode != "explicit" || channels.length <= this.channelCount) { return channels }
+        return [mix(...channels).map(sample => sample / channels.length)]
+    }
+}
+
+/**
+ * MessagePort simulada: as mensagens são copiadas com `structuredClone` e entregues de forma assíncrona à porta do outro lado
+ */
+export class FakeMessagePort {
+
+    constructor() {
+        /** @type {FakeMessagePort | undefined} */
+        this.other = undefined
+        /** @type {((event: { data: any }) => void) | null} */
+        this.onmessage = null
+        /**
+         * Chamado no envio de cada mensagem para esta porta, antes da entrega
+         * @type {(() => void) | undefined}
+         */
+        this.beforeMessage = undefined
+        this.closed = false
+    }
+
+    /** Cria um par de portas ligadas */
+    static pair() {
+        const ports = [new FakeMessagePort(), new FakeMessagePort()]
+        ports[0].other = ports[1]
+        ports[1].other = ports[0]
+        return ports
+    }
+
+    /** @param {any} message o `transfer` é ignorado, a mensagem é sempre copiada */
+    postMessage(message) {
+        if (this.closed) { return }
+        const data = structuredClone(message)
+        this.other.beforeMessage?.()
+        setImmediate(() => { if (!this.other.closed) { this.other.onmessage?.({ data }) } })
+    }
+
+    /** Fecha as duas portas */
+    close() {
+        this.closed = true
+        this.other.closed = true
+    }
+}
+
+export class FakeChannelSplitterNode extends FakeAudioNode {
+
+    /**
+     * @param {FakeBaseAudioContext} context
+     * @param {number} numberOfOutputs
+     */
+    constructor(context, numberOfOutputs) {
+        super(context)
+        this.numberOfOutputs = numberOfOutputs
+    }
+
+    render(end, length, output = 0) { return [this.mixInputs(end, length)[output] ?? new Float32Array(length)] }
+}
+
+/**
+ * AnalyserNode simulado: o domínio do tempo são as últimas `fftSize` amostras no instante atual, somadas em um canal, e o
+ * domínio da frequência é calculado pelo {@link BeepAnalyzer}, com a mesma janela e suavização do navegador. Como no navegador,
+ * as leituras do domínio da frequência no mesmo render quantum retornam o mesmo resultado, sem suavizar de novo
+ */
+export class FakeAnalyserNode extends FakeAudioNode {
+
+    /** @param {FakeBaseAudioContext} context */
+    constructor(context) {
+        super(context)
+        this.fftSize = 2048
+        this.smoothingTimeConstant = 0.8
+        this.minDecibels = -100
+        this.maxDecibels = -30
+        /** @type {BeepAnalyzer | undefined} */
+        this.analyzer = undefined
+        /** @type {{ frame: number, data: Float32Array } | undefined} */
+        this.lastFrequencyData = undefined
+    }
+
+    get frequencyBinCount() { return this.fftSize / 2 }
+
+    /** @param {Float32Array} array */
+    getFloatTimeDomainData(array) { array.set(this.frame().subarray(0, array.length)) }
+
+    /** @param {Float32Array} array apenas as primeiras `frequencyBinCount` posições são preenchidas */
+    getFloatFrequencyData(array) {
+        if (this.analyzer?.fftSize != this.fftSize) {
+            this.analyzer = new BeepAnalyzer({ sampleRate: this.context.sampleRate, fftSize: this.fftSize })
+        }
+        this.analyzer.smoothingTimeConstant = this.smoothingTimeConstant
+
+        const frame = this.context.currentFrame
+        if (this.lastFrequencyData?.frame != frame || this.lastFrequencyData.data.length != this.fftSize) {
+            this.lastFrequencyData = { frame, data: this.analyzer.frequencyData(this.frame()) }
+        }
+        array.set(this.lastFrequencyData.data.subarray(0, Math.min(array.length, this.frequencyBinCount)))
+    }
+
+    /** Últimas `fftSize` amostras, somadas em um canal */
+    frame() {
+        const channels = this.mixInputs(this.context.currentFrame, this.fftSize)
+        return channels.length == 1 ? channels[0] : mix(...channels).map(sample => sample / channels.length)
+    }
+}
+
+export class FakeOscillatorNode extends FakeAudioNode {
+
+    /** @param {FakeBaseAudioContext} context */
+    constructor(context) {
+        super(context)
+        this.type = "sine"
+        this.frequency = new FakeAudioParam(440)
+        /** @type {number | undefined} */
+        this.startFrame = undefined
+        /** @type {number | undefined} */
+        this.stopFrame = undefined
+    }
+
+    start() { this.startFrame = this.context.currentFrame }
+
+    stop() { this.stopFrame = this.context.currentFrame }
+
+    render(end, length) {
+        const sampleRate = this.context.sampleRate
+        return [Float32Array.from({ length }, (_, i) => {
+            const frame = end - length + i
+            const playing = this.startFrame != undefined && frame >= this.startFrame && (this.stopFrame == undefined || frame < this.stopFrame)
+            return playing ? Math.sin(2 * Math.PI * this.frequency.value * (frame - this.startFrame) / sampleRate) : 0
+        })]
+    }
+}
+
+export class FakeAudioBufferSourceNode extends FakeAudioNode {
+
+    /** @param {FakeBaseAudioContext} context */
+    constructor(context) {
+        super(context)
+        /** @type {FakeAudioBuffer | undefined} */
+        this.buffer = undefined
+        /** @type {number | undefined} */
+        this.startFrame = undefined
+    }
+
+    /** @param {number} [when] instante em segundos */
+    start(when = 0) { this.startFrame = Math.round(when * this.context.sampleRate) }
+
+    render(end, length) {
+        if (!this.buffer || this.startFrame == undefined) { return [new Float32Array(length)] }
+        return this.buffer.channels.map(data => Float32Array.from({ length }, (_, i) => data[end - length + i - this.startFrame] ?? 0))
+    }
+}
+
+export class FakeMediaStreamAudioSourceNode extends FakeAudioNode {
+
+    /**
+     * @param {FakeAudioContext} context
+     * @param {FakeMediaStream} mediaStream
+     */
+    constructor(context, mediaStream) {
+        super(context)
+        this.mediaStream = mediaStream
+        /** Instante do contexto, em amostras, em que o sinal tocado começou */
+        this.offset = context.currentFrame
+        mediaStream.mediaDevices.sources.add(this)
+    }
+
+    render(end, length) { return this.mediaStream.read(end - length - this.offset, end - this.offset) }
+}
+//#endregion FakeAudio
+
+/**
+ * Quantidade de amostras da duração
+ * @param {number} duration em milissegundos
+ * @param {number} sampleRate
+ */
+function samples(duration, sampleRate) { return Math.round(duration / 1000 * sampleRate) }
+
+/**
+ * `performance.now()` do início da tarefa atual do event loop
+ * @type {number | undefined}
+ */
+let currentTaskTime
+
+/**
+ * Relógio em milissegundos que só avança entre as tarefas do event loop
+ * @returns {number}
+ */
+function taskTime() {
+    if (currentTaskTime == undefined) {
+        currentTaskTime = performance.now()
+        setImmediate(() => { currentTaskTime = undefined })
+    }
+    return currentTaskTime
+}
+
+/** @param {Float32Array} signal */
+function rms(signal) { return Math.sqrt(signal.reduce((sum, sample) => sum + sample * sample, 0) / signal.length) }
+
+/**
+ * @param {Float32Array} signal
+ * @param {number} factor
+ */
+function scale(signal, factor) { return signal.map(sample => sample * factor) }
+
+/**
+ * Valor de um constraint do getUserMedia, que pode ser o próprio valor, `{ exact }` ou `{ ideal }`
+ * @param {any} constraint
+ * @returns {{ value: any, exact: boolean }}
+ */
+function constraintValue(constraint) {
+    if (typeof constraint != "object" || constraint == null) { return { value: constraint, exact: false } }
+    return { value: constraint.exact ?? constraint.ideal, exact: constraint.exact != undefined }
+}
+
+/**
+ * Gerador pseudoaleatório mulberry32, para sinais reproduzíveis
+ * @param {number} seed
+ * @returns {() => number} números entre 0 e 1
+ */
+function randomGenerator(seed) {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
@@ -0,0 +1,115 @@
+import { describe, it, before, after, beforeEach, mock } from "node:test"
+import assert from "node:assert/strict"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+
+import BeepListener from "../beep-listener.js"
+import CalibrationStore, { JsonFileBackend } from "../calibration-store.js"
+import { installFakeAudio, tone, silence } from "../synthetic-audio.js"
+
+describe("calibrateMic() com o microfone simulado", () => {
+    /** @type {ReturnType<typeof installFakeAudio>} */
+    let audio
+    /** @type {BeepListener} */
+    let listener
+    /** @type {string} */
+    let directory
+
+    before(async () => {
+        mock.method(console, "log", () => { })
+        audio = installFakeAudio({ devices: [{ deviceId: "mic", label: "Fake C930e" }] })
+        directory = await mkdtemp(join(tmpdir(), "beep-listener-"))
+
+        listener = new BeepListener()
+        listener.calibrationStore = new CalibrationStore(new JsonFileBackend(join(directory, "calibration.json")))
+        await listener.init({ deviceId: "mic", station: "bancada-1" })
+    })
+
+    after(async () => {
+        listener.unwatchDevice()
+        audio.uninstall()
+        mock.restoreAll()
+        await rm(directory, { recursive: true, force: true })
+    })
+
+    beforeEach(() => {
+        listener.setGain(1)
+        audio.play(silence({ duration: 0 }))
+    })
+
+    it("ajusta o ganho até a amplitude ficar no centro da janela", async () => {
+        // Tom de -20 dBFS lido em torno de -33,5 dB: o centro da janela (-25 dB) exige cerca de 8,5 dB de ganho
+        audio.play(tone({ frequency: 3150, duration: 1000, level: -20 }), { loop: true })
+
+        const calibration = await listener.calibrateMic({ trackSize: 200 })
+
+        assert.equal(calibration.code, "CALIBRATION_SUCCESS")
+        assert.equal(calibration.gain, 3)
+        assert.ok(Math.abs(calibration.amplitude + 25) <= 2)
+        assert.equal(listener.GainNode.gain.value, 3)
+        assert.deepEqual([...new Set(calibration.curve.map(point => point.gain))], [1, 2, 3])
+    })
+
+    it("reduz o ganho quando o sinal está alto", async () => {
+        audio.play(tone({ frequency: 3150, duration: 1000, level: -20 }), { loop: true })
+        listener.setGain(8)
+
+        const calibration = await listener.calibrateMic({ trackSize: 200 })
+
+        assert.equal(calibration.code, "CALIBRATION_SUCCESS")
+        assert.ok(calibration.gain < 8)
+        assert.ok(Math.abs(calibration.amplitude + 25) <= 2)
+    })
+
+    it("falha sem sinal na faixa de frequência", async () => {
+        audio.play(tone({ frequency: 1000, duration: 1000, level: -20 }), { loop: true })
+
+        const calibration = await listener.calibrateMic({ trackSize: 200, firstReadTimeOut: 400 })
+        assert.equal(calibration.code, "CALIBRATION_NO_SIGNAL")
+    })
+
+    it("calibra pelo tom de referência em loopback, sem o microfone", async () => {
+        const calibration = await listener.calibrateMic({ trackSize: 200, referenceTone: true, toneOutput: "loopback", toneLevel: -20 })
+
+        assert.equal(calibration.code, "CALIBRATION_SUCCESS")
+        assert.deepEqual(calibration.referenceTone, { frequency: 3150, level: -20, output: "loopback" })
+    })
+
+    it("salva a calibração e a aplica no próximo init", async () => {
+        audio.play(tone({ frequency: 3150, duration: 1000, level: -20 }), { loop: true })
+
+        const calibration = await listener.calibrateMic({ trackSize: 200, saveCalibration: true })
+        assert.equal(calibration.success, true)
+        assert.equal(calibration.calibration.gain, calibration.gain)
+
+        const next = new BeepListener()
+        next.calibrationStore = listener.calibrationStore
+        const init = await next.init({ deviceId: "mic", station: "bancada-1", applyCalibration: true })
+
+        assert.equal(init.success, true)
+        assert.notEqual(init.recalibrationNeeded, true)
+        assert.equal(next.GainNode.gain.value, calibration.gain)
+        next.unwatchDevice()
+    })
+
+    it("informa o arquivo de calibrações corrompido sem falhar o init", async () => {
+        const path = join(directory, "corrompido.json")
+        await writeFile(path, "{")
+
+        const next = new BeepListener()
+        next.calibrationStore = new CalibrationStore(new JsonFileBackend(path))
+        const init = await next.init({ deviceId: "mic", station: "bancada-1", applyCalibration: true })
+
+        assert.equal(init.success, true)
+        assert.equal(init.recalibrationNeeded, true)
+        assert.equal(init.calibrationCode, "CALIBRATION_STORE_FAILED")
+        next.unwatchDevice()
+    })
+
+    it("retorna o erro de validação das opções", async () => {
+        const calibration = await listener.calibrateMic({ minAmplitude: -10, maxAmplitude: -20 })
+        assert.equal(calibration.code, "PARAM_ABOVE_PARAMETER")
+        assert.equal(calibration.parameter, "minAmplitude")
+    })
+})
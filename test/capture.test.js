@@ -0,0 +1,280 @@
+import { describe, it, before, after, beforeEach, mock } from "node:test"
+import assert from "node:assert/strict"
+
+import BeepListener from "../beep-listener.js"
+import { installFakeAudio, tone, silence, concat, mix, whiteNoise, distort } from "../synthetic-audio.js"
+
+// Tom de -20 dBFS lido pelo AnalyserNode em torno de -33,5 dB
+const window = { minAmplitude: -40, maxAmplitude: -25, trackSize: 300 }
+
+describe("capture() com o microfone simulado", () => {
+    /** @type {ReturnType<typeof installFakeAudio>} */
+    let audio
+    /** @type {BeepListener} */
+    let listener
+
+    before(async () => {
+        mock.method(console, "log", () => { })
+        mock.method(console, "error", () => { })
+        audio = installFakeAudio({
+            devices: [{ deviceId: "mono", label: "Fake C930e" }, { deviceId: "stereo", label: "Fake Stereo", channels: 2 }]
+        })
+        listener = new BeepListener()
+        const init = await listener.init({ deviceId: "mono" })
+        assert.equal(init.code, "INIT_MIC_SUCCESS")
+        assert.equal(init.acquisition, "polling")
+    })
+
+    after(() => {
+        listener.unwatchDevice()
+        audio.uninstall()
+        mock.restoreAll()
+    })
+
+    beforeEach(() => audio.play(silence({ duration: 0 }), { deviceId: "mono" }))
+
+    it("detecta o beep na frequência e amplitude esperadas", async () => {
+        audio.play(concat(silence({ duration: 200 }), tone({ frequency: 3000, duration: 600, level: -20 })))
+
+        const capture = await listener.capture({ ...window, timeOut: 2000 })
+
+        assert.equal(capture.code, "CAPTURE_SUCCESS")
+        assert.equal(capture.frequencia.frequenciaMedia, 3000)
+        assert.ok(capture.amplitude.amplitudeMedia > -36 && capture.amplitude.amplitudeMedia < -31)
+    })
+
+    it("detecta o beep com ruído de fundo", async () => {
+        audio.play(mix(tone({ frequency: 3000, duration: 1000, level: -20 }), whiteNoise({ duration: 1000, level: -45 })))
+
+        const capture = await listener.capture({ ...window, timeOut: 2000 })
+        assert.equal(capture.code, "CAPTURE_SUCCESS")
+    })
+
+    it("não detecta um beep em outra frequência", async () => {
+        audio.play(tone({ frequency: 2500, duration: 1000, level: -20 }))
+
+        const capture = await listener.capture({ ...window, timeOut: 600 })
+        assert.equal(capture.code, "CAPTURE_NOT_DETECTED")
+    })
+
+    it("não detecta um beep abaixo da amplitude mínima", async () => {
+        audio.play(tone({ frequency: 3000, duration: 1000, level: -40 }))
+
+        const capture = await listener.capture({ ...window, timeOut: 600 })
+        assert.equal(capture.code, "CAPTURE_NOT_DETECTED")
+    })
+
+    it("encerra pelo timeOut sem beep", async () => {
+        const start = performance.now()
+        const capture = await listener.capture({ ...window, timeOut: 500 })
+        const elapsed = performance.now() - start
+
+        assert.equal(capture.success, false)
+        assert.ok(elapsed >= 450 && elapsed < 1500, `capture() levou ${elapsed}ms`)
+    })
+
+    it("reprova o beep distorcido pelo maxThd", async () => {
+        audio.play(distort(tone({ frequency: 3000, duration: 1000, level: -20 }), 8))
+
+        const capture = await listener.capture({ ...window, timeOut: 2000, maxThd: 10 })
+        assert.equal(capture.code, "CAPTURE_THD_ABOVE_MAX")
+    })
+
+    it("interrompe a leitura pelo signal", async () => {
+        const controller = new AbortController()
+        setTimeout(() => controller.abort(), 200)
+
+        const capture = await listener.capture({ ...window, timeOut: 5000, signal: controller.signal })
+        assert.equal(capture.aborted, true)
+        assert.equal(capture.code, "OPERATION_ABORTED")
+    })
+
+    it("retorna o erro de validação sem ler o microfone", async () => {
+        const capture = await listener.capture({ minFreq: 3100, maxFreq: 3000 })
+
+        assert.equal(capture.code, "PARAM_ABOVE_PARAMETER")
+        assert.equal(listener.isRunning(), false)
+    })
+
+    it("falha com deviceLost quando o microfone é desconectado durante a leitura", async () => {
+        const changes = []
+        const watcher = new BeepListener()
+        await watcher.init({ deviceId: "mono", onDeviceChange: change => changes.push(change.connected) })
+
+        setTimeout(() => audio.mediaDevices.disconnect("mono"), 200)
+        const capture = await watcher.capture({ ...window, timeOut: 5000 })
+
+        assert.equal(capture.deviceLost, true)
+        assert.equal(capture.code, "DEVICE_LOST")
+
+        audio.mediaDevices.connect("mono")
+        await new Promise(resolve => setTimeout(resolve, 50))
+        assert.deepEqual(changes, [false, true])
+        watcher.unwatchDevice()
+    })
+
+    it("ignora o microfone anterior após um novo init", async () => {
+        const watcher = new BeepListener()
+        await watcher.init({ deviceId: "mono" })
+        const previous = watcher.AudioContext
+        await watcher.init({ deviceId: "stereo" })
+        assert.equal(previous.state, "closed")
+        assert.notEqual(watcher.AudioContext, previous)
+
+        setTimeout(() => audio.mediaDevices.disconnect("mono"), 100)
+        const capture = await watcher.capture({ ...window, timeOut: 400 })
+
+        audio.mediaDevices.connect("mono")
+        await new Promise(resolve => setTimeout(resolve, 50))
+        assert.notEqual(capture.code, "DEVICE_LOST")
+        watcher.unwatchDevice()
+    })
+
+    it("falha no init sem microfone", async () => {
+        const empty = installFakeAudio({ devices: [] })
+        try {
+            assert.equal((await new BeepListener().init()).code, "INIT_MIC_FAILED")
+        } finally {
+            empty.uninstall()
+        }
+    })
+
+    it("analisa cada canal do microfone estéreo", async () => {
+        const stereo = new BeepListener()
+        const init = await stereo.init({ deviceId: "stereo", channels: 2 })
+        assert.equal(init.channels, 2)
+
+        audio.play([silence({ duration: 2000 }), tone({ frequency: 3000, duration: 2000, level: -20 })], { deviceId: "stereo" })
+
+        const any = await stereo.capture({ ...window, timeOut: 1500, channel: "any" })
+        assert.equal(any.code, "CAPTURE_SUCCESS")
+        assert.equal(any.channel, 1)
+
+        const first = await stereo.capture({ ...window, timeOut: 500, channel: 0 })
+        assert.equal(first.success, false)
+        stereo.unwatchDevice()
+    })
+
+    it("falha no init quando o microfone tem menos canais", async () => {
+        const init = await new BeepListener().init({ deviceId: "mono", channels: 2 })
+        assert.equal(init.code, "INIT_CHANNELS_UNAVAILABLE")
+    })
+})
+
+describe("capture() com a aquisição por AudioWorklet", () => {
+    /** @type {ReturnType<typeof installFakeAudio>} */
+    let audio
+    /** @type {BeepListener} */
+    let listener
+
+    before(async () => {
+        mock.method(console, "log", () => { })
+        mock.method(console, "warn", () => { })
+        audio = installFakeAudio({
+            devices: [{ deviceId: "mono", label: "Fake C930e" }, { deviceId: "stereo", label: "Fake Stereo", channels: 2 }]
+        })
+        listener = new BeepListener()
+        const init = await listener.init({ deviceId: "mono", acquisition: "worklet" })
+        assert.equal(init.acquisition, "worklet")
+    })
+
+    after(() => {
+        listener.unwatchDevice()
+        audio.uninstall()
+        mock.restoreAll()
+    })
+
+    beforeEach(() => audio.play(silence({ duration: 0 }), { deviceId: "mono" }))
+
+    it("detecta o beep com uma amostra a cada hopSize", async () => {
+        audio.play(concat(silence({ duration: 200 }), tone({ frequency: 3000, duration: 600, level: -20 })))
+
+        const capture = await listener.capture({ ...window, timeOut: 2000 })
+
+        assert.equal(capture.code, "CAPTURE_SUCCESS")
+        assert.equal(capture.frequencia.frequenciaMedia, 3000)
+        // 300ms de track em quadros de 512 amostras a 48 kHz
+        assert.equal(listener.lastReads[0].tempo.length, Math.ceil(300 / 1000 * 48000 / 512))
+    })
+
+    it("não detecta um beep em outra frequência", async () => {
+        audio.play(tone({ frequency: 2500, duration: 1000, level: -20 }))
+
+        const capture = await listener.capture({ ...window, timeOut: 600 })
+        assert.equal(capture.code, "CAPTURE_NOT_DETECTED")
+    })
+
+    it("interrompe a leitura pelo signal", async () => {
+        const controller = new AbortController()
+        setTimeout(() => controller.abort(), 200)
+
+        const capture = await listener.capture({ ...window, timeOut: 5000, signal: controller.signal })
+        assert.equal(capture.code, "OPERATION_ABORTED")
+    })
+
+    it("lê cada canal do microfone estéreo pela sua aquisição", async () => {
+        const stereo = new BeepListener()
+        const init = await stereo.init({ deviceId: "stereo", channels: 2, acquisition: "worklet" })
+        assert.equal(init.acquisition, "worklet")
+        assert.equal(stereo.acquisition, undefined)
+
+        audio.play([silence({ duration: 2000 }), tone({ frequency: 3000, duration: 2000, level: -20 })], { deviceId: "stereo" })
+
+        const any = await stereo.capture({ ...window, timeOut: 1500, channel: "any" })
+        assert.equal(any.code, "CAPTURE_SUCCESS")
+        assert.equal(any.channel, 1)
+        stereo.unwatchDevice()
+    })
+})
+
+describe("capture() com a fonte offline", () => {
+    /** @type {ReturnType<typeof installFakeAudio>} */
+    let audio
+
+    before(() => {
+        mock.method(console, "log", () => { })
+        audio = installFakeAudio()
+    })
+
+    after(() => {
+        audio.uninstall()
+        mock.restoreAll()
+    })
+
+    it("detecta o beep e mede o seu início e fim", async () => {
+        const listener = new BeepListener()
+        const source = concat(silence({ duration: 300 }), tone({ frequency: 3000, duration: 800, level: -20 }), silence({ duration: 400 }))
+        // Sem suavização, a amplitude entra na janela já no primeiro quadro com o beep
+        const init = await listener.init({ source, smoothingTimeConstant: 0 })
+        assert.equal(init.code, "INIT_OFFLINE_SUCCESS")
+
+        const capture = await listener.capture({ ...window, measureDuration: true })
+
+        assert.equal(capture.code, "CAPTURE_SUCCESS")
+        // O início tem a resolução do trigger (50ms) somada à duração de um quadro da FFT
+        assert.ok(Math.abs(capture.beep.onset - 300) <= 100, `início medido: ${capture.beep.onset}ms`)
+        assert.ok(Math.abs(capture.beep.offset - 1100) <= 50, `fim medido: ${capture.beep.offset}ms`)
+    })
+
+    it("não detecta o beep quando o áudio termina", async () => {
+        const listener = new BeepListener()
+        await listener.init({ source: whiteNoise({ duration: 500, level: -30 }) })
+
+        const capture = await listener.capture({ ...window, timeOut: 10000 })
+        assert.equal(capture.success, false)
+    })
+
+    it("remove o ruído da rede elétrica com os filtros", async () => {
+        const hum = tone({ frequency: 60, duration: 1500, level: -1 })
+        const source = mix(hum, concat(silence({ duration: 300 }), tone({ frequency: 3000, duration: 1000, level: -20 })))
+        const options = { ...window, amplitudeValidation: false, timeOut: 1400 }
+
+        const unfiltered = new BeepListener()
+        await unfiltered.init({ source })
+        assert.equal((await unfiltered.capture(options)).success, false)
+
+        const filtered = new BeepListener()
+        await filtered.init({ source, filters: [{ type: "highpass", frequency: 1000, Q: 0 }, { type: "bandpass", Q: 2 }] })
+        assert.equal((await filtered.capture(options)).code, "CAPTURE_SUCCESS")
+    })
+})
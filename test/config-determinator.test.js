@@ -0,0 +1,77 @@
+import { describe, it, before, after, beforeEach, mock } from "node:test"
+import assert from "node:assert/strict"
+
+import BeepListener from "../beep-listener.js"
+import { installFakeAudio, tone, chirp, silence, concat, mix, pinkNoise } from "../synthetic-audio.js"
+
+describe("configDeterminator() com o microfone simulado", () => {
+    /** @type {ReturnType<typeof installFakeAudio>} */
+    let audio
+    /** @type {BeepListener} */
+    let listener
+
+    before(async () => {
+        mock.method(console, "log", () => { })
+        audio = installFakeAudio()
+        listener = new BeepListener()
+        await listener.init()
+    })
+
+    after(() => {
+        listener.unwatchDevice()
+        audio.uninstall()
+        mock.restoreAll()
+    })
+
+    beforeEach(() => audio.play(silence({ duration: 0 })))
+
+    it("informa a frequência e a amplitude do beep na faixa de busca", async () => {
+        audio.play(concat(silence({ duration: 200 }), tone({ frequency: 2700, duration: 800, level: -20 })))
+
+        const config = await listener.configDeterminator({ minFreq: 2600, maxFreq: 2800, trackSize: 300, timeOut: 2000 })
+
+        assert.equal(config.code, "CONFIG_DETECTED")
+        assert.ok(Math.abs(config.frequencia.media - 2700) < 5)
+        assert.ok(config.frequencia.min <= config.frequencia.media && config.frequencia.media <= config.frequencia.max)
+        assert.ok(config.amplitude.media > -36 && config.amplitude.media < -31)
+        assert.equal(config.frequencia.valores.length, config.amplitude.valores.length)
+    })
+
+    it("não valida a amplitude", async () => {
+        audio.play(tone({ frequency: 3000, duration: 1000, level: -60 }))
+
+        const config = await listener.configDeterminator({ trackSize: 300, timeOut: 2000 })
+
+        assert.equal(config.code, "CONFIG_DETECTED")
+        assert.ok(config.amplitude.media < -70)
+    })
+
+    it("detecta o beep com ruído rosa", async () => {
+        audio.play(mix(tone({ frequency: 3000, duration: 1000, level: -20 }), pinkNoise({ duration: 1000, level: -40 })))
+
+        const config = await listener.configDeterminator({ trackSize: 300, timeOut: 2000 })
+        assert.equal(config.code, "CONFIG_DETECTED")
+    })
+
+    it("não detecta uma varredura que atravessa a faixa", async () => {
+        audio.play(chirp({ from: 1000, to: 5000, duration: 1000, level: -20 }))
+
+        const config = await listener.configDeterminator({ trackSize: 300, timeOut: 800 })
+        assert.equal(config.code, "CONFIG_NOT_DETECTED")
+    })
+
+    it("interrompe a leitura pelo signal", async () => {
+        const config = await listener.configDeterminator({ timeOut: 5000, signal: AbortSignal.timeout(200) })
+        assert.equal(config.aborted, true)
+    })
+
+    it("rejeita as opções de amplitude, que não são usadas", async () => {
+        const config = await listener.configDeterminator({ minAmplitude: -30 })
+        assert.equal(config.code, "PARAM_UNKNOWN")
+    })
+
+    it("rejeita uma faixa acima da frequência de Nyquist do AudioContext", async () => {
+        const config = await listener.configDeterminator({ minFreq: 20000, maxFreq: 25000 })
+        assert.equal(config.code, "PARAM_ABOVE_NYQUIST")
+    })
+})
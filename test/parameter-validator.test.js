@@ -0,0 +1,164 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import ParameterValidator from "../parameter-validator.js"
+
+const context = { sampleRate: 48000, fftSize: 2048 }
+
+/**
+ * Códigos dos erros de cada parâmetro
+ * @param {ReturnType<typeof ParameterValidator.validate>} validation
+ */
+function errorCodes(validation) { return Object.fromEntries(validation.errors.map(error => [error.parameter, error.code])) }
+
+describe("ParameterValidator", () => {
+    it("aplica os valores padrão sem alterar as opções recebidas", () => {
+        const options = { minFreq: 2900 }
+        const validation = ParameterValidator.validate("capture", options, context)
+
+        assert.equal(validation.success, true)
+        assert.deepEqual(options, { minFreq: 2900 })
+        assert.equal(validation.options.minFreq, 2900)
+        assert.equal(validation.options.maxFreq, 3050)
+        assert.equal(validation.options.trackSize, 500)
+        assert.equal(validation.options.record, false)
+    })
+
+    it("rejeita parâmetros desconhecidos, informando o método", () => {
+        const validation = ParameterValidator.validate("configDeterminator", { minAmplitude: -30 })
+
+        assert.equal(validation.success, false)
+        assert.equal(validation.code, "PARAM_UNKNOWN")
+        assert.equal(validation.parameter, "minAmplitude")
+        assert.match(validation.msg, /configDeterminator/)
+    })
+
+    it("exige os parâmetros obrigatórios", () => {
+        assert.equal(ParameterValidator.validate("capturePattern", {}).code, "PARAM_REQUIRED")
+        assert.equal(ParameterValidator.validate("setFilters", {}).code, "PARAM_REQUIRED")
+    })
+
+    it("trata undefined como parâmetro não informado", () => {
+        const validation = ParameterValidator.validate("capture", { minFreq: undefined, trackSize: undefined }, context)
+
+        assert.equal(validation.success, true)
+        assert.equal(validation.options.minFreq, 2950)
+    })
+
+    it("retorna todas as violações em errors, e a primeira no resultado", () => {
+        const validation = ParameterValidator.validate("capture", { minFreq: "3000", timeOut: 0, debounce: -1, foo: 1 }, context)
+
+        assert.equal(validation.success, false)
+        assert.deepEqual(errorCodes(validation), {
+            foo: "PARAM_UNKNOWN",
+            minFreq: "PARAM_NOT_NUMBER",
+            timeOut: "PARAM_NOT_GREATER_THAN",
+            debounce: "PARAM_NOT_AT_LEAST"
+        })
+        assert.equal(validation.code, validation.errors[0].code)
+        assert.equal(validation.options, undefined)
+    })
+
+    it("verifica os limites inclusivos e exclusivos", () => {
+        assert.equal(ParameterValidator.validate("capture", { validTrackPercentage: 0 }, context).success, true)
+        assert.equal(ParameterValidator.validate("capture", { validTrackPercentage: 100 }, context).success, true)
+        assert.equal(ParameterValidator.validate("capture", { validTrackPercentage: 100.1 }, context).code, "PARAM_NOT_BETWEEN")
+        assert.equal(ParameterValidator.validate("capture", { minFreq: 0 }, context).code, "PARAM_NOT_GREATER_THAN")
+        assert.equal(ParameterValidator.validate("capture", { maxFlatness: 0 }, context).success, true)
+        assert.equal(ParameterValidator.validate("capture", { maxFlatness: 0.1 }, context).code, "PARAM_NOT_AT_MOST")
+        assert.equal(ParameterValidator.validate("capture", { minFreq: NaN }, context).code, "PARAM_NOT_GREATER_THAN")
+    })
+
+    it("valida o fftSize como potência de 2 entre 32 e 32768", () => {
+        for (const fftSize of [32, 2048, 32768]) { assert.equal(ParameterValidator.validate("init", { fftSize, hopSize: 32 }).success, true) }
+        for (const fftSize of [16, 1000, 65536]) { assert.equal(ParameterValidator.validate("init", { fftSize }).code, "PARAM_FFT_SIZE") }
+        // O hopSize padrão (512) não cabe em um quadro de 32 amostras
+        assert.equal(ParameterValidator.validate("init", { fftSize: 32 }).code, "PARAM_ABOVE_PARAMETER")
+    })
+
+    it("verifica as faixas entre mínimo e máximo", () => {
+        const validation = ParameterValidator.validate("capture", { minFreq: 3100, maxFreq: 3000, minAmplitude: -10, maxAmplitude: -20, minDuration: 500, maxDuration: 400 }, context)
+
+        assert.deepEqual(errorCodes(validation), { minFreq: "PARAM_ABOVE_PARAMETER", minAmplitude: "PARAM_ABOVE_PARAMETER", minDuration: "PARAM_ABOVE_PARAMETER" })
+        assert.equal(ParameterValidator.validate("capture", { minFreq: 3000, maxFreq: 3000 }, context).success, true)
+    })
+
+    it("não verifica as regras de um parâmetro inválido", () => {
+        const validation = ParameterValidator.validate("capture", { minFreq: "3100", maxFreq: 3000 }, context)
+        assert.deepEqual(errorCodes(validation), { minFreq: "PARAM_NOT_NUMBER" })
+    })
+
+    it("limita as frequências à frequência de Nyquist do contexto", () => {
+        const validation = ParameterValidator.validate("capture", { minFreq: 1000, maxFreq: 24000 }, context)
+        assert.equal(validation.code, "PARAM_ABOVE_NYQUIST")
+        assert.match(validation.msg, /24000/)
+
+        assert.equal(ParameterValidator.validate("capture", { minFreq: 1000, maxFreq: 24000 }).success, true)
+        assert.equal(ParameterValidator.validate("calibrateMic", { toneFrequency: 4000 }, { sampleRate: 8000 }).code, "PARAM_ABOVE_NYQUIST")
+    })
+
+    it("exige uma track maior que um quadro da FFT", () => {
+        // 2048 amostras a 48 kHz: 42,67ms
+        const validation = ParameterValidator.validate("capture", { trackSize: 40 }, context)
+        assert.equal(validation.code, "PARAM_BELOW_FRAME")
+        assert.match(validation.msg, /42\.67/)
+
+        assert.equal(ParameterValidator.validate("capture", { trackSize: 43 }, context).success, true)
+        assert.equal(ParameterValidator.validate("configDeterminator", { trackSize: 40 }, context).code, "PARAM_BELOW_FRAME")
+    })
+
+    it("exige um hopSize menor ou igual ao fftSize", () => {
+        assert.equal(ParameterValidator.validate("init", { fftSize: 1024, hopSize: 1024 }).success, true)
+        assert.equal(ParameterValidator.validate("init", { fftSize: 1024, hopSize: 2048 }).code, "PARAM_ABOVE_PARAMETER")
+        assert.equal(ParameterValidator.validate("init", { hopSize: 1.5 }).code, "PARAM_NOT_INTEGER")
+    })
+
+    it("valida a cadeia de filtros", () => {
+        const valid = [[], [{ type: "bandpass" }], [{ type: "notch", frequency: 60, Q: 10 }, { type: "highpass", frequency: 200 }]]
+        const invalid = [{ type: "bandpass" }, [{ type: "notch" }], [{ type: "peaking", frequency: 100 }], [{ type: "lowpass", frequency: 0 }], [null]]
+
+        valid.forEach(filters => assert.equal(ParameterValidator.validate("setFilters", { filters }).success, true))
+        invalid.forEach(filters => assert.equal(ParameterValidator.validate("setFilters", { filters }).code, "PARAM_FILTERS"))
+    })
+
+    it("valida o formato e os valores do padrão de beeps", () => {
+        assert.equal(ParameterValidator.validate("capturePattern", { pattern: [] }).code, "PARAM_PATTERN_FORMAT")
+        assert.equal(ParameterValidator.validate("capturePattern", { pattern: [{ duration: "200" }] }).code, "PARAM_PATTERN_FORMAT")
+        assert.equal(ParameterValidator.validate("capturePattern", { pattern: [{ duration: 200, gap: -1 }] }).code, "PARAM_PATTERN_VALUES")
+        assert.equal(ParameterValidator.validate("capturePattern", { pattern: [{ duration: 200, gap: 100 }, { duration: 400 }] }).success, true)
+    })
+
+    it("limita o canal aos canais analisados", () => {
+        assert.equal(ParameterValidator.validate("capture", { channel: "best" }, { ...context, channels: 2 }).success, true)
+        assert.equal(ParameterValidator.validate("capture", { channel: 1 }, { ...context, channels: 2 }).success, true)
+        assert.equal(ParameterValidator.validate("capture", { channel: 2 }, { ...context, channels: 2 }).code, "PARAM_CHANNEL_UNAVAILABLE")
+        assert.equal(ParameterValidator.validate("capture", { channel: -1 }, context).code, "PARAM_CHANNEL")
+        assert.equal(ParameterValidator.validate("capture", { channel: "first" }, context).code, "PARAM_CHANNEL")
+    })
+
+    it("usa o contexto nos valores padrão", () => {
+        assert.equal(ParameterValidator.validate("calibrateMic", {}, { offline: true }).options.toneOutput, "loopback")
+        assert.equal(ParameterValidator.validate("calibrateMic", {}, {}).options.toneOutput, "speaker")
+        assert.equal(ParameterValidator.validate("calibrateMic", { minFreq: 1000, maxFreq: 2000 }).options.toneFrequency, 1500)
+    })
+
+    it("aceita apenas AbortSignal no signal", () => {
+        assert.equal(ParameterValidator.validate("capture", { signal: new AbortController().signal }, context).success, true)
+        assert.equal(ParameterValidator.validate("capture", { signal: new AbortController() }, context).code, "PARAM_NOT_ABORT_SIGNAL")
+    })
+
+    it("mantém a chamada antiga, sem o nome do método", () => {
+        assert.deepEqual(ParameterValidator.validate({ sampleRate: 44100, firstReadTimeOut: 1000 }), { success: true, options: { sampleRate: 44100, firstReadTimeOut: 1000 } })
+        assert.equal(ParameterValidator.validate({ sampleRate: 1000 }).code, "PARAM_NOT_BETWEEN")
+        assert.equal(ParameterValidator.validate({ foo: 1 }).code, "PARAM_UNKNOWN")
+    })
+
+    it("retorna um erro para um método sem schema", () => {
+        assert.equal(ParameterValidator.validate("capturePattern2", {}).code, "PARAM_UNKNOWN_METHOD")
+        assert.equal(ParameterValidator.validate("toString", {}).code, "PARAM_UNKNOWN_METHOD")
+    })
+
+    it("seleciona as opções aceitas por outro método", () => {
+        assert.deepEqual(ParameterValidator.pick("configDeterminator", { minFreq: 1, minAmplitude: -30, trackSize: 200 }), { minFreq: 1, trackSize: 200 })
+    })
+})
@@ -0,0 +1,106 @@
+import { describe, it, before, after, mock } from "node:test"
+import assert from "node:assert/strict"
+
+import BeepListener from "../beep-listener.js"
+import SessionReplay from "../session-replay.js"
+import { installFakeAudio, tone, silence, concat } from "../synthetic-audio.js"
+
+// Tom de -20 dBFS lido pelo AnalyserNode em torno de -33,5 dB
+const window = { minAmplitude: -40, maxAmplitude: -25, trackSize: 300 }
+
+describe("SessionReplay de sessões gravadas no microfone simulado", () => {
+    /** @type {ReturnType<typeof installFakeAudio>} */
+    let audio
+
+    before(() => {
+        mock.method(console, "log", () => { })
+        audio = installFakeAudio({
+            devices: [{ deviceId: "mono", label: "Fake C930e" }, { deviceId: "stereo", label: "Fake Stereo", channels: 2 }]
+        })
+    })
+
+    after(() => {
+        audio.uninstall()
+        mock.restoreAll()
+    })
+
+    /**
+     * Grava uma captura em um novo BeepListener, tocando o sinal no microfone
+     * @param {object} initOptions
+     * @param {Float32Array | Float32Array[]} signal
+     * @param {(listener: BeepListener) => Promise<object>} operation
+     */
+    async function record(initOptions, signal, operation) {
+        const listener = new BeepListener()
+        const { deviceId = "mono" } = initOptions
+        await listener.init({ ...initOptions, deviceId })
+        audio.play(signal, { deviceId })
+
+        const result = await operation(listener)
+        await listener.AudioContext.close()
+        return result
+    }
+
+    it("reproduz o resultado da captura por polling", async () => {
+        const signal = concat(silence({ duration: 200 }), tone({ frequency: 3000, duration: 600, level: -20 }), silence({ duration: 600 }))
+        const capture = await record({}, signal, listener => listener.capture({ ...window, timeOut: 2000, measureDuration: true, record: true }))
+        assert.equal(capture.code, "CAPTURE_SUCCESS")
+        assert.equal(capture.session.data.timing.length, 1)
+
+        const replay = await SessionReplay.replay(capture.session)
+        assert.deepEqual(replay.differences, [])
+        assert.equal(replay.match, true)
+    })
+
+    it("reproduz a captura sem beep até o timeOut", async () => {
+        const signal = tone({ frequency: 3000, duration: 1000, level: -45 })
+        const capture = await record({}, signal, listener => listener.capture({ ...window, timeOut: 700, record: true }))
+        assert.equal(capture.success, false)
+
+        const replay = await SessionReplay.replay(capture.session)
+        assert.deepEqual(replay.differences, [])
+    })
+
+    it("reproduz o resultado da captura pela aquisição por AudioWorklet", async () => {
+        const signal = concat(silence({ duration: 200 }), tone({ frequency: 3000, duration: 600, level: -20 }), silence({ duration: 600 }))
+        const capture = await record({ acquisition: "worklet" }, signal, listener => listener.capture({ ...window, timeOut: 2000, measureDuration: true, record: true }))
+        assert.equal(capture.code, "CAPTURE_SUCCESS")
+
+        const replay = await SessionReplay.replay(capture.session)
+        assert.deepEqual(replay.differences, [])
+    })
+
+    it("reproduz o resultado do capturePattern()", async () => {
+        const beep = tone({ frequency: 3000, duration: 200, level: -20 })
+        const signal = concat(silence({ duration: 100 }), beep, silence({ duration: 200 }), beep, silence({ duration: 600 }))
+        const pattern = [{ duration: 200, gap: 200 }, { duration: 200 }]
+        const capture = await record({}, signal, listener => listener.capturePattern({ pattern, minAmplitude: -40, maxAmplitude: -25, patternTolerance: 80, timeOut: 1500, record: true }))
+        assert.equal(capture.code, "PATTERN_SUCCESS")
+
+        const replay = await SessionReplay.replay(capture.session)
+        assert.deepEqual(replay.differences, [])
+    })
+
+    it("reproduz a captura multicanal pelo canal que decidiu o resultado", async () => {
+        const signal = [silence({ duration: 2000 }), concat(silence({ duration: 200 }), tone({ frequency: 3000, duration: 1000, level: -20 }))]
+        const capture = await record({ deviceId: "stereo", channels: 2 }, signal, listener => listener.capture({ ...window, timeOut: 1500, channel: "any", record: true }))
+        assert.equal(capture.code, "CAPTURE_SUCCESS")
+        assert.equal(capture.channel, 1)
+        assert.equal(capture.session.data.channels, 2)
+        assert.deepEqual(capture.session.data.timing.map(timing => timing.channel), [0, 1])
+
+        const replay = await SessionReplay.replay(capture.session)
+        assert.deepEqual(replay.differences, [])
+        assert.equal(replay.replayed.channel, 1)
+        assert.deepEqual(replay.replayed.channels.map(channel => channel.code), capture.channels.map(channel => channel.code))
+    })
+
+    it("reprocessa a sessão com novas opções", async () => {
+        const signal = concat(silence({ duration: 200 }), tone({ frequency: 3000, duration: 600, level: -20 }), silence({ duration: 200 }))
+        const capture = await record({}, signal, listener => listener.capture({ ...window, timeOut: 1000, record: true }))
+
+        const replay = await SessionReplay.replay(capture.session, { captureOptions: { minFreq: 3100, maxFreq: 3200 } })
+        assert.equal(replay.match, false)
+        assert.deepEqual(replay.differences.find(difference => difference.field == "success"), { field: "success", original: true, replayed: false })
+    })
+})
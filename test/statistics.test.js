@@ -0,0 +1,34 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import { mean, std, median, percentile, round } from "../statistics.js"
+
+describe("statistics", () => {
+    it("calcula a mediana com uma quantidade par ou ímpar de valores", () => {
+        assert.equal(median([3, 1, 2]), 2)
+        assert.equal(median([4, 1, 3, 2]), 2.5)
+        assert.equal(median([3]), 3)
+    })
+
+    it("ignora os valores que não são números finitos", () => {
+        const values = [NaN, -32, -Infinity, -30]
+
+        assert.equal(median(values), -31)
+        assert.equal(mean(values), -31)
+        assert.equal(round(std(values), 4), 1.4142)
+        assert.equal(percentile(values, 100), -30)
+        assert.ok(Number.isNaN(median([NaN, -Infinity])))
+    })
+
+    it("retorna desvio padrão 0 com menos de dois valores", () => {
+        assert.equal(std([5]), 0)
+        assert.equal(std([5, NaN]), 0)
+    })
+
+    it("não altera o array recebido", () => {
+        const values = [3, 1, 2]
+        median(values)
+        percentile(values, 50)
+        assert.deepEqual(values, [3, 1, 2])
+    })
+})
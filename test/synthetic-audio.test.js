@@ -0,0 +1,247 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+
+import BeepAnalyzer from "../beep-analyzer.js"
+import {
+    dbfs, tone, chirp, silence, beepPattern, whiteNoise, pinkNoise, clip, distort, mix, concat, rmsLevel, installFakeAudio,
+    FakeOfflineAudioContext
+} from "../synthetic-audio.js"
+
+const sampleRate = 48000
+const analyzer = new BeepAnalyzer({ sampleRate, smoothingTimeConstant: 0 })
+
+/**
+ * Frequência e amplitude do quadro de 2048 amostras a partir de `start`
+ * @param {Float32Array} signal
+ * @param {number} [start]
+ */
+function analyze(signal, start = 0) {
+    analyzer.reset()
+    return analyzer.analyzeFrame(signal.subarray(start, start + analyzer.fftSize))
+}
+
+/**
+ * Média em dB do espectro entre as frequências
+ * @param {Float32Array} frequencyData
+ * @param {number} from
+ * @param {number} to
+ */
+function bandLevel(frequencyData, from, to) {
+    const bins = frequencyData.subarray(Math.round(from / analyzer.hertzPerDivision), Math.round(to / analyzer.hertzPerDivision))
+    return bins.reduce((sum, value) => sum + value, 0) / bins.length
+}
+
+describe("sinais sintéticos", () => {
+    it("gera um tom na frequência, duração e nível pedidos", () => {
+        const signal = tone({ frequency: 3000, duration: 500, level: -20 })
+
+        assert.equal(signal.length, 24000)
+        assert.ok(Math.abs(Math.max(...signal) - dbfs(-20)) < 1e-4)
+        // O RMS de uma senoide é 3 dB abaixo do pico
+        assert.ok(Math.abs(rmsLevel(signal) + 23.01) < 0.05)
+        assert.equal(analyze(signal).frequency, 3000)
+    })
+
+    it("respeita a taxa de amostragem", () => {
+        const signal = tone({ frequency: 1000, duration: 100, sampleRate: 8000 })
+        assert.equal(signal.length, 800)
+    })
+
+    it("varre a frequência no chirp", () => {
+        const signal = chirp({ from: 1000, to: 4000, duration: 1000 })
+
+        assert.ok(Math.abs(analyze(signal).frequency - 1000) < 100)
+        assert.ok(Math.abs(analyze(signal, signal.length - 2048).frequency - 4000) < 100)
+    })
+
+    it("monta o padrão de beeps com os silêncios", () => {
+        const signal = beepPattern({ pattern: [{ duration: 200, gap: 100 }, { duration: 300 }], frequency: 3000, lead: 50 })
+
+        assert.equal(signal.length, (50 + 200 + 100 + 300) / 1000 * sampleRate)
+        assert.ok(signal.subarray(0, 2400).every(sample => sample == 0))
+        assert.ok(signal.subarray(12000, 16800).every(sample => sample == 0))
+        assert.ok(rmsLevel(signal.subarray(2400, 12000)) > -24)
+    })
+
+    it("gera ruído branco no nível RMS pedido, reproduzível pela seed", () => {
+        const noise = whiteNoise({ duration: 1000, level: -30 })
+
+        assert.ok(Math.abs(rmsLevel(noise) + 30) < 0.1)
+        assert.deepEqual(noise, whiteNoise({ duration: 1000, level: -30 }))
+        assert.notDeepEqual(noise, whiteNoise({ duration: 1000, level: -30, seed: 2 }))
+    })
+
+    it("gera ruído rosa com mais energia nas frequências baixas", () => {
+        const noise = pinkNoise({ duration: 1000, level: -30 })
+        const white = whiteNoise({ duration: 1000, level: -30 })
+
+        assert.ok(Math.abs(rmsLevel(noise) + 30) < 0.01)
+
+        analyzer.reset()
+        const pinkSpectrum = analyzer.frequencyData(noise.subarray(24000, 26048))
+        analyzer.reset()
+        const whiteSpectrum = analyzer.frequencyData(white.subarray(24000, 26048))
+
+        // -3 dB por oitava: entre 200-400 Hz e 6400-12800 Hz são cinco oitavas
+        const pinkTilt = bandLevel(pinkSpectrum, 200, 400) - bandLevel(pinkSpectrum, 6400, 12800)
+        const whiteTilt = bandLevel(whiteSpectrum, 200, 400) - bandLevel(whiteSpectrum, 6400, 12800)
+        assert.ok(pinkTilt > 10, `inclinação do ruído rosa: ${pinkTilt} dB`)
+        assert.ok(Math.abs(whiteTilt) < 5, `inclinação do ruído branco: ${whiteTilt} dB`)
+    })
+
+    it("ceifa o sinal no nível de corte", () => {
+        const clipped = clip(tone({ frequency: 3000, duration: 100, level: 0 }), -6)
+
+        assert.ok(Math.abs(Math.max(...clipped) - dbfs(-6)) < 1e-6)
+        assert.ok(Math.abs(Math.min(...clipped) + dbfs(-6)) < 1e-6)
+    })
+
+    it("distorce o tom mantendo o pico e adicionando harmônicas", () => {
+        const clean = tone({ frequency: 3000, duration: 100, level: -6 })
+        const distorted = distort(clean, 6)
+
+        assert.ok(Math.abs(Math.max(...distorted) - Math.max(...clean)) < 1e-6)
+
+        analyzer.reset()
+        const cleanThird = analyzer.frequencyData(clean.subarray(0, 2048))[Math.round(9000 / analyzer.hertzPerDivision)]
+        analyzer.reset()
+        const distortedThird = analyzer.frequencyData(distorted.subarray(0, 2048))[Math.round(9000 / analyzer.hertzPerDivision)]
+        assert.ok(distortedThird - cleanThird > 40)
+    })
+
+    it("mistura e concatena sinais de tamanhos diferentes", () => {
+        const a = Float32Array.of(1, 1, 1)
+        const b = Float32Array.of(0.5)
+
+        assert.deepEqual(mix(a, b), Float32Array.of(1.5, 1, 1))
+        assert.deepEqual(concat(a, b, silence({ duration: 0 })), Float32Array.of(1, 1, 1, 0.5))
+    })
+})
+
+describe("Web Audio simulado", () => {
+    it("substitui e restaura os globais", () => {
+        const before = { AudioContext: globalThis.AudioContext, navigator: globalThis.navigator }
+        const audio = installFakeAudio()
+
+        assert.equal(typeof AudioContext, "function")
+        assert.equal(typeof AudioWorkletNode, "function")
+        assert.equal(navigator.mediaDevices, audio.mediaDevices)
+
+        audio.uninstall()
+        assert.equal(globalThis.AudioContext, before.AudioContext)
+        assert.equal(globalThis.AudioWorkletNode, undefined)
+        assert.equal(globalThis.navigator, before.navigator)
+    })
+
+    it("abre o microfone pelo deviceId e limita os canais ao hardware", async () => {
+        const audio = installFakeAudio({ devices: [{ deviceId: "a", label: "Mono" }, { deviceId: "b", label: "Stereo", channels: 2 }] })
+        try {
+            const stereo = await navigator.mediaDevices.getUserMedia({ audio: { deviceId: "b", channelCount: { ideal: 4 } } })
+            assert.deepEqual(stereo.getAudioTracks()[0].getSettings(), { deviceId: "b", groupId: "", channelCount: 2 })
+
+            // Sem channelCount o navegador entrega um canal
+            const mono = await navigator.mediaDevices.getUserMedia({ audio: { deviceId: "b" } })
+            assert.equal(mono.getAudioTracks()[0].getSettings().channelCount, 1)
+
+            // Um deviceId em texto é apenas uma preferência
+            const fallback = await navigator.mediaDevices.getUserMedia({ audio: { deviceId: "c" } })
+            assert.equal(fallback.getAudioTracks()[0].label, "Mono")
+
+            await assert.rejects(navigator.mediaDevices.getUserMedia({ audio: { deviceId: { exact: "c" } } }), { name: "NotFoundError" })
+        } finally {
+            audio.uninstall()
+        }
+    })
+
+    it("informa a desconexão pelo devicechange e pelo fim da track", async () => {
+        const audio = installFakeAudio()
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: {} })
+            const events = []
+            navigator.mediaDevices.addEventListener("devicechange", () => events.push("devicechange"))
+            stream.getAudioTracks()[0].addEventListener("ended", () => events.push("ended"))
+
+            audio.mediaDevices.disconnect()
+            assert.deepEqual(events, ["ended", "devicechange"])
+            assert.deepEqual(await navigator.mediaDevices.enumerateDevices(), [])
+
+            audio.mediaDevices.connect()
+            assert.equal((await navigator.mediaDevices.enumerateDevices()).length, 1)
+        } finally {
+            audio.uninstall()
+        }
+    })
+
+    it("toca o sinal pelo grafo de nós até o AnalyserNode", async () => {
+        const audio = installFakeAudio()
+        try {
+            const context = new AudioContext({ sampleRate })
+            const source = context.createMediaStreamSource(await navigator.mediaDevices.getUserMedia({ audio: {} }))
+            const gain = context.createGain()
+            const analyser = context.createAnalyser()
+            source.connect(gain).connect(analyser)
+            gain.gain.value = 0.5
+
+            audio.play(tone({ frequency: 3000, duration: 1000, level: -20 }), { loop: true })
+            await new Promise(resolve => setTimeout(resolve, 100))
+
+            const timeDomain = new Float32Array(analyser.fftSize)
+            analyser.getFloatTimeDomainData(timeDomain)
+            assert.ok(Math.abs(Math.max(...timeDomain) - dbfs(-20) / 2) < 1e-3)
+
+            gain.disconnect(analyser)
+            analyser.getFloatTimeDomainData(timeDomain)
+            assert.ok(timeDomain.every(sample => sample == 0))
+            assert.throws(() => gain.disconnect(analyser), { name: "InvalidAccessError" })
+        } finally {
+            audio.uninstall()
+        }
+    })
+
+    it("executa apenas os processadores registrados pelo módulo do AudioWorklet", async () => {
+        const audio = installFakeAudio()
+        try {
+            const context = new AudioContext({ sampleRate })
+            assert.throws(() => new AudioWorkletNode(context, "beep-listener-frames"), { name: "InvalidStateError" })
+
+            await context.audioWorklet.addModule(new URL("../beep-listener-worklet.js", import.meta.url))
+            const node = new AudioWorkletNode(context, "beep-listener-recorder", { numberOfInputs: 1, numberOfOutputs: 0 })
+            const messages = []
+            node.port.onmessage = ({ data }) => messages.push(data.type)
+
+            node.port.postMessage("start")
+            await new Promise(resolve => setTimeout(resolve, 50))
+            node.port.postMessage("stop")
+            await new Promise(resolve => setTimeout(resolve, 20))
+            node.port.close()
+            await context.close()
+
+            // Sem nada conectado, cada render quantum gravado é silêncio
+            assert.ok(messages.filter(type => type == "samples").length >= 2)
+            assert.equal(messages.at(-1), "stop")
+        } finally {
+            audio.uninstall()
+        }
+    })
+
+    it("avança o OfflineAudioContext apenas até o próximo suspend", async () => {
+        const context = new FakeOfflineAudioContext({ length: 48000, sampleRate })
+        const reached = []
+
+        const first = context.suspend(0.1).then(() => reached.push(context.currentTime))
+        context.startRendering().then(() => reached.push("end"))
+        await first
+        assert.ok(Math.abs(reached[0] - 0.1) < 128 / sampleRate)
+        assert.equal(context.state, "suspended")
+
+        const second = context.suspend(0.5).then(() => reached.push(context.currentTime))
+        await context.resume()
+        await second
+        assert.ok(Math.abs(reached[1] - 0.5) < 128 / sampleRate)
+
+        await context.resume()
+        await new Promise(resolve => setImmediate(resolve))
+        assert.equal(reached[2], "end")
+        assert.equal(context.currentTime, 1)
+    })
+})
@@ -0,0 +1,86 @@
+import { describe, it, before, after, mock } from "node:test"
+import assert from "node:assert/strict"
+
+import WorkletAcquisition from "../worklet-acquisition.js"
+import { installFakeAudio, tone, silence } from "../synthetic-audio.js"
+
+const analyzerOptions = { fftSize: 2048, hopSize: 512, smoothingTimeConstant: 0, pitchEngine: "yin" }
+
+describe("WorkletAcquisition com o AudioWorklet simulado", () => {
+    /** @type {ReturnType<typeof installFakeAudio>} */
+    let audio
+    /** @type {AudioContext} */
+    let context
+    /** @type {AudioNode} */
+    let source
+
+    before(async () => {
+        mock.method(console, "warn", () => { })
+        audio = installFakeAudio({ devices: [{ deviceId: "stereo", label: "Fake Stereo", channels: 2 }] })
+        context = new AudioContext()
+        source = context.createMediaStreamSource(await navigator.mediaDevices.getUserMedia({ audio: { channelCount: 2 } }))
+    })
+
+    after(async () => {
+        await context.close()
+        audio.uninstall()
+        mock.restoreAll()
+    })
+
+    it("lê um quadro a cada hopSize amostras, no relógio do áudio", async () => {
+        const acquisition = await WorkletAcquisition.create(context, source, analyzerOptions)
+        audio.play([tone({ frequency: 3000, duration: 1000, level: -20 }), tone({ frequency: 3000, duration: 1000, level: -20 })], { loop: true })
+
+        const frames = []
+        for (let read = 0; read < 8; read++) { frames.push(await acquisition.read()) }
+        assert.equal(acquisition.time, frames[7].time)
+        acquisition.disconnect()
+
+        const hop = 512 / context.sampleRate * 1000
+        frames.slice(1).forEach((frame, index) => assert.ok(Math.abs(frame.time - frames[index].time - hop) < 1e-9))
+        // A partir do quinto quadro, as 2048 amostras são todas do tom
+        assert.ok(Math.abs(frames[7].frequency - 3000) < 5)
+    })
+
+    it("mixa os canais da fonte em mono", async () => {
+        const acquisition = await WorkletAcquisition.create(context, source, analyzerOptions)
+        const frames = []
+        acquisition.node.port.onmessage = ({ data }) => frames.push(data.samples)
+
+        audio.play([tone({ frequency: 3000, duration: 1000, level: -20 }), silence({ duration: 1000 })], { loop: true })
+        await new Promise(resolve => setTimeout(resolve, 100))
+        acquisition.disconnect()
+
+        // A média entre o tom e o silêncio tem a metade do pico do tom
+        assert.ok(Math.abs(Math.max(...frames.at(-1)) - 0.05) < 1e-3)
+    })
+
+    it("descarta os quadros acumulados no flush e os mais antigos com a fila cheia", async () => {
+        const acquisition = await WorkletAcquisition.create(context, source, analyzerOptions)
+        acquisition.maxQueue = 3
+
+        await new Promise(resolve => setTimeout(resolve, 100))
+        assert.equal(acquisition.queue.length, 3)
+        assert.ok(acquisition.overruns > 0)
+        assert.equal(console.warn.mock.callCount(), 1)
+
+        const newest = acquisition.queue.at(-1).time
+        acquisition.flush()
+        assert.equal(acquisition.overruns, 0)
+        assert.equal(acquisition.time, undefined)
+        assert.ok((await acquisition.read()).time > newest)
+        acquisition.disconnect()
+    })
+
+    it("interrompe a espera por um quadro pelo signal", async () => {
+        const acquisition = await WorkletAcquisition.create(context, source, analyzerOptions)
+        await context.suspend()
+
+        const controller = new AbortController()
+        setTimeout(() => controller.abort(), 50)
+        assert.equal(await acquisition.read(controller.signal), undefined)
+
+        acquisition.disconnect()
+        await context.resume()
+    })
+})
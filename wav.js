@@ -0,0 +1,185 @@
+/**
+ * Leitura e escrita de arquivos WAV em JavaScript puro, permitindo analisar gravações no Node.js, onde não existe `decodeAudioData()`
+ * @example
+ * import { readFile } from "node:fs/promises"
+ * import { decodeWav } from "@libs-scripts-mep/beep-listener/wav.js"
+ *
+ * const wav = decodeWav((await readFile("beep.wav")).buffer)
+ */
+
+/**
+ * Decodifica um arquivo WAV PCM (inteiro de 8, 16, 24 ou 32 bits) ou IEEE float (32 ou 64 bits)
+ * @param {ArrayBuffer} arrayBuffer conteúdo do arquivo
+ * @returns {{ sampleRate: number, channels: Float32Array[] }} taxa de amostragem e amostras de cada canal, entre -1 e 1
+ */
+export function decodeWav(arrayBuffer) {
+    const view = new DataView(arrayBuffer)
+
+    if (readString(view, 0, 4) != "RIFF" || readString(view, 8, 4) != "WAVE") { throw new Error("Arquivo não está no formato WAV") }
+
+    /** @type {{ format: number, channelCount: number, sampleRate: number, bitsPerSample: number } | undefined} */
+    let format
+    let offset = 12
+
+    while (offset + 8 <= view.byteLength) {
+        const chunkId = readString(view, offset, 4)
+        const chunkSize = view.getUint32(offset + 4, true)
+        const chunkStart = offset + 8
+
+        if (chunkId == "fmt ") {
+            format = {
+                format: view.getUint16(chunkStart, true),
+                channelCount: view.getUint16(chunkStart + 2, true),
+                sampleRate: view.getUint32(chunkStart + 4, true),
+                bitsPerSample: view.getUint16(chunkStart + 14, true)
+            }
+            // WAVE_FORMAT_EXTENSIBLE guarda o formato real nos dois primeiros bytes do SubFormat
+            if (format.format == 0xFFFE) { format.format = view.getUint16(chunkStart + 24, true) }
+        }
+
+        if (chunkId == "data") {
+            if (!format) { throw new Error("Chunk fmt não encontrado antes do chunk data") }
+            const dataSize = Math.min(chunkSize, view.byteLength - chunkStart)
+            return { sampleRate: format.sampleRate, channels: readSamples(view, chunkStart, dataSize, format) }
+        }
+
+        // Chunks de tamanho ímpar possuem um byte de preenchimento
+        offset = chunkStart + chunkSize + (chunkSize % 2)
+    }
+
+    throw new Error("Chunk data não encontrado no arquivo WAV")
+}
+
+/**
+ * Codifica as amostras em um arquivo WAV PCM (inteiro de 8, 16, 24 ou 32 bits) ou IEEE float (32 ou 64 bits)
+ * @param {Float32Array[]} channels amostras de cada canal, entre -1 e 1, todos com o mesmo tamanho
+ * @param {number} sampleRate taxa de amostragem
+ * @param {{ bitsPerSample?: number, float?: boolean }} [encodeOptions] por padrão float de 32 bits, sem perda em relação ao Web Audio
+ * @returns {ArrayBuffer} conteúdo do arquivo
+ */
+export function encodeWav(channels, sampleRate, encodeOptions = {}) {
+    const float = encodeOptions.float ?? encodeOptions.bitsPerSample == undefined
+    const format = { format: float ? 3 : 1, channelCount: channels.length, bitsPerSample: encodeOptions.bitsPerSample ?? 32 }
+
+    const bytesPerSample = format.bitsPerSample / 8
+    const frameCount = channels[0]?.length ?? 0
+    const dataSize = frameCount * format.channelCount * bytesPerSample
+    const view = new DataView(new ArrayBuffer(44 + dataSize + (dataSize % 2)))
+
+    writeString(view, 0, "RIFF")
+    view.setUint32(4, view.byteLength - 8, true)
+    writeString(view, 8, "WAVE")
+
+    writeString(view, 12, "fmt ")
+    view.setUint32(16, 16, true)
+    view.setUint16(20, format.format, true)
+    view.setUint16(22, format.channelCount, true)
+    view.setUint32(24, sampleRate, true)
+    view.setUint32(28, sampleRate * format.channelCount * bytesPerSample, true)
+    view.setUint16(32, format.channelCount * bytesPerSample, true)
+    view.setUint16(34, format.bitsPerSample, true)
+
+    writeString(view, 36, "data")
+    view.setUint32(40, dataSize, true)
+
+    const writeSample = sampleWriter(view, format)
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (let channel = 0; channel < format.channelCount; channel++) {
+            writeSample(44 + (frame * format.channelCount + channel) * bytesPerSample, channels[channel][frame])
+        }
+    }
+
+    return view.buffer
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length
+ */
+function readString(view, offset, length) {
+    let string = ""
+    for (let i = 0; i < length; i++) { string += String.fromCharCode(view.getUint8(offset + i)) }
+    return string
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset início do chunk data
+ * @param {number} size tamanho do chunk data em bytes
+ * @param {{ format: number, channelCount: number, bitsPerSample: number }} format
+ * @returns {Float32Array[]}
+ */
+function readSamples(view, offset, size, format) {
+    const bytesPerSample = format.bitsPerSample / 8
+    const frameCount = Math.floor(size / (bytesPerSample * format.channelCount))
+    const channels = Array.from({ length: format.channelCount }, () => new Float32Array(frameCount))
+    const readSample = sampleReader(view, format)
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (let channel = 0; channel < format.channelCount; channel++) {
+            channels[channel][frame] = readSample(offset + (frame * format.channelCount + channel) * bytesPerSample)
+        }
+    }
+
+    return channels
+}
+
+/**
+ * @param {DataView} view
+ * @param {{ format: number, bitsPerSample: number }} format
+ * @returns {function(number): number}
+ */
+function sampleReader(view, format) {
+    if (format.format == 3 && format.bitsPerSample == 32) { return position => view.getFloat32(position, true) }
+    if (format.format == 3 && format.bitsPerSample == 64) { return position => view.getFloat64(position, true) }
+
+    if (format.format == 1) {
+        switch (format.bitsPerSample) {
+            case 8: return position => (view.getUint8(position) - 128) / 128
+            case 16: return position => view.getInt16(position, true) / 32768
+            case 24: return position => ((view.getUint8(position + 2) << 24 | view.getUint8(position + 1) << 16 | view.getUint8(position) << 8) >> 8) / 8388608
+            case 32: return position => view.getInt32(position, true) / 2147483648
+        }
+    }
+
+    throw new Error(`Formato WAV não suportado: ${format.format} com ${format.bitsPerSample} bits`)
+}
+
+/**
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {string} string
+ */
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) { view.setUint8(offset + i, string.charCodeAt(i)) }
+}
+
+/**
+ * @param {DataView} view
+ * @param {{ format: number, bitsPerSample: number }} format
+ * @returns {function(number, number): void}
+ */
+function sampleWriter(view, format) {
+    if (format.format == 3 && format.bitsPerSample == 32) { return (position, sample) => view.setFloat32(position, sample, true) }
+    if (format.format == 3 && format.bitsPerSample == 64) { return (position, sample) => view.setFloat64(position, sample, true) }
+
+    // Amostras fora do intervalo são saturadas, como faria um conversor A/D
+    const clip = sample => Math.max(-1, Math.min(1, sample))
+
+    if (format.format == 1) {
+        switch (format.bitsPerSample) {
+            case 8: return (position, sample) => view.setUint8(position, Math.round(clip(sample) * 127) + 128)
+            case 16: return (position, sample) => view.setInt16(position, Math.round(clip(sample) * 32767), true)
+            case 24: return (position, sample) => {
+                const value = Math.round(clip(sample) * 8388607)
+                view.setUint8(position, value & 0xFF)
+                view.setUint8(position + 1, (value >> 8) & 0xFF)
+                view.setUint8(position + 2, (value >> 16) & 0xFF)
+            }
+            case 32: return (position, sample) => view.setInt32(position, Math.round(clip(sample) * 2147483647), true)
+        }
+    }
+
+    throw new Error(`Formato WAV não suportado: ${format.format} com ${format.bitsPerSample} bits`)
+}
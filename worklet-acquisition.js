@@ -0,0 +1,160 @@
+import BeepAnalyzer from "./beep-analyzer.js"
+import SessionRecorder from "./session-recorder.js"
+
+/**
+ * Aquisição do BeepListener por [AudioWorklet](https://developer.mozilla.org/en-US/docs/Web/API/AudioWorkletNode), no lugar
+ * da leitura do AnalyserNode em um loop com `setTimeout`.
+ *
+ * O processador `beep-listener-frames` envia um quadro com as últimas `fftSize` amostras a cada `hopSize` amostras, e os
+ * quadros ficam em fila até serem lidos. Cada quadro é analisado pelo {@link BeepAnalyzer}, com a mesma FFT, janela e
+ * suavização do AnalyserNode, então a quantidade de amostras de uma track e o seu `tempo` dependem apenas do áudio, e não da
+ * carga da CPU ou do limite dos timers do navegador. Se a análise atrasar, os quadros se acumulam na fila até `maxQueueDuration`
+ * milissegundos de áudio; a partir daí os quadros mais antigos são descartados e contados em `overruns`.
+ * @example
+ * const init = await BeepListener.init({ deviceId: await BeepListener.C930e(), acquisition: "worklet", hopSize: 512 })
+ * console.log(init.acquisition) // "worklet", ou "polling" caso o navegador não suporte AudioWorklet
+ */
+export default class WorkletAcquisition {
+
+    /**
+     * @typedef {{ time: number, samples: Float32Array }} frame Quadro recebido do AudioWorklet. `time` é o instante logo
+     * após a última amostra, em milissegundos do relógio do áudio
+     *
+     * @typedef {{
+     *     time: number,
+     *     frequency: number,
+     *     amplitude: number,
+     *     confidence: number,
+     *     spectralShape: import("./beep-analyzer.js").spectralShape
+     * }} frameAnalysis Quadro analisado
+     */
+
+    /** Duração máxima, em milissegundos de áudio, dos quadros aguardando leitura */
+    static maxQueueDuration = 1000
+
+    /** Indica se o ambiente suporta AudioWorklet */
+    static get supported() { return typeof AudioWorkletNode != "undefined" }
+
+    /**
+     * @param {AudioWorkletNode} node nó do processador `beep-listener-frames`
+     * @param {AudioNode} sourceNode nó conectado ao processador
+     * @param {BeepAnalyzer} analyzer analisador com a taxa de amostragem, o `fftSize` e o `hopSize` do nó
+     */
+    constructor(node, sourceNode, analyzer) {
+        this.node = node
+        this.sourceNode = sourceNode
+        this.analyzer = analyzer
+
+        /** @type {frame[]} */
+        this.queue = []
+        /** @type {(() => void)[]} */
+        this.waiting = []
+
+        /** Quantidade máxima de quadros na fila */
+        this.maxQueue = Math.max(1, Math.ceil(WorkletAcquisition.maxQueueDuration / 1000 * analyzer.sampleRate / analyzer.hopSize))
+
+        /** Quadros descartados com a fila cheia desde o último `flush()` */
+        this.overruns = 0
+
+        /**
+         * Instante do último quadro lido, em milissegundos do relógio do áudio
+         * @type {number | undefined}
+         */
+        this.time = undefined
+
+        this.node.port.onmessage = ({ data }) => {
+            if (data.type != "frame") { return }
+            this.queue.push({ time: data.time, samples: data.samples })
+            if (this.queue.length > this.maxQueue) { this.overrun() }
+            this.waiting.splice(0).forEach(resolve => resolve())
+        }
+    }
+
+    /** Quantidade de amostras entre quadros */
+    get hopSize() { return this.analyzer.hopSize }
+
+    /**
+     * Cria a aquisição, carregando o módulo do AudioWorklet no AudioContext caso necessário
+     * @param {BaseAudioContext} audioContext
+     * @param {AudioNode} sourceNode nó cuja saída será analisada, o último da cadeia de filtros ou o GainNode
+     * @param {{
+     *     fftSize: number,
+     *     hopSize: number,
+     *     smoothingTimeConstant: number,
+     *     pitchEngine: import("./beep-analyzer.js").pitchEngine
+     * }} analyzerOptions
+     * @returns {Promise<WorkletAcquisition>}
+     */
+    static async create(audioContext, sourceNode, analyzerOptions) {
+        await SessionRecorder.loadModule(audioContext)
+
+        // O processador lê apenas o primeiro canal: uma fonte estéreo é mixada para mono antes de chegar a ele
+        const node = new AudioWorkletNode(audioContext, "beep-listener-frames", {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 1,
+            channelCountMode: "explicit",
+            channelInterpretation: "speakers",
+            processorOptions: { fftSize: analyzerOptions.fftSize, hopSize: analyzerOptions.hopSize }
+        })
+        sourceNode.connect(node)
+
+        return new WorkletAcquisition(node, sourceNode, new BeepAnalyzer({ sampleRate: audioContext.sampleRate, ...analyzerOptions }))
+    }
+
+    /**
+     * Lê e analisa o próximo quadro da fila, aguardando caso ela esteja vazia
+     * @param {AbortSignal} [signal] interrompe a espera
+     * @returns {Promise<frameAnalysis | undefined>} undefined caso o `signal` seja abortado
+     */
+    async read(signal) {
+        while (this.queue.length == 0) {
+            if (signal?.aborted) { return undefined }
+
+            await new Promise(resolve => {
+                const onAbort = () => resolve()
+                this.waiting.push(() => { signal?.removeEventListener("abort", onAbort); resolve() })
+                signal?.addEventListener("abort", onAbort, { once: true })
+            })
+        }
+
+        const frame = this.queue.shift()
+        this.time = frame.time
+        return { time: frame.time, ...this.analyzer.analyzeFrame(frame.samples) }
+    }
+
+    /**
+     * Descarta o quadro mais antigo da fila, avisando no primeiro descarte desde o último `flush()`: a análise não está
+     * acompanhando o áudio, e as tracks passam a ter lacunas
+     */
+    overrun() {
+        this.queue.shift()
+        if (this.overruns++ == 0) {
+            console.warn(`Fila do AudioWorklet cheia (${this.maxQueue} quadros), descartando os quadros mais antigos`)
+        }
+    }
+
+    /** Descarta os quadros ainda não lidos, para que a próxima leitura comece no áudio atual */
+    flush() {
+        this.queue = []
+        this.time = undefined
+        this.overruns = 0
+    }
+
+    /**
+     * Troca o nó conectado ao processador, por exemplo quando a cadeia de filtros muda
+     * @param {AudioNode} sourceNode
+     */
+    reconnect(sourceNode) {
+        this.sourceNode.disconnect(this.node)
+        sourceNode.connect(this.node)
+        this.sourceNode = sourceNode
+    }
+
+    /** Desconecta o processador da fonte */
+    disconnect() {
+        this.sourceNode.disconnect(this.node)
+        this.node.port.close()
+        this.flush()
+    }
+}